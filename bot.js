@@ -3,7 +3,12 @@ const { Client, GatewayIntentBits } = require('discord.js');
 const database = require('./config/database');
 const CommandHandler = require('./handlers/commandHandler');
 const EventLoader = require('./handlers/eventLoader');
+const ShardHandlerLoader = require('./handlers/shardHandlerLoader');
 const dstService = require('./services/dstService');
+const reconciliationService = require('./services/reconciliationService');
+const clockService = require('./services/clockService');
+const nicknameService = require('./services/nicknameService');
+const nicknameQueueService = require('./services/nicknameQueueService');
 const { clientProvider } = require('./services/clientProvider');
 
 class TimezoneBot {
@@ -22,6 +27,9 @@ class TimezoneBot {
         
         // Load events
         this.eventLoader = new EventLoader(this.client);
+        
+        // Load cross-shard request handlers
+        this.shardHandlerLoader = new ShardHandlerLoader();
     }
 
     async start() {
@@ -38,11 +46,17 @@ class TimezoneBot {
             // Login to Discord - events will handle the rest
             await this.client.login(process.env.DISCORD_TOKEN);
             
-            // Start DST monitoring service (only on shard 0 to avoid duplicates)
+            // Every shard drains queued nickname jobs for its own guilds
+            nicknameQueueService.start(this.client, (guild, job) => nicknameService.processQueuedJob(guild, job));
+            
+            // Start DST monitoring, reconciliation and live clock services (only on shard 0 to avoid duplicates)
             if (shardId === 0) {
                 setTimeout(() => {
                     dstService.start();
                     console.log(`🌍 DST monitoring started on shard ${shardId}`);
+                    
+                    reconciliationService.start();
+                    clockService.start();
                 }, 10000); // Wait 10 seconds for bot to be fully ready
             }
             
@@ -57,8 +71,11 @@ class TimezoneBot {
             const shardId = this.client.shard?.ids[0] ?? 0;
             console.log(`🛑 Shutting down Timey Zoney shard ${shardId}...`);
             
-            // Stop DST service
+            // Stop background services
             dstService.stop();
+            reconciliationService.stop();
+            clockService.stop();
+            nicknameQueueService.stop();
             
             // Close Discord client
             if (this.client) {
@@ -0,0 +1,224 @@
+const { SlashCommandBuilder, EmbedBuilder, MessageFlags } = require('discord.js');
+const databaseService = require('../services/databaseService');
+const timezoneService = require('../services/timezoneService');
+const guildSettingsService = require('../services/guildSettingsService');
+const { logger } = require('../utils/logger');
+
+// Embeds hold at most 25 fields; leave room for the unresolved list
+const MAX_TARGETS = 20;
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('convert')
+        .setDescription('Convert a time to other timezones or to other members\' local time')
+        .addStringOption(option =>
+            option
+                .setName('time')
+                .setDescription('e.g. 20:00, 8pm tomorrow, friday 9:30am or 2026-11-03 09:30')
+                .setRequired(true)
+                .setMaxLength(100)
+        )
+        .addStringOption(option =>
+            option
+                .setName('to')
+                .setDescription('Timezones and/or @members, separated by spaces (e.g. Asia/Tokyo @bob)')
+                .setRequired(false)
+                .setMaxLength(1000)
+        )
+        .addUserOption(option =>
+            option
+                .setName('user')
+                .setDescription('Member whose local time to convert to')
+                .setRequired(false)
+        )
+        .addStringOption(option =>
+            option
+                .setName('from')
+                .setDescription('Timezone the time is in (defaults to your own)')
+                .setRequired(false)
+                .setAutocomplete(true)
+        ),
+
+    async autocomplete(interaction) {
+        const focused = interaction.options.getFocused();
+        const choices = timezoneService.searchTimezones(focused);
+        await interaction.respond(choices.map(choice => ({ name: choice.name, value: choice.value })));
+    },
+
+    async execute(interaction) {
+        try {
+            await this.handleConvert(interaction);
+        } catch (error) {
+            console.error('Error executing convert command:', error);
+
+            if (!interaction.replied && !interaction.deferred && interaction.isRepliable()) {
+                try {
+                    await interaction.reply({
+                        content: '❌ An error occurred while processing your request.',
+                        flags: [MessageFlags.Ephemeral]
+                    });
+                } catch (replyError) {
+                    console.error('❌ Failed to send error reply:', replyError);
+                }
+            }
+
+            await logger.error(`**Convert Command Error** | **User:** <@${interaction.user.id}> | **Server:** \`${interaction.guildId}\` | **Error:** ${error.message}`);
+        }
+    },
+
+    async handleConvert(interaction) {
+        const userId = interaction.user.id;
+        const serverId = interaction.guildId;
+        const input = interaction.options.getString('time');
+
+        await logger.logCommand('convert', userId, serverId, `Received - ${input}`);
+
+        const source = await this.resolveSourceZone(interaction);
+        if (source.error) {
+            await this.replyError(interaction, source.error);
+            return;
+        }
+
+        const targets = await this.resolveTargets(interaction);
+        if (targets.error) {
+            await this.replyError(interaction, targets.error);
+            return;
+        }
+
+        const parsed = timezoneService.parseTimeExpression(input, source.timezone);
+        if (!parsed.valid) {
+            await this.replyError(interaction, parsed.error);
+            return;
+        }
+
+        const locale = serverId ? await guildSettingsService.get(serverId, guildSettingsService.keys.LOCALE) : null;
+        const [sourceTime] = timezoneService.convertTime(parsed.dateTime, [source.timezone], { locale });
+        const conversions = timezoneService.convertTime(parsed.dateTime, [...targets.zones.keys()], { locale });
+
+        const embed = new EmbedBuilder()
+            .setColor(0x00AE86)
+            .setTitle('🔁 Time Conversion')
+            .setDescription(
+                `**${sourceTime.time}** ${sourceTime.date} in **${source.timezone}** (${sourceTime.offset})${source.fallback ? ' — you have no timezone set, so UTC was used' : ''}\n` +
+                `${timezoneService.formatDiscordTimestamp(parsed.dateTime, 'F')} · ${timezoneService.formatDiscordTimestamp(parsed.dateTime, 'R')} (shown in each reader's own time)`
+            )
+            .addFields(conversions.map(conversion => ({
+                name: `${conversion.timezone} (${conversion.offset})`,
+                value: [
+                    `**${conversion.time}** ${conversion.date}${this.formatDayDifference(conversion.dayDifference)}`,
+                    ...targets.zones.get(conversion.timezone)
+                ].join('\n').slice(0, 1024),
+                inline: true
+            })));
+
+        if (targets.unresolved.length > 0) {
+            embed.addFields({ name: 'No Timezone Set', value: targets.unresolved.map(id => `<@${id}>`).join(' ').slice(0, 1024), inline: false });
+        }
+
+        if (parsed.adjusted) {
+            embed.setFooter({ text: `${input} does not exist in ${source.timezone} because the clocks change that day; the next valid time was used.` });
+        }
+
+        // Mentions are for reading, not for pinging everyone the time was converted for
+        await interaction.reply({ embeds: [embed], allowedMentions: { parse: [] } });
+        await logger.logCommand('convert', userId, serverId, `Success - ${parsed.dateTime.toISO()} to ${conversions.length} zone(s)`);
+    },
+
+    /**
+     * Work out which zone the time expression is written in
+     * @param {Interaction} interaction
+     * @returns {Promise<Object>} { timezone, fallback } or { error }
+     */
+    async resolveSourceZone(interaction) {
+        const from = interaction.options.getString('from');
+
+        if (from) {
+            const timezone = timezoneService.resolveTimezoneName(from);
+            return timezone ? { timezone, fallback: false } : { error: `\`${from}\` is not a timezone. Pick one from the list, e.g. \`America/New_York\`.` };
+        }
+
+        const userData = await databaseService.getUserTimezone(interaction.user.id);
+        return userData
+            ? { timezone: userData.timezone_identifier, fallback: false }
+            : { timezone: 'UTC', fallback: true };
+    },
+
+    /**
+     * Turn the `to` and `user` options into target zones, looking members up by their stored timezone
+     * @param {Interaction} interaction
+     * @returns {Promise<Object>} { zones: Map<timezone, Array<mention>>, unresolved: Array<userId> } or { error }
+     */
+    async resolveTargets(interaction) {
+        const tokens = (interaction.options.getString('to') || '').split(/[\s,]+/).filter(Boolean);
+        const user = interaction.options.getUser('user');
+
+        const zones = new Map();
+        const userIds = new Set(user ? [user.id] : []);
+        const unknown = [];
+
+        for (const token of tokens) {
+            const mention = token.match(/^<@!?(\d+)>$/);
+
+            if (mention) {
+                userIds.add(mention[1]);
+                continue;
+            }
+
+            const timezone = timezoneService.resolveTimezoneName(token);
+            if (timezone) {
+                if (!zones.has(timezone)) zones.set(timezone, []);
+            } else {
+                unknown.push(token);
+            }
+        }
+
+        if (unknown.length > 0) {
+            return { error: `Not a timezone or member: ${unknown.map(token => `\`${token}\``).join(', ')}. Use zones like \`Asia/Tokyo\` and mention members with @.` };
+        }
+
+        const unresolved = [];
+
+        for (const id of userIds) {
+            const userData = await databaseService.getUserTimezone(id);
+
+            if (!userData) {
+                unresolved.push(id);
+                continue;
+            }
+
+            if (!zones.has(userData.timezone_identifier)) zones.set(userData.timezone_identifier, []);
+            zones.get(userData.timezone_identifier).push(`<@${id}>`);
+        }
+
+        if (zones.size === 0) {
+            return {
+                error: unresolved.length > 0
+                    ? 'None of those members have set a timezone yet.'
+                    : 'Add timezones or members to convert to, e.g. `to: Asia/Tokyo @bob`.'
+            };
+        }
+
+        if (zones.size > MAX_TARGETS) {
+            return { error: `That is ${zones.size} timezones; convert to at most ${MAX_TARGETS} at once.` };
+        }
+
+        return { zones, unresolved };
+    },
+
+    /**
+     * Mark a converted time that falls on another calendar day
+     * @param {number} dayDifference - Target date minus source date, in days
+     * @returns {string} Marker such as " (next day)", or an empty string on the same day
+     */
+    formatDayDifference(dayDifference) {
+        if (dayDifference === 0) return '';
+        if (dayDifference === 1) return ' (next day)';
+        if (dayDifference === -1) return ' (previous day)';
+        return ` (${dayDifference > 0 ? '+' : ''}${dayDifference} days)`;
+    },
+
+    async replyError(interaction, message) {
+        await interaction.reply({ content: `❌ ${message}`, flags: [MessageFlags.Ephemeral] });
+        await logger.logCommand('convert', interaction.user.id, interaction.guildId, `Failed - ${message}`);
+    },
+};
@@ -16,10 +16,34 @@ module.exports = {
                         name: '⚙️ `/timezone set <timezone>`',
                         value: '**Set your timezone and update your nickname**\n' +
                                '• Example: `/timezone set America/New_York`\n' +
-                               '• Your nickname will show your current UTC offset\n' +
+                               '• Your nickname will show your current UTC offset in every server we share\n' +
                                '• Updates automatically when DST changes occur',
                         inline: false
                     },
+                    {
+                        name: '🔤 `/timezone display <mode>`',
+                        value: '**Choose how your timezone appears in your nickname**\n' +
+                               '• `offset`: shows e.g. `UTC-5` (default)\n' +
+                               '• `abbreviation`: shows e.g. `EST`, switching to `EDT` when clocks change\n' +
+                               '• Falls back to the offset where no clear abbreviation exists',
+                        inline: false
+                    },
+                    {
+                        name: '🗓️ `/timezone hours [days] [work] [sleep]`',
+                        value: '**Set when you work and sleep**\n' +
+                               '• Hours are in your local time and may run past midnight\n' +
+                               '• `/timezone time` shows others if you are working or asleep\n' +
+                               '• Example: `/timezone hours days:weekdays work:09:00-17:00 sleep:23:00-07:00`',
+                        inline: false
+                    },
+                    {
+                        name: '🙈 `/timezone decorate <show>`',
+                        value: '**Choose whether your timezone is shown on this server**\n' +
+                               '• `show: False` keeps your nickname plain here, e.g. on a work server\n' +
+                               '• Your timezone stays saved and `/timezone time` keeps working\n' +
+                               '• Other servers are not affected',
+                        inline: false
+                    },
                     {
                         name: '🗑️ `/timezone clear`',
                         value: '**Remove your timezone data and reset nickname**\n' +
@@ -33,9 +57,42 @@ module.exports = {
                         value: '**Check current time for you or another user**\n' +
                                '• Without user: Shows your current local time\n' +
                                '• With user: Shows the specified user\'s local time\n' +
+                               '• Shows whether they are working or asleep if they set `/timezone hours`\n' +
                                '• Example: `/timezone time @friend`',
                         inline: false
                     },
+                    {
+                        name: '🌍 `/timezone who [group] [role]`',
+                        value: '**See what time it is for this server\'s members**\n' +
+                               '• Grouped into morning, working hours, evening and night, or by UTC offset\n' +
+                               '• Add a role to list only its members, e.g. a support team\n' +
+                               '• Example: `/timezone who role:@Support`',
+                        inline: false
+                    },
+                    {
+                        name: '🔁 `/convert <time> [to] [user] [from]`',
+                        value: '**Convert a time to other timezones or members\' local time**\n' +
+                               '• Understands `20:00`, `8pm tomorrow`, `friday 9:30am` and `2026-11-03 09:30`\n' +
+                               '• Read in your own timezone unless `from` is given\n' +
+                               '• Example: `/convert time:8pm tomorrow to:Asia/Tokyo @friend`',
+                        inline: false
+                    },
+                    {
+                        name: '🕰️ `/timestamp <time> [timezone]`',
+                        value: '**Turn a time into Discord timestamps**\n' +
+                               '• Shows every `<t:…>` style with a preview, ready to copy\n' +
+                               '• Readers see the time in their own timezone\n' +
+                               '• Example: `/timestamp time:friday 9pm`',
+                        inline: false
+                    },
+                    {
+                        name: '📅 `/meet <duration> [users] [role] [from] [to]`',
+                        value: '**Find meeting times that suit everyone**\n' +
+                               '• Only suggests times within reasonable local hours for every participant\n' +
+                               '• Ranks times by how many people are in their working hours\n' +
+                               '• Example: `/meet duration:1 hour users:@alice @bob from:tomorrow`',
+                        inline: false
+                    },
                     {
                         name: '❓ `/help`',
                         value: '**Show this help message**\n' +
@@ -54,9 +111,10 @@ module.exports = {
                     {
                         name: '💡 Tips',
                         value: '• Use the autocomplete feature when setting your timezone\n' +
-                               '• Your timezone updates happen automatically at 5am local time\n' +
-                               '• Server owners cannot have their nicknames changed (Discord limitation)\n' +
-                               '• The bot needs "Manage Nicknames" permission to update your nickname',
+                               '• Your nickname updates automatically the moment your clocks change\n' +
+                               '• Server owners cannot have their nicknames changed (Discord limitation), but servers using timezone roles give owners a role too\n' +
+                               '• The bot needs "Manage Nicknames" permission to update your nickname\n' +
+                               '• Server admins can exempt roles or members, turn off enforcement or pick a log channel with `/timezone-config`',
                         inline: false
                     },
                 )
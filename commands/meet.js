@@ -0,0 +1,294 @@
+const { SlashCommandBuilder, EmbedBuilder, MessageFlags } = require('discord.js');
+const { DateTime } = require('luxon');
+const databaseService = require('../services/databaseService');
+const timezoneService = require('../services/timezoneService');
+const rosterService = require('../services/rosterService');
+const meetingPlannerService = require('../services/meetingPlannerService');
+const { logger } = require('../utils/logger');
+
+const DEFAULT_RANGE_DAYS = 7;
+const MAX_RANGE_DAYS = 14;
+const MAX_PARTICIPANTS = 50;
+const MAX_ZONE_LINES = 12;
+
+const FIT_MARKERS = {
+    preferred: '✅',
+    acceptable: '🟡'
+};
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('meet')
+        .setDescription('Find meeting times that suit everyone\'s local hours')
+        .addIntegerOption(option =>
+            option
+                .setName('duration')
+                .setDescription('How long the meeting is')
+                .setRequired(true)
+                .addChoices(
+                    { name: '15 minutes', value: 15 },
+                    { name: '30 minutes', value: 30 },
+                    { name: '45 minutes', value: 45 },
+                    { name: '1 hour', value: 60 },
+                    { name: '1.5 hours', value: 90 },
+                    { name: '2 hours', value: 120 }
+                )
+        )
+        .addStringOption(option =>
+            option
+                .setName('users')
+                .setDescription('Members to invite, e.g. @alice @bob (include yourself if you attend)')
+                .setRequired(false)
+                .setMaxLength(1000)
+        )
+        .addRoleOption(option =>
+            option
+                .setName('role')
+                .setDescription('Invite every registered member with this role')
+                .setRequired(false)
+        )
+        .addStringOption(option =>
+            option
+                .setName('from')
+                .setDescription('First day to consider, e.g. 2026-11-03 or tomorrow (defaults to now)')
+                .setRequired(false)
+                .setMaxLength(20)
+        )
+        .addStringOption(option =>
+            option
+                .setName('to')
+                .setDescription(`Last day to consider (defaults to ${DEFAULT_RANGE_DAYS} days after the first)`)
+                .setRequired(false)
+                .setMaxLength(20)
+        ),
+
+    async execute(interaction) {
+        try {
+            await this.handleMeet(interaction);
+        } catch (error) {
+            console.error('Error executing meet command:', error);
+
+            if (!interaction.replied && !interaction.deferred && interaction.isRepliable()) {
+                try {
+                    await interaction.reply({
+                        content: '❌ An error occurred while processing your request.',
+                        flags: [MessageFlags.Ephemeral]
+                    });
+                } catch (replyError) {
+                    console.error('❌ Failed to send error reply:', replyError);
+                }
+            } else if (interaction.deferred) {
+                await interaction.editReply({ content: '❌ An error occurred while processing your request.' }).catch(() => {});
+            }
+
+            await logger.error(`**Meet Command Error** | **User:** <@${interaction.user.id}> | **Server:** \`${interaction.guildId}\` | **Error:** ${error.message}`);
+        }
+    },
+
+    async handleMeet(interaction) {
+        const userId = interaction.user.id;
+        const serverId = interaction.guildId;
+        const durationMinutes = interaction.options.getInteger('duration');
+        const role = interaction.options.getRole('role');
+
+        await logger.logCommand('meet', userId, serverId, `Received - ${durationMinutes} min${role ? `, Role: ${role.id}` : ''}`);
+
+        if (role && !interaction.guild) {
+            await this.replyError(interaction, 'Roles can only be used in a server.');
+            return;
+        }
+
+        // Dates are read in the caller's own zone, the way they think about "tomorrow"
+        const callerData = await databaseService.getUserTimezone(userId);
+        const range = this.resolveRange(interaction, callerData?.timezone_identifier ?? 'UTC');
+        if (range.error) {
+            await this.replyError(interaction, range.error);
+            return;
+        }
+
+        const userIds = [...(interaction.options.getString('users') || '').matchAll(/<@!?(\d+)>/g)].map(match => match[1]);
+
+        if (userIds.length === 0 && !role) {
+            await this.replyError(interaction, 'Mention the members to invite in `users`, pick a `role`, or both.');
+            return;
+        }
+
+        // Looking up role members can take longer than Discord waits for a reply
+        await interaction.deferReply();
+
+        const { participants, unresolved } = await this.resolveParticipants(interaction.guild, userIds, role?.id ?? null);
+
+        if (participants.length < 2) {
+            await interaction.editReply({ content: '❌ Need at least two participants who have set their timezone with `/timezone set`.' });
+            await logger.logCommand('meet', userId, serverId, `Failed - ${participants.length} participant(s) with a timezone`);
+            return;
+        }
+
+        if (participants.length > MAX_PARTICIPANTS) {
+            await interaction.editReply({ content: `❌ That is ${participants.length} participants; plan for at most ${MAX_PARTICIPANTS} at once.` });
+            return;
+        }
+
+        const slots = meetingPlannerService.findSlots({ participants, durationMinutes, from: range.from, to: range.to });
+
+        const embed = new EmbedBuilder()
+            .setColor(0x00AE86)
+            .setTitle('📅 Meeting Times')
+            .setDescription(
+                `${durationMinutes} minutes for ${participants.length} participants between ` +
+                `${timezoneService.formatDiscordTimestamp(range.from, 'f')} and ${timezoneService.formatDiscordTimestamp(range.to, 'f')}. ` +
+                'Times are shown in your own timezone.'
+            );
+
+        if (slots.length === 0) {
+            embed
+                .setColor(0xFF9900)
+                .addFields({ name: 'No Times Found', value: 'No slot is within reasonable local hours for everyone. Try a longer date range, a shorter meeting or fewer participants.', inline: false });
+        } else {
+            embed.addFields(slots.map((slot, index) => ({
+                name: `#${index + 1} · ${slot.preferredCount} of ${participants.length} in preferred hours`,
+                value: this.formatSlot(slot).slice(0, 1024),
+                inline: false
+            })));
+        }
+
+        if (unresolved.length > 0) {
+            embed.addFields({ name: 'No Timezone Set (left out)', value: unresolved.map(id => `<@${id}>`).join(' ').slice(0, 1024), inline: false });
+        }
+
+        embed.setFooter({ text: `${FIT_MARKERS.preferred} preferred hours · ${FIT_MARKERS.acceptable} outside them but still reasonable` });
+
+        await interaction.editReply({ embeds: [embed], allowedMentions: { parse: [] } });
+        await logger.logCommand('meet', userId, serverId, `Success - ${slots.length} slot(s) for ${participants.length} participants`);
+    },
+
+    /**
+     * Work out the window to search from the `from` and `to` dates
+     * @param {Interaction} interaction
+     * @param {string} timezone - Zone the dates are written in
+     * @returns {Object} { from, to } as DateTimes, or { error }
+     */
+    resolveRange(interaction, timezone) {
+        const now = DateTime.now().setZone(timezone);
+        const fromInput = interaction.options.getString('from');
+        const toInput = interaction.options.getString('to');
+
+        const fromDay = fromInput ? this.parseDate(fromInput, now) : null;
+        if (fromInput && !fromDay) {
+            return { error: `\`${fromInput}\` is not a date. Use a date like \`2026-11-03\`, \`today\` or \`tomorrow\`.` };
+        }
+
+        const toDay = toInput ? this.parseDate(toInput, now) : null;
+        if (toInput && !toDay) {
+            return { error: `\`${toInput}\` is not a date. Use a date like \`2026-11-03\`, \`today\` or \`tomorrow\`.` };
+        }
+
+        // Never suggest a time that has already passed
+        const from = fromDay && fromDay > now ? fromDay : now;
+        const to = toDay ? toDay.plus({ days: 1 }) : from.plus({ days: DEFAULT_RANGE_DAYS });
+
+        if (to <= from) {
+            return { error: 'The date range has already passed or ends before it starts.' };
+        }
+
+        if (to.diff(from, 'days').days > MAX_RANGE_DAYS) {
+            return { error: `Pick a date range of at most ${MAX_RANGE_DAYS} days.` };
+        }
+
+        return { from, to };
+    },
+
+    /**
+     * @param {string} input - "2026-11-03", "today" or "tomorrow"
+     * @param {DateTime} now - Current time in the caller's zone
+     * @returns {DateTime|null} Start of that day in the caller's zone
+     */
+    parseDate(input, now) {
+        const text = input.trim().toLowerCase();
+
+        if (text === 'today' || text === 'tomorrow') {
+            return now.startOf('day').plus({ days: text === 'tomorrow' ? 1 : 0 });
+        }
+
+        const date = DateTime.fromISO(text, { zone: now.zone });
+        return date.isValid && /^\d{4}-\d{2}-\d{2}$/.test(text) ? date : null;
+    },
+
+    /**
+     * Collect the invited members and their stored timezones
+     * @param {Guild|null} guild - Discord guild, needed for a role
+     * @param {Array<string>} userIds - Mentioned members
+     * @param {string|null} roleId - Role whose registered members are invited
+     * @returns {Promise<Object>} { participants: Array<{ id, timezone }>, unresolved: Array<userId> }
+     */
+    async resolveParticipants(guild, userIds, roleId) {
+        const timezones = new Map();
+        const unresolved = [];
+
+        if (roleId) {
+            // Members who hid their timezone on this server are not shared through a role
+            const users = (await databaseService.getServerUsers(guild.id)).filter(user => user.decorate !== 0);
+            const holders = await rosterService.getRoleHolders(guild, roleId, users.map(user => user.user_id));
+
+            for (const user of users) {
+                if (holders.has(user.user_id)) {
+                    timezones.set(user.user_id, user.timezone_identifier);
+                }
+            }
+        }
+
+        for (const id of new Set(userIds)) {
+            if (timezones.has(id)) {
+                continue;
+            }
+
+            const userData = await databaseService.getUserTimezone(id);
+            if (userData) {
+                timezones.set(id, userData.timezone_identifier);
+            } else {
+                unresolved.push(id);
+            }
+        }
+
+        return {
+            participants: [...timezones].map(([id, timezone]) => ({ id, timezone })),
+            unresolved
+        };
+    },
+
+    /**
+     * Describe a slot: when it is, and the local time in each participant zone
+     * @param {Object} slot - Slot from meetingPlannerService.findSlots
+     * @returns {string}
+     */
+    formatSlot(slot) {
+        const zones = new Map();
+
+        for (const participant of slot.participants) {
+            const key = `${participant.timezone}:${participant.fit}`;
+            if (!zones.has(key)) {
+                zones.set(key, { ...participant, count: 0 });
+            }
+            zones.get(key).count++;
+        }
+
+        const lines = [...zones.values()]
+            .sort((a, b) => b.local.offset - a.local.offset)
+            .map(zone => `${FIT_MARKERS[zone.fit]} \`${zone.local.toFormat('ccc HH:mm')}\` ${zone.timezone}${zone.count > 1 ? ` ×${zone.count}` : ''}`);
+
+        // Keep five slots inside Discord's 6000-character embed limit
+        if (lines.length > MAX_ZONE_LINES) {
+            lines.splice(MAX_ZONE_LINES - 1, lines.length, `…and ${lines.length - MAX_ZONE_LINES + 1} more timezones`);
+        }
+
+        return [
+            `${timezoneService.formatDiscordTimestamp(slot.start, 'F')} – ${timezoneService.formatDiscordTimestamp(slot.end, 't')} (${timezoneService.formatDiscordTimestamp(slot.start, 'R')})`,
+            ...lines
+        ].join('\n');
+    },
+
+    async replyError(interaction, message) {
+        await interaction.reply({ content: `❌ ${message}`, flags: [MessageFlags.Ephemeral] });
+        await logger.logCommand('meet', interaction.user.id, interaction.guildId, `Failed - ${message}`);
+    },
+};
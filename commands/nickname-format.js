@@ -0,0 +1,230 @@
+const { SlashCommandBuilder, EmbedBuilder, MessageFlags, PermissionFlagsBits, InteractionContextType } = require('discord.js');
+const databaseService = require('../services/databaseService');
+const timezoneService = require('../services/timezoneService');
+const nicknameService = require('../services/nicknameService');
+const backfillService = require('../services/backfillService');
+const { logger } = require('../utils/logger');
+
+const TOKEN_HELP = [
+    '`{name}` — the member\'s own name (required)',
+    '`{offset}` — UTC offset, e.g. `UTC+2`',
+    '`{shortOffset}` — offset without the label, e.g. `+2` (for `GMT{shortOffset}`)',
+    '`{abbr}` — zone abbreviation, e.g. `CEST` (falls back to the offset)',
+    '`{time}` — local time when the nickname was written, e.g. `14:30` (kept current with `/nickname-format clock`)'
+].join('\n');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('nickname-format')
+        .setDescription('Choose how timezones are shown in nicknames on this server')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .setContexts(InteractionContextType.Guild)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('view')
+                .setDescription('Show the current nickname format')
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('set')
+                .setDescription('Set the nickname format and re-render existing nicknames')
+                .addStringOption(option =>
+                    option
+                        .setName('template')
+                        .setDescription('Template such as "[{offset}] {name}" or "{name} (GMT{shortOffset})"')
+                        .setRequired(true)
+                        .setMaxLength(32)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('offset-style')
+                .setDescription('Choose how offsets that are not whole hours are written')
+                .addStringOption(option =>
+                    option
+                        .setName('style')
+                        .setDescription('Offset style')
+                        .setRequired(true)
+                        .addChoices(
+                            { name: 'UTC+5:45 (default)', value: 'colon' },
+                            { name: 'UTC+05:45', value: 'padded' },
+                            { name: 'UTC+5.75 (legacy)', value: 'decimal' }
+                        )
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('clock')
+                .setDescription('Keep the local time in nicknames current')
+                .addIntegerOption(option =>
+                    option
+                        .setName('interval')
+                        .setDescription('How often the time moves on')
+                        .setRequired(true)
+                        .addChoices(
+                            { name: 'Every 15 minutes', value: 15 },
+                            { name: 'Every 30 minutes', value: 30 },
+                            { name: 'Every hour', value: 60 },
+                            { name: 'Off', value: 0 }
+                        )
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('ellipsis')
+                .setDescription('Choose whether names shortened to fit end with …')
+                .addBooleanOption(option =>
+                    option
+                        .setName('enabled')
+                        .setDescription('Add … to shortened names')
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('reset')
+                .setDescription('Go back to the default "{name} ({offset})" format')
+        ),
+
+    async execute(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            if (subcommand === 'view') {
+                await this.handleView(interaction);
+            } else if (subcommand === 'set') {
+                const format = await nicknameService.getNicknameFormat(interaction.guildId);
+                await this.handleSet(interaction, { ...format, template: interaction.options.getString('template') });
+            } else if (subcommand === 'offset-style') {
+                const format = await nicknameService.getNicknameFormat(interaction.guildId);
+                await this.handleSet(interaction, { ...format, offsetStyle: interaction.options.getString('style') });
+            } else if (subcommand === 'clock') {
+                await this.handleClock(interaction, interaction.options.getInteger('interval'));
+            } else if (subcommand === 'ellipsis') {
+                const format = await nicknameService.getNicknameFormat(interaction.guildId);
+                await this.handleSet(interaction, { ...format, ellipsis: interaction.options.getBoolean('enabled') });
+            } else if (subcommand === 'reset') {
+                await this.handleSet(interaction, {
+                    template: timezoneService.defaultNicknameTemplate,
+                    offsetStyle: timezoneService.defaultOffsetStyle,
+                    clockIntervalMinutes: null,
+                    ellipsis: false
+                });
+            }
+        } catch (error) {
+            console.error('Error executing nickname-format command:', error);
+
+            if (!interaction.replied && !interaction.deferred && interaction.isRepliable()) {
+                try {
+                    await interaction.reply({
+                        content: '❌ An error occurred while processing your request.',
+                        flags: [MessageFlags.Ephemeral]
+                    });
+                } catch (replyError) {
+                    console.error('❌ Failed to send error reply:', replyError);
+                }
+            }
+
+            await logger.error(`**Nickname Format Command Error** | **User:** <@${interaction.user.id}> | **Server:** \`${interaction.guildId}\` | **Error:** ${error.message}`);
+        }
+    },
+
+    async handleView(interaction) {
+        const format = await nicknameService.getNicknameFormat(interaction.guildId);
+
+        const embed = new EmbedBuilder()
+            .setColor(0x00AE86)
+            .setTitle('🏷️ Nickname Format')
+            .addFields(
+                ...await this.formatFields(interaction, format),
+                { name: 'Tokens', value: TOKEN_HELP, inline: false }
+            );
+
+        await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+    },
+
+    async handleClock(interaction, intervalMinutes) {
+        const format = await nicknameService.getNicknameFormat(interaction.guildId);
+
+        if (intervalMinutes === 0) {
+            // Drop the clock template we switched to, but keep a custom one with {time}
+            const template = format.template === timezoneService.defaultClockTemplate ? timezoneService.defaultNicknameTemplate : format.template;
+            await this.handleSet(interaction, { ...format, template, clockIntervalMinutes: null });
+            return;
+        }
+
+        const template = format.template.includes('{time}') ? format.template : timezoneService.defaultClockTemplate;
+        await this.handleSet(interaction, { ...format, template, clockIntervalMinutes: intervalMinutes });
+    },
+
+    async handleSet(interaction, { template, offsetStyle, clockIntervalMinutes, ellipsis }) {
+        const validation = timezoneService.validateNicknameTemplate(template);
+
+        if (!validation.valid) {
+            const embed = new EmbedBuilder()
+                .setColor(0xFF0000)
+                .setTitle('❌ Invalid Template')
+                .setDescription(validation.error)
+                .addFields({ name: 'Tokens', value: TOKEN_HELP, inline: false });
+
+            await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+            return;
+        }
+
+        // A clock without {time} would re-render nothing
+        const format = { template, offsetStyle, clockIntervalMinutes: template.includes('{time}') ? clockIntervalMinutes : null, ellipsis };
+
+        await databaseService.setNicknameTemplate(interaction.guildId, format);
+
+        // Re-render registered members in the background; writes go through the nickname queue
+        const rerendering = backfillService.rerenderGuild(interaction.guild);
+
+        const embed = new EmbedBuilder()
+            .setColor(0x00FF00)
+            .setTitle('✅ Nickname Format Updated')
+            .addFields(...await this.formatFields(interaction, format))
+            .setFooter({
+                text: rerendering
+                    ? 'Existing nicknames are being updated. Large servers may take a while.'
+                    : 'A member update is already running; existing nicknames will be updated to the new format once it finishes.'
+            });
+
+        await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+        const clock = format.clockIntervalMinutes ? `, clock every ${format.clockIntervalMinutes} min` : '';
+        await logger.logCommand('nickname-format', interaction.user.id, interaction.guildId, `Template set to ${template} (${offsetStyle} offsets${clock})`);
+    },
+
+    /**
+     * Describe a nickname format as embed fields
+     * @param {Interaction} interaction
+     * @param {Object} format - { template, offsetStyle, clockIntervalMinutes, ellipsis }
+     * @returns {Promise<Array<Object>>} Embed fields
+     */
+    async formatFields(interaction, format) {
+        return [
+            { name: 'Template', value: `\`${format.template}\``, inline: true },
+            { name: 'Offset Style', value: `\`${timezoneService.offsetStyles[format.offsetStyle]}\``, inline: true },
+            { name: 'Live Clock', value: format.clockIntervalMinutes ? `Every ${format.clockIntervalMinutes} minutes` : 'Off', inline: true },
+            { name: 'Shortened Names', value: format.ellipsis ? 'End with …' : 'Cut off', inline: true },
+            { name: 'Example', value: `\`${await this.renderExample(interaction, format)}\``, inline: false }
+        ];
+    },
+
+    /**
+     * Render a template for the caller, using their timezone when they have one
+     * @param {Interaction} interaction
+     * @param {Object} format - { template, offsetStyle, clockIntervalMinutes, ellipsis }
+     * @returns {Promise<string>} Example nickname
+     */
+    async renderExample(interaction, { template, offsetStyle, clockIntervalMinutes, ellipsis }) {
+        const userData = await databaseService.getUserTimezone(interaction.user.id);
+        const stored = await nicknameService.getNicknameFormat(interaction.guildId, interaction.user.id);
+
+        return timezoneService.formatNicknameWithTimezone(
+            interaction.member?.nickname,
+            userData?.timezone_identifier || 'UTC',
+            interaction.user.username,
+            { template, previousTemplates: [stored.template, ...stored.previousTemplates], offsetStyle, clockIntervalMinutes, ellipsis, displayMode: stored.displayMode }
+        );
+    },
+};
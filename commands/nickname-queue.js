@@ -0,0 +1,94 @@
+const { SlashCommandBuilder, EmbedBuilder, MessageFlags, PermissionFlagsBits, InteractionContextType } = require('discord.js');
+const nicknameQueueService = require('../services/nicknameQueueService');
+const { logger } = require('../utils/logger');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('nickname-queue')
+        .setDescription('Inspect nickname updates waiting on Discord rate limits in this server')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .setContexts(InteractionContextType.Guild)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('status')
+                .setDescription('Show pending and failed nickname updates')
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('retry')
+                .setDescription('Retry nickname updates that gave up')
+        ),
+
+    async execute(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            if (subcommand === 'status') {
+                await this.handleStatus(interaction);
+            } else if (subcommand === 'retry') {
+                await this.handleRetry(interaction);
+            }
+        } catch (error) {
+            console.error('Error executing nickname-queue command:', error);
+
+            if (!interaction.replied && !interaction.deferred && interaction.isRepliable()) {
+                try {
+                    await interaction.reply({
+                        content: '❌ An error occurred while processing your request.',
+                        flags: [MessageFlags.Ephemeral]
+                    });
+                } catch (replyError) {
+                    console.error('❌ Failed to send error reply:', replyError);
+                }
+            }
+
+            await logger.error(`**Nickname Queue Command Error** | **User:** <@${interaction.user.id}> | **Server:** \`${interaction.guildId}\` | **Error:** ${error.message}`);
+        }
+    },
+
+    async handleStatus(interaction) {
+        const { counts, pending, failed } = await nicknameQueueService.getQueueSummary({ serverId: interaction.guildId });
+
+        const embed = new EmbedBuilder()
+            .setColor(counts.failed > 0 ? 0xFFAA00 : 0x00AE86)
+            .setTitle('📬 Nickname Queue')
+            .addFields(
+                { name: 'Pending', value: `${counts.pending}`, inline: true },
+                { name: 'In Progress', value: `${counts.processing}`, inline: true },
+                { name: 'Failed', value: `${counts.failed}`, inline: true },
+                { name: '⏳ Next Pending', value: this.formatJobs(pending, job => `<t:${Math.ceil(job.next_attempt_at / 1000)}:R>`), inline: false },
+                { name: '❌ Recently Failed', value: this.formatJobs(failed, job => job.last_error || 'Unknown error'), inline: false }
+            )
+            .setFooter({ text: 'Failed updates can be retried with /nickname-queue retry' });
+
+        await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+        await logger.logCommand('nickname-queue status', interaction.user.id, interaction.guildId, `Pending: ${counts.pending}, Failed: ${counts.failed}`);
+    },
+
+    async handleRetry(interaction) {
+        const requeued = await nicknameQueueService.retryFailedJobs(interaction.guildId);
+
+        await interaction.reply({
+            content: requeued > 0
+                ? `🔁 Requeued ${requeued} failed nickname update${requeued === 1 ? '' : 's'}.`
+                : '✅ There are no failed nickname updates to retry.',
+            flags: [MessageFlags.Ephemeral]
+        });
+        await logger.logCommand('nickname-queue retry', interaction.user.id, interaction.guildId, `Requeued ${requeued} job(s)`);
+    },
+
+    /**
+     * Format queued jobs as one line per member
+     * @param {Array<Object>} jobs - nickname_jobs rows
+     * @param {Function} describe - job => detail shown after the member
+     * @returns {string} Embed field value
+     */
+    formatJobs(jobs, describe) {
+        if (jobs.length === 0) {
+            return 'None';
+        }
+
+        const lines = jobs.map(job => `<@${job.user_id}> — ${job.action}, attempt ${job.attempts} — ${describe(job)}`);
+        return lines.join('\n').slice(0, 1024);
+    },
+};
@@ -0,0 +1,109 @@
+const { SlashCommandBuilder, EmbedBuilder, MessageFlags } = require('discord.js');
+const databaseService = require('../services/databaseService');
+const timezoneService = require('../services/timezoneService');
+const { logger } = require('../utils/logger');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('timestamp')
+        .setDescription('Turn a time into Discord timestamps that everyone sees in their own timezone')
+        .addStringOption(option =>
+            option
+                .setName('time')
+                .setDescription('e.g. 9pm, 8pm tomorrow, friday 9:30am or 2026-11-03 09:30')
+                .setRequired(true)
+                .setMaxLength(100)
+        )
+        .addStringOption(option =>
+            option
+                .setName('timezone')
+                .setDescription('Timezone the time is in (defaults to your own; needed if you have not set one)')
+                .setRequired(false)
+                .setAutocomplete(true)
+        ),
+
+    async autocomplete(interaction) {
+        const focused = interaction.options.getFocused();
+        const choices = timezoneService.searchTimezones(focused);
+        await interaction.respond(choices.map(choice => ({ name: choice.name, value: choice.value })));
+    },
+
+    async execute(interaction) {
+        try {
+            await this.handleTimestamp(interaction);
+        } catch (error) {
+            console.error('Error executing timestamp command:', error);
+
+            if (!interaction.replied && !interaction.deferred && interaction.isRepliable()) {
+                try {
+                    await interaction.reply({
+                        content: '❌ An error occurred while processing your request.',
+                        flags: [MessageFlags.Ephemeral]
+                    });
+                } catch (replyError) {
+                    console.error('❌ Failed to send error reply:', replyError);
+                }
+            }
+
+            await logger.error(`**Timestamp Command Error** | **User:** <@${interaction.user.id}> | **Server:** \`${interaction.guildId}\` | **Error:** ${error.message}`);
+        }
+    },
+
+    async handleTimestamp(interaction) {
+        const userId = interaction.user.id;
+        const serverId = interaction.guildId;
+        const input = interaction.options.getString('time');
+        const zoneInput = interaction.options.getString('timezone');
+
+        await logger.logCommand('timestamp', userId, serverId, `Received - ${input}`);
+
+        let timezone;
+
+        if (zoneInput) {
+            timezone = timezoneService.resolveTimezoneName(zoneInput);
+
+            if (!timezone) {
+                await this.replyError(interaction, `\`${zoneInput}\` is not a timezone. Pick one from the list, e.g. \`America/New_York\`.`);
+                return;
+            }
+        } else {
+            const userData = await databaseService.getUserTimezone(userId);
+
+            if (!userData) {
+                await this.replyError(interaction, 'You haven\'t set your timezone yet! Add the `timezone` option to say which zone the time is in, or use `/timezone set` to save yours.');
+                return;
+            }
+
+            timezone = userData.timezone_identifier;
+        }
+
+        const parsed = timezoneService.parseTimeExpression(input, timezone);
+        if (!parsed.valid) {
+            await this.replyError(interaction, parsed.error);
+            return;
+        }
+
+        // Each field shows the rendered preview above the markup to copy into a message
+        const embed = new EmbedBuilder()
+            .setColor(0x00AE86)
+            .setTitle('🕰️ Discord Timestamps')
+            .setDescription(`**${parsed.dateTime.toFormat('ccc d LLL yyyy, HH:mm')}** in **${timezone}** (${timezoneService.formatOffset(parsed.dateTime.offset)})\nCopy a code into your message; everyone sees it in their own time.`)
+            .addFields(Object.entries(timezoneService.timestampStyles).map(([style, label]) => {
+                const markup = timezoneService.formatDiscordTimestamp(parsed.dateTime, style);
+
+                return { name: label, value: `${markup}\n\`${markup}\``, inline: true };
+            }));
+
+        if (parsed.adjusted) {
+            embed.setFooter({ text: `${input} does not exist in ${timezone} because the clocks change that day; the next valid time was used.` });
+        }
+
+        await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+        await logger.logCommand('timestamp', userId, serverId, `Success - ${parsed.dateTime.toISO()}`);
+    },
+
+    async replyError(interaction, message) {
+        await interaction.reply({ content: `❌ ${message}`, flags: [MessageFlags.Ephemeral] });
+        await logger.logCommand('timestamp', interaction.user.id, interaction.guildId, `Failed - ${message}`);
+    },
+};
@@ -0,0 +1,271 @@
+const { SlashCommandBuilder, EmbedBuilder, MessageFlags, PermissionFlagsBits, InteractionContextType } = require('discord.js');
+const databaseService = require('../services/databaseService');
+const guildSettingsService = require('../services/guildSettingsService');
+const nicknameService = require('../services/nicknameService');
+const backfillService = require('../services/backfillService');
+const { logger } = require('../utils/logger');
+
+const SETTING_CHOICES = Object.entries(guildSettingsService.definitions)
+    .map(([key, definition]) => ({ name: definition.label, value: key }));
+
+// Settings that change who is decorated, so existing nicknames need re-rendering
+const RERENDER_SETTINGS = [guildSettingsService.keys.EXEMPT_ROLES, guildSettingsService.keys.EXEMPT_MEMBERS];
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('timezone-config')
+        .setDescription('Configure how the bot behaves on this server')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .setContexts(InteractionContextType.Guild)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('view')
+                .setDescription('Show every setting for this server')
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('set')
+                .setDescription('Change a setting')
+                .addStringOption(option =>
+                    option
+                        .setName('setting')
+                        .setDescription('Setting to change')
+                        .setRequired(true)
+                        .addChoices(...SETTING_CHOICES)
+                )
+                .addStringOption(option =>
+                    option
+                        .setName('value')
+                        .setDescription('New value, e.g. on/off, @Role @Role, #channel or en-GB')
+                        .setRequired(true)
+                        .setMaxLength(512)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('exempt')
+                .setDescription('Keep the timezone out of a role\'s or member\'s nickname, or lift that exemption')
+                .addStringOption(option =>
+                    option
+                        .setName('action')
+                        .setDescription('Add or remove the exemption')
+                        .setRequired(true)
+                        .addChoices(
+                            { name: 'Add', value: 'add' },
+                            { name: 'Remove', value: 'remove' }
+                        )
+                )
+                .addMentionableOption(option =>
+                    option
+                        .setName('target')
+                        .setDescription('Role or member')
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('reset')
+                .setDescription('Go back to the default for one setting, or all of them')
+                .addStringOption(option =>
+                    option
+                        .setName('setting')
+                        .setDescription('Setting to reset (all settings if left out)')
+                        .setRequired(false)
+                        .addChoices(...SETTING_CHOICES)
+                )
+        ),
+
+    async execute(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            if (subcommand === 'view') {
+                await this.handleView(interaction);
+            } else if (subcommand === 'set') {
+                await this.handleSet(interaction, interaction.options.getString('setting'), interaction.options.getString('value'));
+            } else if (subcommand === 'exempt') {
+                await this.handleExempt(interaction, interaction.options.getString('action'), interaction.options.getMentionable('target'));
+            } else if (subcommand === 'reset') {
+                await this.handleReset(interaction, interaction.options.getString('setting'));
+            }
+        } catch (error) {
+            console.error('Error executing timezone-config command:', error);
+
+            if (!interaction.replied && !interaction.deferred && interaction.isRepliable()) {
+                try {
+                    await interaction.reply({
+                        content: '❌ An error occurred while processing your request.',
+                        flags: [MessageFlags.Ephemeral]
+                    });
+                } catch (replyError) {
+                    console.error('❌ Failed to send error reply:', replyError);
+                }
+            } else if (interaction.deferred && !interaction.replied) {
+                try {
+                    await interaction.editReply({ content: '❌ An error occurred while processing your request.' });
+                } catch (replyError) {
+                    console.error('❌ Failed to send error reply:', replyError);
+                }
+            }
+
+            await logger.error(`**Timezone Config Command Error** | **User:** <@${interaction.user.id}> | **Server:** \`${interaction.guildId}\` | **Error:** ${error.message}`);
+        }
+    },
+
+    async handleView(interaction) {
+        const settings = await guildSettingsService.getSettings(interaction.guildId);
+        const customized = await guildSettingsService.getCustomizedKeys(interaction.guildId);
+
+        const embed = new EmbedBuilder()
+            .setColor(0x00AE86)
+            .setTitle('⚙️ Server Settings')
+            .addFields(Object.entries(guildSettingsService.definitions).map(([key, definition]) => ({
+                name: `${definition.label}${customized.has(key) ? '' : ' (default)'}`,
+                value: `${guildSettingsService.format(key, settings[key])}\n${definition.description}`.slice(0, 1024),
+                inline: false
+            })))
+            .setFooter({ text: 'Change a setting with /timezone-config set, or undo it with /timezone-config reset.' });
+
+        await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+    },
+
+    async handleSet(interaction, key, input) {
+        const definition = guildSettingsService.definitions[key];
+        const parsed = guildSettingsService.parse(key, input, interaction.guild);
+
+        if (!parsed.valid) {
+            const embed = new EmbedBuilder()
+                .setColor(0xFF0000)
+                .setTitle(`❌ Invalid ${definition?.label ?? 'Setting'}`)
+                .setDescription(parsed.error);
+
+            await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+            return;
+        }
+
+        const current = RERENDER_SETTINGS.includes(key) ? await guildSettingsService.get(interaction.guildId, key) : null;
+        await guildSettingsService.set(interaction.guildId, key, parsed.value);
+
+        // Re-render registered members in the background; newly exempt roles or members have the timezone taken off
+        const rerenderNote = current
+            ? this.formatRerenderNote(backfillService.rerenderGuild(interaction.guild, { clearExempt: parsed.value.some(id => !current.includes(id)) }))
+            : null;
+
+        const embed = new EmbedBuilder()
+            .setColor(0x00FF00)
+            .setTitle('✅ Setting Updated')
+            .addFields({ name: definition.label, value: guildSettingsService.format(key, parsed.value).slice(0, 1024), inline: false });
+
+        if (rerenderNote) {
+            embed.setFooter({ text: rerenderNote });
+        }
+
+        await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+        await logger.logCommand('timezone-config set', interaction.user.id, interaction.guildId, `${key} set to ${Array.isArray(parsed.value) ? parsed.value.join(', ') : parsed.value}`);
+    },
+
+    async handleExempt(interaction, action, target) {
+        const isRole = interaction.guild.roles.cache.has(target.id);
+        const key = isRole ? guildSettingsService.keys.EXEMPT_ROLES : guildSettingsService.keys.EXEMPT_MEMBERS;
+        const mention = isRole ? `<@&${target.id}>` : `<@${target.id}>`;
+
+        const current = await guildSettingsService.get(interaction.guildId, key);
+        const listed = current.includes(target.id);
+
+        if ((action === 'add') === listed) {
+            await interaction.reply({
+                content: `✅ ${mention} is ${listed ? 'already' : 'not'} exempt.`,
+                flags: [MessageFlags.Ephemeral],
+                allowedMentions: { parse: [] }
+            });
+            return;
+        }
+
+        // Updating a single member fetches it and writes its nickname, which can outlast Discord's reply deadline
+        await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+
+        const updated = action === 'add' ? [...current, target.id] : current.filter(id => id !== target.id);
+        await guildSettingsService.set(interaction.guildId, key, updated);
+
+        // A role can cover many members, so re-render the server; a single member is updated on the spot
+        const note = isRole
+            ? this.formatRerenderNote(backfillService.rerenderGuild(interaction.guild, { clearExempt: action === 'add' }))
+            : await this.updateExemptMember(interaction, target.id, action);
+
+        const embed = new EmbedBuilder()
+            .setColor(0x00FF00)
+            .setTitle(action === 'add' ? '✅ Exemption Added' : '✅ Exemption Removed')
+            .setDescription(isRole
+                ? `Members with ${mention} ${action === 'add' ? 'will not get a timezone in their nicknames' : 'will get their timezone in their nicknames again'} on this server.`
+                : `${mention} ${action === 'add' ? 'will not get a timezone in their nickname' : 'will get their timezone in their nickname again'} on this server.`)
+            .addFields({ name: guildSettingsService.definitions[key].label, value: guildSettingsService.format(key, updated).slice(0, 1024), inline: false })
+            .setFooter({ text: note });
+
+        await interaction.editReply({ embeds: [embed] });
+        await logger.logCommand('timezone-config exempt', interaction.user.id, interaction.guildId, `${action === 'add' ? 'Exempted' : 'Lifted exemption for'} ${isRole ? 'role' : 'member'} ${target.id}`);
+    },
+
+    /**
+     * Take the timezone off a newly exempt member, or put it back once the exemption is lifted
+     * @param {Interaction} interaction
+     * @param {string} userId - Member whose exemption changed
+     * @param {string} action - 'add' or 'remove'
+     * @returns {Promise<string>} Footer text describing the outcome
+     */
+    async updateExemptMember(interaction, userId, action) {
+        const userData = await databaseService.getUserTimezone(userId);
+
+        if (!userData) {
+            return 'This member has not set a timezone, so their nickname was left alone.';
+        }
+
+        const [result] = action === 'add'
+            ? await nicknameService.updateAcrossShards(userId, [interaction.guildId], 'clear', null)
+            : await nicknameService.updateAcrossShards(userId, [interaction.guildId], 'apply', userData.timezone_identifier);
+
+        if (result.status === 'updated' || result.status === 'queued') {
+            return result.status === 'queued' ? 'Their nickname update is queued.' : `Their nickname is now "${result.newNickname}".`;
+        }
+
+        if (result.status === 'skipped_exempt') {
+            return 'They are still exempt through one of their roles, so their nickname was left alone.';
+        }
+
+        return result.status === 'no_change'
+            ? 'Their nickname already matched.'
+            : `Their nickname could not be updated: ${result.message}`;
+    },
+
+    async handleReset(interaction, key) {
+        const customized = await guildSettingsService.getCustomizedKeys(interaction.guildId);
+        const removed = await guildSettingsService.reset(interaction.guildId, key);
+
+        const changesDecoration = RERENDER_SETTINGS.some(setting => customized.has(setting) && (!key || key === setting));
+        const rerenderNote = changesDecoration ? this.formatRerenderNote(backfillService.rerenderGuild(interaction.guild)) : null;
+
+        const embed = new EmbedBuilder()
+            .setColor(0x00FF00)
+            .setTitle('✅ Settings Reset')
+            .setDescription(key
+                ? `**${guildSettingsService.definitions[key].label}** is back to its default: ${guildSettingsService.format(key, guildSettingsService.definitions[key].defaultValue)}`
+                : `Every setting is back to its default (${removed} changed setting${removed === 1 ? '' : 's'} removed).`);
+
+        if (rerenderNote) {
+            embed.setFooter({ text: rerenderNote });
+        }
+
+        await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+        await logger.logCommand('timezone-config reset', interaction.user.id, interaction.guildId, `${key ?? 'all settings'} reset`);
+    },
+
+    /**
+     * Footer text for a re-render started by a settings change
+     * @param {boolean} started - What backfillService.rerenderGuild returned
+     * @returns {string} Whether the run started now or follows the one already running
+     */
+    formatRerenderNote(started) {
+        return started
+            ? 'Nicknames are being updated. Large servers may take a while.'
+            : 'A member update is already running; members will be updated once it finishes.';
+    },
+};
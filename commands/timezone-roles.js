@@ -0,0 +1,164 @@
+const { SlashCommandBuilder, EmbedBuilder, MessageFlags, PermissionFlagsBits, InteractionContextType } = require('discord.js');
+const databaseService = require('../services/databaseService');
+const roleService = require('../services/roleService');
+const backfillService = require('../services/backfillService');
+const { logger } = require('../utils/logger');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('timezone-roles')
+        .setDescription('Show timezones as roles instead of in nicknames on this server')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .setContexts(InteractionContextType.Guild)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('view')
+                .setDescription('Show whether timezone roles are on and which roles are in use')
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('enable')
+                .setDescription('Give registered members a timezone role instead of editing their nicknames')
+                .addStringOption(option =>
+                    option
+                        .setName('type')
+                        .setDescription('Which roles to create')
+                        .setRequired(true)
+                        .addChoices(
+                            { name: 'UTC offset (UTC+2), moved at DST changes', value: 'offset' },
+                            { name: 'Region (Europe, America, ...)', value: 'region' }
+                        )
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('disable')
+                .setDescription('Delete the timezone roles and go back to nicknames')
+        ),
+
+    async execute(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            if (subcommand === 'view') {
+                await this.handleView(interaction);
+            } else if (subcommand === 'enable') {
+                await this.handleEnable(interaction, interaction.options.getString('type'));
+            } else if (subcommand === 'disable') {
+                await this.handleDisable(interaction);
+            }
+        } catch (error) {
+            console.error('Error executing timezone-roles command:', error);
+
+            if (interaction.isRepliable()) {
+                try {
+                    if (interaction.deferred && !interaction.replied) {
+                        await interaction.editReply({ content: '❌ An error occurred while processing your request.' });
+                    } else if (!interaction.replied) {
+                        await interaction.reply({
+                            content: '❌ An error occurred while processing your request.',
+                            flags: [MessageFlags.Ephemeral]
+                        });
+                    }
+                } catch (replyError) {
+                    console.error('❌ Failed to send error reply:', replyError);
+                }
+            }
+
+            await logger.error(`**Timezone Roles Command Error** | **User:** <@${interaction.user.id}> | **Server:** \`${interaction.guildId}\` | **Error:** ${error.message}`);
+        }
+    },
+
+    async handleView(interaction) {
+        const mode = await roleService.getRoleMode(interaction.guildId);
+        const roles = await databaseService.getTimezoneRoles(interaction.guildId);
+
+        const embed = new EmbedBuilder()
+            .setColor(0x00AE86)
+            .setTitle('🎭 Timezone Roles')
+            .addFields(
+                { name: 'Mode', value: mode ? roleService.roleModes[mode] : 'Off (timezones are shown in nicknames)', inline: false },
+                { name: 'Roles', value: roles.length > 0 ? roles.map(row => `<@&${row.role_id}>`).join(' ').slice(0, 1024) : 'None', inline: false }
+            );
+
+        await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+    },
+
+    async handleEnable(interaction, mode) {
+        if (!roleService.canManageRoles(interaction.guild)) {
+            await interaction.reply({
+                content: '❌ I need the **Manage Roles** permission to create timezone roles.',
+                flags: [MessageFlags.Ephemeral]
+            });
+            return;
+        }
+
+        // Deleting roles one by one can outlast the reply window
+        await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+
+        // Roles of the other type would never be cleaned up
+        const previousMode = await roleService.getRoleMode(interaction.guildId);
+        if (previousMode && previousMode !== mode) {
+            await roleService.removeGuildRoles(interaction.guild);
+        }
+
+        await databaseService.setRoleMode(interaction.guildId, mode);
+
+        const rerendering = this.startRerender(interaction);
+
+        const embed = new EmbedBuilder()
+            .setColor(0x00FF00)
+            .setTitle('✅ Timezone Roles Enabled')
+            .setDescription(`Registered members get ${mode === 'offset' ? 'a UTC offset role such as `UTC+2`' : 'a region role such as `Europe`'}, including the server owner. Timezones are removed from nicknames as members are updated.`)
+            .addFields({ name: 'Mode', value: roleService.roleModes[mode], inline: false })
+            .setFooter({
+                text: rerendering
+                    ? 'Members are being moved onto their roles. Large servers may take a while.'
+                    : 'A member update is already running; members will be moved onto their roles once it finishes.'
+            });
+
+        await interaction.editReply({ embeds: [embed] });
+        await logger.logCommand('timezone-roles enable', interaction.user.id, interaction.guildId, `Role mode set to ${mode}`);
+    },
+
+    async handleDisable(interaction) {
+        const previousMode = await roleService.getRoleMode(interaction.guildId);
+
+        if (!previousMode) {
+            await interaction.reply({
+                content: '✅ Timezone roles are already off on this server.',
+                flags: [MessageFlags.Ephemeral]
+            });
+            return;
+        }
+
+        await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+
+        await databaseService.setRoleMode(interaction.guildId, null);
+        const removed = await roleService.removeGuildRoles(interaction.guild);
+
+        const rerendering = this.startRerender(interaction);
+
+        const embed = new EmbedBuilder()
+            .setColor(0x00FF00)
+            .setTitle('✅ Timezone Roles Disabled')
+            .setDescription(`Deleted ${removed} timezone role${removed === 1 ? '' : 's'}. Timezones will be shown in nicknames again.`)
+            .setFooter({
+                text: rerendering
+                    ? 'Nicknames are being updated. Large servers may take a while.'
+                    : 'A member update is already running; members will be updated once it finishes.'
+            });
+
+        await interaction.editReply({ embeds: [embed] });
+        await logger.logCommand('timezone-roles disable', interaction.user.id, interaction.guildId, `Role mode ${previousMode} turned off, ${removed} role(s) deleted`);
+    },
+
+    /**
+     * Re-run every registered member of the server through the update path in the background
+     * @param {Interaction} interaction
+     * @returns {boolean} True if a new run was started, false if it follows the one already running
+     */
+    startRerender(interaction) {
+        return backfillService.rerenderGuild(interaction.guild);
+    },
+};
@@ -1,8 +1,27 @@
-const { SlashCommandBuilder, EmbedBuilder, MessageFlags } = require('discord.js');
+const { SlashCommandBuilder, EmbedBuilder, MessageFlags, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 const databaseService = require('../services/databaseService');
 const timezoneService = require('../services/timezoneService');
+const nicknameService = require('../services/nicknameService');
+const nicknameConflictService = require('../services/nicknameConflictService');
+const guildSettingsService = require('../services/guildSettingsService');
+const rosterService = require('../services/rosterService');
+const availabilityService = require('../services/availabilityService');
 const { logger } = require('../utils/logger');
 
+const SERVER_STATUS_LABELS = {
+    updated: '✅ Updated',
+    no_change: '✅ Already up to date',
+    queued: '⏳ Queued (rate limited)',
+    skipped_owner: '👑 Server owner',
+    skipped_permissions: '🔒 Missing permission',
+    skipped_opt_out: '🙈 Hidden by you',
+    skipped_exempt: '🛡️ Exempt on this server',
+    skipped_conflict: '⚔️ Paused (nickname conflict)',
+    not_member: '👻 Not a member',
+    failed: '❌ Gave up after repeated Discord errors',
+    error: '❌ Error'
+};
+
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('timezone')
@@ -30,6 +49,76 @@ module.exports = {
                         .setRequired(false)
                 )
         )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('who')
+                .setDescription('See what time it is for this server\'s members right now')
+                .addStringOption(option =>
+                    option
+                        .setName('group')
+                        .setDescription('Group members by time of day or by UTC offset')
+                        .setRequired(false)
+                        .addChoices(...Object.entries(rosterService.groupModes).map(([value, name]) => ({ name, value })))
+                )
+                .addRoleOption(option =>
+                    option
+                        .setName('role')
+                        .setDescription('Only list members with this role')
+                        .setRequired(false)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('display')
+                .setDescription('Choose how your timezone is shown in your nickname')
+                .addStringOption(option =>
+                    option
+                        .setName('mode')
+                        .setDescription('Show a UTC offset or a timezone abbreviation')
+                        .setRequired(true)
+                        .addChoices(
+                            { name: 'UTC offset (UTC-5)', value: 'offset' },
+                            { name: 'Abbreviation (EST), falling back to the offset', value: 'abbreviation' }
+                        )
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('hours')
+                .setDescription('Set when you work and sleep, or view your hours if no hours are given')
+                .addStringOption(option =>
+                    option
+                        .setName('days')
+                        .setDescription('Days the hours apply to (defaults to every day)')
+                        .setRequired(false)
+                        .addChoices(...Object.entries(availabilityService.daySets).map(([value, set]) => ({ name: set.label, value })))
+                )
+                .addStringOption(option =>
+                    option
+                        .setName('work')
+                        .setDescription('Working hours in your local time, e.g. 09:00-17:00, or off')
+                        .setRequired(false)
+                        .setMaxLength(30)
+                )
+                .addStringOption(option =>
+                    option
+                        .setName('sleep')
+                        .setDescription('Sleep hours in your local time, e.g. 23:00-07:00, or off')
+                        .setRequired(false)
+                        .setMaxLength(30)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('decorate')
+                .setDescription('Choose whether your timezone is shown on this server')
+                .addBooleanOption(option =>
+                    option
+                        .setName('show')
+                        .setDescription('Show your timezone in your nickname (or role) here')
+                        .setRequired(true)
+                )
+        )
         .addSubcommand(subcommand =>
             subcommand
                 .setName('clear')
@@ -82,13 +171,21 @@ module.exports = {
                 await this.handleSetTimezone(interaction);
             } else if (subcommand === 'time') {
                 await this.handleTimeCheck(interaction);
+            } else if (subcommand === 'who') {
+                await this.handleWho(interaction);
+            } else if (subcommand === 'display') {
+                await this.handleDisplayMode(interaction);
+            } else if (subcommand === 'hours') {
+                await this.handleHours(interaction);
+            } else if (subcommand === 'decorate') {
+                await this.handleDecorate(interaction);
             } else if (subcommand === 'clear') {
                 await this.handleClearData(interaction);
             }
         } catch (error) {
             console.error('Error executing timezone command:', error);
 
-            // Check if we can still respond
+            // Check if we can still respond; handlers that fan out to other shards defer first
             if (!interaction.replied && !interaction.deferred && interaction.isRepliable()) {
                 try {
                     await interaction.reply({
@@ -98,6 +195,12 @@ module.exports = {
                 } catch (replyError) {
                     console.error('❌ Failed to send error reply:', replyError);
                 }
+            } else if (interaction.deferred && !interaction.replied) {
+                try {
+                    await interaction.editReply({ content: '❌ An error occurred while processing your request.' });
+                } catch (replyError) {
+                    console.error('❌ Failed to send error reply:', replyError);
+                }
             }
 
             // Log error
@@ -125,6 +228,9 @@ module.exports = {
             return;
         }
 
+        // Updating every server can take longer than Discord waits for a reply
+        await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+
         try {
             // Get current offset
             const offset = timezoneService.getCurrentOffset(timezone);
@@ -133,18 +239,25 @@ module.exports = {
             await databaseService.setUserTimezone(userId, timezone);
             await databaseService.addUserToServer(userId, serverId);
 
-            // Try to update nickname
-            const member = interaction.member;
-            const newNickname = timezoneService.formatNicknameWithTimezone(
-                member.nickname,
-                timezone,
-                interaction.user.username
-            );
+            // Setting a timezone again is a clear request to have it shown, even where the bot had backed off
+            await nicknameConflictService.clearConflicts(userId);
+
+            // Push the new nickname to every server the user shares with the bot
+            const serverResults = await nicknameService.applyTimezoneToAllServers(userId, timezone);
+            const currentResult = serverResults.find(result => result.serverId === serverId);
+            const serversField = { name: '🌐 Servers', value: this.formatServerResults(serverResults), inline: false };
+
+            await logger.logTimezoneSet(userId, serverId, timezone, offset);
 
             // Check if user is server owner (Discord doesn't allow bots to manage owner nicknames)
-            const isServerOwner = interaction.guild.ownerId === interaction.user.id;
+            if (currentResult?.status === 'skipped_owner') {
+                const suggestedNickname = timezoneService.formatNicknameWithTimezone(
+                    interaction.member.nickname,
+                    timezone,
+                    interaction.user.username,
+                    await nicknameService.getNicknameFormat(serverId, userId)
+                );
 
-            if (isServerOwner) {
                 const embed = new EmbedBuilder()
                     .setColor(0xFFAA00)
                     .setTitle('⚠️ Timezone Set (Server Owner Limitation)')
@@ -153,87 +266,231 @@ module.exports = {
                         { name: 'Timezone', value: timezone, inline: true },
                         { name: 'Current Offset', value: offset, inline: true },
                         { name: 'Note:', value: 'As the server owner, Discord prevents bots from changing your nickname. This is not a permission issue, but a limitation of Discord itself.', inline: false },
-                        { name: 'Suggested Nickname:', value: newNickname ? `\`${newNickname}\`` : 'Could not generate nickname', inline: false }
+                        { name: 'Suggested Nickname:', value: suggestedNickname ? `\`${suggestedNickname}\`` : 'Could not generate nickname', inline: false },
+                        serversField
                     )
                     .setFooter({ text: 'Your timezone is saved and will work on other servers where you\'re not the owner.' });
 
-                await interaction.reply({ embeds: [embed], flags: ['Ephemeral'] });
+                await interaction.editReply({ embeds: [embed] });
 
-                // Log timezone set with server owner limitation
-                await logger.logTimezoneSet(userId, serverId, timezone, offset);
                 await logger.logCommand('timezone set', userId, serverId, 'Success - Server owner limitation (Discord restriction)');
                 return;
             }
 
-            if (newNickname) {
-                try {
-                    await member.setNickname(newNickname);
-
-                    const embed = new EmbedBuilder()
-                        .setColor(0x00FF00)
-                        .setTitle('✅ Timezone Set Successfully')
-                        .addFields(
-                            { name: 'Timezone', value: timezone, inline: true },
-                            { name: 'Current Offset', value: offset, inline: true },
-                            { name: 'Nickname Updated', value: `\`${newNickname}\``, inline: false }
-                        )
-                        .setFooter({ text: 'Your timezone will be updated automatically across all servers with this bot.' });
-
-                    await interaction.reply({ embeds: [embed], flags: ['Ephemeral'] });
-
-                    // Log successful timezone set
-                    await logger.logTimezoneSet(userId, serverId, timezone, offset);
-                    await logger.logNicknameUpdate(userId, serverId, member.nickname || interaction.user.username, newNickname);
-
-                } catch (nicknameError) {
-                    // Nickname update failed, but timezone was saved
-                    const embed = new EmbedBuilder()
-                        .setColor(0xFFAA00)
-                        .setTitle('⚠️ Timezone Set (Nickname Update Failed)')
-                        .addFields(
-                            { name: 'Timezone', value: timezone, inline: true },
-                            { name: 'Current Offset', value: offset, inline: true },
-                            { name: 'Issue', value: 'Could not update your nickname due to permission restrictions.', inline: false }
-                        )
-                        .setFooter({ text: 'Your timezone is saved and will work on servers where I can manage nicknames.' });
+            if (['updated', 'no_change', 'queued'].includes(currentResult?.status)) {
+                const nickname = currentResult.newNickname || interaction.member.nickname || interaction.user.username;
 
-                    await interaction.reply({ embeds: [embed], flags: ['Ephemeral'] });
+                // Servers in role mode report the member's timezone role instead of a nickname
+                const resultField = 'role' in currentResult
+                    ? { name: 'Timezone Role', value: currentResult.role ? `\`${currentResult.role}\`` : 'None', inline: false }
+                    : { name: currentResult.status === 'queued' ? 'Nickname Update Queued' : 'Nickname Updated', value: `\`${nickname}\``, inline: false };
 
-                    // Log timezone set with permission error
-                    await logger.logTimezoneSet(userId, serverId, timezone, offset);
-                    await logger.logPermissionError(userId, serverId, 'update nickname');
-                }
+                const embed = new EmbedBuilder()
+                    .setColor(0x00FF00)
+                    .setTitle('✅ Timezone Set Successfully')
+                    .addFields(
+                        { name: 'Timezone', value: timezone, inline: true },
+                        { name: 'Current Offset', value: offset, inline: true },
+                        resultField,
+                        serversField
+                    )
+                    .setFooter({ text: 'Your timezone will be updated automatically across all servers with this bot.' });
+
+                await interaction.editReply({ embeds: [embed] });
             } else {
-                // Can't update nickname, but timezone was saved
+                // Nickname update failed here, but timezone was saved
                 const embed = new EmbedBuilder()
                     .setColor(0xFFAA00)
                     .setTitle('⚠️ Timezone Set (Nickname Update Failed)')
                     .addFields(
                         { name: 'Timezone', value: timezone, inline: true },
                         { name: 'Current Offset', value: offset, inline: true },
-                        { name: 'Issue', value: 'Could not update your nickname. This may be due to permission restrictions or role hierarchy.', inline: false }
+                        { name: 'Issue', value: 'Could not update your nickname. This may be due to permission restrictions or role hierarchy.', inline: false },
+                        serversField
                     )
                     .setFooter({ text: 'Your timezone is saved and will work on servers where I can manage nicknames.' });
 
-                await interaction.reply({ embeds: [embed], ephemeral: true });
-
-                // Log timezone set with permission error
-                await logger.logTimezoneSet(userId, serverId, timezone, offset);
-                await logger.logPermissionError(userId, serverId, 'update nickname');
+                await interaction.editReply({ embeds: [embed] });
             }
 
         } catch (dbError) {
             console.error('Database error setting timezone:', dbError);
 
-            await interaction.reply({
-                content: '❌ Failed to save your timezone. Please try again later.',
-                flags: ['Ephemeral']
+            await interaction.editReply({
+                content: '❌ Failed to save your timezone. Please try again later.'
             });
 
             await logger.logCommand('timezone set', userId, serverId, `Failed - Database error: ${dbError.message}`);
         }
     },
 
+    async handleDisplayMode(interaction) {
+        const displayMode = interaction.options.getString('mode');
+        const userId = interaction.user.id;
+        const serverId = interaction.guildId;
+
+        await logger.logCommand('timezone display', userId, serverId, `Received - Mode: ${displayMode}`);
+
+        const userData = await databaseService.getUserTimezone(userId);
+
+        if (!userData) {
+            await interaction.reply({
+                content: '❌ You haven\'t set your timezone yet! Use `/timezone set` to get started.',
+                flags: [MessageFlags.Ephemeral]
+            });
+
+            await logger.logCommand('timezone display', userId, serverId, 'Failed - No timezone data');
+            return;
+        }
+
+        // Re-rendering every server can take longer than Discord waits for a reply
+        await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+
+        await databaseService.setUserDisplayMode(userId, displayMode);
+
+        // Re-render the nickname everywhere with the new mode
+        const serverResults = await nicknameService.applyTimezoneToAllServers(userId, userData.timezone_identifier);
+        const preview = displayMode === 'abbreviation'
+            ? timezoneService.getTimezoneAbbreviation(userData.timezone_identifier)
+            : timezoneService.getCurrentOffset(userData.timezone_identifier);
+
+        const embed = new EmbedBuilder()
+            .setColor(0x00FF00)
+            .setTitle('✅ Display Mode Updated')
+            .addFields(
+                { name: 'Mode', value: timezoneService.displayModes[displayMode], inline: true },
+                { name: 'Shown As', value: `\`${preview}\``, inline: true },
+                { name: '🌐 Servers', value: this.formatServerResults(serverResults), inline: false }
+            )
+            .setFooter({
+                text: displayMode === 'abbreviation'
+                    ? 'Abbreviations switch automatically when your clocks change (e.g. EST → EDT).'
+                    : 'Your offset updates automatically when your clocks change.'
+            });
+
+        await interaction.editReply({ embeds: [embed] });
+        await logger.logCommand('timezone display', userId, serverId, `Success - Mode set to ${displayMode}`);
+    },
+
+    async handleHours(interaction) {
+        const days = interaction.options.getString('days') || 'everyday';
+        const workInput = interaction.options.getString('work');
+        const sleepInput = interaction.options.getString('sleep');
+        const userId = interaction.user.id;
+        const serverId = interaction.guildId;
+
+        await logger.logCommand('timezone hours', userId, serverId, `Received - Days: ${days}, Work: ${workInput ?? '-'}, Sleep: ${sleepInput ?? '-'}`);
+
+        const userData = await databaseService.getUserTimezone(userId);
+
+        if (!userData) {
+            await interaction.reply({
+                content: '❌ You haven\'t set your timezone yet! Use `/timezone set` to get started.',
+                flags: [MessageFlags.Ephemeral]
+            });
+
+            await logger.logCommand('timezone hours', userId, serverId, 'Failed - No timezone data');
+            return;
+        }
+
+        const changes = {};
+
+        for (const [kind, input] of [['work', workInput], ['sleep', sleepInput]]) {
+            if (input === null) {
+                continue;
+            }
+
+            const parsed = availabilityService.parseRange(input);
+            if (!parsed.valid) {
+                await interaction.reply({ content: `❌ ${parsed.error}`, flags: [MessageFlags.Ephemeral] });
+                await logger.logCommand('timezone hours', userId, serverId, `Failed - Invalid ${kind} hours: ${input}`);
+                return;
+            }
+
+            changes[kind] = parsed.range;
+        }
+
+        const updating = Object.keys(changes).length > 0;
+        if (updating) {
+            await availabilityService.setHours(userId, days, changes);
+        }
+
+        const hours = await availabilityService.getHours(userId);
+        const availability = availabilityService.getAvailability(hours, userData.timezone_identifier);
+        const weekdayNames = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+        const embed = new EmbedBuilder()
+            .setColor(updating ? 0x00FF00 : 0x0099FF)
+            .setTitle(updating ? '✅ Hours Updated' : '🗓️ Your Hours')
+            .setDescription(hours
+                ? `In your local time (${userData.timezone_identifier}); they follow your clock through daylight saving changes.`
+                : 'You have not set any hours yet. Try `/timezone hours days:weekdays work:09:00-17:00 sleep:23:00-07:00`.');
+
+        if (hours) {
+            embed.addFields(
+                ...weekdayNames.map((name, index) => ({
+                    name,
+                    value: `💼 ${availabilityService.formatRange(hours[index + 1].work)}\n😴 ${availabilityService.formatRange(hours[index + 1].sleep)}`,
+                    inline: true
+                })),
+                { name: 'Right Now', value: availability ? availabilityService.availability[availability] : 'No hours set', inline: true }
+            );
+        }
+
+        embed.setFooter({ text: 'Others see whether you are working or asleep in /timezone time.' });
+
+        await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+        await logger.logCommand('timezone hours', userId, serverId, updating ? `Success - Updated ${Object.keys(changes).join(' and ')} hours for ${days}` : 'Success - Showed hours');
+    },
+
+    async handleDecorate(interaction) {
+        const show = interaction.options.getBoolean('show');
+        const userId = interaction.user.id;
+        const serverId = interaction.guildId;
+
+        await logger.logCommand('timezone decorate', userId, serverId, `Received - Show: ${show}`);
+
+        if (!serverId) {
+            await interaction.reply({
+                content: '❌ This setting applies to a server. Use it in the server you want to change.',
+                flags: [MessageFlags.Ephemeral]
+            });
+            return;
+        }
+
+        const userData = await databaseService.getUserTimezone(userId);
+
+        if (!userData) {
+            await interaction.reply({
+                content: '❌ You haven\'t set your timezone yet! Use `/timezone set` to get started.',
+                flags: [MessageFlags.Ephemeral]
+            });
+
+            await logger.logCommand('timezone decorate', userId, serverId, 'Failed - No timezone data');
+            return;
+        }
+
+        // The update may be answered by another shard, which can take longer than Discord waits for a reply
+        await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+
+        await databaseService.setDecoratePreference(userId, serverId, show);
+
+        // The write path adds the timezone, or takes it off now that the member opted out
+        const [result] = await nicknameService.updateAcrossShards(userId, [serverId], 'apply', userData.timezone_identifier);
+
+        const embed = new EmbedBuilder()
+            .setColor(0x00FF00)
+            .setTitle(show ? '✅ Timezone Shown on This Server' : '✅ Timezone Hidden on This Server')
+            .setDescription(show
+                ? 'Your timezone is shown here again and kept up to date.'
+                : 'Your timezone stays saved, so `/timezone time` still works, but it is no longer shown on this server.')
+            .addFields({ name: '🌐 This Server', value: this.formatServerResults([result]), inline: false })
+            .setFooter({ text: 'Other servers are not affected.' });
+
+        await interaction.editReply({ embeds: [embed] });
+        await logger.logCommand('timezone decorate', userId, serverId, `Success - ${show ? 'Shown' : 'Hidden'} (${result.status})`);
+    },
+
     async handleClearData(interaction) {
         const userId = interaction.user.id;
         const serverId = interaction.guildId;
@@ -241,47 +498,31 @@ module.exports = {
         // Log command received
         await logger.logCommand('timezone clear', userId, serverId, 'Received');
 
+        // Clearing every server can take longer than Discord waits for a reply
+        await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+
         try {
             // Check if user has data
             const userData = await databaseService.getUserTimezone(userId);
 
             if (!userData) {
-                await interaction.reply({
-                    content: '❌ No timezone data found for your account.',
-                    ephemeral: true
+                await interaction.editReply({
+                    content: '❌ No timezone data found for your account.'
                 });
 
                 await logger.logCommand('timezone clear', userId, serverId, 'Failed - No data found');
                 return;
             }
 
-            // Try to remove timezone from nickname first
-            const member = interaction.member;
-            const currentNickname = member.nickname || interaction.user.username;
-            const cleanNickname = timezoneService.removeTimezoneFromNickname(currentNickname);
-
-            let nicknameCleared = false;
-            let nicknameError = null;
+            // Remove timezone from nickname in every server before the associations are deleted
+            const serverResults = await nicknameService.clearTimezoneFromAllServers(userId);
+            const currentResult = serverResults.find(result => result.serverId === serverId);
+            const serversField = { name: '🌐 Servers', value: this.formatServerResults(serverResults), inline: false };
 
             // Check if user is server owner (Discord doesn't allow bots to manage owner nicknames)
             const isServerOwner = interaction.guild.ownerId === interaction.user.id;
-
-            if (!isServerOwner && cleanNickname !== currentNickname) {
-                try {
-                    // Only set nickname if it actually changed and it's not just the username
-                    if (member.nickname && cleanNickname !== interaction.user.username) {
-                        await member.setNickname(cleanNickname);
-                        nicknameCleared = true;
-                    } else if (member.nickname) {
-                        // If clean nickname equals username, reset to no nickname
-                        await member.setNickname(null);
-                        nicknameCleared = true;
-                    }
-                } catch (error) {
-                    console.error('Error clearing nickname:', error);
-                    nicknameError = error;
-                }
-            }
+            const nicknameCleared = currentResult?.status === 'updated' || currentResult?.status === 'queued';
+            const nicknameError = currentResult?.status === 'skipped_permissions' || currentResult?.status === 'error';
 
             // Delete user data
             await databaseService.deleteUser(userId);
@@ -330,7 +571,11 @@ module.exports = {
                     .setFooter({ text: 'This action cannot be undone.' });
             }
 
-            await interaction.reply({ embeds: [embed], ephemeral: true });
+            if (serverResults.length > 0) {
+                embed.addFields(serversField);
+            }
+
+            await interaction.editReply({ embeds: [embed] });
 
             // Log successful data clearing
             const logMessage = nicknameCleared
@@ -339,24 +584,122 @@ module.exports = {
 
             await logger.logCommand('timezone clear', userId, serverId, logMessage);
 
-            if (nicknameCleared) {
-                await logger.logNicknameUpdate(userId, serverId, currentNickname, cleanNickname);
-            } else if (nicknameError && !isServerOwner) {
-                await logger.logPermissionError(userId, serverId, 'clear timezone from nickname');
-            }
-
         } catch (dbError) {
             console.error('Database error clearing user:', dbError);
 
-            await interaction.reply({
-                content: '❌ Failed to clear your data. Please try again later.',
-                ephemeral: true
+            await interaction.editReply({
+                content: '❌ Failed to clear your data. Please try again later.'
             });
 
             await logger.logCommand('timezone clear', userId, serverId, `Failed - Database error: ${dbError.message}`);
         }
     },
 
+    async handleWho(interaction) {
+        const groupBy = interaction.options.getString('group') || 'period';
+        const role = interaction.options.getRole('role');
+        const userId = interaction.user.id;
+        const serverId = interaction.guildId;
+
+        await logger.logCommand('timezone who', userId, serverId, `Received - Group: ${groupBy}${role ? `, Role: ${role.id}` : ''}`);
+
+        if (!serverId) {
+            await interaction.reply({
+                content: '❌ This lists a server\'s members. Use it in the server you want to see.',
+                flags: [MessageFlags.Ephemeral]
+            });
+            return;
+        }
+
+        // Fetching members for a role filter can take longer than Discord waits for a reply
+        await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+
+        try {
+            await interaction.editReply(await this.buildWhoPage(interaction.guild, groupBy, role?.id ?? null, 0));
+        } catch (error) {
+            await interaction.editReply({ content: '❌ Could not list members right now. Please try again.' });
+            throw error;
+        }
+
+        await logger.logCommand('timezone who', userId, serverId, 'Success - Showed roster');
+    },
+
+    /**
+     * Handle the roster's page buttons; the custom ID carries everything needed to rebuild the page
+     * @param {ButtonInteraction} interaction
+     */
+    async handleButton(interaction) {
+        const [, action, groupBy, roleId, page] = interaction.customId.split(':');
+
+        if (action !== 'who' || !interaction.guild) {
+            return;
+        }
+
+        try {
+            await interaction.deferUpdate();
+            await interaction.editReply(await this.buildWhoPage(interaction.guild, groupBy, roleId || null, Number(page)));
+        } catch (error) {
+            console.error('Error updating timezone roster:', error);
+            await logger.error(`**Timezone Who Button Error** | **User:** <@${interaction.user.id}> | **Server:** \`${interaction.guildId}\` | **Error:** ${error.message}`);
+        }
+    },
+
+    /**
+     * Render one page of the roster with its navigation buttons
+     * @param {Guild} guild - Discord guild
+     * @param {string} groupBy - rosterService.groupModes key
+     * @param {string|null} roleId - Role filter
+     * @param {number} page - Zero-based page to show
+     * @returns {Promise<Object>} Message payload with embeds and components
+     */
+    async buildWhoPage(guild, groupBy, roleId, page) {
+        const roster = await rosterService.getRoster(guild, { groupBy, roleId });
+        const current = rosterService.paginate(roster, page);
+
+        const embed = new EmbedBuilder()
+            .setColor(0x0099FF)
+            .setTitle('🌍 Who\'s Awake')
+            .setDescription(`Local time right now for registered members${roleId ? ` with <@&${roleId}>` : ''}.`);
+
+        if (current.total === 0) {
+            embed.setDescription(`No registered members${roleId ? ` with <@&${roleId}>` : ''} to show. Members appear here once they use \`/timezone set\`.`);
+            return { embeds: [embed], components: [] };
+        }
+
+        embed
+            .addFields(current.groups.map(group => ({
+                name: `${group.label}${group.continued ? ' (continued)' : ''}`,
+                value: group.entries
+                    .map(entry => groupBy === 'offset'
+                        ? `<@${entry.userId}> · ${entry.timezone}`
+                        : `\`${entry.time}\` <@${entry.userId}> · ${entry.timezone} (${entry.offset})`)
+                    .join('\n')
+                    .slice(0, 1024),
+                inline: false
+            })))
+            .setFooter({ text: `Page ${current.page + 1}/${current.pageCount} · ${current.total} member${current.total === 1 ? '' : 's'}` });
+
+        if (current.pageCount === 1) {
+            return { embeds: [embed], components: [] };
+        }
+
+        const customId = (targetPage) => `timezone:who:${groupBy}:${roleId ?? ''}:${targetPage}`;
+        const row = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(customId(current.page - 1))
+                .setLabel('◀ Previous')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(current.page === 0),
+            new ButtonBuilder()
+                .setCustomId(customId(current.page + 1))
+                .setLabel('Next ▶')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(current.page === current.pageCount - 1)
+        );
+
+        return { embeds: [embed], components: [row] };
+    },
+
     async handleTimeCheck(interaction) {
         const targetUser = interaction.options.getUser('user') || interaction.user;
         const userId = interaction.user.id;
@@ -381,8 +724,9 @@ module.exports = {
                 return;
             }
 
-            // Get current time information
-            const timeInfo = timezoneService.getCurrentTime(userData.timezone_identifier);
+            // Get current time information, with day and month names in the server's language
+            const locale = serverId ? await guildSettingsService.get(serverId, guildSettingsService.keys.LOCALE) : null;
+            const timeInfo = timezoneService.getCurrentTime(userData.timezone_identifier, locale);
 
             if (!timeInfo) {
                 await interaction.reply({
@@ -394,6 +738,8 @@ module.exports = {
                 return;
             }
 
+            const availability = availabilityService.getAvailability(await availabilityService.getHours(targetUser.id), userData.timezone_identifier);
+
             // Create embed with time information
             const embed = new EmbedBuilder()
                 .setColor(0x0099FF)
@@ -406,7 +752,8 @@ module.exports = {
                     { name: '🌍 UTC Offset', value: timeInfo.offset, inline: true },
                     { name: '📆 Day', value: timeInfo.dayName, inline: true },
                     { name: '🗓️ Month', value: timeInfo.monthName, inline: true },
-                    { name: '📋 Full DateTime', value: timeInfo.formatted, inline: false }
+                    { name: '📋 Full DateTime', value: timeInfo.formatted, inline: false },
+                    ...(availability ? [{ name: '🟢 Availability', value: availabilityService.availability[availability], inline: false }] : [])
                 )
                 .setFooter({
                     text: `Timezone set ${this.getRelativeTime(userData.created_at)}`,
@@ -434,6 +781,34 @@ module.exports = {
         }
     },
 
+    /**
+     * Format per-server nickname results as a list for an embed field
+     * @param {Array} results - Results from nicknameService
+     * @returns {string} One line per server, capped to Discord's field limit
+     */
+    formatServerResults(results) {
+        if (results.length === 0) {
+            return 'No servers found';
+        }
+
+        const lines = results.map(result =>
+            `${SERVER_STATUS_LABELS[result.status] || result.status} — ${result.serverName === 'Unknown' ? `\`${result.serverId}\`` : result.serverName}`
+        );
+
+        // Embed field values are limited to 1024 characters
+        let value = '';
+        for (let i = 0; i < lines.length; i++) {
+            const remaining = lines.length - i;
+            const suffix = `\n…and ${remaining} more`;
+            if (value.length + lines[i].length + 1 + suffix.length > 1024) {
+                return value + suffix;
+            }
+            value += (value ? '\n' : '') + lines[i];
+        }
+
+        return value;
+    },
+
     /**
      * Convert database timestamp to relative time
      * @param {string} timestamp - Database timestamp
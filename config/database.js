@@ -37,6 +37,7 @@ class Database {
                     this.db.run('PRAGMA foreign_keys = ON;');
                     
                     this.initializeTables()
+                        .then(() => this.addMissingColumns())
                         .then(resolve)
                         .catch(reject);
                 }
@@ -51,6 +52,7 @@ class Database {
                 `CREATE TABLE IF NOT EXISTS users (
                     user_id TEXT PRIMARY KEY,
                     timezone_identifier TEXT NOT NULL,
+                    display_mode TEXT,
                     created_at DATETIME DEFAULT CURRENT_TIMESTAMP
                 )`,
                 
@@ -59,6 +61,7 @@ class Database {
                     user_id TEXT,
                     server_id TEXT,
                     joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    decorate INTEGER NOT NULL DEFAULT 1,
                     PRIMARY KEY (user_id, server_id),
                     FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
                 )`,
@@ -69,28 +72,174 @@ class Database {
                     next_change_date DATETIME,
                     next_offset INTEGER,
                     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                )`
+                )`,
+                
+                // Background service bookkeeping (e.g. last successful DST run)
+                `CREATE TABLE IF NOT EXISTS service_state (
+                    key TEXT PRIMARY KEY,
+                    value TEXT,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )`,
+                
+                // Per-server nickname decoration. clock_interval_minutes turns on live clock re-rendering for templates using {time};
+                // ellipsis marks names shortened to fit with …
+                `CREATE TABLE IF NOT EXISTS guild_nickname_templates (
+                    server_id TEXT PRIMARY KEY,
+                    template TEXT NOT NULL,
+                    offset_style TEXT,
+                    clock_interval_minutes INTEGER,
+                    ellipsis INTEGER NOT NULL DEFAULT 0,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )`,
+                
+                // Templates a server used before its current one, kept so their decoration can still be
+                // stripped until a full re-render has moved every member onto the current template
+                `CREATE TABLE IF NOT EXISTS guild_previous_templates (
+                    server_id TEXT NOT NULL,
+                    template TEXT NOT NULL,
+                    replaced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (server_id, template)
+                )`,
+                
+                // Each member's nickname before the bot decorated it, restored exactly on clear
+                // (base_nickname NULL means they had no nickname of their own)
+                `CREATE TABLE IF NOT EXISTS base_nicknames (
+                    user_id TEXT NOT NULL,
+                    server_id TEXT NOT NULL,
+                    base_nickname TEXT,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (user_id, server_id)
+                )`,
+                
+                // Members whose nickname another bot or moderator keeps changing; re-applying is paused until expires_at
+                `CREATE TABLE IF NOT EXISTS nickname_conflicts (
+                    user_id TEXT NOT NULL,
+                    server_id TEXT NOT NULL,
+                    actor_id TEXT,
+                    reapplications INTEGER NOT NULL,
+                    detected_at INTEGER NOT NULL,
+                    expires_at INTEGER NOT NULL,
+                    PRIMARY KEY (user_id, server_id)
+                )`,
+                
+                // Each user's working and sleep hours per weekday (1 = Monday), as local minutes after midnight;
+                // a range belongs to the day it starts on and may run past midnight, and NULL means none that day
+                `CREATE TABLE IF NOT EXISTS user_hours (
+                    user_id TEXT NOT NULL,
+                    weekday INTEGER NOT NULL,
+                    work_start INTEGER,
+                    work_end INTEGER,
+                    sleep_start INTEGER,
+                    sleep_end INTEGER,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (user_id, weekday)
+                )`,
+                
+                // Per-server settings; values are serialized by guildSettingsService's registry
+                `CREATE TABLE IF NOT EXISTS guild_settings (
+                    server_id TEXT NOT NULL,
+                    key TEXT NOT NULL,
+                    value TEXT NOT NULL,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (server_id, key)
+                )`,
+                
+                // Servers that show timezones as roles ('offset' or 'region') instead of in nicknames
+                `CREATE TABLE IF NOT EXISTS guild_role_modes (
+                    server_id TEXT PRIMARY KEY,
+                    mode TEXT NOT NULL,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )`,
+                
+                // Roles the bot created or adopted and manages, keyed by role name (e.g. UTC+2 or Europe)
+                `CREATE TABLE IF NOT EXISTS timezone_roles (
+                    server_id TEXT NOT NULL,
+                    role_key TEXT NOT NULL,
+                    role_id TEXT NOT NULL,
+                    adopted INTEGER NOT NULL DEFAULT 0,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (server_id, role_key)
+                )`,
+                
+                // Nickname writes waiting on rate limits or retries
+                `CREATE TABLE IF NOT EXISTS nickname_jobs (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id TEXT NOT NULL,
+                    server_id TEXT NOT NULL,
+                    action TEXT NOT NULL,
+                    timezone TEXT,
+                    status TEXT NOT NULL DEFAULT 'pending',
+                    attempts INTEGER NOT NULL DEFAULT 0,
+                    next_attempt_at INTEGER NOT NULL,
+                    last_error TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )`,
+                
+                // Only one pending job per member; newer requests replace older ones
+                `CREATE UNIQUE INDEX IF NOT EXISTS idx_nickname_jobs_pending_member
+                    ON nickname_jobs (user_id, server_id) WHERE status = 'pending'`,
+                
+                `CREATE INDEX IF NOT EXISTS idx_nickname_jobs_due
+                    ON nickname_jobs (status, next_attempt_at)`
             ];
 
             let completedTables = 0;
             const totalTables = tables.length;
 
-            tables.forEach((sql, index) => {
-                this.db.run(sql, (err) => {
-                    if (err) {
-                        console.error(`Error creating table ${index + 1}:`, err.message);
+            // Serialize so indexes are created after the tables they reference
+            this.db.serialize(() => {
+                tables.forEach((sql, index) => {
+                    this.db.run(sql, (err) => {
+                        if (err) {
+                            console.error(`Error creating table ${index + 1}:`, err.message);
+                            reject(err);
+                            return;
+                        }
+                        
+                        completedTables++;
+                        if (completedTables === totalTables) {
+                            console.log('All database tables initialized successfully');
+                            resolve();
+                        }
+                    });
+                });
+            });
+        });
+    }
+
+    /**
+     * Add columns introduced after a table was first created;
+     * CREATE TABLE IF NOT EXISTS leaves existing tables untouched
+     */
+    async addMissingColumns() {
+        const columns = [
+            { table: 'users', column: 'display_mode', definition: 'TEXT' },
+            { table: 'user_servers', column: 'decorate', definition: 'INTEGER NOT NULL DEFAULT 1' }
+        ];
+
+        for (const { table, column, definition } of columns) {
+            const existing = await new Promise((resolve, reject) => {
+                this.db.all(`PRAGMA table_info(${table})`, [], (err, rows) => err ? reject(err) : resolve(rows));
+            });
+
+            if (existing.some(row => row.name === column)) {
+                continue;
+            }
+
+            await new Promise((resolve, reject) => {
+                this.db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+                    // Another shard may have added it first
+                    if (err && !/duplicate column/i.test(err.message)) {
+                        console.error(`Error adding column ${table}.${column}:`, err.message);
                         reject(err);
-                        return;
-                    }
-                    
-                    completedTables++;
-                    if (completedTables === totalTables) {
-                        console.log('All database tables initialized successfully');
+                    } else {
+                        console.log(`Added column ${table}.${column}`);
                         resolve();
                     }
                 });
             });
-        });
+        }
     }
 
     async close() {
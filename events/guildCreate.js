@@ -0,0 +1,24 @@
+const { Events } = require('discord.js');
+const { logger } = require('../utils/logger');
+const backfillService = require('../services/backfillService');
+
+module.exports = {
+    name: Events.GuildCreate,
+    /**
+     * @param {Guild} guild
+     */
+    async execute(guild) {
+        try {
+            console.log(`➕ Joined server ${guild.name} (${guild.id}) with ${guild.memberCount} members`);
+            
+            await logger.log(`➕ **Server Joined** | **Server:** \`${guild.name}\` (\`${guild.id}\`) | **Members:** ${guild.memberCount}`);
+            
+            // Decorate members who registered their timezone elsewhere
+            await backfillService.backfillGuild(guild);
+            
+        } catch (error) {
+            console.error('❌ Error in guildCreate:', error);
+            await logger.error(`**Guild Create Error** | **Server:** \`${guild.name}\` (\`${guild.id}\`) | **Error:** ${error.message}`);
+        }
+    },
+};
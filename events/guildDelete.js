@@ -0,0 +1,29 @@
+const { Events } = require('discord.js');
+const { logger } = require('../utils/logger');
+const databaseService = require('../services/databaseService');
+
+module.exports = {
+    name: Events.GuildDelete,
+    /**
+     * @param {Guild} guild
+     */
+    async execute(guild) {
+        try {
+            // An unavailable guild is an outage, not a removal
+            if (guild.available === false) {
+                console.log(`⚠️ Server ${guild.id} became unavailable, keeping its user associations`);
+                return;
+            }
+            
+            console.log(`➖ Removed from server ${guild.name} (${guild.id})`);
+            
+            const removed = await databaseService.removeServers([guild.id]);
+            
+            await logger.log(`➖ **Server Left** | **Server:** \`${guild.name}\` (\`${guild.id}\`) | **User Associations Removed:** ${removed}`);
+            
+        } catch (error) {
+            console.error('❌ Error in guildDelete:', error);
+            await logger.error(`**Guild Delete Error** | **Server:** \`${guild.id}\` | **Error:** ${error.message}`);
+        }
+    },
+};
@@ -1,5 +1,7 @@
 const { Events } = require('discord.js');
 const { logger } = require('../utils/logger');
+const databaseService = require('../services/databaseService');
+const nicknameService = require('../services/nicknameService');
 
 module.exports = {
     name: Events.GuildMemberAdd,
@@ -16,8 +18,29 @@ module.exports = {
                 await logger.log(`👋 **User Joined** | **User:** <@${member.user.id}> (\`${member.user.tag}\`) | **Server:** \`${member.guild.name}\``);
             }
             
-            // Future: Check if user has timezone data and update nickname
-            // This will be implemented when we create the nickname handler
+            // Check if user has a timezone set
+            const userData = await databaseService.getUserTimezone(member.user.id);
+            
+            if (!userData) {
+                return; // No timezone data, nothing to do
+            }
+            
+            // Track the new server so DST updates reach it
+            await databaseService.addUserToServer(member.user.id, member.guild.id);
+            
+            const result = await nicknameService.updateGuildMember(member.guild, member.user.id, 'apply', userData.timezone_identifier);
+            
+            if (result.status === 'updated') {
+                console.log(`✅ Applied timezone to ${member.user.tag} in ${member.guild.name}: "${result.oldNickname}" → "${result.newNickname}"`);
+                await logger.logMemberUpdate(member.user.id, result);
+            } else if (result.status === 'skipped_owner') {
+                console.log(`👑 Cannot modify server owner nickname: ${member.user.tag}`);
+            } else if (result.status === 'skipped_permissions') {
+                console.log(`❌ Cannot manage user ${member.user.tag} due to permissions/hierarchy`);
+                await logger.logPermissionError(member.user.id, member.guild.id, 'update nickname on join');
+            } else if (result.status === 'error') {
+                console.error(`❌ Failed to apply timezone to ${member.user.tag}:`, result.message);
+            }
             
         } catch (error) {
             console.error('❌ Error in guildMemberAdd:', error);
@@ -1,5 +1,6 @@
 const { Events } = require('discord.js');
 const { logger } = require('../utils/logger');
+const databaseService = require('../services/databaseService');
 
 module.exports = {
     name: Events.GuildMemberRemove,
@@ -16,6 +17,12 @@ module.exports = {
                 await logger.log(`👋 **User Left** | **User:** <@${member.user.id}> (\`${member.user.tag}\`) | **Server:** \`${member.guild.name}\``);
             }
             
+            // Stop tracking this server for the user
+            const removed = await databaseService.removeUserFromServer(member.user.id, member.guild.id);
+            if (removed > 0) {
+                console.log(`🧹 Removed server association for ${member.user.tag} in ${member.guild.name}`);
+            }
+            
         } catch (error) {
             console.error('❌ Error in guildMemberRemove:', error);
             await logger.error(`**Guild Member Remove Error** | **User:** <@${member.user.id}> | **Server:** \`${member.guild.name}\` | **Error:** ${error.message}`);
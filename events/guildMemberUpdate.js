@@ -2,6 +2,10 @@ const { Events } = require('discord.js');
 const { logger } = require('../utils/logger');
 const databaseService = require('../services/databaseService');
 const timezoneService = require('../services/timezoneService');
+const nicknameService = require('../services/nicknameService');
+const roleService = require('../services/roleService');
+const nicknameConflictService = require('../services/nicknameConflictService');
+const guildSettingsService = require('../services/guildSettingsService');
 
 module.exports = {
     name: Events.GuildMemberUpdate,
@@ -11,6 +15,11 @@ module.exports = {
      */
     async execute(oldMember, newMember) {
         try {
+            // Gaining or losing an exempt role takes the timezone off or puts it back
+            if (await this.handleExemptRoleChange(oldMember, newMember)) {
+                return;
+            }
+            
             // Check if nickname changed
             if (oldMember.nickname !== newMember.nickname) {
                 console.log(`📝 Nickname changed for ${newMember.user.tag}: "${oldMember.nickname}" → "${newMember.nickname}"`);
@@ -22,51 +31,68 @@ module.exports = {
                     return; // No timezone data, nothing to do
                 }
                 
-                // Check if the new nickname is missing timezone info
-                const currentNickname = newMember.nickname || newMember.user.username;
-                const hasTimezoneInfo = timezoneService.hasTimezoneInfo(currentNickname);
-                
-                if (hasTimezoneInfo) {
-                    return; // Already has timezone info
+                // Servers in role mode, and members who hide their timezone here, leave nicknames alone
+                if (await roleService.getRoleMode(newMember.guild.id)) {
+                    return;
                 }
-                
-                // Check if user is server owner (Discord doesn't allow bots to manage owner nicknames)
-                const isServerOwner = newMember.guild.ownerId === newMember.user.id;
-                
-                if (isServerOwner) {
-                    console.log(`👑 Cannot modify server owner nickname: ${newMember.user.tag}`);
+                if (!(await databaseService.getDecoratePreference(newMember.user.id, newMember.guild.id))) {
                     return;
                 }
                 
-                // Check if bot can manage this member
-                if (!newMember.manageable) {
-                    console.log(`❌ Cannot manage user ${newMember.user.tag} due to permissions/hierarchy`);
+                // Servers can turn enforcement off and let members edit the timezone out;
+                // exempt members' nicknames are entirely their own
+                if (!(await guildSettingsService.get(newMember.guild.id, guildSettingsService.keys.ENFORCEMENT))) {
+                    return;
+                }
+                if (await guildSettingsService.isExempt(newMember.guild.id, newMember)) {
                     return;
                 }
                 
-                // Generate new nickname with timezone
-                const newNicknameWithTz = timezoneService.formatNicknameWithTimezone(
-                    newMember.nickname,
+                // Remember what the member typed so a clear can restore it in full
+                const format = await nicknameService.getNicknameFormat(newMember.guild.id, newMember.user.id);
+                const baseNickname = await nicknameService.recordNicknameEdit(newMember, userData.timezone_identifier, format);
+                
+                // Check if the new nickname is missing timezone info, or carries it in an
+                // outdated form (e.g. the old UTC+5.75 style or a previous server template)
+                const expectedNickname = timezoneService.formatNicknameWithTimezone(
+                    baseNickname,
                     userData.timezone_identifier,
-                    newMember.user.username
+                    newMember.user.username,
+                    format
                 );
                 
-                if (!newNicknameWithTz) {
-                    console.error(`❌ Failed to generate nickname with timezone for ${newMember.user.tag}`);
+                if (expectedNickname === newMember.nickname) {
+                    return; // Already has current timezone info
+                }
+                
+                // Another bot or moderator enforcing nicknames would fight us forever; back off instead
+                if (await nicknameConflictService.getConflict(newMember.user.id, newMember.guild.id)) {
+                    console.log(`⚔️ Not reapplying timezone for ${newMember.user.tag}: nickname conflict`);
                     return;
                 }
                 
-                // Apply the timezone to the nickname
-                try {
-                    await newMember.setNickname(newNicknameWithTz);
-                    
-                    console.log(`✅ Reapplied timezone to ${newMember.user.tag}: "${currentNickname}" → "${newNicknameWithTz}"`);
+                const actorId = await nicknameConflictService.findActor(newMember.guild, newMember.user.id);
+                if (await nicknameConflictService.recordReapplication(newMember, actorId)) {
+                    return;
+                }
+                
+                // Owner, permission and queueing checks live in the shared write path
+                const result = await nicknameService.updateGuildMember(
+                    newMember.guild,
+                    newMember.user.id,
+                    'apply',
+                    userData.timezone_identifier
+                );
+                
+                if (result.status === 'updated') {
+                    console.log(`✅ Reapplied timezone to ${newMember.user.tag}: "${result.oldNickname}" → "${result.newNickname}"`);
                     
                     // Log the reapplication
-                    await logger.logNicknameUpdate(newMember.user.id, newMember.guild.id, currentNickname, newNicknameWithTz);
-                    
-                } catch (setNicknameError) {
-                    console.error(`❌ Failed to set nickname for ${newMember.user.tag}:`, setNicknameError.message);
+                    await logger.logNicknameUpdate(newMember.user.id, newMember.guild.id, result.oldNickname, result.newNickname);
+                } else if (result.status === 'queued') {
+                    console.log(`⏳ Queued timezone reapplication for ${newMember.user.tag}`);
+                } else if (result.status !== 'no_change') {
+                    console.log(`❌ Could not reapply timezone for ${newMember.user.tag}: ${result.message}`);
                 }
             }
             
@@ -74,4 +100,43 @@ module.exports = {
             console.error('❌ Error in guildMemberUpdate:', error);
         }
     },
+    
+    /**
+     * Re-run a registered member through the write path when a role change makes them exempt or not
+     * @param {GuildMember} oldMember
+     * @param {GuildMember} newMember
+     * @returns {Promise<boolean>} True if the member's exemption changed and was handled
+     */
+    async handleExemptRoleChange(oldMember, newMember) {
+        // Without the old roles there is nothing to compare against
+        if (oldMember.partial || oldMember.roles.cache.equals(newMember.roles.cache)) {
+            return false;
+        }
+        
+        const [wasExempt, isExempt] = await Promise.all([
+            guildSettingsService.isExempt(newMember.guild.id, oldMember),
+            guildSettingsService.isExempt(newMember.guild.id, newMember)
+        ]);
+        
+        if (wasExempt === isExempt) {
+            return false;
+        }
+        
+        const userData = await databaseService.getUserTimezone(newMember.user.id);
+        if (!userData) {
+            return false;
+        }
+        
+        // Take the timezone off once as the member becomes exempt; after that their nickname is left alone
+        const result = isExempt
+            ? await nicknameService.updateGuildMember(newMember.guild, newMember.user.id, 'clear', null)
+            : await nicknameService.updateGuildMember(newMember.guild, newMember.user.id, 'apply', userData.timezone_identifier);
+        
+        if (result.status === 'updated') {
+            console.log(`🛡️ ${isExempt ? 'Exempted' : 'Lifted exemption for'} ${newMember.user.tag}: "${result.oldNickname}" → "${result.newNickname}"`);
+            await logger.logMemberUpdate(newMember.user.id, result);
+        }
+        
+        return true;
+    },
 };
@@ -28,6 +28,12 @@ module.exports = {
                 return;
             }
 
+            if (interaction.isButton()) {
+                console.log('🔘 Button interaction received:', interaction.customId, interaction.user.tag);
+                await handleButton(interaction);
+                return;
+            }
+
             // Handle other interaction types as needed
             console.log('⚠️ Unhandled interaction type:', interaction.type);
 
@@ -65,6 +71,23 @@ async function handleAutocomplete(interaction) {
     }
 }
 
+/**
+ * Handle button interactions; custom IDs start with the name of the command that sent the buttons
+ * @param {ButtonInteraction} interaction
+ */
+async function handleButton(interaction) {
+    const { client } = interaction;
+    const commandName = interaction.customId.split(':')[0];
+    const command = client.commands.get(commandName);
+
+    if (!command?.handleButton) {
+        console.error(`❌ No button handler for ${interaction.customId}.`);
+        return;
+    }
+
+    await command.handleButton(interaction);
+}
+
 /**
  * Handle command interactions
  * @param {ChatInputCommandInteraction} interaction
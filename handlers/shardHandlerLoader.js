@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+const shardRpcService = require('../services/shardRpcService');
+
+class ShardHandlerLoader {
+    constructor() {
+        this.loadHandlers();
+    }
+
+    /**
+     * Load all shard handler files and register them for cross-shard requests
+     */
+    loadHandlers() {
+        const handlersPath = path.join(__dirname, '../shardHandlers');
+        
+        if (!fs.existsSync(handlersPath)) {
+            console.error('❌ Shard handlers directory not found');
+            return;
+        }
+
+        const handlerFiles = fs.readdirSync(handlersPath).filter(file => file.endsWith('.js'));
+        
+        for (const file of handlerFiles) {
+            const filePath = path.join(handlersPath, file);
+            
+            try {
+                const handler = require(filePath);
+                
+                if (!handler.name || !handler.execute) {
+                    console.warn(`⚠️ Shard handler ${file} is missing required 'name' or 'execute' property`);
+                    continue;
+                }
+                
+                shardRpcService.register(handler.name, (client, payload) => handler.execute(client, payload));
+                console.log(`✅ Loaded shard handler: ${handler.name}`);
+                
+            } catch (error) {
+                console.error(`❌ Error loading shard handler ${file}:`, error);
+            }
+        }
+    }
+}
+
+module.exports = ShardHandlerLoader;
@@ -0,0 +1,172 @@
+const { DateTime } = require('luxon');
+const databaseService = require('./databaseService');
+const timezoneService = require('./timezoneService');
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// What a user is probably doing at their local time, in the order it is checked
+const AVAILABILITY = {
+    working: '💼 In working hours',
+    asleep: '😴 Probably asleep',
+    outside: '🏠 Outside hours'
+};
+
+// Day choices for /timezone hours, as Luxon weekdays (Monday = 1)
+const DAY_SETS = {
+    everyday: { label: 'Every day', weekdays: [1, 2, 3, 4, 5, 6, 7] },
+    weekdays: { label: 'Weekdays (Mon-Fri)', weekdays: [1, 2, 3, 4, 5] },
+    weekend: { label: 'Weekend (Sat-Sun)', weekdays: [6, 7] },
+    monday: { label: 'Monday', weekdays: [1] },
+    tuesday: { label: 'Tuesday', weekdays: [2] },
+    wednesday: { label: 'Wednesday', weekdays: [3] },
+    thursday: { label: 'Thursday', weekdays: [4] },
+    friday: { label: 'Friday', weekdays: [5] },
+    saturday: { label: 'Saturday', weekdays: [6] },
+    sunday: { label: 'Sunday', weekdays: [7] }
+};
+
+class AvailabilityService {
+    constructor() {
+        this.availability = AVAILABILITY;
+        this.daySets = DAY_SETS;
+    }
+
+    /**
+     * Get a user's working and sleep hours
+     * @param {string} userId - Discord user ID
+     * @returns {Promise<Object|null>} Weekday (1-7) -> { work, sleep } with { start, end } ranges or null,
+     *   or null if the user never set any hours
+     */
+    async getHours(userId) {
+        const rows = await databaseService.getUserHours(userId);
+
+        if (rows.length === 0) {
+            return null;
+        }
+
+        const hours = {};
+        for (let weekday = 1; weekday <= 7; weekday++) {
+            hours[weekday] = { work: null, sleep: null };
+        }
+
+        for (const row of rows) {
+            hours[row.weekday] = {
+                work: row.work_start !== null ? { start: row.work_start, end: row.work_end } : null,
+                sleep: row.sleep_start !== null ? { start: row.sleep_start, end: row.sleep_end } : null
+            };
+        }
+
+        return hours;
+    }
+
+    /**
+     * Change working and/or sleep hours for a set of days
+     * @param {string} userId - Discord user ID
+     * @param {string} days - DAY_SETS key
+     * @param {Object} hours - { work, sleep }; a range, null for none, or undefined to leave unchanged
+     * @returns {Promise<boolean>} Success status
+     */
+    async setHours(userId, days, hours) {
+        if (!DAY_SETS[days]) {
+            throw new Error(`Unknown day set: ${days}`);
+        }
+
+        return await databaseService.setUserHours(userId, DAY_SETS[days].weekdays, hours);
+    }
+
+    /**
+     * Parse an hours range such as "09:00-17:00", "9am-5pm" or "23:00-07:00"; "off" means none
+     * @param {string} input - Range typed by the user
+     * @returns {Object} { valid: true, range } with range { start, end } in minutes or null, or { valid: false, error }
+     */
+    parseRange(input) {
+        const text = (input || '').trim().toLowerCase();
+
+        if (['off', 'none'].includes(text)) {
+            return { valid: true, range: null };
+        }
+
+        const parts = text.split(/\s*(?:-|–|to)\s*/);
+        const clocks = parts.length === 2 ? parts.map(part => timezoneService.parseClockTime(part)) : [];
+
+        if (clocks.length !== 2 || clocks.some(clock => !clock)) {
+            return { valid: false, error: `\`${input}\` is not a range of hours. Use e.g. \`09:00-17:00\`, \`9am-5pm\`, \`23:00-07:00\` or \`off\`.` };
+        }
+
+        const [start, end] = clocks.map(clock => clock.hour * 60 + clock.minute);
+
+        if (start === end) {
+            return { valid: false, error: `\`${input}\` starts and ends at the same time.` };
+        }
+
+        return { valid: true, range: { start, end } };
+    }
+
+    /**
+     * @param {Object|null} range - { start, end } in minutes
+     * @returns {string} e.g. "23:00-07:00 (overnight)" or "Off"
+     */
+    formatRange(range) {
+        if (!range) {
+            return 'Off';
+        }
+
+        const clock = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+        return `${clock(range.start)}-${clock(range.end)}${range.end < range.start ? ' (overnight)' : ''}`;
+    }
+
+    /**
+     * Work out whether a user is working, asleep or neither right now
+     * @param {Object|null} hours - From getHours
+     * @param {string} timezone - The user's timezone
+     * @param {DateTime} [now] - Instant to check
+     * @returns {string|null} AVAILABILITY key, or null if the user has no hours set
+     */
+    getAvailability(hours, timezone, now = DateTime.now()) {
+        if (!hours || !Object.values(hours).some(day => day.work || day.sleep)) {
+            return null;
+        }
+
+        // The local wall clock decides, so DST changes move the hours with the clock as people expect
+        const local = now.setZone(timezone);
+        const minutes = local.hour * 60 + local.minute;
+        const today = hours[local.weekday];
+        const yesterday = hours[local.weekday === 1 ? 7 : local.weekday - 1];
+
+        for (const kind of ['work', 'sleep']) {
+            if (this.isInRange(today[kind], minutes) || this.isInOvernightTail(yesterday[kind], minutes)) {
+                return kind === 'work' ? 'working' : 'asleep';
+            }
+        }
+
+        return 'outside';
+    }
+
+    /**
+     * Check whether a local time falls in a range that starts today
+     * @param {Object|null} range - { start, end } in minutes
+     * @param {number} minutes - Local minutes after midnight
+     * @returns {boolean}
+     */
+    isInRange(range, minutes) {
+        if (!range) {
+            return false;
+        }
+
+        return range.start < range.end
+            ? minutes >= range.start && minutes < range.end
+            : minutes >= range.start && minutes < MINUTES_PER_DAY;
+    }
+
+    /**
+     * Check whether a local time falls in the part after midnight of an overnight range that started yesterday
+     * @param {Object|null} range - { start, end } in minutes
+     * @param {number} minutes - Local minutes after midnight
+     * @returns {boolean}
+     */
+    isInOvernightTail(range, minutes) {
+        return Boolean(range) && range.end < range.start && minutes < range.end;
+    }
+}
+
+module.exports = new AvailabilityService();
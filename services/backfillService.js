@@ -0,0 +1,189 @@
+const databaseService = require('./databaseService');
+const nicknameService = require('./nicknameService');
+const nicknameQueueService = require('./nicknameQueueService');
+const { logger } = require('../utils/logger');
+
+// Log wording for the two kinds of pass over a guild's members
+const PASS_LABELS = {
+    backfill: { title: 'Backfill', emoji: '🧹', console: 'member backfill' },
+    rerender: { title: 'Nickname Re-render', emoji: '🎨', console: 'nickname re-render' }
+};
+
+class BackfillService {
+    constructor() {
+        this.activeGuilds = new Set();
+
+        // Guilds whose settings changed during a pass and need another one after it
+        this.pendingRerenders = new Map();
+
+        // Members fetched per page from the Discord API (1000 is the maximum)
+        this.pageSize = 1000;
+    }
+
+    /**
+     * Re-render every registered member after a server setting changed. If a pass is already
+     * running it may have passed members under the old setting, so another pass follows it.
+     * @param {Guild} guild - Discord guild
+     * @param {Object} [options]
+     * @param {boolean} [options.clearExempt] - Take the timezone off exempt members, e.g. after an exemption was added
+     * @returns {boolean} True if a pass started now, false if it was queued behind the running one
+     */
+    rerenderGuild(guild, { clearExempt = false } = {}) {
+        if (this.activeGuilds.has(guild.id)) {
+            console.log(`⏳ Nickname re-render queued behind the running pass for ${guild.name}`);
+            const pending = this.pendingRerenders.get(guild.id);
+            this.pendingRerenders.set(guild.id, { guild, clearExempt: clearExempt || Boolean(pending?.clearExempt) });
+            return false;
+        }
+
+        this.backfillGuild(guild, { rerender: true, clearExempt }).catch(error => {
+            console.error(`❌ Nickname re-render failed for ${guild.id}:`, error);
+        });
+
+        return true;
+    }
+
+    /**
+     * Decorate every registered member of a guild the bot has just joined, or re-render them after a setting changed.
+     * A pass that reaches every member without errors or deferred writes retires the server's previous templates.
+     * @param {Guild} guild - Discord guild
+     * @param {Object} [options]
+     * @param {boolean} [options.rerender] - Log the pass as a re-render rather than a backfill
+     * @param {boolean} [options.clearExempt] - Take the timezone off exempt members instead of leaving them alone
+     * @returns {Promise<Object|null>} Summary counts, or null if a pass is already running
+     */
+    async backfillGuild(guild, { rerender = false, clearExempt = false } = {}) {
+        const label = PASS_LABELS[rerender ? 'rerender' : 'backfill'];
+
+        if (this.activeGuilds.has(guild.id)) {
+            console.log(`⚠️ ${label.title} skipped for ${guild.name}: a pass is already running`);
+            return null;
+        }
+
+        this.activeGuilds.add(guild.id);
+
+        const summary = {
+            scanned: 0,
+            registered: 0,
+            updated: 0,
+            queued: 0,
+            unchanged: 0,
+            skippedOwner: 0,
+            skippedPermissions: 0,
+            skippedConflict: 0,
+            errors: 0
+        };
+        const startedAt = Date.now();
+
+        try {
+            // Templates replaced before this pass started are the ones it migrates members off
+            const { previousTemplates } = await nicknameService.getNicknameFormat(guild.id);
+
+            console.log(`${label.emoji} Starting ${label.console} for ${guild.name} (${guild.id})`);
+            const progressMessageId = await logger.log(`${label.emoji} **${label.title} Started** | **Server:** \`${guild.name}\` (\`${guild.id}\`) | **Members:** ${guild.memberCount ?? 'unknown'}`);
+
+            let after;
+
+            while (true) {
+                const page = await guild.members.list({ limit: this.pageSize, after });
+                if (page.size === 0) break;
+
+                summary.scanned += page.size;
+                after = page.lastKey();
+
+                const registeredUsers = await databaseService.getUsersByIds(Array.from(page.keys()));
+                summary.registered += registeredUsers.length;
+
+                for (const userData of registeredUsers) {
+                    await this.backfillMember(guild, userData, summary, clearExempt);
+                }
+
+                if (progressMessageId) {
+                    await logger.editLog(progressMessageId, `${label.emoji} **${label.title} In Progress** | **Server:** \`${guild.name}\` (\`${guild.id}\`) | **Scanned:** ${summary.scanned}/${guild.memberCount ?? '?'} | **Registered:** ${summary.registered} | **Updated:** ${summary.updated}`);
+                }
+
+                if (page.size < this.pageSize) break;
+            }
+
+            // Members on an old template may still be waiting in the queue, have failed or be paused by a conflict
+            if (previousTemplates.length > 0 && summary.queued === 0 && summary.errors === 0 && summary.skippedPermissions === 0 && summary.skippedConflict === 0) {
+                await databaseService.clearPreviousTemplates(guild.id, previousTemplates);
+            }
+
+            const durationSeconds = Math.round((Date.now() - startedAt) / 1000);
+            console.log(`✅ ${label.title} complete for ${guild.name}: ${summary.updated} updated, ${summary.registered} registered, ${summary.scanned} scanned`);
+            await logger.log(`✅ **${label.title} Complete** | **Server:** \`${guild.name}\` (\`${guild.id}\`) | **Scanned:** ${summary.scanned} | **Registered:** ${summary.registered} | **Updated:** ${summary.updated} | **Queued:** ${summary.queued} | **Unchanged:** ${summary.unchanged} | **Owner:** ${summary.skippedOwner} | **No Permission:** ${summary.skippedPermissions} | **Conflicts:** ${summary.skippedConflict} | **Errors:** ${summary.errors} | **Duration:** ${durationSeconds}s`);
+
+            return summary;
+        } catch (error) {
+            console.error(`❌ ${label.title} failed for ${guild.name}:`, error);
+            await logger.error(`**${label.title} Error** | **Server:** \`${guild.name}\` (\`${guild.id}\`) | **Scanned:** ${summary.scanned} | **Error:** ${error.message}`);
+            return summary;
+        } finally {
+            this.activeGuilds.delete(guild.id);
+
+            const pending = this.pendingRerenders.get(guild.id);
+            if (pending) {
+                this.pendingRerenders.delete(guild.id);
+                this.rerenderGuild(pending.guild, { clearExempt: pending.clearExempt });
+            }
+        }
+    }
+
+    /**
+     * Record a registered member's server and apply their timezone nickname
+     * @param {Guild} guild - Discord guild
+     * @param {Object} userData - Row from the users table
+     * @param {Object} summary - Summary counts, updated in place
+     * @param {boolean} [clearExempt] - Take the timezone off the member if they are exempt
+     */
+    async backfillMember(guild, userData, summary, clearExempt = false) {
+        try {
+            await databaseService.addUserToServer(userData.user_id, guild.id);
+
+            // Pace edits to the guild's shared budget instead of filling the nickname queue
+            const waitMs = nicknameQueueService.getBudgetWait(guild.id);
+            if (waitMs > 0) {
+                await new Promise(resolve => setTimeout(resolve, waitMs));
+            }
+
+            let result = await nicknameService.updateGuildMember(guild, userData.user_id, 'apply', userData.timezone_identifier);
+
+            // Exempt members are otherwise left alone, so the pass that exempts them is the one that cleans up
+            if (clearExempt && result.status === 'skipped_exempt') {
+                result = await nicknameService.updateGuildMember(guild, userData.user_id, 'clear', null);
+            }
+
+            if (result.status === 'updated') {
+                summary.updated++;
+                await logger.logMemberUpdate(userData.user_id, result);
+            } else if (result.status === 'queued') {
+                summary.queued++;
+            } else if (result.status === 'skipped_owner') {
+                summary.skippedOwner++;
+            } else if (result.status === 'skipped_permissions') {
+                summary.skippedPermissions++;
+            } else if (result.status === 'skipped_conflict') {
+                summary.skippedConflict++;
+            } else if (result.status === 'error' || result.status === 'failed') {
+                summary.errors++;
+            } else {
+                summary.unchanged++;
+            }
+        } catch (error) {
+            console.error(`❌ Backfill error for user ${userData.user_id} in ${guild.name}:`, error.message);
+            summary.errors++;
+        }
+    }
+
+    /**
+     * Check whether a backfill or re-render is running for a guild
+     * @param {string} guildId - Discord guild ID
+     * @returns {boolean} True if running
+     */
+    isBackfilling(guildId) {
+        return this.activeGuilds.has(guildId);
+    }
+}
+
+module.exports = new BackfillService();
@@ -0,0 +1,240 @@
+const { DateTime } = require('luxon');
+const databaseService = require('./databaseService');
+const shardRpcService = require('./shardRpcService');
+const nicknameService = require('./nicknameService');
+const nicknameQueueService = require('./nicknameQueueService');
+const { logger } = require('../utils/logger');
+
+// Intervals a server can choose for its live clock, in minutes
+const CLOCK_INTERVALS = [15, 30, 60];
+
+class ClockService {
+    constructor() {
+        this.isRunning = false;
+        this.intervalId = null;
+        this.initialTimeoutId = null;
+        this.isRefreshing = false;
+
+        // Every UTC offset is a multiple of 15 minutes, so ticking on the quarter hour
+        // catches each member's rounded clock as soon as it changes
+        this.tickMinutes = 15;
+
+        // Clock edits allowed per tick across all shards; members past the budget wait for the next tick
+        this.editBudgetPerTick = 300;
+
+        this.clockIntervals = CLOCK_INTERVALS;
+
+        // "serverId:userId" of members left over when the budget ran out, refreshed on the next tick
+        this.overdueMembers = new Set();
+    }
+
+    /**
+     * Start the live clock scheduler (coordinator, shard 0 only)
+     */
+    start() {
+        if (this.isRunning) {
+            console.log('⚠️ Clock Service already running');
+            return;
+        }
+
+        console.log('🕑 Starting live clock service...');
+
+        const tickMs = this.tickMinutes * 60 * 1000;
+        const msUntilNextTick = tickMs - Date.now() % tickMs;
+
+        console.log(`⏰ Scheduling first clock refresh in ${Math.round(msUntilNextTick / 1000 / 60)} minutes`);
+
+        this.initialTimeoutId = setTimeout(() => {
+            this.tick().catch(error => {
+                console.error('❌ Clock refresh error:', error);
+            });
+
+            this.intervalId = setInterval(() => {
+                this.tick().catch(error => {
+                    console.error('❌ Clock refresh error:', error);
+                });
+            }, tickMs);
+        }, msUntilNextTick);
+
+        this.isRunning = true;
+        console.log('✅ Live clock service started');
+    }
+
+    /**
+     * Stop the live clock scheduler
+     */
+    stop() {
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+        if (this.initialTimeoutId) {
+            clearTimeout(this.initialTimeoutId);
+            this.initialTimeoutId = null;
+        }
+        this.isRunning = false;
+        console.log('🛑 Live clock service stopped');
+    }
+
+    /**
+     * Ask every shard to refresh clock nicknames in the servers that use the live clock
+     * @returns {Promise<number>} Number of servers handed to the shards
+     */
+    async tick() {
+        try {
+            const servers = await databaseService.getClockServers();
+
+            if (servers.length === 0) {
+                return 0;
+            }
+
+            const clockServers = servers.map(server => ({ serverId: server.server_id, intervalMinutes: server.clock_interval_minutes }));
+            console.log(`🕑 Refreshing clock nicknames in ${clockServers.length} server(s)...`);
+
+            // Shards run the refresh in the background; the responses only confirm it started
+            const responses = await shardRpcService.request('refreshClockNicknames', { servers: clockServers, budget: this.editBudgetPerTick });
+
+            const failedShards = responses.filter(response => !response.ok);
+            if (failedShards.length > 0) {
+                console.error(`❌ Shard(s) ${failedShards.map(response => response.shardId).join(', ')} did not start the clock refresh`);
+            }
+
+            return clockServers.length;
+
+        } catch (error) {
+            console.error('❌ Clock refresh failed:', error);
+            await logger.error(`**Clock Refresh Error** | **Error:** ${error.message}`);
+            return 0;
+        }
+    }
+
+    /**
+     * Shard-side: re-render clock nicknames in the servers this shard holds, within its share of the budget.
+     * Only members whose rounded local clock has moved on since the last tick are touched.
+     * @param {Client} client - Discord client of the current shard
+     * @param {Array<Object>} servers - { serverId, intervalMinutes } of servers using the live clock
+     * @param {number} budget - Edits allowed across all shards for this tick
+     * @param {DateTime} [now] - Time of the tick
+     * @returns {Promise<Object>} { updated, unchanged, skipped } or null if a refresh is still running
+     */
+    async refreshLocalServers(client, servers, budget, now = DateTime.utc()) {
+        // A refresh that outlived its tick keeps going; starting another would double-spend the budget
+        if (this.isRefreshing) {
+            console.log('⚠️ Previous clock refresh still running, skipping this tick');
+            return null;
+        }
+
+        this.isRefreshing = true;
+
+        // More shards than budget would otherwise leave every shard with nothing
+        const shardBudget = Math.max(Math.floor(budget / (client.shard?.count ?? 1)), 1);
+        const summary = { updated: 0, unchanged: 0, skipped: 0 };
+
+        // Forget members of servers that have turned the clock off since
+        const clockServerIds = new Set(servers.map(server => server.serverId));
+        for (const memberKey of this.overdueMembers) {
+            if (!clockServerIds.has(memberKey.split(':')[0])) {
+                this.overdueMembers.delete(memberKey);
+            }
+        }
+
+        try {
+            for (const { serverId, intervalMinutes } of servers) {
+                const guild = client.guilds.cache.get(serverId);
+                if (!guild) continue; // Server not on this shard
+
+                const users = await databaseService.getServerUsers(serverId);
+
+                // Random order so a spent budget does not always starve the same members
+                for (const user of this.shuffle(users)) {
+                    const memberKey = `${serverId}:${user.user_id}`;
+
+                    if (!this.overdueMembers.has(memberKey) && !this.isClockDue(user.timezone_identifier, intervalMinutes, now)) {
+                        continue;
+                    }
+
+                    if (summary.updated >= shardBudget) {
+                        this.overdueMembers.add(memberKey);
+                        summary.skipped++;
+                        continue;
+                    }
+
+                    this.overdueMembers.delete(memberKey);
+
+                    // Pace edits to the guild's budget instead of filling the nickname queue
+                    const waitMs = nicknameQueueService.getBudgetWait(serverId);
+                    if (waitMs > 0) {
+                        await new Promise(resolve => setTimeout(resolve, waitMs));
+                    }
+
+                    try {
+                        const result = await nicknameService.updateGuildMember(guild, user.user_id, 'apply', user.timezone_identifier);
+
+                        if (result.status === 'updated' || result.status === 'queued') {
+                            summary.updated++;
+                        } else {
+                            summary.unchanged++;
+                        }
+                    } catch (error) {
+                        console.error(`❌ Clock refresh failed for user ${user.user_id} in server ${serverId}:`, error.message);
+                    }
+                }
+            }
+        } finally {
+            this.isRefreshing = false;
+        }
+
+        console.log(`🕑 Clock refresh complete: ${summary.updated} updated, ${summary.unchanged} unchanged, ${summary.skipped} over budget`);
+        return summary;
+    }
+
+    /**
+     * Check whether a member's rounded clock moved on at this tick. Offsets are whole quarter hours,
+     * so the local time crosses an interval boundary within the tick that is due to show it.
+     * @param {string} timezone - The member's timezone
+     * @param {number} intervalMinutes - The server's clock interval
+     * @param {DateTime} now - Time of the tick
+     * @returns {boolean} True if the member's clock should be re-rendered
+     */
+    isClockDue(timezone, intervalMinutes, now) {
+        const local = now.setZone(timezone);
+        if (!local.isValid) {
+            return false;
+        }
+
+        const minuteOfDay = local.hour * 60 + local.minute;
+        return minuteOfDay % (intervalMinutes || this.tickMinutes) < this.tickMinutes;
+    }
+
+    /**
+     * Shuffle a copy of an array (Fisher-Yates)
+     * @param {Array} items
+     * @returns {Array} Shuffled copy
+     */
+    shuffle(items) {
+        const shuffled = [...items];
+
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+
+        return shuffled;
+    }
+
+    /**
+     * Get service status
+     * @returns {Object} Service status information
+     */
+    getStatus() {
+        return {
+            isRunning: this.isRunning,
+            intervalId: this.intervalId !== null,
+            isRefreshing: this.isRefreshing,
+            tickMinutes: this.tickMinutes,
+            editBudgetPerTick: this.editBudgetPerTick
+        };
+    }
+}
+
+module.exports = new ClockService();
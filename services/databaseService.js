@@ -31,14 +31,14 @@ class DatabaseService {
     async setUserTimezone(userId, timezoneIdentifier) {
         return new Promise((resolve, reject) => {
             const db = database.getDatabase();
+            // Upsert so created_at and display preferences survive a timezone change
             const sql = `
-                INSERT OR REPLACE INTO users (user_id, timezone_identifier, created_at) 
-                VALUES (?, ?, CASE WHEN EXISTS(SELECT 1 FROM users WHERE user_id = ?) 
-                                  THEN (SELECT created_at FROM users WHERE user_id = ?)
-                                  ELSE CURRENT_TIMESTAMP END)
+                INSERT INTO users (user_id, timezone_identifier)
+                VALUES (?, ?)
+                ON CONFLICT (user_id) DO UPDATE SET timezone_identifier = excluded.timezone_identifier
             `;
             
-            db.run(sql, [userId, timezoneIdentifier, userId, userId], function(err) {
+            db.run(sql, [userId, timezoneIdentifier], function(err) {
                 if (err) {
                     console.error('Error setting user timezone:', err);
                     reject(err);
@@ -49,6 +49,28 @@ class DatabaseService {
         });
     }
 
+    /**
+     * Set how a user's timezone is shown in their nickname
+     * @param {string} userId - Discord user ID
+     * @param {string} displayMode - 'offset' or 'abbreviation'
+     * @returns {Promise<boolean>} True if the user exists and was updated
+     */
+    async setUserDisplayMode(userId, displayMode) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDatabase();
+            const sql = 'UPDATE users SET display_mode = ? WHERE user_id = ?';
+            
+            db.run(sql, [displayMode, userId], function(err) {
+                if (err) {
+                    console.error('Error setting user display mode:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
     /**
      * Delete user's timezone data (GDPR compliance)
      * @param {string} userId - Discord user ID
@@ -70,15 +92,48 @@ class DatabaseService {
                         return;
                     }
                     
-                    // Delete user
-                    db.run('DELETE FROM users WHERE user_id = ?', [userId], (err) => {
+                    // Delete stored base nicknames and conflict marks; a base nickname a queued clear still
+                    // has to restore stays until that job finishes (see deleteBaseNickname)
+                    const baseSql = `
+                        DELETE FROM base_nicknames WHERE user_id = ? AND server_id NOT IN (
+                            SELECT server_id FROM nickname_jobs WHERE user_id = ? AND status IN ('pending', 'processing')
+                        )
+                    `;
+
+                    db.run(baseSql, [userId, userId], (err) => {
                         if (err) {
                             db.run('ROLLBACK');
                             reject(err);
-                        } else {
-                            db.run('COMMIT');
-                            resolve(true);
+                            return;
                         }
+                        
+                        db.run('DELETE FROM nickname_conflicts WHERE user_id = ?', [userId], (err) => {
+                            if (err) {
+                                db.run('ROLLBACK');
+                                reject(err);
+                                return;
+                            }
+                            
+                            // Delete working and sleep hours
+                            db.run('DELETE FROM user_hours WHERE user_id = ?', [userId], (err) => {
+                                if (err) {
+                                    db.run('ROLLBACK');
+                                    reject(err);
+                                    return;
+                                }
+                                
+                                // Delete user
+                                db.run('DELETE FROM users WHERE user_id = ?', [userId], (err) => {
+                                    if (err) {
+                                        db.run('ROLLBACK');
+                                        reject(err);
+                                    } else {
+                                        db.run('COMMIT');
+                                        resolve(true);
+                                    }
+                                });
+                            });
+                        });
                     });
                 });
             });
@@ -94,14 +149,14 @@ class DatabaseService {
     async addUserToServer(userId, serverId) {
         return new Promise((resolve, reject) => {
             const db = database.getDatabase();
+            // Leave an existing row alone so joined_at and the decorate preference survive
             const sql = `
-                INSERT OR REPLACE INTO user_servers (user_id, server_id, joined_at)
-                VALUES (?, ?, CASE WHEN EXISTS(SELECT 1 FROM user_servers WHERE user_id = ? AND server_id = ?)
-                                  THEN (SELECT joined_at FROM user_servers WHERE user_id = ? AND server_id = ?)
-                                  ELSE CURRENT_TIMESTAMP END)
+                INSERT INTO user_servers (user_id, server_id)
+                VALUES (?, ?)
+                ON CONFLICT(user_id, server_id) DO NOTHING
             `;
             
-            db.run(sql, [userId, serverId, userId, serverId, userId, serverId], function(err) {
+            db.run(sql, [userId, serverId], function(err) {
                 if (err) {
                     console.error('Error adding user to server:', err);
                     reject(err);
@@ -112,15 +167,120 @@ class DatabaseService {
         });
     }
 
+    /**
+     * Remove a single user-server association and the member's stored base nickname
+     * @param {string} userId - Discord user ID
+     * @param {string} serverId - Discord server ID
+     * @returns {Promise<number>} Number of associations removed
+     */
+    async removeUserFromServer(userId, serverId) {
+        const db = database.getDatabase();
+
+        const removed = await new Promise((resolve, reject) => {
+            db.run('DELETE FROM user_servers WHERE user_id = ? AND server_id = ?', [userId, serverId], function(err) {
+                if (err) {
+                    console.error('Error removing user from server:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes);
+                }
+            });
+        });
+
+        // Discord resets the nickname of a member who leaves, so there is nothing left to restore
+        await new Promise((resolve, reject) => {
+            db.run('DELETE FROM base_nicknames WHERE user_id = ? AND server_id = ?', [userId, serverId], (err) => {
+                if (err) {
+                    console.error('Error removing base nickname:', err);
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+
+        return removed;
+    }
+
+    /**
+     * Remove every user association and per-member nickname state for servers the bot has left
+     * @param {Array<string>} serverIds - Discord server IDs
+     * @returns {Promise<number>} Number of user associations removed
+     */
+    async removeServers(serverIds) {
+        const db = database.getDatabase();
+        let removed = 0;
+
+        // SQLite limits the number of bound parameters per statement
+        const chunkSize = 500;
+
+        for (let i = 0; i < serverIds.length; i += chunkSize) {
+            const chunk = serverIds.slice(i, i + chunkSize);
+            const placeholders = chunk.map(() => '?').join(', ');
+            const sql = `DELETE FROM user_servers WHERE server_id IN (${placeholders})`;
+
+            removed += await new Promise((resolve, reject) => {
+                db.run(sql, chunk, function(err) {
+                    if (err) {
+                        console.error('Error removing servers:', err);
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                });
+            });
+
+            // No shard can process jobs or restore nicknames for these servers any more
+            for (const table of ['nickname_jobs', 'base_nicknames', 'nickname_conflicts']) {
+                await new Promise((resolve, reject) => {
+                    db.run(`DELETE FROM ${table} WHERE server_id IN (${placeholders})`, chunk, (err) => {
+                        if (err) {
+                            console.error(`Error removing ${table} rows for servers:`, err);
+                            reject(err);
+                        } else {
+                            resolve();
+                        }
+                    });
+                });
+            }
+        }
+
+        return removed;
+    }
+
+    /**
+     * Get every distinct server with at least one user association
+     * @returns {Promise<Array<string>>} Array of server IDs
+     */
+    async getAllServerIds() {
+        return new Promise((resolve, reject) => {
+            const db = database.getDatabase();
+            const sql = 'SELECT DISTINCT server_id FROM user_servers';
+            
+            db.all(sql, [], (err, rows) => {
+                if (err) {
+                    console.error('Error getting server IDs:', err);
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => row.server_id));
+                }
+            });
+        });
+    }
+
     /**
      * Get all servers where a user has the bot
      * @param {string} userId - Discord user ID
+     * @param {Object} [options]
+     * @param {boolean} [options.decoratedOnly] - Leave out servers where the user opted out of decoration
      * @returns {Promise<Array>} Array of server IDs
      */
-    async getUserServers(userId) {
+    async getUserServers(userId, { decoratedOnly = false } = {}) {
         return new Promise((resolve, reject) => {
             const db = database.getDatabase();
-            const sql = 'SELECT server_id FROM user_servers WHERE user_id = ?';
+            const sql = decoratedOnly
+                ? 'SELECT server_id FROM user_servers WHERE user_id = ? AND decorate = 1'
+                : 'SELECT server_id FROM user_servers WHERE user_id = ?';
             
             db.all(sql, [userId], (err, rows) => {
                 if (err) {
@@ -133,6 +293,89 @@ class DatabaseService {
         });
     }
 
+    /**
+     * Check whether a user wants their timezone shown in a server
+     * @param {string} userId - Discord user ID
+     * @param {string} serverId - Discord server ID
+     * @returns {Promise<boolean>} False only if the user opted out in this server
+     */
+    async getDecoratePreference(userId, serverId) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDatabase();
+            const sql = 'SELECT decorate FROM user_servers WHERE user_id = ? AND server_id = ?';
+            
+            db.get(sql, [userId, serverId], (err, row) => {
+                if (err) {
+                    console.error('Error getting decorate preference:', err);
+                    reject(err);
+                } else {
+                    resolve(row ? Boolean(row.decorate) : true);
+                }
+            });
+        });
+    }
+
+    /**
+     * Choose whether a user's timezone is shown in a server
+     * @param {string} userId - Discord user ID (must be registered)
+     * @param {string} serverId - Discord server ID
+     * @param {boolean} decorate - Show the timezone in this server
+     * @returns {Promise<boolean>} Success status
+     */
+    async setDecoratePreference(userId, serverId, decorate) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDatabase();
+            const sql = `
+                INSERT INTO user_servers (user_id, server_id, decorate)
+                VALUES (?, ?, ?)
+                ON CONFLICT(user_id, server_id) DO UPDATE SET decorate = excluded.decorate
+            `;
+            
+            db.run(sql, [userId, serverId, decorate ? 1 : 0], function(err) {
+                if (err) {
+                    console.error('Error setting decorate preference:', err);
+                    reject(err);
+                } else {
+                    resolve(true);
+                }
+            });
+        });
+    }
+
+    /**
+     * Get timezone data for a batch of users
+     * @param {Array<string>} userIds - Discord user IDs
+     * @returns {Promise<Array>} User rows for the IDs that are registered
+     */
+    async getUsersByIds(userIds) {
+        const db = database.getDatabase();
+        const rows = [];
+
+        // SQLite limits the number of bound parameters per statement
+        const chunkSize = 500;
+
+        for (let i = 0; i < userIds.length; i += chunkSize) {
+            const chunk = userIds.slice(i, i + chunkSize);
+            const placeholders = chunk.map(() => '?').join(', ');
+            const sql = `SELECT * FROM users WHERE user_id IN (${placeholders})`;
+
+            const chunkRows = await new Promise((resolve, reject) => {
+                db.all(sql, chunk, (err, result) => {
+                    if (err) {
+                        console.error('Error getting users by IDs:', err);
+                        reject(err);
+                    } else {
+                        resolve(result);
+                    }
+                });
+            });
+
+            rows.push(...chunkRows);
+        }
+
+        return rows;
+    }
+
     /**
      * Get all users in a specific timezone
      * @param {string} timezoneIdentifier - Timezone identifier
@@ -154,6 +397,1120 @@ class DatabaseService {
         });
     }
 
+    /**
+     * Get one page of distinct timezones in use, ordered by identifier
+     * @param {string|null} afterTimezone - Last timezone of the previous page (null for the first page)
+     * @param {number} limit - Maximum number of timezones to return
+     * @returns {Promise<Array<string>>} Array of timezone identifiers
+     */
+    async getTimezonesInUsePage(afterTimezone, limit) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDatabase();
+            const sql = `
+                SELECT DISTINCT timezone_identifier
+                FROM users
+                WHERE ? IS NULL OR timezone_identifier > ?
+                ORDER BY timezone_identifier
+                LIMIT ?
+            `;
+            
+            db.all(sql, [afterTimezone, afterTimezone, limit], (err, rows) => {
+                if (err) {
+                    console.error('Error getting timezones in use:', err);
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => row.timezone_identifier));
+                }
+            });
+        });
+    }
+
+    /**
+     * Iterate every distinct timezone in use, in batches
+     * @param {number} [batchSize] - Timezones per batch
+     * @returns {AsyncGenerator<Array<string>>} Batches of timezone identifiers
+     */
+    async *iterateTimezonesInUse(batchSize = 500) {
+        let afterTimezone = null;
+
+        while (true) {
+            const batch = await this.getTimezonesInUsePage(afterTimezone, batchSize);
+            if (batch.length === 0) return;
+
+            yield batch;
+
+            if (batch.length < batchSize) return;
+            afterTimezone = batch[batch.length - 1];
+        }
+    }
+
+    /**
+     * Get one page of users in a timezone, ordered by user ID
+     * @param {string} timezoneIdentifier - Timezone identifier
+     * @param {string|null} afterUserId - Last user ID of the previous page (null for the first page)
+     * @param {number} limit - Maximum number of users to return
+     * @returns {Promise<Array<string>>} Array of user IDs
+     */
+    async getUsersInTimezonePage(timezoneIdentifier, afterUserId, limit) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDatabase();
+            const sql = `
+                SELECT user_id
+                FROM users
+                WHERE timezone_identifier = ? AND (? IS NULL OR user_id > ?)
+                ORDER BY user_id
+                LIMIT ?
+            `;
+            
+            db.all(sql, [timezoneIdentifier, afterUserId, afterUserId, limit], (err, rows) => {
+                if (err) {
+                    console.error('Error getting users in timezone page:', err);
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => row.user_id));
+                }
+            });
+        });
+    }
+
+    /**
+     * Iterate every user in a timezone, in batches
+     * @param {string} timezoneIdentifier - Timezone identifier
+     * @param {number} [batchSize] - Users per batch
+     * @returns {AsyncGenerator<Array<string>>} Batches of user IDs
+     */
+    async *iterateUsersInTimezone(timezoneIdentifier, batchSize = 500) {
+        let afterUserId = null;
+
+        while (true) {
+            const batch = await this.getUsersInTimezonePage(timezoneIdentifier, afterUserId, batchSize);
+            if (batch.length === 0) return;
+
+            yield batch;
+
+            if (batch.length < batchSize) return;
+            afterUserId = batch[batch.length - 1];
+        }
+    }
+
+    /**
+     * Get the cached next DST transition for a timezone
+     * @param {string} timezone - Timezone identifier
+     * @returns {Promise<Object|null>} Schedule row or null if not computed yet
+     */
+    async getDSTSchedule(timezone) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDatabase();
+            const sql = 'SELECT * FROM dst_schedule WHERE timezone = ?';
+            
+            db.get(sql, [timezone], (err, row) => {
+                if (err) {
+                    console.error('Error getting DST schedule:', err);
+                    reject(err);
+                } else {
+                    resolve(row || null);
+                }
+            });
+        });
+    }
+
+    /**
+     * Store the next DST transition for a timezone
+     * @param {string} timezone - Timezone identifier
+     * @param {string|null} nextChangeDate - ISO timestamp of the next transition, or null if none is known
+     * @param {number|null} nextOffset - UTC offset in minutes after the transition
+     * @returns {Promise<boolean>} Success status
+     */
+    async setDSTSchedule(timezone, nextChangeDate, nextOffset) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDatabase();
+            const sql = `
+                INSERT OR REPLACE INTO dst_schedule (timezone, next_change_date, next_offset, updated_at)
+                VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+            `;
+            
+            db.run(sql, [timezone, nextChangeDate, nextOffset], function(err) {
+                if (err) {
+                    console.error('Error setting DST schedule:', err);
+                    reject(err);
+                } else {
+                    resolve(true);
+                }
+            });
+        });
+    }
+
+    /**
+     * Get a stored service state value
+     * @param {string} key - State key
+     * @returns {Promise<string|null>} Stored value or null if not set
+     */
+    async getServiceState(key) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDatabase();
+            const sql = 'SELECT value FROM service_state WHERE key = ?';
+            
+            db.get(sql, [key], (err, row) => {
+                if (err) {
+                    console.error('Error getting service state:', err);
+                    reject(err);
+                } else {
+                    resolve(row ? row.value : null);
+                }
+            });
+        });
+    }
+
+    /**
+     * Store a service state value
+     * @param {string} key - State key
+     * @param {string} value - Value to store
+     * @returns {Promise<boolean>} Success status
+     */
+    async setServiceState(key, value) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDatabase();
+            const sql = `
+                INSERT OR REPLACE INTO service_state (key, value, updated_at)
+                VALUES (?, ?, CURRENT_TIMESTAMP)
+            `;
+            
+            db.run(sql, [key, value], function(err) {
+                if (err) {
+                    console.error('Error setting service state:', err);
+                    reject(err);
+                } else {
+                    resolve(true);
+                }
+            });
+        });
+    }
+
+    /**
+     * Get a server's nickname template
+     * @param {string} serverId - Discord server ID
+     * @returns {Promise<Object|null>} { template, previous_templates, offset_style, clock_interval_minutes, ellipsis } or null if the server uses the defaults
+     */
+    async getNicknameTemplate(serverId) {
+        const db = database.getDatabase();
+
+        const row = await new Promise((resolve, reject) => {
+            const sql = `
+                SELECT template, offset_style, clock_interval_minutes, ellipsis
+                FROM guild_nickname_templates WHERE server_id = ?
+            `;
+
+            db.get(sql, [serverId], (err, result) => {
+                if (err) {
+                    console.error('Error getting nickname template:', err);
+                    reject(err);
+                } else {
+                    resolve(result || null);
+                }
+            });
+        });
+
+        if (!row) {
+            return null;
+        }
+
+        const previousTemplates = await new Promise((resolve, reject) => {
+            const sql = `
+                SELECT template FROM guild_previous_templates
+                WHERE server_id = ?
+                ORDER BY replaced_at DESC, rowid DESC
+            `;
+
+            db.all(sql, [serverId], (err, rows) => {
+                if (err) {
+                    console.error('Error getting previous nickname templates:', err);
+                    reject(err);
+                } else {
+                    resolve(rows.map(previous => previous.template));
+                }
+            });
+        });
+
+        return { ...row, previous_templates: previousTemplates };
+    }
+
+    /**
+     * Set a server's nickname format, remembering the template it replaces until it is migrated
+     * @param {string} serverId - Discord server ID
+     * @param {Object} format
+     * @param {string} format.template - Nickname template
+     * @param {string|null} format.offsetStyle - Offset style (null for the default)
+     * @param {number|null} format.clockIntervalMinutes - Live clock refresh interval (null turns the clock off)
+     * @param {boolean} [format.ellipsis] - Mark shortened names with …
+     * @returns {Promise<boolean>} Success status
+     */
+    async setNicknameTemplate(serverId, { template, offsetStyle, clockIntervalMinutes, ellipsis = false }) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDatabase();
+            const statements = [
+                // The replaced template
+                [`
+                    INSERT OR IGNORE INTO guild_previous_templates (server_id, template)
+                    SELECT server_id, template FROM guild_nickname_templates
+                    WHERE server_id = ? AND template != ?
+                `, [serverId, template]],
+                // Going back to an older template makes it current again
+                ['DELETE FROM guild_previous_templates WHERE server_id = ? AND template = ?', [serverId, template]],
+                [`
+                    INSERT INTO guild_nickname_templates (server_id, template, offset_style, clock_interval_minutes, ellipsis)
+                    VALUES (?, ?, ?, ?, ?)
+                    ON CONFLICT (server_id) DO UPDATE SET
+                        template = excluded.template,
+                        offset_style = excluded.offset_style,
+                        clock_interval_minutes = excluded.clock_interval_minutes,
+                        ellipsis = excluded.ellipsis,
+                        updated_at = CURRENT_TIMESTAMP
+                `, [serverId, template, offsetStyle, clockIntervalMinutes, ellipsis ? 1 : 0]]
+            ];
+
+            // Each statement runs once the one before it succeeded
+            const runFrom = (index) => {
+                if (index === statements.length) {
+                    db.run('COMMIT', (err) => err ? reject(err) : resolve(true));
+                    return;
+                }
+
+                const [sql, params] = statements[index];
+                db.run(sql, params, (err) => {
+                    if (err) {
+                        console.error('Error setting nickname template:', err);
+                        db.run('ROLLBACK');
+                        reject(err);
+                        return;
+                    }
+
+                    runFrom(index + 1);
+                });
+            };
+
+            db.serialize(() => {
+                db.run('BEGIN TRANSACTION');
+                runFrom(0);
+            });
+        });
+    }
+
+    /**
+     * Forget previous templates once every member has been re-rendered with the current one
+     * @param {string} serverId - Discord server ID
+     * @param {Array<string>} templates - Previous templates the finished re-render migrated away from
+     * @returns {Promise<number>} Number of templates forgotten
+     */
+    async clearPreviousTemplates(serverId, templates) {
+        if (templates.length === 0) {
+            return 0;
+        }
+
+        return new Promise((resolve, reject) => {
+            const db = database.getDatabase();
+            const placeholders = templates.map(() => '?').join(', ');
+
+            db.run(`DELETE FROM guild_previous_templates WHERE server_id = ? AND template IN (${placeholders})`, [serverId, ...templates], function(err) {
+                if (err) {
+                    console.error('Error clearing previous nickname templates:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes);
+                }
+            });
+        });
+    }
+
+    /**
+     * Get every server with the live clock turned on
+     * @returns {Promise<Array>} Rows of { server_id, clock_interval_minutes }
+     */
+    async getClockServers() {
+        return new Promise((resolve, reject) => {
+            const db = database.getDatabase();
+            const sql = `
+                SELECT server_id, clock_interval_minutes FROM guild_nickname_templates
+                WHERE clock_interval_minutes IS NOT NULL
+            `;
+            
+            db.all(sql, [], (err, rows) => {
+                if (err) {
+                    console.error('Error getting clock servers:', err);
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    /**
+     * Get the registered members of a server with their timezones
+     * @param {string} serverId - Discord server ID
+     * @returns {Promise<Array>} Rows of { user_id, timezone_identifier, decorate }
+     */
+    async getServerUsers(serverId) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDatabase();
+            const sql = `
+                SELECT u.user_id, u.timezone_identifier, us.decorate
+                FROM user_servers us
+                JOIN users u ON u.user_id = us.user_id
+                WHERE us.server_id = ?
+            `;
+            
+            db.all(sql, [serverId], (err, rows) => {
+                if (err) {
+                    console.error('Error getting server users:', err);
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    /**
+     * Get a member's stored base nickname
+     * @param {string} userId - Discord user ID
+     * @param {string} serverId - Discord server ID
+     * @returns {Promise<Object|null>} { base_nickname } (null inside when they had no nickname), or null if none is stored
+     */
+    async getBaseNickname(userId, serverId) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDatabase();
+            const sql = 'SELECT base_nickname FROM base_nicknames WHERE user_id = ? AND server_id = ?';
+            
+            db.get(sql, [userId, serverId], (err, row) => {
+                if (err) {
+                    console.error('Error getting base nickname:', err);
+                    reject(err);
+                } else {
+                    resolve(row || null);
+                }
+            });
+        });
+    }
+
+    /**
+     * Store a member's base nickname
+     * @param {string} userId - Discord user ID
+     * @param {string} serverId - Discord server ID
+     * @param {string|null} baseNickname - Nickname without decoration (null for none)
+     * @returns {Promise<boolean>} Success status
+     */
+    async setBaseNickname(userId, serverId, baseNickname) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDatabase();
+            const sql = `
+                INSERT INTO base_nicknames (user_id, server_id, base_nickname) VALUES (?, ?, ?)
+                ON CONFLICT (user_id, server_id) DO UPDATE SET
+                    base_nickname = excluded.base_nickname,
+                    updated_at = CURRENT_TIMESTAMP
+            `;
+            
+            db.run(sql, [userId, serverId, baseNickname], function(err) {
+                if (err) {
+                    console.error('Error saving base nickname:', err);
+                    reject(err);
+                } else {
+                    resolve(true);
+                }
+            });
+        });
+    }
+
+    /**
+     * Forget a member's base nickname in one server, e.g. once a queued clear for a deleted user has run
+     * @param {string} userId - Discord user ID
+     * @param {string} serverId - Discord server ID
+     * @returns {Promise<boolean>} True if a row was removed
+     */
+    async deleteBaseNickname(userId, serverId) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDatabase();
+            
+            db.run('DELETE FROM base_nicknames WHERE user_id = ? AND server_id = ?', [userId, serverId], function(err) {
+                if (err) {
+                    console.error('Error deleting base nickname:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    /**
+     * Get a member's active nickname conflict
+     * @param {string} userId - Discord user ID
+     * @param {string} serverId - Discord server ID
+     * @param {number} now - Epoch milliseconds; expired conflicts are ignored
+     * @returns {Promise<Object|null>} nickname_conflicts row or null
+     */
+    async getNicknameConflict(userId, serverId, now) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDatabase();
+            const sql = 'SELECT * FROM nickname_conflicts WHERE user_id = ? AND server_id = ? AND expires_at > ?';
+            
+            db.get(sql, [userId, serverId, now], (err, row) => {
+                if (err) {
+                    console.error('Error getting nickname conflict:', err);
+                    reject(err);
+                } else {
+                    resolve(row || null);
+                }
+            });
+        });
+    }
+
+    /**
+     * Mark a member as conflicted, replacing any earlier mark
+     * @param {Object} conflict
+     * @param {string} conflict.userId - Discord user ID
+     * @param {string} conflict.serverId - Discord server ID
+     * @param {string|null} conflict.actorId - Who last changed the nickname, if known
+     * @param {number} conflict.reapplications - Re-applications that triggered the mark
+     * @param {number} conflict.detectedAt - Epoch milliseconds
+     * @param {number} conflict.expiresAt - Epoch milliseconds when re-applying resumes
+     * @returns {Promise<boolean>} Success status
+     */
+    async setNicknameConflict({ userId, serverId, actorId, reapplications, detectedAt, expiresAt }) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDatabase();
+            const sql = `
+                INSERT OR REPLACE INTO nickname_conflicts (user_id, server_id, actor_id, reapplications, detected_at, expires_at)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `;
+            
+            db.run(sql, [userId, serverId, actorId, reapplications, detectedAt, expiresAt], function(err) {
+                if (err) {
+                    console.error('Error saving nickname conflict:', err);
+                    reject(err);
+                } else {
+                    resolve(true);
+                }
+            });
+        });
+    }
+
+    /**
+     * Clear a user's conflict marks
+     * @param {string} userId - Discord user ID
+     * @param {string} [serverId] - Only clear the mark in this server
+     * @returns {Promise<number>} Number of marks removed
+     */
+    async deleteNicknameConflicts(userId, serverId = null) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDatabase();
+            const sql = serverId
+                ? 'DELETE FROM nickname_conflicts WHERE user_id = ? AND server_id = ?'
+                : 'DELETE FROM nickname_conflicts WHERE user_id = ?';
+            
+            db.run(sql, serverId ? [userId, serverId] : [userId], function(err) {
+                if (err) {
+                    console.error('Error deleting nickname conflicts:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes);
+                }
+            });
+        });
+    }
+
+    /**
+     * Get a server's stored settings
+     * @param {string} serverId - Discord server ID
+     * @returns {Promise<Array>} Rows of { key, value } with serialized values
+     */
+    async getGuildSettings(serverId) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDatabase();
+            const sql = 'SELECT key, value FROM guild_settings WHERE server_id = ?';
+            
+            db.all(sql, [serverId], (err, rows) => {
+                if (err) {
+                    console.error('Error getting guild settings:', err);
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    /**
+     * Store one server setting
+     * @param {string} serverId - Discord server ID
+     * @param {string} key - Setting key
+     * @param {string} value - Serialized value
+     * @returns {Promise<boolean>} Success status
+     */
+    async setGuildSetting(serverId, key, value) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDatabase();
+            const sql = `
+                INSERT INTO guild_settings (server_id, key, value) VALUES (?, ?, ?)
+                ON CONFLICT (server_id, key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
+            `;
+            
+            db.run(sql, [serverId, key, value], function(err) {
+                if (err) {
+                    console.error('Error saving guild setting:', err);
+                    reject(err);
+                } else {
+                    resolve(true);
+                }
+            });
+        });
+    }
+
+    /**
+     * Remove stored server settings so their defaults apply again
+     * @param {string} serverId - Discord server ID
+     * @param {string} [key] - Only remove this setting
+     * @returns {Promise<number>} Number of settings removed
+     */
+    async deleteGuildSettings(serverId, key = null) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDatabase();
+            const sql = key
+                ? 'DELETE FROM guild_settings WHERE server_id = ? AND key = ?'
+                : 'DELETE FROM guild_settings WHERE server_id = ?';
+            
+            db.run(sql, key ? [serverId, key] : [serverId], function(err) {
+                if (err) {
+                    console.error('Error deleting guild settings:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes);
+                }
+            });
+        });
+    }
+
+    /**
+     * Get a user's working and sleep hours
+     * @param {string} userId - Discord user ID
+     * @returns {Promise<Array<Object>>} Rows of { weekday, work_start, work_end, sleep_start, sleep_end }
+     */
+    async getUserHours(userId) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDatabase();
+            const sql = 'SELECT weekday, work_start, work_end, sleep_start, sleep_end FROM user_hours WHERE user_id = ? ORDER BY weekday';
+            
+            db.all(sql, [userId], (err, rows) => {
+                if (err) {
+                    console.error('Error getting user hours:', err);
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    /**
+     * Store working and/or sleep hours for some weekdays, leaving the other kind as it was
+     * @param {string} userId - Discord user ID
+     * @param {Array<number>} weekdays - Weekdays to change (1 = Monday)
+     * @param {Object} hours
+     * @param {Object|null} [hours.work] - { start, end } in minutes, null for none; left unchanged if undefined
+     * @param {Object|null} [hours.sleep] - { start, end } in minutes, null for none; left unchanged if undefined
+     * @returns {Promise<boolean>} Success status
+     */
+    async setUserHours(userId, weekdays, { work, sleep } = {}) {
+        const columns = [];
+        if (work !== undefined) {
+            columns.push(['work_start', work?.start ?? null], ['work_end', work?.end ?? null]);
+        }
+        if (sleep !== undefined) {
+            columns.push(['sleep_start', sleep?.start ?? null], ['sleep_end', sleep?.end ?? null]);
+        }
+
+        if (columns.length === 0 || weekdays.length === 0) {
+            return true;
+        }
+
+        return new Promise((resolve, reject) => {
+            const db = database.getDatabase();
+            const names = columns.map(([name]) => name);
+            const sql = `
+                INSERT INTO user_hours (user_id, weekday, ${names.join(', ')})
+                VALUES ${weekdays.map(() => `(?, ?, ${names.map(() => '?').join(', ')})`).join(', ')}
+                ON CONFLICT(user_id, weekday) DO UPDATE SET
+                    ${names.map(name => `${name} = excluded.${name}`).join(', ')},
+                    updated_at = CURRENT_TIMESTAMP
+            `;
+            const params = weekdays.flatMap(weekday => [userId, weekday, ...columns.map(([, value]) => value)]);
+            
+            db.run(sql, params, function(err) {
+                if (err) {
+                    console.error('Error saving user hours:', err);
+                    reject(err);
+                } else {
+                    resolve(true);
+                }
+            });
+        });
+    }
+
+    /**
+     * Get how a server shows timezones as roles
+     * @param {string} serverId - Discord server ID
+     * @returns {Promise<string|null>} 'offset', 'region', or null if the server uses nicknames
+     */
+    async getRoleMode(serverId) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDatabase();
+            const sql = 'SELECT mode FROM guild_role_modes WHERE server_id = ?';
+            
+            db.get(sql, [serverId], (err, row) => {
+                if (err) {
+                    console.error('Error getting role mode:', err);
+                    reject(err);
+                } else {
+                    resolve(row?.mode ?? null);
+                }
+            });
+        });
+    }
+
+    /**
+     * Set or clear a server's role mode
+     * @param {string} serverId - Discord server ID
+     * @param {string|null} mode - 'offset' or 'region'; null goes back to nicknames
+     * @returns {Promise<boolean>} Success status
+     */
+    async setRoleMode(serverId, mode) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDatabase();
+            const sql = mode
+                ? `INSERT INTO guild_role_modes (server_id, mode) VALUES (?, ?)
+                   ON CONFLICT (server_id) DO UPDATE SET mode = excluded.mode, updated_at = CURRENT_TIMESTAMP`
+                : 'DELETE FROM guild_role_modes WHERE server_id = ?';
+            
+            db.run(sql, mode ? [serverId, mode] : [serverId], function(err) {
+                if (err) {
+                    console.error('Error setting role mode:', err);
+                    reject(err);
+                } else {
+                    resolve(true);
+                }
+            });
+        });
+    }
+
+    /**
+     * Get the timezone roles the bot manages in a server
+     * @param {string} serverId - Discord server ID
+     * @returns {Promise<Array>} Rows of { role_key, role_id, adopted }
+     */
+    async getTimezoneRoles(serverId) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDatabase();
+            const sql = 'SELECT role_key, role_id, adopted FROM timezone_roles WHERE server_id = ? ORDER BY role_key';
+            
+            db.all(sql, [serverId], (err, rows) => {
+                if (err) {
+                    console.error('Error getting timezone roles:', err);
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    /**
+     * Record a timezone role the bot created or adopted
+     * @param {string} serverId - Discord server ID
+     * @param {string} roleKey - Role name, e.g. UTC+2 or Europe
+     * @param {string} roleId - Discord role ID
+     * @param {Object} [options]
+     * @param {boolean} [options.adopted=false] - The role already existed on the server, so it must never be deleted
+     * @returns {Promise<boolean>} Success status
+     */
+    async setTimezoneRole(serverId, roleKey, roleId, { adopted = false } = {}) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDatabase();
+            const sql = `
+                INSERT INTO timezone_roles (server_id, role_key, role_id, adopted) VALUES (?, ?, ?, ?)
+                ON CONFLICT (server_id, role_key) DO UPDATE SET role_id = excluded.role_id, adopted = excluded.adopted, created_at = CURRENT_TIMESTAMP
+            `;
+            
+            db.run(sql, [serverId, roleKey, roleId, adopted ? 1 : 0], function(err) {
+                if (err) {
+                    console.error('Error saving timezone role:', err);
+                    reject(err);
+                } else {
+                    resolve(true);
+                }
+            });
+        });
+    }
+
+    /**
+     * Forget a timezone role
+     * @param {string} serverId - Discord server ID
+     * @param {string} roleKey - Role name
+     * @returns {Promise<boolean>} True if a row was removed
+     */
+    async deleteTimezoneRole(serverId, roleKey) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDatabase();
+            const sql = 'DELETE FROM timezone_roles WHERE server_id = ? AND role_key = ?';
+            
+            db.run(sql, [serverId, roleKey], function(err) {
+                if (err) {
+                    console.error('Error deleting timezone role:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    /**
+     * Queue a nickname job, replacing any pending job for the same member
+     * @param {Object} job
+     * @param {string} job.userId - Discord user ID
+     * @param {string} job.serverId - Discord server ID
+     * @param {string} job.action - Nickname action ('apply' or 'clear')
+     * @param {string|null} job.timezone - Timezone identifier (apply only)
+     * @param {number} nextAttemptAt - Epoch milliseconds of the earliest attempt
+     * @param {string|null} [lastError] - Error that caused the job to be queued
+     * @param {number} [attempts] - Failed attempts already made, e.g. the direct write that hit a rate limit
+     * @returns {Promise<boolean>} Success status
+     */
+    async enqueueNicknameJob({ userId, serverId, action, timezone }, nextAttemptAt, lastError = null, attempts = 0) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDatabase();
+            const sql = `
+                INSERT INTO nickname_jobs (user_id, server_id, action, timezone, status, attempts, next_attempt_at, last_error)
+                VALUES (?, ?, ?, ?, 'pending', ?, ?, ?)
+                ON CONFLICT (user_id, server_id) WHERE status = 'pending' DO UPDATE SET
+                    action = excluded.action,
+                    timezone = excluded.timezone,
+                    attempts = MAX(nickname_jobs.attempts, excluded.attempts),
+                    next_attempt_at = MAX(nickname_jobs.next_attempt_at, excluded.next_attempt_at),
+                    last_error = COALESCE(excluded.last_error, nickname_jobs.last_error),
+                    updated_at = CURRENT_TIMESTAMP
+            `;
+            
+            db.run(sql, [userId, serverId, action, timezone, attempts, nextAttemptAt, lastError], function(err) {
+                if (err) {
+                    console.error('Error enqueueing nickname job:', err);
+                    reject(err);
+                } else {
+                    resolve(true);
+                }
+            });
+        });
+    }
+
+    /**
+     * Get pending nickname jobs that are due in a set of servers
+     * @param {number} now - Epoch milliseconds
+     * @param {number} limit - Maximum number of jobs to return
+     * @param {Array<string>} serverIds - Servers to take jobs from (e.g. the guilds on one shard)
+     * @returns {Promise<Array>} Job rows, oldest due first
+     */
+    async getDueNicknameJobs(now, limit, serverIds) {
+        const db = database.getDatabase();
+        const rows = [];
+
+        // SQLite limits the number of bound parameters per statement
+        const chunkSize = 500;
+
+        for (let i = 0; i < serverIds.length; i += chunkSize) {
+            const chunk = serverIds.slice(i, i + chunkSize);
+            const placeholders = chunk.map(() => '?').join(', ');
+            const sql = `
+                SELECT * FROM nickname_jobs
+                WHERE status = 'pending' AND next_attempt_at <= ? AND server_id IN (${placeholders})
+                ORDER BY next_attempt_at
+                LIMIT ?
+            `;
+
+            const chunkRows = await new Promise((resolve, reject) => {
+                db.all(sql, [now, ...chunk, limit], (err, result) => {
+                    if (err) {
+                        console.error('Error getting due nickname jobs:', err);
+                        reject(err);
+                    } else {
+                        resolve(result);
+                    }
+                });
+            });
+
+            rows.push(...chunkRows);
+        }
+
+        return rows
+            .sort((a, b) => a.next_attempt_at - b.next_attempt_at)
+            .slice(0, limit);
+    }
+
+    /**
+     * Claim a pending nickname job so no other shard processes it
+     * @param {number} jobId - Job ID
+     * @returns {Promise<boolean>} True if this caller claimed the job
+     */
+    async claimNicknameJob(jobId) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDatabase();
+            const sql = `
+                UPDATE nickname_jobs
+                SET status = 'processing', updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND status = 'pending'
+            `;
+            
+            db.run(sql, [jobId], function(err) {
+                if (err) {
+                    console.error('Error claiming nickname job:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes === 1);
+                }
+            });
+        });
+    }
+
+    /**
+     * Put a claimed job back in the queue for a later attempt
+     * @param {number} jobId - Job ID
+     * @param {number} attempts - Attempts made so far
+     * @param {number} nextAttemptAt - Epoch milliseconds of the next attempt
+     * @param {string|null} lastError - Error from the last attempt
+     * @returns {Promise<boolean>} Success status
+     */
+    async rescheduleNicknameJob(jobId, attempts, nextAttemptAt, lastError) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDatabase();
+            // A newer pending job for the same member supersedes this one
+            const sql = `
+                UPDATE OR IGNORE nickname_jobs
+                SET status = 'pending', attempts = ?, next_attempt_at = ?, last_error = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `;
+            
+            db.run(sql, [attempts, nextAttemptAt, lastError, jobId], function(err) {
+                if (err) {
+                    console.error('Error rescheduling nickname job:', err);
+                    reject(err);
+                } else if (this.changes === 0) {
+                    db.run('DELETE FROM nickname_jobs WHERE id = ?', [jobId], (deleteErr) => {
+                        if (deleteErr) {
+                            reject(deleteErr);
+                        } else {
+                            resolve(true);
+                        }
+                    });
+                } else {
+                    resolve(true);
+                }
+            });
+        });
+    }
+
+    /**
+     * Mark a nickname job as permanently failed
+     * @param {number} jobId - Job ID
+     * @param {number} attempts - Attempts made
+     * @param {string} lastError - Error from the last attempt
+     * @returns {Promise<boolean>} Success status
+     */
+    async failNicknameJob(jobId, attempts, lastError) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDatabase();
+            const sql = `
+                UPDATE nickname_jobs
+                SET status = 'failed', attempts = ?, last_error = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `;
+            
+            db.run(sql, [attempts, lastError, jobId], function(err) {
+                if (err) {
+                    console.error('Error failing nickname job:', err);
+                    reject(err);
+                } else {
+                    resolve(true);
+                }
+            });
+        });
+    }
+
+    /**
+     * Remove a finished nickname job
+     * @param {number} jobId - Job ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteNicknameJob(jobId) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDatabase();
+            
+            db.run('DELETE FROM nickname_jobs WHERE id = ?', [jobId], function(err) {
+                if (err) {
+                    console.error('Error deleting nickname job:', err);
+                    reject(err);
+                } else {
+                    resolve(true);
+                }
+            });
+        });
+    }
+
+    /**
+     * Return jobs left in 'processing' (e.g. by a crashed shard) to the queue
+     * @param {number} olderThanSeconds - Minimum time since the job was claimed
+     * @returns {Promise<number>} Number of jobs released or merged into a newer pending job
+     */
+    async releaseStaleNicknameJobs(olderThanSeconds) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDatabase();
+            const params = [`-${olderThanSeconds} seconds`];
+            let released = 0;
+
+            // A newer pending job for the same member supersedes the stale one, which could
+            // not go back to pending next to it anyway
+            const mergeSql = `
+                DELETE FROM nickname_jobs
+                WHERE status = 'processing' AND updated_at <= datetime('now', ?)
+                AND EXISTS (
+                    SELECT 1 FROM nickname_jobs pending
+                    WHERE pending.user_id = nickname_jobs.user_id
+                    AND pending.server_id = nickname_jobs.server_id
+                    AND pending.status = 'pending'
+                )
+            `;
+            const releaseSql = `
+                UPDATE nickname_jobs
+                SET status = 'pending', updated_at = CURRENT_TIMESTAMP
+                WHERE status = 'processing' AND updated_at <= datetime('now', ?)
+            `;
+
+            db.serialize(() => {
+                db.run('BEGIN TRANSACTION');
+
+                db.run(mergeSql, params, function(err) {
+                    if (err) {
+                        console.error('Error merging stale nickname jobs:', err);
+                        db.run('ROLLBACK');
+                        reject(err);
+                        return;
+                    }
+
+                    released += this.changes;
+                });
+
+                db.run(releaseSql, params, function(err) {
+                    if (err) {
+                        console.error('Error releasing stale nickname jobs:', err);
+                        db.run('ROLLBACK');
+                        reject(err);
+                        return;
+                    }
+
+                    released += this.changes;
+
+                    db.run('COMMIT', (commitErr) => {
+                        if (commitErr) {
+                            reject(commitErr);
+                        } else {
+                            resolve(released);
+                        }
+                    });
+                });
+            });
+        });
+    }
+
+    /**
+     * List nickname jobs with a given status
+     * @param {string} status - 'pending', 'processing' or 'failed'
+     * @param {Object} [options]
+     * @param {string} [options.serverId] - Only return jobs for this server
+     * @param {number} [options.limit] - Maximum number of jobs to return
+     * @returns {Promise<Array>} Job rows, most recently updated first
+     */
+    async getNicknameJobs(status, { serverId = null, limit = 25 } = {}) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDatabase();
+            const sql = `
+                SELECT * FROM nickname_jobs
+                WHERE status = ? AND (? IS NULL OR server_id = ?)
+                ORDER BY updated_at DESC, id DESC
+                LIMIT ?
+            `;
+            
+            db.all(sql, [status, serverId, serverId, limit], (err, rows) => {
+                if (err) {
+                    console.error('Error getting nickname jobs:', err);
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    /**
+     * Count nickname jobs by status
+     * @param {string} [serverId] - Only count jobs for this server
+     * @returns {Promise<Object>} Counts keyed by status
+     */
+    async getNicknameJobCounts(serverId = null) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDatabase();
+            const sql = `
+                SELECT status, COUNT(*) as count FROM nickname_jobs
+                WHERE ? IS NULL OR server_id = ?
+                GROUP BY status
+            `;
+            
+            db.all(sql, [serverId, serverId], (err, rows) => {
+                if (err) {
+                    console.error('Error counting nickname jobs:', err);
+                    reject(err);
+                } else {
+                    const counts = { pending: 0, processing: 0, failed: 0 };
+                    for (const row of rows) {
+                        counts[row.status] = row.count;
+                    }
+                    resolve(counts);
+                }
+            });
+        });
+    }
+
+    /**
+     * Move failed nickname jobs back to pending for another round of attempts
+     * @param {string} [serverId] - Only retry jobs for this server
+     * @returns {Promise<number>} Number of jobs requeued
+     */
+    async retryFailedNicknameJobs(serverId = null) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDatabase();
+            // Failed jobs for members that already have a newer pending job stay failed
+            const sql = `
+                UPDATE OR IGNORE nickname_jobs
+                SET status = 'pending', attempts = 0, next_attempt_at = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE status = 'failed' AND (? IS NULL OR server_id = ?)
+            `;
+            
+            db.run(sql, [Date.now(), serverId, serverId], function(err) {
+                if (err) {
+                    console.error('Error retrying failed nickname jobs:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes);
+                }
+            });
+        });
+    }
+
     /**
      * Get statistics about timezone usage
      * @returns {Promise<Object>} Usage statistics
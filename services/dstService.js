@@ -1,12 +1,29 @@
 const { DateTime } = require('luxon');
 const databaseService = require('./databaseService');
 const timezoneService = require('./timezoneService');
+const nicknameService = require('./nicknameService');
 const { logger } = require('../utils/logger');
 
+const LAST_RUN_KEY = 'dst_last_run';
+
+// Bump when the rendering of offsets changes so existing nicknames are re-rendered once
+const OFFSET_FORMAT_KEY = 'offset_format_version';
+const OFFSET_FORMAT_VERSION = '2'; // 2: non-hour offsets as UTC+5:45 instead of UTC+5.75
+
 class DSTService {
     constructor() {
         this.isRunning = false;
         this.intervalId = null;
+
+        // Timers armed for transitions that fall before the next hourly check
+        this.transitionTimers = new Map();
+        this.timerWindowMs = 2 * 60 * 60 * 1000; // 2 hours
+
+        // How long a computed schedule row is trusted before it is recomputed
+        this.scheduleMaxAgeMs = 24 * 60 * 60 * 1000; // 24 hours
+
+        // Timezones and users loaded from the database per batch
+        this.batchSize = 500;
     }
 
     /**
@@ -19,12 +36,20 @@ class DSTService {
         }
 
         console.log('🌍 Starting DST monitoring service...');
+
+        // Fix anything missed while offline, then build the schedule right away
+        // so transitions in the next hour are not missed
+        this.startupPromise = this.catchUpMissedTransitions()
+            .then(() => this.checkDSTChanges())
+            .catch(error => {
+                console.error('❌ DST check error:', error);
+            });
         
         // Calculate milliseconds until next hour
         const now = new Date();
         const msUntilNextHour = (60 - now.getMinutes()) * 60 * 1000 - now.getSeconds() * 1000 - now.getMilliseconds();
         
-        console.log(`⏰ Scheduling first DST check in ${Math.round(msUntilNextHour / 1000 / 60)} minutes (at ${String(now.getHours() + 1).padStart(2, '0')}:00)`);
+        console.log(`⏰ Scheduling next DST check in ${Math.round(msUntilNextHour / 1000 / 60)} minutes (at ${String(now.getHours() + 1).padStart(2, '0')}:00)`);
         
         // Set timeout for the first check at the next hour
         this.initialTimeoutId = setTimeout(() => {
@@ -58,46 +83,64 @@ class DSTService {
             clearTimeout(this.initialTimeoutId);
             this.initialTimeoutId = null;
         }
+        for (const timeoutId of this.transitionTimers.values()) {
+            clearTimeout(timeoutId);
+        }
+        this.transitionTimers.clear();
         this.isRunning = false;
         console.log('🛑 DST monitoring service stopped');
     }
 
     /**
-     * Check for DST changes in timezones where it's currently 5am
+     * Refresh the DST schedule for every timezone in use and apply any transitions that are due
      */
     async checkDSTChanges() {
         try {
             console.log('🔍 Checking for DST changes...');
 
-            // Get all unique timezones from database
-            const stats = await databaseService.getStats();
-            const timezonesInUse = stats.popularTimezones.map(tz => tz.timezone_identifier);
+            let timezonesChecked = 0;
+            let timezonesUpdated = 0;
+            let failures = 0;
 
-            if (timezonesInUse.length === 0) {
-                console.log('📭 No timezones in use, skipping DST check');
-                return;
-            }
+            // Walk every distinct timezone in use, a batch at a time
+            for await (const batch of databaseService.iterateTimezonesInUse(this.batchSize)) {
+                timezonesChecked += batch.length;
 
-            console.log(`🌍 Checking ${timezonesInUse.length} timezones for DST changes`);
+                const timezonesToUpdate = [];
 
-            const timezonesToUpdate = [];
+                for (const timezone of batch) {
+                    try {
+                        const dstChanged = await this.checkTimezoneForDST(timezone);
+                        if (dstChanged) {
+                            timezonesToUpdate.push(timezone);
+                        }
+                    } catch (error) {
+                        console.error(`❌ Error checking DST for ${timezone}:`, error.message);
+                    }
+                }
 
-            for (const timezone of timezonesInUse) {
-                try {
-                    const dstChanged = await this.checkTimezoneForDST(timezone);
-                    if (dstChanged) {
-                        timezonesToUpdate.push(timezone);
+                if (timezonesToUpdate.length > 0) {
+                    console.log(`🔄 DST changes detected in ${timezonesToUpdate.length} timezone(s):`, timezonesToUpdate);
+                    const { failed } = await this.updateUsersForDSTChanges(timezonesToUpdate);
+                    timezonesUpdated += timezonesToUpdate.length;
+                    failures += failed;
+
+                    // Move the schedule on to each zone's following transition
+                    for (const timezone of timezonesToUpdate) {
+                        await this.refreshSchedule(timezone);
                     }
-                } catch (error) {
-                    console.error(`❌ Error checking DST for ${timezone}:`, error.message);
                 }
             }
 
-            if (timezonesToUpdate.length > 0) {
-                console.log(`🔄 DST changes detected in ${timezonesToUpdate.length} timezone(s):`, timezonesToUpdate);
-                await this.updateUsersForDSTChanges(timezonesToUpdate);
-            } else {
-                console.log('✅ No DST changes detected');
+            if (timezonesChecked === 0) {
+                console.log('📭 No timezones in use, skipping DST check');
+            } else if (timezonesUpdated === 0) {
+                console.log(`✅ No DST changes detected across ${timezonesChecked} timezone(s)`);
+            }
+
+            // Leave the marker behind so the next catch-up retries members that failed
+            if (failures === 0) {
+                await this.recordSuccessfulRun();
             }
 
         } catch (error) {
@@ -107,37 +150,41 @@ class DSTService {
     }
 
     /**
-     * Check if a specific timezone has DST change and it's currently 5am there
+     * Check a timezone's stored transition, refreshing it when missing or stale and
+     * arming a timer when it falls before the next hourly check
      * @param {string} timezone - Timezone identifier
-     * @returns {boolean} True if DST changed and it's 5am
+     * @returns {boolean} True if a stored transition has passed and users need updating now
      */
     async checkTimezoneForDST(timezone) {
         try {
-            const now = DateTime.now().setZone(timezone);
-            
-            // Only check if it's currently 5am in this timezone
-            if (now.hour !== 5) {
-                return false;
-            }
+            const now = DateTime.utc();
+            let schedule = await databaseService.getDSTSchedule(timezone);
 
-            console.log(`⏰ It's 5am in ${timezone}, checking for DST change...`);
+            if (schedule?.next_change_date) {
+                const changeAt = DateTime.fromISO(schedule.next_change_date, { zone: 'utc' });
 
-            // Get yesterday's offset at this same time
-            const yesterday = now.minus({ days: 1 });
-            
-            // Compare offsets
-            const todayOffset = now.offset;
-            const yesterdayOffset = yesterday.offset;
-
-            if (todayOffset !== yesterdayOffset) {
-                const todayOffsetStr = timezoneService.getCurrentOffset(timezone);
-                console.log(`🔄 DST change detected in ${timezone}: ${yesterdayOffset}min → ${todayOffset}min (${todayOffsetStr})`);
-                
-                await logger.log(`**DST Change Detected** | **Timezone:** \`${timezone}\` | **Old Offset:** ${yesterdayOffset}min | **New Offset:** ${todayOffset}min (${todayOffsetStr})`);
-                
-                return true;
+                if (changeAt <= now) {
+                    // An armed timer is about to handle it
+                    if (this.transitionTimers.has(timezone)) {
+                        return false;
+                    }
+
+                    const previousOffset = changeAt.minus({ minutes: 1 }).setZone(timezone).offset;
+                    const newOffsetStr = timezoneService.getCurrentOffset(timezone);
+                    console.log(`🔄 DST change detected in ${timezone}: ${previousOffset}min → ${schedule.next_offset}min (${newOffsetStr})`);
+
+                    await logger.log(`**DST Change Detected** | **Timezone:** \`${timezone}\` | **Old Offset:** ${previousOffset}min | **New Offset:** ${schedule.next_offset}min (${newOffsetStr})`);
+
+                    return true;
+                }
+            }
+
+            if (!schedule || this.isScheduleStale(schedule, now)) {
+                schedule = await this.refreshSchedule(timezone, now);
             }
 
+            this.armTransitionTimer(timezone, schedule, now);
+
             return false;
 
         } catch (error) {
@@ -146,35 +193,228 @@ class DSTService {
         }
     }
 
+    /**
+     * Compute and store the next transition for a timezone
+     * @param {string} timezone - Timezone identifier
+     * @param {DateTime} [now] - Instant to search forward from
+     * @returns {Object} Schedule row as stored
+     */
+    async refreshSchedule(timezone, now = DateTime.utc()) {
+        const transition = timezoneService.getNextTransition(timezone, now);
+        const schedule = {
+            timezone,
+            next_change_date: transition ? transition.at.toISO() : null,
+            next_offset: transition ? transition.offset : null,
+            updated_at: now.toSQL({ includeOffset: false })
+        };
+
+        await databaseService.setDSTSchedule(timezone, schedule.next_change_date, schedule.next_offset);
+
+        if (transition) {
+            console.log(`📅 Next transition for ${timezone}: ${schedule.next_change_date} (→ ${schedule.next_offset}min)`);
+        }
+
+        return schedule;
+    }
+
+    /**
+     * Check whether a stored schedule row should be recomputed
+     * @param {Object} schedule - Schedule row
+     * @param {DateTime} now - Current instant
+     * @returns {boolean} True if the row is older than the allowed age
+     */
+    isScheduleStale(schedule, now) {
+        if (!schedule.updated_at) {
+            return true;
+        }
+
+        // SQLite CURRENT_TIMESTAMP is stored as UTC "YYYY-MM-DD HH:MM:SS"
+        const updatedAt = DateTime.fromSQL(schedule.updated_at, { zone: 'utc' });
+        return !updatedAt.isValid || now.diff(updatedAt).as('milliseconds') > this.scheduleMaxAgeMs;
+    }
+
+    /**
+     * Arm a timer for a transition that falls inside the timer window
+     * @param {string} timezone - Timezone identifier
+     * @param {Object} schedule - Schedule row
+     * @param {DateTime} now - Current instant
+     */
+    armTransitionTimer(timezone, schedule, now) {
+        if (!schedule?.next_change_date || this.transitionTimers.has(timezone)) {
+            return;
+        }
+
+        const changeAt = DateTime.fromISO(schedule.next_change_date, { zone: 'utc' });
+        const delayMs = changeAt.diff(now).as('milliseconds');
+
+        if (delayMs > this.timerWindowMs) {
+            return;
+        }
+
+        console.log(`⏰ Armed DST timer for ${timezone} at ${schedule.next_change_date}`);
+
+        // Fire a second late so the new offset is already in effect
+        const timeoutId = setTimeout(() => {
+            this.handleTransition(timezone).catch(error => {
+                console.error(`❌ DST transition error for ${timezone}:`, error);
+            });
+        }, Math.max(delayMs, 0) + 1000);
+
+        this.transitionTimers.set(timezone, timeoutId);
+    }
+
+    /**
+     * Apply a transition when its timer fires
+     * @param {string} timezone - Timezone identifier
+     */
+    async handleTransition(timezone) {
+        this.transitionTimers.delete(timezone);
+
+        const newOffsetStr = timezoneService.getCurrentOffset(timezone);
+        console.log(`🔄 DST transition reached in ${timezone} (${newOffsetStr})`);
+        await logger.log(`**DST Change Detected** | **Timezone:** \`${timezone}\` | **New Offset:** ${newOffsetStr}`);
+
+        const { failed } = await this.updateUsersForDSTChanges([timezone]);
+
+        const now = DateTime.utc();
+        const schedule = await this.refreshSchedule(timezone, now);
+        this.armTransitionTimer(timezone, schedule, now);
+
+        if (failed === 0) {
+            await this.recordSuccessfulRun();
+        }
+    }
+
+    /**
+     * Fix nicknames for zones that went through a transition while the service was not running.
+     * Every user in such a zone is walked and each shard renders the expected nickname and
+     * compares it with the current one, so only nicknames that are actually wrong are written.
+     * With no recorded run every zone in use is checked. The run marker only moves on once
+     * every user was brought up to date, so failures are retried on the next start.
+     * @returns {Promise<Array<string>>} Timezones that were caught up
+     */
+    async catchUpMissedTransitions() {
+        try {
+            const lastRun = await databaseService.getServiceState(LAST_RUN_KEY);
+            const lastRunAt = lastRun ? DateTime.fromISO(lastRun, { zone: 'utc' }) : null;
+            const now = DateTime.utc();
+
+            // Zones with non-hour offsets render differently after an offset format change
+            const formatChanged = await databaseService.getServiceState(OFFSET_FORMAT_KEY) !== OFFSET_FORMAT_VERSION;
+
+            console.log(`🕰️ Checking for DST transitions missed since ${lastRun || 'first run'}...`);
+
+            const missedTimezones = [];
+
+            for await (const batch of databaseService.iterateTimezonesInUse(this.batchSize)) {
+                for (const timezone of batch) {
+                    if (!timezoneService.isValidTimezone(timezone)) {
+                        continue;
+                    }
+
+                    const offsetNow = now.setZone(timezone).offset;
+
+                    if (!lastRunAt?.isValid || this.hasTransitionBetween(timezone, lastRunAt, now) || (formatChanged && offsetNow % 60 !== 0)) {
+                        missedTimezones.push(timezone);
+                    }
+                }
+            }
+
+            if (missedTimezones.length === 0) {
+                console.log('✅ No missed DST transitions');
+                await this.recordSuccessfulRun();
+                await databaseService.setServiceState(OFFSET_FORMAT_KEY, OFFSET_FORMAT_VERSION);
+                return [];
+            }
+
+            console.log(`🔄 Catching up ${missedTimezones.length} timezone(s) with missed transitions:`, missedTimezones);
+            await logger.log(`**DST Catch-Up** | **Last Run:** ${lastRun || 'never'} | **Timezones:** ${missedTimezones.length}`);
+
+            const { failed } = await this.updateUsersForDSTChanges(missedTimezones);
+
+            // Stored transitions for these zones have been handled
+            for (const timezone of missedTimezones) {
+                await this.refreshSchedule(timezone, now);
+            }
+
+            if (failed > 0) {
+                console.log(`⚠️ DST catch-up left ${failed} nickname(s) out of date; they will be retried on the next start`);
+                await logger.log(`**DST Catch-Up Incomplete** | **Failed:** ${failed} | **Last Run Kept:** ${lastRun || 'never'}`);
+                return missedTimezones;
+            }
+
+            await this.recordSuccessfulRun();
+            await databaseService.setServiceState(OFFSET_FORMAT_KEY, OFFSET_FORMAT_VERSION);
+
+            return missedTimezones;
+
+        } catch (error) {
+            console.error('❌ DST catch-up failed:', error);
+            await logger.error(`**DST Catch-Up Error** | **Error:** ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Check whether a timezone changed offset at any point between two instants,
+     * including changes that were undone again before the later one
+     * @param {string} timezone - Timezone identifier
+     * @param {DateTime} from - Earlier instant
+     * @param {DateTime} to - Later instant
+     * @returns {boolean} True if a transition fell between them
+     */
+    hasTransitionBetween(timezone, from, to) {
+        const horizonDays = Math.max(Math.ceil(to.diff(from, 'days').days), 0) + 1;
+        const transition = timezoneService.getNextTransition(timezone, from, horizonDays);
+        return Boolean(transition) && transition.at <= to;
+    }
+
+    /**
+     * Persist the time of the last successful DST run
+     */
+    async recordSuccessfulRun() {
+        try {
+            await databaseService.setServiceState(LAST_RUN_KEY, DateTime.utc().toISO());
+        } catch (error) {
+            console.error('❌ Failed to record DST run:', error);
+        }
+    }
+
     /**
      * Update all users in affected timezones
      * @param {Array} timezones - Array of timezone identifiers that had DST changes
+     * @returns {Promise<Object>} { updated, failed } server counts across all timezones
      */
     async updateUsersForDSTChanges(timezones) {
         let totalUsersUpdated = 0;
+        let totalFailed = 0;
 
         for (const timezone of timezones) {
             try {
-                const usersInTimezone = await databaseService.getUsersInTimezone(timezone);
-                console.log(`👥 Found ${usersInTimezone.length} users in ${timezone}`);
-
-                if (usersInTimezone.length === 0) {
-                    continue;
-                }
-
+                let usersFound = 0;
                 let usersUpdated = 0;
 
-                for (const userId of usersInTimezone) {
-                    try {
-                        const updated = await this.updateUserNicknamesForDST(userId, timezone);
-                        if (updated > 0) {
+                for await (const userIds of databaseService.iterateUsersInTimezone(timezone, this.batchSize)) {
+                    usersFound += userIds.length;
+
+                    for (const userId of userIds) {
+                        try {
+                            const { updated, failed } = await this.updateUserNicknamesForDST(userId, timezone);
                             usersUpdated += updated;
+                            totalFailed += failed;
+                        } catch (error) {
+                            console.error(`❌ Error updating user ${userId} for DST:`, error.message);
+                            totalFailed++;
                         }
-                    } catch (error) {
-                        console.error(`❌ Error updating user ${userId} for DST:`, error.message);
                     }
                 }
 
+                console.log(`👥 Found ${usersFound} users in ${timezone}`);
+
+                if (usersFound === 0) {
+                    continue;
+                }
+
                 console.log(`✅ Updated ${usersUpdated} users in ${timezone}`);
                 totalUsersUpdated += usersUpdated;
 
@@ -184,6 +424,7 @@ class DSTService {
 
             } catch (error) {
                 console.error(`❌ Error processing users in ${timezone}:`, error);
+                totalFailed++;
             }
         }
 
@@ -191,240 +432,52 @@ class DSTService {
             console.log(`🎉 DST update complete: ${totalUsersUpdated} users updated across ${timezones.length} timezone(s)`);
             await logger.log(`**DST Update Complete** | **Users Updated:** ${totalUsersUpdated} | **Timezones:** ${timezones.join(', ')}`);
         }
+
+        return { updated: totalUsersUpdated, failed: totalFailed };
     }
 
     /**
      * Update a user's nickname across all their servers for DST change
      * @param {string} userId - Discord user ID
      * @param {string} timezone - Timezone identifier
-     * @returns {number} Number of servers where user was updated
+     * @returns {Promise<Object>} { updated, failed } server counts; servers already showing the right nickname count as neither
      */
     async updateUserNicknamesForDST(userId, timezone) {
         try {
-            const client = require('../services/clientProvider').clientProvider.getClient();
-
-            // Get all servers where this user has the bot
-            const userServers = await databaseService.getUserServers(userId);
+            // Get the servers where this user has the bot and wants their timezone shown
+            const userServers = await databaseService.getUserServers(userId, { decoratedOnly: true });
             
             if (userServers.length === 0) {
-                return 0;
+                return { updated: 0, failed: 0 };
             }
 
             console.log(`🔄 Updating user ${userId} across ${userServers.length} servers for DST...`);
 
-            // Use broadcastEval to update across all shards
-            const results = await client.shard.broadcastEval(
-                async (client, { userId, userServers, timezone, timezoneServiceCode }) => {
-                    // Import timezone service code into eval context
-                    eval(timezoneServiceCode);
-                    
-                    let localUpdatedCount = 0;
-                    const localResults = [];
+            // Each shard runs its "updateNickname" handler for the servers it holds
+            const results = await nicknameService.updateAcrossShards(userId, userServers, 'apply', timezone);
 
-                    for (const serverId of userServers) {
-                        try {
-                            const guild = client.guilds.cache.get(serverId);
-                            if (!guild) continue; // Server not on this shard
-
-                            const member = await guild.members.fetch(userId).catch(() => null);
-                            if (!member) continue;
-
-                            // Skip server owners (Discord limitation)
-                            if (guild.ownerId === userId) {
-                                localResults.push({
-                                    serverId,
-                                    serverName: guild.name,
-                                    status: 'skipped_owner',
-                                    message: 'Server owner - Discord limitation'
-                                });
-                                continue;
-                            }
-
-                            // Skip if bot can't manage this member
-                            if (!member.manageable) {
-                                localResults.push({
-                                    serverId,
-                                    serverName: guild.name,
-                                    status: 'skipped_permissions',
-                                    message: 'Cannot manage member'
-                                });
-                                continue;
-                            }
-
-                            // Generate new nickname with updated timezone
-                            const currentNickname = member.nickname || member.user.username;
-                            
-                            // Remove old timezone and add new one
-                            const cleanNickname = removeTimezoneFromNickname(currentNickname);
-                            const newNickname = formatNicknameWithTimezone(
-                                cleanNickname === member.user.username ? null : cleanNickname,
-                                timezone,
-                                member.user.username
-                            );
-
-                            if (newNickname && newNickname !== currentNickname) {
-                                await member.setNickname(newNickname);
-                                
-                                localResults.push({
-                                    serverId,
-                                    serverName: guild.name,
-                                    status: 'updated',
-                                    oldNickname: currentNickname,
-                                    newNickname: newNickname
-                                });
-                                
-                                localUpdatedCount++;
-                            } else {
-                                localResults.push({
-                                    serverId,
-                                    serverName: guild.name,
-                                    status: 'no_change',
-                                    message: 'Nickname already correct'
-                                });
-                            }
-
-                        } catch (error) {
-                            localResults.push({
-                                serverId,
-                                serverName: 'Unknown',
-                                status: 'error',
-                                message: error.message
-                            });
-                        }
-                    }
-
-                    return {
-                        shardId: client.shard?.ids[0] ?? 0,
-                        updatedCount: localUpdatedCount,
-                        results: localResults
-                    };
-                },
-                {
-                    context: {
-                        userId,
-                        userServers,
-                        timezone,
-                        // Pass timezone service functions as strings to eval context
-                        timezoneServiceCode: `
-                            const { DateTime } = require('luxon');
-                            
-                            // Standalone function to validate timezone
-                            const isValidTimezone = (timezone) => {
-                                try {
-                                    // Reject null/undefined/empty values
-                                    if (!timezone || typeof timezone !== 'string') {
-                                        return false;
-                                    }
-                                    
-                                    // Try to create a DateTime in the specified timezone
-                                    const dt = DateTime.now().setZone(timezone);
-                                    // Check if it's a valid zone
-                                    return dt.isValid && dt.zoneName !== null;
-                                } catch (error) {
-                                    return false;
-                                }
-                            };
-                            
-                            // Standalone function to get current offset
-                            const getCurrentOffset = (timezone) => {
-                                if (!isValidTimezone(timezone)) {
-                                    throw new Error(\`Invalid timezone: \${timezone}\`);
-                                }
-
-                                try {
-                                    const dt = DateTime.now().setZone(timezone);
-                                    const offset = dt.offset; // Offset in minutes
-                                    
-                                    if (offset === 0) {
-                                        return "UTC+0";
-                                    }
-                                    
-                                    const hours = Math.abs(offset / 60);
-                                    const sign = offset > 0 ? '+' : '-';
-                                    
-                                    // Format as whole hours or with .5 for 30-minute offsets
-                                    if (hours % 1 === 0) {
-                                        return \`UTC\${sign}\${Math.floor(hours)}\`;
-                                    } else {
-                                        return \`UTC\${sign}\${hours}\`;
-                                    }
-                                } catch (error) {
-                                    console.error('Error getting current offset:', error);
-                                    throw error;
-                                }
-                            };
-                            
-                            // Standalone function to remove timezone from nickname
-                            const removeTimezoneFromNickname = (nickname) => {
-                                if (!nickname) return '';
-                                return nickname.replace(/\\s*\\(UTC[+-][\\d.]+\\)\$/i, '').trim();
-                            };
-                            
-                            // Standalone function to format nickname with timezone
-                            const formatNicknameWithTimezone = (currentNickname, timezone, username) => {
-                                try {
-                                    const offset = getCurrentOffset(timezone);
-                                    if (!offset) {
-                                        return null;
-                                    }
-                                    
-                                    // Use current nickname or fall back to username
-                                    const baseName = currentNickname || username;
-                                    
-                                    // Remove existing timezone info if present
-                                    const cleanName = removeTimezoneFromNickname(baseName);
-                                    
-                                    // Add new timezone info
-                                    const newNickname = \`\${cleanName} (\${offset})\`;
-                                    
-                                    // Discord nickname limit is 32 characters
-                                    if (newNickname.length > 32) {
-                                        // Truncate the base name to fit
-                                        const maxBaseLength = 32 - offset.length - 3; // 3 for " ()"
-                                        const truncatedBase = cleanName.substring(0, maxBaseLength);
-                                        return \`\${truncatedBase} (\${offset})\`;
-                                    }
-                                    
-                                    return newNickname;
-                                } catch (error) {
-                                    console.error('Error formatting nickname with timezone:', error);
-                                    return null;
-                                }
-                            };
-                        `
-                    }
-                }
-            );
-
-            // Process results from all shards
             let totalUpdatedCount = 0;
-            
-            for (const shardResult of results) {
-                if (shardResult.updatedCount > 0) {
-                    totalUpdatedCount += shardResult.updatedCount;
-                    
-                    // Log successful updates from this shard
-                    console.log(`✅ Shard ${shardResult.shardId}: Updated ${shardResult.updatedCount} servers for user ${userId}`);
-                    
-                    // Log individual nickname updates
-                    for (const result of shardResult.results) {
-                        if (result.status === 'updated') {
-                            console.log(`📝 DST: Updated ${userId} in ${result.serverName}: "${result.oldNickname}" → "${result.newNickname}"`);
-                            await logger.logNicknameUpdate(userId, result.serverId, result.oldNickname, result.newNickname);
-                        } else if (result.status === 'skipped_owner') {
-                            console.log(`👑 DST: Skipped server owner ${userId} in ${result.serverName}`);
-                        } else if (result.status === 'skipped_permissions') {
-                            console.log(`❌ DST: Cannot manage ${userId} in ${result.serverName}`);
-                        }
-                    }
+            let failedCount = 0;
+
+            for (const result of results) {
+                if (result.status === 'updated') {
+                    totalUpdatedCount++;
+                    console.log(`📝 DST: Updated ${userId} in ${result.serverName}: "${result.oldNickname}" → "${result.newNickname}"`);
+                } else if (result.status === 'skipped_owner') {
+                    console.log(`👑 DST: Skipped server owner ${userId} in ${result.serverName}`);
+                } else if (result.status === 'skipped_permissions') {
+                    console.log(`❌ DST: Cannot manage ${userId} in ${result.serverName}`);
+                } else if (result.status === 'error' || result.status === 'failed') {
+                    failedCount++;
+                    console.error(`❌ DST: Failed to update ${userId} in ${result.serverName}: ${result.message}`);
                 }
             }
 
-            return totalUpdatedCount;
+            return { updated: totalUpdatedCount, failed: failedCount };
 
         } catch (error) {
             console.error(`❌ Error updating user ${userId} for DST:`, error);
-            return 0;
+            return { updated: 0, failed: 1 };
         }
     }
 
@@ -439,7 +492,8 @@ class DSTService {
         return {
             isRunning: this.isRunning,
             intervalId: this.intervalId !== null,
-            nextCheck: this.isRunning ? `Every hour on the hour (next: ${nextHour.toTimeString().substring(0, 5)})` : 'Not scheduled'
+            nextCheck: this.isRunning ? `Every hour on the hour (next: ${nextHour.toTimeString().substring(0, 5)})` : 'Not scheduled',
+            armedTransitions: Array.from(this.transitionTimers.keys())
         };
     }
 
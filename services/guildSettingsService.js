@@ -0,0 +1,289 @@
+const databaseService = require('./databaseService');
+const shardRpcService = require('./shardRpcService');
+
+const GuildSetting = {
+    ENFORCEMENT: 'enforcement',
+    EXEMPT_ROLES: 'exempt_roles',
+    EXEMPT_MEMBERS: 'exempt_members',
+    LOG_CHANNEL: 'log_channel',
+    LOCALE: 'locale'
+};
+
+/**
+ * How each kind of setting is read from a command, stored and shown.
+ * parse() gets the raw option text and the guild, and returns { valid, value } or { valid: false, error }.
+ */
+const SETTING_TYPES = {
+    boolean: {
+        parse(input) {
+            const normalized = input.trim().toLowerCase();
+            if (['on', 'true', 'yes', 'enable', 'enabled'].includes(normalized)) return { valid: true, value: true };
+            if (['off', 'false', 'no', 'disable', 'disabled'].includes(normalized)) return { valid: true, value: false };
+            return { valid: false, error: 'Use `on` or `off`.' };
+        },
+        serialize: value => (value ? '1' : '0'),
+        deserialize: stored => stored === '1',
+        format: value => (value ? 'On' : 'Off')
+    },
+    roles: {
+        parse(input, guild) {
+            const ids = [...new Set(input.match(/\d{17,20}/g) || [])];
+            if (ids.length === 0) return { valid: false, error: 'Mention one or more roles, e.g. `@Moderator @Admin`.' };
+
+            const unknown = ids.filter(id => !guild.roles.cache.has(id));
+            if (unknown.length > 0) return { valid: false, error: `Unknown role(s): ${unknown.map(id => `\`${id}\``).join(', ')}` };
+
+            return { valid: true, value: ids };
+        },
+        serialize: value => JSON.stringify(value),
+        deserialize: stored => JSON.parse(stored),
+        format: value => (value.length > 0 ? value.map(id => `<@&${id}>`).join(' ') : 'None')
+    },
+    users: {
+        parse(input) {
+            const ids = [...new Set(input.match(/\d{17,20}/g) || [])];
+            if (ids.length === 0) return { valid: false, error: 'Mention one or more members, e.g. `@Alice @Bob`.' };
+
+            return { valid: true, value: ids };
+        },
+        serialize: value => JSON.stringify(value),
+        deserialize: stored => JSON.parse(stored),
+        format: value => (value.length > 0 ? value.map(id => `<@${id}>`).join(' ') : 'None')
+    },
+    channel: {
+        parse(input, guild) {
+            const id = input.match(/\d{17,20}/)?.[0];
+            const channel = id && guild.channels.cache.get(id);
+            if (!channel || !channel.isTextBased()) return { valid: false, error: 'Mention a text channel in this server, e.g. `#bot-log`.' };
+
+            return { valid: true, value: channel.id };
+        },
+        serialize: value => value,
+        deserialize: stored => stored,
+        format: value => (value ? `<#${value}>` : 'None')
+    },
+    locale: {
+        parse(input) {
+            try {
+                const [locale] = Intl.getCanonicalLocales(input.trim());
+                if (locale && Intl.DateTimeFormat.supportedLocalesOf(locale).length > 0) {
+                    return { valid: true, value: locale };
+                }
+            } catch {
+                // RangeError: not a well-formed language tag
+            }
+            return { valid: false, error: 'Use a language tag such as `en-GB`, `de` or `pt-BR`.' };
+        },
+        serialize: value => value,
+        deserialize: stored => stored,
+        format: value => `\`${value}\``
+    }
+};
+
+// Every per-server setting, with its type and the value used until an admin changes it
+const SETTING_DEFINITIONS = {
+    [GuildSetting.ENFORCEMENT]: {
+        type: 'boolean',
+        defaultValue: true,
+        label: 'Nickname Enforcement',
+        description: 'Put the timezone back when a member edits it out of their nickname'
+    },
+    [GuildSetting.EXEMPT_ROLES]: {
+        type: 'roles',
+        defaultValue: [],
+        label: 'Exempt Roles',
+        description: 'Members with any of these roles never get a timezone in their nickname'
+    },
+    [GuildSetting.EXEMPT_MEMBERS]: {
+        type: 'users',
+        defaultValue: [],
+        label: 'Exempt Members',
+        description: 'These members never get a timezone in their nickname'
+    },
+    [GuildSetting.LOG_CHANNEL]: {
+        type: 'channel',
+        defaultValue: null,
+        label: 'Log Channel',
+        description: 'Channel for notices about this server, such as nickname conflicts'
+    },
+    [GuildSetting.LOCALE]: {
+        type: 'locale',
+        defaultValue: 'en-US',
+        label: 'Locale',
+        description: 'Language used for dates and times shown on this server'
+    }
+};
+
+class GuildSettingsService {
+    constructor() {
+        this.keys = GuildSetting;
+        this.definitions = SETTING_DEFINITIONS;
+
+        // serverId -> resolved settings; dropped on every shard whenever a setting changes
+        this.cache = new Map();
+    }
+
+    /**
+     * Get every setting for a server, with defaults for those never set
+     * @param {string} serverId - Discord server ID
+     * @returns {Promise<Object>} Setting key -> value
+     */
+    async getSettings(serverId) {
+        if (this.cache.has(serverId)) {
+            return this.cache.get(serverId);
+        }
+
+        const rows = await databaseService.getGuildSettings(serverId);
+        const stored = new Map(rows.map(row => [row.key, row.value]));
+        const settings = {};
+
+        for (const [key, definition] of Object.entries(SETTING_DEFINITIONS)) {
+            settings[key] = stored.has(key)
+                ? SETTING_TYPES[definition.type].deserialize(stored.get(key))
+                : definition.defaultValue;
+        }
+
+        this.cache.set(serverId, settings);
+        return settings;
+    }
+
+    /**
+     * Get a single setting for a server
+     * @param {string} serverId - Discord server ID
+     * @param {string} key - GuildSetting value
+     * @returns {Promise<*>} Setting value
+     */
+    async get(serverId, key) {
+        return (await this.getSettings(serverId))[key];
+    }
+
+    /**
+     * Check whether a member is exempt from timezone nicknames, by name or by role
+     * @param {string} serverId - Discord server ID
+     * @param {GuildMember} member - Discord member
+     * @returns {Promise<boolean>} True if the member is listed or holds an exempt role
+     */
+    async isExempt(serverId, member) {
+        const settings = await this.getSettings(serverId);
+
+        return settings[GuildSetting.EXEMPT_MEMBERS].includes(member.id) ||
+            settings[GuildSetting.EXEMPT_ROLES].some(roleId => member.roles.cache.has(roleId));
+    }
+
+    /**
+     * Check which settings a server has changed from their defaults
+     * @param {string} serverId - Discord server ID
+     * @returns {Promise<Set<string>>} Keys with a stored value
+     */
+    async getCustomizedKeys(serverId) {
+        const rows = await databaseService.getGuildSettings(serverId);
+        return new Set(rows.map(row => row.key));
+    }
+
+    /**
+     * Parse command input for a setting
+     * @param {string} key - GuildSetting value
+     * @param {string} input - Raw option text
+     * @param {Guild} guild - Guild the value is for (roles and channels must belong to it)
+     * @returns {Object} { valid: true, value } or { valid: false, error }
+     */
+    parse(key, input, guild) {
+        const definition = SETTING_DEFINITIONS[key];
+        if (!definition) {
+            return { valid: false, error: `Unknown setting \`${key}\`.` };
+        }
+
+        return SETTING_TYPES[definition.type].parse(input, guild);
+    }
+
+    /**
+     * Describe a setting value for an embed
+     * @param {string} key - GuildSetting value
+     * @param {*} value - Setting value
+     * @returns {string} Display text
+     */
+    format(key, value) {
+        return SETTING_TYPES[SETTING_DEFINITIONS[key].type].format(value);
+    }
+
+    /**
+     * Store a setting and drop every shard's cached copy
+     * @param {string} serverId - Discord server ID
+     * @param {string} key - GuildSetting value
+     * @param {*} value - Parsed value, see parse()
+     */
+    async set(serverId, key, value) {
+        const definition = SETTING_DEFINITIONS[key];
+        if (!definition) {
+            throw new Error(`Unknown guild setting: ${key}`);
+        }
+
+        await databaseService.setGuildSetting(serverId, key, SETTING_TYPES[definition.type].serialize(value));
+        await this.invalidateAcrossShards(serverId);
+    }
+
+    /**
+     * Go back to the default for one setting, or for all of them
+     * @param {string} serverId - Discord server ID
+     * @param {string} [key] - GuildSetting value; every setting when omitted
+     * @returns {Promise<number>} Number of stored settings removed
+     */
+    async reset(serverId, key = null) {
+        const removed = await databaseService.deleteGuildSettings(serverId, key);
+        await this.invalidateAcrossShards(serverId);
+        return removed;
+    }
+
+    /**
+     * Drop this shard's cached settings for a server
+     * @param {string} serverId - Discord server ID
+     */
+    invalidate(serverId) {
+        this.cache.delete(serverId);
+    }
+
+    /**
+     * Drop the cached settings for a server on every shard
+     * @param {string} serverId - Discord server ID
+     */
+    async invalidateAcrossShards(serverId) {
+        // The local copy goes first so this shard never serves a stale value, even if the broadcast fails
+        this.invalidate(serverId);
+
+        try {
+            const responses = await shardRpcService.request('invalidateGuildSettings', { serverId });
+            const failedShards = responses.filter(response => !response.ok);
+
+            if (failedShards.length > 0) {
+                console.error(`❌ Shard(s) ${failedShards.map(response => response.shardId).join(', ')} kept stale settings for ${serverId}`);
+            }
+        } catch (error) {
+            console.error(`❌ Could not invalidate settings for ${serverId} across shards:`, error.message);
+        }
+    }
+
+    /**
+     * Post a notice in a server's configured log channel, if it has one
+     * @param {Guild} guild - Discord guild (on this shard)
+     * @param {string} content - Message text
+     * @returns {Promise<boolean>} True if the notice was sent
+     */
+    async notifyLogChannel(guild, content) {
+        const channelId = await this.get(guild.id, GuildSetting.LOG_CHANNEL);
+        const channel = channelId && guild.channels.cache.get(channelId);
+
+        if (!channel?.isTextBased()) {
+            return false;
+        }
+
+        try {
+            await channel.send({ content, allowedMentions: { parse: [] } });
+            return true;
+        } catch (error) {
+            console.error(`❌ Could not post in the log channel of ${guild.name}:`, error.message);
+            return false;
+        }
+    }
+}
+
+module.exports = new GuildSettingsService();
@@ -0,0 +1,144 @@
+const { DateTime } = require('luxon');
+const timezoneService = require('./timezoneService');
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// Local hours as minutes after midnight; preferred is the working-hours part of the day,
+// acceptable is the widest a meeting may stretch before it is unreasonable for someone
+const DEFAULT_HOURS = {
+    preferred: { start: timezoneService.timeOfDay.working.start * 60, end: timezoneService.timeOfDay.working.end * 60 },
+    acceptable: { start: 8 * 60, end: 21 * 60 }
+};
+
+class MeetingPlannerService {
+    constructor() {
+        this.defaultHours = DEFAULT_HOURS;
+
+        // Candidate meetings start on these boundaries (minutes)
+        this.stepMinutes = 30;
+
+        // Slots returned by default
+        this.maxResults = 5;
+    }
+
+    /**
+     * Find meeting slots that are within reasonable local hours for everyone
+     * @param {Object} options
+     * @param {Array<Object>} options.participants - { id, timezone, preferred?, acceptable? }; hours are
+     *   { start, end } in local minutes after midnight and default to DEFAULT_HOURS
+     * @param {number} options.durationMinutes - Meeting length
+     * @param {DateTime} options.from - Earliest start
+     * @param {DateTime} options.to - Latest end
+     * @param {number} [options.limit] - Slots to return
+     * @returns {Array<Object>} Best slots first: { start, end, preferredCount, participants }, where start and end are
+     *   UTC DateTimes and each participant is { id, timezone, local, fit } with fit "preferred" or "acceptable".
+     *   Slots never overlap each other.
+     */
+    findSlots({ participants, durationMinutes, from, to, limit = this.maxResults }) {
+        const candidates = [];
+        const end = to.toUTC();
+        let start = this.roundUpToStep(from.toUTC());
+
+        while (start.plus({ minutes: durationMinutes }) <= end) {
+            const slot = this.evaluateSlot(start, start.plus({ minutes: durationMinutes }), participants);
+            if (slot) {
+                candidates.push(slot);
+            }
+            start = start.plus({ minutes: this.stepMinutes });
+        }
+
+        // Most people in their preferred hours first, then the soonest
+        candidates.sort((a, b) => b.preferredCount - a.preferredCount || a.start - b.start);
+
+        const picked = [];
+        for (const candidate of candidates) {
+            if (picked.length >= limit) {
+                break;
+            }
+            if (!picked.some(slot => candidate.start < slot.end && slot.start < candidate.end)) {
+                picked.push(candidate);
+            }
+        }
+
+        return picked;
+    }
+
+    /**
+     * Score one slot for every participant
+     * @param {DateTime} start - Slot start (UTC)
+     * @param {DateTime} end - Slot end (UTC)
+     * @param {Array<Object>} participants - As for findSlots
+     * @returns {Object|null} Slot, or null if it falls outside someone's acceptable hours
+     */
+    evaluateSlot(start, end, participants) {
+        const results = [];
+
+        for (const participant of participants) {
+            const fit = this.getFit(start, end, participant);
+            if (!fit) {
+                return null;
+            }
+
+            results.push({ id: participant.id, timezone: participant.timezone, local: start.setZone(participant.timezone), fit });
+        }
+
+        return {
+            start,
+            end,
+            preferredCount: results.filter(result => result.fit === 'preferred').length,
+            participants: results
+        };
+    }
+
+    /**
+     * How well a slot suits one participant
+     * @param {DateTime} start - Slot start
+     * @param {DateTime} end - Slot end
+     * @param {Object} participant - { timezone, preferred?, acceptable? }
+     * @returns {string|null} "preferred", "acceptable", or null if outside their acceptable hours
+     */
+    getFit(start, end, participant) {
+        const localStart = start.setZone(participant.timezone);
+        const localEnd = end.setZone(participant.timezone);
+
+        // Wall-clock minutes, so a slot across a DST change is judged by the clock on the wall
+        const startMinutes = localStart.hour * 60 + localStart.minute;
+        const days = Math.round(localEnd.startOf('day').diff(localStart.startOf('day'), 'days').days);
+        const endMinutes = days * MINUTES_PER_DAY + localEnd.hour * 60 + localEnd.minute;
+
+        if (this.isWithin(startMinutes, endMinutes, participant.preferred ?? DEFAULT_HOURS.preferred)) {
+            return 'preferred';
+        }
+        if (this.isWithin(startMinutes, endMinutes, participant.acceptable ?? DEFAULT_HOURS.acceptable)) {
+            return 'acceptable';
+        }
+        return null;
+    }
+
+    /**
+     * Check whether a span of local minutes lies inside a window, which may run past midnight (e.g. 22:00-02:00)
+     * @param {number} startMinutes - Span start, minutes after the local midnight it starts from
+     * @param {number} endMinutes - Span end on the same scale (may exceed a day)
+     * @param {Object} window - { start, end } in minutes after midnight
+     * @returns {boolean}
+     */
+    isWithin(startMinutes, endMinutes, window) {
+        const windowEnd = window.end > window.start ? window.end : window.end + MINUTES_PER_DAY;
+
+        // An overnight window that began the evening before also covers the early hours
+        return [0, -MINUTES_PER_DAY].some(shift =>
+            startMinutes >= window.start + shift && endMinutes <= windowEnd + shift
+        );
+    }
+
+    /**
+     * @param {DateTime} dateTime
+     * @returns {DateTime} The same instant, or the next step boundary after it
+     */
+    roundUpToStep(dateTime) {
+        const stepMs = this.stepMinutes * 60 * 1000;
+        return DateTime.fromMillis(Math.ceil(dateTime.toMillis() / stepMs) * stepMs, { zone: 'utc' });
+    }
+}
+
+module.exports = new MeetingPlannerService();
@@ -0,0 +1,145 @@
+const { AuditLogEvent, PermissionFlagsBits } = require('discord.js');
+const databaseService = require('./databaseService');
+const guildSettingsService = require('./guildSettingsService');
+const { logger } = require('../utils/logger');
+
+class NicknameConflictService {
+    constructor() {
+        // Re-applications per guild:user within the window; another bot enforcing nicknames
+        // undoes ours within seconds, so a burst this size is a loop rather than a member renaming
+        this.maxReapplications = 5;
+        this.windowMs = 2 * 60 * 1000;
+
+        // How long a conflicted member is left alone before re-applying resumes
+        this.backoffMs = 6 * 60 * 60 * 1000;
+
+        // Audit log entries older than this are not the change that triggered the event
+        this.auditLogMaxAgeMs = 15 * 1000;
+
+        // guild:user -> timestamps of recent re-applications (per shard; a guild lives on one shard)
+        this.recentReapplications = new Map();
+    }
+
+    /**
+     * Check whether re-applying is paused for a member
+     * @param {string} userId - Discord user ID
+     * @param {string} serverId - Discord server ID
+     * @returns {Promise<Object|null>} Active nickname_conflicts row or null
+     */
+    async getConflict(userId, serverId) {
+        return await databaseService.getNicknameConflict(userId, serverId, Date.now());
+    }
+
+    /**
+     * Find who last changed a member's nickname, if the bot may read the audit log
+     * @param {Guild} guild - Discord guild
+     * @param {string} userId - Member whose nickname changed
+     * @returns {Promise<string|null>} Executor user ID, or null if unknown
+     */
+    async findActor(guild, userId) {
+        if (!guild.members.me?.permissions.has(PermissionFlagsBits.ViewAuditLog)) {
+            return null;
+        }
+
+        try {
+            const auditLogs = await guild.fetchAuditLogs({ type: AuditLogEvent.MemberUpdate, limit: 10 });
+            const cutoff = Date.now() - this.auditLogMaxAgeMs;
+
+            const entry = auditLogs.entries.find(candidate =>
+                candidate.targetId === userId &&
+                candidate.createdTimestamp >= cutoff &&
+                candidate.changes.some(change => change.key === 'nick')
+            );
+
+            return entry?.executorId ?? null;
+        } catch (error) {
+            console.error(`❌ Could not read audit log in ${guild.name}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Count a re-application and mark the member as conflicted once the threshold is reached
+     * @param {GuildMember} member - Member whose nickname is about to be re-applied
+     * @param {string|null} actorId - Who removed the timezone, if known
+     * @returns {Promise<boolean>} True if the member is now conflicted and should be left alone
+     */
+    async recordReapplication(member, actorId) {
+        // A member renaming themselves is not a fight, the new name just gets decorated
+        if (actorId === member.id) {
+            return false;
+        }
+
+        const key = `${member.guild.id}:${member.id}`;
+        const now = Date.now();
+        this.pruneReapplications(now);
+
+        const recent = (this.recentReapplications.get(key) || []).filter(timestamp => now - timestamp < this.windowMs);
+        recent.push(now);
+
+        if (recent.length < this.maxReapplications) {
+            this.recentReapplications.set(key, recent);
+            return false;
+        }
+
+        this.recentReapplications.delete(key);
+        await this.markConflicted(member, actorId, recent.length);
+        return true;
+    }
+
+    /**
+     * Forget members whose re-applications have all left the window, so the map only holds recent ones
+     * @param {number} now - Epoch milliseconds
+     */
+    pruneReapplications(now) {
+        for (const [key, timestamps] of this.recentReapplications) {
+            if (now - timestamps[timestamps.length - 1] >= this.windowMs) {
+                this.recentReapplications.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Pause re-applying for a member and tell the log channel
+     * @param {GuildMember} member - Conflicted member
+     * @param {string|null} actorId - Who kept removing the timezone, if known
+     * @param {number} reapplications - Re-applications seen within the window
+     */
+    async markConflicted(member, actorId, reapplications) {
+        const detectedAt = Date.now();
+        const expiresAt = detectedAt + this.backoffMs;
+
+        await databaseService.setNicknameConflict({
+            userId: member.id,
+            serverId: member.guild.id,
+            actorId,
+            reapplications,
+            detectedAt,
+            expiresAt
+        });
+
+        console.log(`⚔️ Nickname conflict for ${member.user.tag} in ${member.guild.name}, backing off until ${new Date(expiresAt).toISOString()}`);
+        await logger.logNicknameConflict(member.id, member.guild.id, actorId, reapplications, expiresAt);
+        await guildSettingsService.notifyLogChannel(member.guild,
+            `⚔️ Stopped re-adding the timezone to <@${member.id}>'s nickname after ${reapplications} quick re-applications` +
+            `${actorId ? ` undone by <@${actorId}>` : ''}. Trying again <t:${Math.floor(expiresAt / 1000)}:R>, or sooner if they run \`/timezone set\`.`);
+    }
+
+    /**
+     * Lift a user's conflict marks, e.g. when they set their timezone again
+     * @param {string} userId - Discord user ID
+     * @param {string} [serverId] - Only lift the mark in this server
+     * @returns {Promise<number>} Number of marks removed
+     */
+    async clearConflicts(userId, serverId = null) {
+        for (const key of this.recentReapplications.keys()) {
+            if (key.endsWith(`:${userId}`) && (!serverId || key.startsWith(`${serverId}:`))) {
+                this.recentReapplications.delete(key);
+            }
+        }
+
+        return await databaseService.deleteNicknameConflicts(userId, serverId);
+    }
+}
+
+module.exports = new NicknameConflictService();
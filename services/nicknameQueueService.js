@@ -0,0 +1,311 @@
+const databaseService = require('./databaseService');
+const { logger } = require('../utils/logger');
+
+const WriteOutcome = {
+    UPDATED: 'updated',
+    QUEUED: 'queued',
+    FAILED: 'failed'
+};
+
+class NicknameQueueService {
+    constructor() {
+        this.isRunning = false;
+        this.intervalId = null;
+        this.isProcessing = false;
+        this.client = null;
+        this.processor = null;
+        this.pollIntervalMs = 5 * 1000; // 5 seconds
+        this.batchSize = 50;
+        this.staleAfterSeconds = 5 * 60; // Claimed jobs older than this were abandoned
+        this.guildEdits = new Map();
+        this.rateLimit = {
+            maxEdits: 5,
+            windowMs: 5 * 1000
+        };
+        this.retry = {
+            maxAttempts: 6,
+            baseDelayMs: 5 * 1000,
+            maxDelayMs: 15 * 60 * 1000
+        };
+    }
+
+    /**
+     * Start processing queued nickname jobs for the guilds on this shard
+     * @param {Client} client - Discord client of the current shard
+     * @param {Function} processor - async (guild, job) => result; re-runs the job's nickname action
+     */
+    start(client, processor) {
+        if (this.isRunning) {
+            console.log('⚠️ Nickname Queue Service already running');
+            return;
+        }
+
+        console.log('📬 Starting nickname queue service...');
+
+        this.client = client;
+        this.processor = processor;
+
+        this.intervalId = setInterval(() => {
+            this.processDueJobs().catch(error => {
+                console.error('❌ Nickname queue error:', error);
+            });
+        }, this.pollIntervalMs);
+
+        this.isRunning = true;
+        console.log('✅ Nickname queue service started');
+    }
+
+    /**
+     * Stop the nickname queue service; queued jobs stay in the database
+     */
+    stop() {
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+        this.isRunning = false;
+        console.log('🛑 Nickname queue service stopped');
+    }
+
+    /**
+     * Write a nickname now if the guild's budget allows, otherwise queue it
+     * @param {GuildMember} member - Member to rename
+     * @param {string|null} nickname - New nickname (null resets it)
+     * @param {Object} job - What to re-run if the write is deferred
+     * @param {string} job.userId - Discord user ID
+     * @param {string} job.serverId - Discord server ID
+     * @param {string} job.action - Nickname action ('apply' or 'clear')
+     * @param {string|null} job.timezone - Timezone identifier (apply only)
+     * @param {Object|null} [queuedJob] - Job row when called from the queue worker
+     * @returns {Promise<string>} 'updated', 'queued' or 'failed' (queued job gave up)
+     */
+    async setNickname(member, nickname, job, queuedJob = null) {
+        const waitMs = this.getBudgetWait(job.serverId);
+
+        if (waitMs > 0) {
+            return await this.defer(job, queuedJob, Date.now() + waitMs, null);
+        }
+
+        this.recordEdit(job.serverId);
+
+        try {
+            await member.setNickname(nickname);
+            return WriteOutcome.UPDATED;
+        } catch (error) {
+            if (!this.isRetryable(error)) {
+                throw error;
+            }
+
+            const attempts = (queuedJob?.attempts ?? 0) + 1;
+
+            if (attempts >= this.retry.maxAttempts) {
+                return await this.giveUp(queuedJob, job, attempts, error.message);
+            }
+
+            return await this.defer(job, queuedJob, Date.now() + this.getRetryDelay(attempts, error), error.message, attempts);
+        }
+    }
+
+    /**
+     * Persist a deferred write, either as a new job or by rescheduling the current one
+     * @param {Object} job - Job spec, see setNickname()
+     * @param {Object|null} queuedJob - Job row when called from the queue worker
+     * @param {number} nextAttemptAt - Epoch milliseconds of the next attempt
+     * @param {string|null} lastError - Error that caused the deferral
+     * @param {number} [attempts] - Failed attempts so far
+     * @returns {Promise<string>} 'queued'
+     */
+    async defer(job, queuedJob, nextAttemptAt, lastError, attempts = queuedJob?.attempts ?? 0) {
+        if (queuedJob) {
+            await databaseService.rescheduleNicknameJob(queuedJob.id, attempts, nextAttemptAt, lastError ?? queuedJob.last_error);
+        } else {
+            await databaseService.enqueueNicknameJob(job, nextAttemptAt, lastError, attempts);
+        }
+
+        console.log(`⏳ Queued nickname ${job.action} for user ${job.userId} in server ${job.serverId}${lastError ? ` (${lastError})` : ''}`);
+        return WriteOutcome.QUEUED;
+    }
+
+    /**
+     * Stop retrying a job and record why
+     * @param {Object|null} queuedJob - Job row when called from the queue worker
+     * @param {Object} job - Job spec, see setNickname()
+     * @param {number} attempts - Attempts made
+     * @param {string} lastError - Error from the last attempt
+     * @returns {Promise<string>} 'failed'
+     */
+    async giveUp(queuedJob, job, attempts, lastError) {
+        if (queuedJob) {
+            await databaseService.failNicknameJob(queuedJob.id, attempts, lastError);
+        }
+
+        console.error(`❌ Giving up nickname ${job.action} for user ${job.userId} in server ${job.serverId} after ${attempts} attempts: ${lastError}`);
+        await logger.error(`**Nickname Job Failed** | **User:** <@${job.userId}> | **Server:** ${job.serverId} | **Attempts:** ${attempts} | **Error:** ${lastError}`);
+
+        return WriteOutcome.FAILED;
+    }
+
+    /**
+     * Process due jobs for guilds on this shard, within each guild's budget
+     * @returns {Promise<number>} Number of jobs processed
+     */
+    async processDueJobs() {
+        if (this.isProcessing || !this.client) {
+            return 0;
+        }
+
+        this.isProcessing = true;
+        let processed = 0;
+
+        try {
+            await databaseService.releaseStaleNicknameJobs(this.staleAfterSeconds);
+
+            // Only ask for jobs this shard can run now, so a backlog elsewhere never fills the batch
+            const serverIds = [...this.client.guilds.cache.keys()].filter(guildId => this.getBudgetWait(guildId) === 0);
+            if (serverIds.length === 0) {
+                return 0;
+            }
+
+            const jobs = await databaseService.getDueNicknameJobs(Date.now(), this.batchSize, serverIds);
+
+            for (const job of jobs) {
+                const guild = this.client.guilds.cache.get(job.server_id);
+                if (!guild) continue; // Server left since the batch was read
+
+                if (this.getBudgetWait(guild.id) > 0) continue; // Earlier jobs in this batch used the budget up
+
+                // Another shard may have picked the job up in the meantime
+                if (!await databaseService.claimNicknameJob(job.id)) continue;
+
+                await this.runJob(guild, job);
+                processed++;
+            }
+        } finally {
+            this.isProcessing = false;
+        }
+
+        return processed;
+    }
+
+    /**
+     * Run one claimed job and settle its row
+     * @param {Guild} guild - Discord guild the job belongs to
+     * @param {Object} job - Claimed job row
+     */
+    async runJob(guild, job) {
+        const spec = { userId: job.user_id, serverId: job.server_id, action: job.action, timezone: job.timezone };
+
+        try {
+            const result = await this.processor(guild, job);
+
+            // The write path has already rescheduled or failed the row
+            if (result.status === WriteOutcome.QUEUED || result.status === WriteOutcome.FAILED) {
+                return;
+            }
+
+            if (result.status === 'error') {
+                await this.giveUp(job, spec, job.attempts + 1, result.message);
+                return;
+            }
+
+            await databaseService.deleteNicknameJob(job.id);
+
+            if (result.status === 'updated') {
+                await logger.logMemberUpdate(spec.userId, result);
+            }
+        } catch (error) {
+            console.error(`❌ Nickname job ${job.id} failed:`, error);
+            await this.giveUp(job, spec, job.attempts + 1, error.message);
+        }
+    }
+
+    /**
+     * Decide whether a failed write is worth retrying
+     * @param {Error} error - Error thrown by setNickname
+     * @returns {boolean} True for rate limits and Discord server errors
+     */
+    isRetryable(error) {
+        return error.status === 429 || error.status >= 500;
+    }
+
+    /**
+     * Exponential backoff, honouring Discord's retry-after when it is longer
+     * @param {number} attempts - Failed attempts so far (1 for the first retry)
+     * @param {Error} [error] - Error from the last attempt
+     * @returns {number} Delay in milliseconds
+     */
+    getRetryDelay(attempts, error = null) {
+        const backoff = Math.min(this.retry.baseDelayMs * 2 ** (attempts - 1), this.retry.maxDelayMs);
+        return Math.max(backoff, error?.retryAfter ?? 0);
+    }
+
+    /**
+     * How long until the guild can take another nickname edit
+     * @param {string} guildId - Discord server ID
+     * @returns {number} Milliseconds to wait; 0 if an edit is allowed now
+     */
+    getBudgetWait(guildId) {
+        const now = Date.now();
+        const edits = (this.guildEdits.get(guildId) || []).filter(timestamp => now - timestamp < this.rateLimit.windowMs);
+
+        if (edits.length === 0) {
+            this.guildEdits.delete(guildId);
+            return 0;
+        }
+
+        this.guildEdits.set(guildId, edits);
+
+        return edits.length < this.rateLimit.maxEdits ? 0 : edits[0] + this.rateLimit.windowMs - now;
+    }
+
+    /**
+     * Count an edit against the guild's budget
+     * @param {string} guildId - Discord server ID
+     */
+    recordEdit(guildId) {
+        const edits = this.guildEdits.get(guildId) || [];
+        edits.push(Date.now());
+        this.guildEdits.set(guildId, edits);
+    }
+
+    /**
+     * Inspect queued jobs
+     * @param {Object} [options]
+     * @param {string} [options.serverId] - Only include jobs for this server
+     * @param {number} [options.limit] - Maximum jobs listed per status
+     * @returns {Promise<Object>} { counts, pending, failed }
+     */
+    async getQueueSummary({ serverId = null, limit = 10 } = {}) {
+        const [counts, pending, failed] = await Promise.all([
+            databaseService.getNicknameJobCounts(serverId),
+            databaseService.getNicknameJobs('pending', { serverId, limit }),
+            databaseService.getNicknameJobs('failed', { serverId, limit })
+        ]);
+
+        return { counts, pending, failed };
+    }
+
+    /**
+     * Give failed jobs another round of attempts
+     * @param {string} [serverId] - Only retry jobs for this server
+     * @returns {Promise<number>} Number of jobs requeued
+     */
+    async retryFailedJobs(serverId = null) {
+        return await databaseService.retryFailedNicknameJobs(serverId);
+    }
+
+    /**
+     * Get service status
+     * @returns {Object} Service status information
+     */
+    getStatus() {
+        return {
+            isRunning: this.isRunning,
+            intervalId: this.intervalId !== null,
+            isProcessing: this.isProcessing,
+            rateLimitedGuilds: this.guildEdits.size
+        };
+    }
+}
+
+module.exports = new NicknameQueueService();
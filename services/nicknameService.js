@@ -0,0 +1,385 @@
+const databaseService = require('./databaseService');
+const timezoneService = require('./timezoneService');
+const shardRpcService = require('./shardRpcService');
+const nicknameQueueService = require('./nicknameQueueService');
+const roleService = require('./roleService');
+const guildSettingsService = require('./guildSettingsService');
+const nicknameConflictService = require('./nicknameConflictService');
+const { logger } = require('../utils/logger');
+
+const NicknameAction = {
+    APPLY: 'apply',
+    CLEAR: 'clear'
+};
+
+class NicknameService {
+    /**
+     * Apply a timezone to the user's nickname in every server they share with the bot
+     * @param {string} userId - Discord user ID
+     * @param {string} timezone - Timezone identifier
+     * @returns {Promise<Array>} Per-server results
+     */
+    async applyTimezoneToAllServers(userId, timezone) {
+        const serverIds = await databaseService.getUserServers(userId);
+        return await this.updateAcrossShards(userId, serverIds, NicknameAction.APPLY, timezone);
+    }
+
+    /**
+     * Remove timezone info from the user's nickname in every server they share with the bot
+     * @param {string} userId - Discord user ID
+     * @returns {Promise<Array>} Per-server results
+     */
+    async clearTimezoneFromAllServers(userId) {
+        const serverIds = await databaseService.getUserServers(userId);
+        return await this.updateAcrossShards(userId, serverIds, NicknameAction.CLEAR, null);
+    }
+
+    /**
+     * Run a nickname action for one user across all shards
+     * @param {string} userId - Discord user ID
+     * @param {Array<string>} serverIds - Servers to update
+     * @param {string} action - NicknameAction value
+     * @param {string|null} timezone - Timezone identifier (apply only)
+     * @returns {Promise<Array>} Per-server results, one entry per server ID
+     */
+    async updateAcrossShards(userId, serverIds, action, timezone) {
+        if (serverIds.length === 0) {
+            return [];
+        }
+
+        console.log(`🔄 Running nickname ${action} for user ${userId} across ${serverIds.length} servers...`);
+
+        let responses;
+
+        try {
+            responses = await shardRpcService.request('updateNickname', { userId, serverIds, action, timezone });
+        } catch (error) {
+            console.error(`❌ Error broadcasting nickname ${action} for user ${userId}:`, error);
+            await logger.error(`**Nickname Broadcast Error** | **User:** <@${userId}> | **Action:** ${action} | **Error:** ${error.message}`);
+
+            return serverIds.map(serverId => ({
+                serverId,
+                serverName: 'Unknown',
+                status: 'error',
+                message: error.message
+            }));
+        }
+
+        const resultsByServer = new Map();
+        const failedShards = [];
+
+        for (const response of responses) {
+            if (!response.ok) {
+                console.error(`❌ Shard ${response.shardId} failed nickname ${action} for user ${userId}: ${response.error}`);
+                failedShards.push(response.shardId);
+                continue;
+            }
+
+            for (const result of response.result) {
+                resultsByServer.set(result.serverId, result);
+            }
+        }
+
+        // A server missing from the results may live on a shard that failed
+        const results = serverIds.map(serverId => resultsByServer.get(serverId) || (failedShards.length > 0
+            ? {
+                serverId,
+                serverName: 'Unknown',
+                status: 'error',
+                message: `Shard(s) ${failedShards.join(', ')} did not respond`
+            }
+            : {
+                serverId,
+                serverName: 'Unknown',
+                status: 'not_member',
+                message: 'Bot is no longer in this server'
+            }));
+
+        for (const result of results) {
+            if (result.status === 'updated') {
+                await logger.logMemberUpdate(userId, result);
+            } else if (result.status === 'skipped_permissions') {
+                await logger.logPermissionError(userId, result.serverId, action === NicknameAction.APPLY ? 'update nickname' : 'clear timezone from nickname');
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Shard-side: update the user's nickname in the servers this shard holds
+     * @param {Client} client - Discord client of the current shard
+     * @param {string} userId - Discord user ID
+     * @param {Array<string>} serverIds - Servers to update
+     * @param {string} action - NicknameAction value
+     * @param {string|null} timezone - Timezone identifier (apply only)
+     * @returns {Promise<Array>} Results for servers on this shard
+     */
+    async updateLocalServers(client, userId, serverIds, action, timezone) {
+        const results = [];
+
+        for (const serverId of serverIds) {
+            const guild = client.guilds.cache.get(serverId);
+            if (!guild) continue; // Server not on this shard
+
+            try {
+                results.push(await this.updateGuildMember(guild, userId, action, timezone));
+            } catch (error) {
+                results.push({
+                    serverId,
+                    serverName: guild.name,
+                    status: 'error',
+                    message: error.message
+                });
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Queue worker: bring a queued member's nickname in line with their current timezone
+     * @param {Guild} guild - Discord guild the job belongs to
+     * @param {Object} job - Claimed nickname_jobs row
+     * @returns {Promise<Object>} Result for this server
+     */
+    async processQueuedJob(guild, job) {
+        // The user may have changed or cleared their timezone since the job was queued
+        const userData = await databaseService.getUserTimezone(job.user_id);
+
+        if (userData) {
+            return await this.updateGuildMember(guild, job.user_id, NicknameAction.APPLY, userData.timezone_identifier, { queuedJob: job });
+        }
+
+        let result;
+
+        try {
+            result = await this.updateGuildMember(guild, job.user_id, NicknameAction.CLEAR, null, { queuedJob: job });
+            return result;
+        } finally {
+            // deleteUser kept the base nickname for this clear; once it is no longer retried, drop it
+            if (result?.status !== 'queued') {
+                await databaseService.deleteBaseNickname(job.user_id, guild.id);
+            }
+        }
+    }
+
+    /**
+     * Get the nickname format a server uses, with the member's own display mode when given
+     * @param {string} serverId - Discord server ID
+     * @param {string} [userId] - Discord user ID
+     * @returns {Promise<Object>} { template, previousTemplates, offsetStyle, clockIntervalMinutes, ellipsis, displayMode, timezone } for timezoneService's nickname helpers
+     */
+    async getNicknameFormat(serverId, userId = null) {
+        const row = await databaseService.getNicknameTemplate(serverId);
+        const userData = userId ? await databaseService.getUserTimezone(userId) : null;
+
+        return {
+            template: row?.template || timezoneService.defaultNicknameTemplate,
+            previousTemplates: row?.previous_templates ?? [],
+            offsetStyle: row?.offset_style || timezoneService.defaultOffsetStyle,
+            clockIntervalMinutes: row?.clock_interval_minutes ?? null,
+            ellipsis: Boolean(row?.ellipsis),
+            displayMode: userData?.display_mode || 'offset',
+            timezone: userData?.timezone_identifier ?? null
+        };
+    }
+
+    /**
+     * Apply or clear the timezone on a single guild member
+     * @param {Guild} guild - Discord guild
+     * @param {string} userId - Discord user ID
+     * @param {string} action - NicknameAction value
+     * @param {string|null} timezone - Timezone identifier (apply only)
+     * @param {Object} [options]
+     * @param {Object} [options.queuedJob] - Job row when re-run by the nickname queue
+     * @returns {Promise<Object>} Result for this server
+     */
+    async updateGuildMember(guild, userId, action, timezone, { queuedJob = null } = {}) {
+        const base = { serverId: guild.id, serverName: guild.name };
+
+        const member = await guild.members.fetch(userId).catch(() => null);
+        if (!member) {
+            return { ...base, status: 'not_member', message: 'User is not a member of this server' };
+        }
+
+        if (action === NicknameAction.APPLY) {
+            // Members who opted out here keep their timezone but not on display; take off any that is left
+            if (!(await databaseService.getDecoratePreference(userId, guild.id))) {
+                const result = await this.updateGuildMember(guild, userId, NicknameAction.CLEAR, null, { queuedJob });
+                return result.status === 'no_change' ? { ...result, status: 'skipped_opt_out', message: 'Member hides their timezone in this server' } : result;
+            }
+
+            // Exempt members' nicknames are their own; the timezone is taken off once, when the exemption is added
+            if (await guildSettingsService.isExempt(guild.id, member)) {
+                return { ...base, status: 'skipped_exempt', message: 'Member is exempt in this server' };
+            }
+        }
+
+        const format = await this.getNicknameFormat(guild.id, userId);
+
+        // Servers in role mode show the timezone as a role, which owners can have too
+        const roleMode = await roleService.getRoleMode(guild.id);
+        if (roleMode) {
+            return await this.updateMemberRole(guild, member, action, timezone, roleMode, format, queuedJob);
+        }
+
+        // Skip server owners (Discord limitation)
+        if (guild.ownerId === userId) {
+            return { ...base, status: 'skipped_owner', message: 'Server owner - Discord limitation' };
+        }
+
+        // Skip if bot can't manage this member
+        if (!member.manageable) {
+            return { ...base, status: 'skipped_permissions', message: 'Cannot manage member' };
+        }
+
+        // Every automatic write (DST, backfill, clock) respects the backoff, not just monitoring;
+        // taking the timezone off is still allowed
+        if (action === NicknameAction.APPLY && await nicknameConflictService.getConflict(userId, guild.id)) {
+            return { ...base, status: 'skipped_conflict', message: 'Nickname conflict - backing off' };
+        }
+
+        const currentNickname = member.nickname || member.user.username;
+        const baseNickname = await this.resolveBaseNickname(member, guild.id, format);
+        let newNickname;
+
+        if (action === NicknameAction.APPLY) {
+            newNickname = timezoneService.formatNicknameWithTimezone(baseNickname, timezone, member.user.username, format);
+
+            if (!newNickname) {
+                return { ...base, status: 'error', message: 'Could not generate nickname' };
+            }
+        } else {
+            // Restore the nickname exactly as it was before any shortening
+            newNickname = baseNickname;
+        }
+
+        if ((newNickname || null) === (member.nickname || null)) {
+            return { ...base, status: 'no_change', message: 'Nickname already correct' };
+        }
+
+        let outcome;
+
+        try {
+            outcome = await nicknameQueueService.setNickname(member, newNickname, { userId, serverId: guild.id, action, timezone }, queuedJob);
+        } catch (error) {
+            // 50013: Missing Permissions
+            if (error.code === 50013) {
+                return { ...base, status: 'skipped_permissions', message: 'Missing permissions' };
+            }
+            throw error;
+        }
+
+        if (outcome === 'failed') {
+            return { ...base, status: 'failed', message: 'Gave up after repeated Discord errors' };
+        }
+
+        return {
+            ...base,
+            status: outcome,
+            oldNickname: currentNickname,
+            newNickname: newNickname || member.user.username
+        };
+    }
+
+    /**
+     * Role mode: move the member onto their timezone role and take any old decoration off their nickname
+     * @param {Guild} guild - Discord guild
+     * @param {GuildMember} member - Member to update
+     * @param {string} action - NicknameAction value
+     * @param {string|null} timezone - Timezone identifier (apply only)
+     * @param {string} roleMode - roleService ROLE_MODES key
+     * @param {Object} format - Nickname format, see getNicknameFormat()
+     * @param {Object|null} queuedJob - Job row when re-run by the nickname queue
+     * @returns {Promise<Object>} Result for this server
+     */
+    async updateMemberRole(guild, member, action, timezone, roleMode, format, queuedJob) {
+        const result = await roleService.updateMemberRole(guild, member, action, timezone, { mode: roleMode, offsetStyle: format.offsetStyle });
+
+        // Decorations written before the server switched to roles come off as members are updated
+        if (guild.ownerId === member.id || !member.manageable) {
+            return result;
+        }
+
+        const newNickname = await this.resolveBaseNickname(member, guild.id, format);
+        if ((newNickname || null) === (member.nickname || null)) {
+            return result;
+        }
+
+        let outcome;
+
+        try {
+            outcome = await nicknameQueueService.setNickname(member, newNickname, { userId: member.id, serverId: guild.id, action, timezone }, queuedJob);
+        } catch (error) {
+            console.error(`❌ Could not remove timezone decoration for ${member.id} in ${guild.name}:`, error.message);
+            return result;
+        }
+
+        // Report a deferred write so the queue keeps the job
+        if (result.status === 'no_change') {
+            return { ...result, status: outcome, oldNickname: member.nickname, newNickname: newNickname || member.user.username };
+        }
+
+        return result;
+    }
+
+    /**
+     * Get the member's nickname as it was before the bot decorated it, storing it the first time
+     * @param {GuildMember} member - Discord guild member
+     * @param {string} guildId - Discord server ID
+     * @param {Object} format - Nickname format, see getNicknameFormat()
+     * @returns {Promise<string|null>} Base nickname, or null if the member has none of their own
+     */
+    async resolveBaseNickname(member, guildId, format) {
+        const shown = this.getUndecoratedNickname(member, format);
+        const stored = await databaseService.getBaseNickname(member.id, guildId);
+        const shownName = shown ?? member.user.username;
+
+        // The bot's own shortened rendering of the stored name still belongs to it; anything else,
+        // including a name cut down by hand, was changed while the bot could not see it
+        // (edits it sees go through recordNicknameEdit)
+        if (stored && timezoneService.isTruncationOf(shownName, stored.base_nickname ?? member.user.username, member.nickname ?? shownName)) {
+            return stored.base_nickname;
+        }
+
+        // Only a new or changed name gets here, so rendering an unchanged member never writes
+        await databaseService.setBaseNickname(member.id, guildId, shown);
+        return shown;
+    }
+
+    /**
+     * Record a nickname change the member made, unless it is the bot's own rendering of their base nickname
+     * @param {GuildMember} member - Discord guild member after the change
+     * @param {string} timezone - The member's timezone identifier
+     * @param {Object} format - Nickname format, see getNicknameFormat()
+     * @returns {Promise<string|null>} The member's base nickname after the change
+     */
+    async recordNicknameEdit(member, timezone, format) {
+        const stored = await databaseService.getBaseNickname(member.id, member.guild.id);
+
+        if (stored) {
+            const rendered = timezoneService.formatNicknameWithTimezone(stored.base_nickname, timezone, member.user.username, format);
+            if (rendered === member.nickname) {
+                return stored.base_nickname;
+            }
+        }
+
+        const baseNickname = this.getUndecoratedNickname(member, format);
+        await databaseService.setBaseNickname(member.id, member.guild.id, baseNickname);
+        return baseNickname;
+    }
+
+    /**
+     * The member's nickname with any timezone decoration removed
+     * @param {GuildMember} member - Discord guild member
+     * @param {Object} format - Nickname format, see getNicknameFormat()
+     * @returns {string|null} Clean nickname, or null when only the username would remain
+     */
+    getUndecoratedNickname(member, format) {
+        const cleanNickname = timezoneService.removeTimezoneFromNickname(member.nickname, [format.template, ...format.previousTemplates], { timezone: format.timezone, displayMode: format.displayMode });
+        return cleanNickname && cleanNickname !== member.user.username ? cleanNickname : null;
+    }
+}
+
+module.exports = new NicknameService();
@@ -0,0 +1,105 @@
+const databaseService = require('./databaseService');
+const shardRpcService = require('./shardRpcService');
+const { logger } = require('../utils/logger');
+
+class ReconciliationService {
+    constructor() {
+        this.isRunning = false;
+        this.intervalId = null;
+        this.intervalMs = 6 * 60 * 60 * 1000; // 6 hours
+    }
+
+    /**
+     * Start periodic reconciliation of user_servers against the guilds the bot is in
+     */
+    start() {
+        if (this.isRunning) {
+            console.log('⚠️ Reconciliation Service already running');
+            return;
+        }
+
+        console.log('🧹 Starting server reconciliation service...');
+
+        this.intervalId = setInterval(() => {
+            this.reconcile().catch(error => {
+                console.error('❌ Reconciliation error:', error);
+            });
+        }, this.intervalMs);
+
+        this.isRunning = true;
+        console.log('✅ Server reconciliation service started');
+    }
+
+    /**
+     * Stop the reconciliation service
+     */
+    stop() {
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+        this.isRunning = false;
+        console.log('🛑 Server reconciliation service stopped');
+    }
+
+    /**
+     * Remove user_servers rows for guilds no shard can see anymore
+     * @returns {Promise<number>} Number of rows removed
+     */
+    async reconcile() {
+        try {
+            console.log('🔍 Reconciling server associations...');
+
+            const responses = await shardRpcService.request('listGuildIds');
+
+            // A silent shard would make all of its guilds look stale
+            const failedShards = responses.filter(response => !response.ok);
+            if (failedShards.length > 0) {
+                console.log(`⚠️ Shard(s) ${failedShards.map(response => response.shardId).join(', ')} did not respond, skipping reconciliation`);
+                return 0;
+            }
+
+            const visibleGuildIds = new Set(responses.flatMap(response => response.result));
+
+            // Guard against wiping everything while shards are still connecting
+            if (visibleGuildIds.size === 0) {
+                console.log('⚠️ No guilds visible on any shard, skipping reconciliation');
+                return 0;
+            }
+
+            const storedServerIds = await databaseService.getAllServerIds();
+            const staleServerIds = storedServerIds.filter(serverId => !visibleGuildIds.has(serverId));
+
+            if (staleServerIds.length === 0) {
+                console.log('✅ No stale server associations found');
+                return 0;
+            }
+
+            const removed = await databaseService.removeServers(staleServerIds);
+
+            console.log(`🧹 Removed ${removed} associations for ${staleServerIds.length} stale server(s)`);
+            await logger.log(`🧹 **Server Reconciliation** | **Stale Servers:** ${staleServerIds.length} | **Associations Removed:** ${removed}`);
+
+            return removed;
+
+        } catch (error) {
+            console.error('❌ Reconciliation failed:', error);
+            await logger.error(`**Reconciliation Error** | **Error:** ${error.message}`);
+            return 0;
+        }
+    }
+
+    /**
+     * Get service status
+     * @returns {Object} Service status information
+     */
+    getStatus() {
+        return {
+            isRunning: this.isRunning,
+            intervalId: this.intervalId !== null,
+            intervalHours: this.intervalMs / 60 / 60 / 1000
+        };
+    }
+}
+
+module.exports = new ReconciliationService();
@@ -0,0 +1,284 @@
+const { PermissionFlagsBits } = require('discord.js');
+const databaseService = require('./databaseService');
+const timezoneService = require('./timezoneService');
+const { logger } = require('../utils/logger');
+
+// How a server in role mode groups its members
+const ROLE_MODES = {
+    offset: 'UTC offset roles (UTC+2)',
+    region: 'Region roles (Europe)'
+};
+
+// Role name for zones without a region, such as UTC or Etc/GMT+5
+const FALLBACK_REGION = 'Other';
+
+// Quiet period after the last role change in a guild before unused roles are cleaned up
+const CLEANUP_DELAY_MS = 30 * 1000;
+
+class RoleService {
+    constructor() {
+        this.roleModes = ROLE_MODES;
+        this.cleanupDelayMs = CLEANUP_DELAY_MS;
+
+        // Role creations in flight, so concurrent updates in one guild share a single new role
+        this.pendingCreations = new Map();
+
+        // Cleanup timers per guild, so a DST or backfill pass over many members cleans up once at the end
+        this.cleanupTimers = new Map();
+    }
+
+    /**
+     * Get how a server shows timezones as roles
+     * @param {string} serverId - Discord server ID
+     * @returns {Promise<string|null>} A ROLE_MODES key, or null if the server uses nicknames
+     */
+    async getRoleMode(serverId) {
+        return await databaseService.getRoleMode(serverId);
+    }
+
+    /**
+     * Name of the role a timezone belongs to
+     * @param {string} timezone - Timezone identifier
+     * @param {string} mode - ROLE_MODES key
+     * @param {string} [offsetStyle] - Offset style for offset roles
+     * @returns {string} Role name, e.g. UTC+2 or Europe
+     */
+    getRoleName(timezone, mode, offsetStyle) {
+        if (mode === 'region') {
+            const [region, city] = timezone.split('/');
+            return city && region !== 'Etc' ? region : FALLBACK_REGION;
+        }
+
+        return timezoneService.getCurrentOffset(timezone, offsetStyle);
+    }
+
+    /**
+     * Check whether the bot can create and assign roles in a guild
+     * @param {Guild} guild - Discord guild
+     * @returns {boolean} True if the bot has Manage Roles
+     */
+    canManageRoles(guild) {
+        return guild.members.me?.permissions.has(PermissionFlagsBits.ManageRoles) ?? false;
+    }
+
+    /**
+     * Move a member onto the role for their timezone, or off every timezone role
+     * @param {Guild} guild - Discord guild
+     * @param {GuildMember} member - Member to update
+     * @param {string} action - 'apply' or 'clear'
+     * @param {string|null} timezone - Timezone identifier (apply only)
+     * @param {Object} options
+     * @param {string} options.mode - ROLE_MODES key
+     * @param {string} [options.offsetStyle] - Offset style for offset roles
+     * @returns {Promise<Object>} Result for this server with the member's role, plus oldRole and newRole when updated,
+     *     or status 'error' when a role with the target name exists that the bot cannot take over
+     */
+    async updateMemberRole(guild, member, action, timezone, { mode, offsetStyle }) {
+        const base = { serverId: guild.id, serverName: guild.name };
+
+        if (!this.canManageRoles(guild)) {
+            return { ...base, status: 'skipped_permissions', message: 'Missing Manage Roles permission' };
+        }
+
+        const managedRoleIds = new Set((await databaseService.getTimezoneRoles(guild.id)).map(row => row.role_id));
+        const roleName = action === 'apply' ? this.getRoleName(timezone, mode, offsetStyle) : null;
+        const target = roleName ? await this.ensureRole(guild, roleName) : null;
+
+        if (roleName && !target) {
+            return { ...base, status: 'error', message: `A role named ${roleName} already exists that the bot does not manage` };
+        }
+
+        const staleRoles = member.roles.cache.filter(role => managedRoleIds.has(role.id) && role.id !== target?.id);
+        const needsTarget = target && !member.roles.cache.has(target.id);
+
+        if (staleRoles.size === 0 && !needsTarget) {
+            return { ...base, status: 'no_change', message: 'Role already correct', role: target?.name ?? null };
+        }
+
+        try {
+            if (staleRoles.size > 0) {
+                await member.roles.remove([...staleRoles.keys()], 'Timezone changed');
+            }
+            if (needsTarget) {
+                await member.roles.add(target, 'Timezone role');
+            }
+        } catch (error) {
+            // 50013: Missing Permissions (e.g. the role sits above the bot's highest role)
+            if (error.code === 50013) {
+                return { ...base, status: 'skipped_permissions', message: 'Cannot assign timezone role' };
+            }
+            throw error;
+        }
+
+        this.scheduleCleanup(guild, { mode, offsetStyle });
+
+        return {
+            ...base,
+            status: 'updated',
+            role: target?.name ?? null,
+            oldRole: staleRoles.size > 0 ? staleRoles.map(role => role.name).join(', ') : null,
+            newRole: target?.name ?? null
+        };
+    }
+
+    /**
+     * Find the managed role with a given name, adopting or creating it if needed
+     * @param {Guild} guild - Discord guild
+     * @param {string} name - Role name
+     * @returns {Promise<Role|null>} Discord role, or null if an unmanaged role with the name cannot be adopted
+     */
+    async ensureRole(guild, name) {
+        const row = (await databaseService.getTimezoneRoles(guild.id)).find(role => role.role_key === name);
+        const existing = row && guild.roles.cache.get(row.role_id);
+
+        if (existing) {
+            return existing;
+        }
+
+        const key = `${guild.id}:${name}`;
+
+        if (!this.pendingCreations.has(key)) {
+            const creation = this.adoptOrCreateRole(guild, name)
+                .finally(() => this.pendingCreations.delete(key));
+
+            this.pendingCreations.set(key, creation);
+        }
+
+        return await this.pendingCreations.get(key);
+    }
+
+    /**
+     * Take over a server's own role with the given name, or create a new one
+     * Only roles that grant nothing can be adopted; anything else is left alone rather than duplicated
+     * @param {Guild} guild - Discord guild
+     * @param {string} name - Role name
+     * @returns {Promise<Role|null>} Discord role, or null if the name is taken by a role the bot should not touch
+     */
+    async adoptOrCreateRole(guild, name) {
+        const sameName = guild.roles.cache.find(role => role.name === name);
+
+        if (sameName) {
+            if (sameName.managed || sameName.permissions.bitfield !== 0n) {
+                console.log(`⚠️ Not using existing role ${name} in ${guild.name}: it grants permissions or belongs to an integration`);
+                return null;
+            }
+
+            await databaseService.setTimezoneRole(guild.id, name, sameName.id, { adopted: true });
+            console.log(`🎭 Adopted existing role ${name} in ${guild.name}`);
+            return sameName;
+        }
+
+        const role = await guild.roles.create({ name, permissions: [], mentionable: false, reason: 'Timezone role' });
+        await databaseService.setTimezoneRole(guild.id, name, role.id);
+        console.log(`🎭 Created timezone role ${name} in ${guild.name}`);
+        return role;
+    }
+
+    /**
+     * Clean up unused roles once role changes in a guild have settled
+     * Each call pushes the cleanup back, so a pass over many members triggers a single cleanup
+     * @param {Guild} guild - Discord guild
+     * @param {Object} options - Same as cleanupRoles
+     */
+    scheduleCleanup(guild, options) {
+        clearTimeout(this.cleanupTimers.get(guild.id));
+
+        const timeoutId = setTimeout(() => {
+            this.cleanupTimers.delete(guild.id);
+            this.cleanupRoles(guild, options).catch(error => {
+                console.error(`❌ Timezone role cleanup failed in ${guild.name}:`, error.message);
+            });
+        }, this.cleanupDelayMs);
+
+        // Pending cleanup should not keep the process alive on shutdown
+        timeoutId.unref?.();
+        this.cleanupTimers.set(guild.id, timeoutId);
+    }
+
+    /**
+     * Delete managed roles no registered member of the guild needs any more
+     * @param {Guild} guild - Discord guild
+     * @param {Object} options
+     * @param {string} options.mode - ROLE_MODES key
+     * @param {string} [options.offsetStyle] - Offset style for offset roles
+     * @returns {Promise<number>} Number of roles removed
+     */
+    async cleanupRoles(guild, { mode, offsetStyle }) {
+        const [roles, users] = await Promise.all([
+            databaseService.getTimezoneRoles(guild.id),
+            databaseService.getServerUsers(guild.id)
+        ]);
+
+        // Members who hid their timezone on the server never keep a role alive
+        const namesInUse = new Set(users
+            .filter(user => user.decorate !== 0)
+            .map(user => this.getRoleName(user.timezone_identifier, mode, offsetStyle)));
+
+        let removed = 0;
+
+        for (const row of roles) {
+            if (namesInUse.has(row.role_key) || this.pendingCreations.has(`${guild.id}:${row.role_key}`)) continue;
+
+            if (await this.deleteRole(guild, row)) {
+                removed++;
+            }
+        }
+
+        return removed;
+    }
+
+    /**
+     * Delete every managed role in a guild, e.g. when it goes back to nicknames
+     * @param {Guild} guild - Discord guild
+     * @returns {Promise<number>} Number of roles removed
+     */
+    async removeGuildRoles(guild) {
+        const roles = await databaseService.getTimezoneRoles(guild.id);
+        let removed = 0;
+
+        for (const row of roles) {
+            if (await this.deleteRole(guild, row)) {
+                removed++;
+            }
+        }
+
+        return removed;
+    }
+
+    /**
+     * Delete a managed role from Discord and forget it
+     * Adopted roles belonged to the server first, so they are only forgotten
+     * @param {Guild} guild - Discord guild
+     * @param {Object} row - timezone_roles row
+     * @returns {Promise<boolean>} True if the role is gone
+     */
+    async deleteRole(guild, row) {
+        const role = guild.roles.cache.get(row.role_id);
+
+        if (row.adopted) {
+            await databaseService.deleteTimezoneRole(guild.id, row.role_key);
+            console.log(`🧹 Stopped managing adopted role ${row.role_key} in ${guild.name}`);
+            return true;
+        }
+
+        try {
+            // Someone may already have deleted it by hand
+            if (role) {
+                await role.delete('Timezone role no longer in use');
+                console.log(`🧹 Deleted timezone role ${row.role_key} in ${guild.name}`);
+            }
+        } catch (error) {
+            // 10011: Unknown Role; anything else leaves the row so the next cleanup tries again
+            if (error.code !== 10011) {
+                console.error(`❌ Could not delete timezone role ${row.role_key} in ${guild.name}:`, error.message);
+                await logger.error(`**Timezone Role Cleanup Error** | **Server:** \`${guild.name}\` (\`${guild.id}\`) | **Role:** ${row.role_key} | **Error:** ${error.message}`);
+                return false;
+            }
+        }
+
+        await databaseService.deleteTimezoneRole(guild.id, row.role_key);
+        return true;
+    }
+}
+
+module.exports = new RoleService();
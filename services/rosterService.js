@@ -0,0 +1,160 @@
+const databaseService = require('./databaseService');
+const timezoneService = require('./timezoneService');
+
+// How /timezone who groups members
+const GROUP_MODES = {
+    period: 'Time of day (morning, working hours, evening, night)',
+    offset: 'UTC offset'
+};
+
+// Member IDs per gateway member request; Discord caps user_ids at 100
+const MEMBER_FETCH_CHUNK = 100;
+
+class RosterService {
+    constructor() {
+        this.groupModes = GROUP_MODES;
+
+        // Members listed per page of the roster
+        this.pageSize = 15;
+    }
+
+    /**
+     * List a guild's registered members grouped by what time it is for them right now
+     * @param {Guild} guild - Discord guild
+     * @param {Object} [options]
+     * @param {string} [options.groupBy] - GROUP_MODES key
+     * @param {string} [options.roleId] - Only include members with this role
+     * @returns {Promise<Array<Object>>} Groups in display order: { key, label, entries }, where each entry is
+     *   { userId, timezone, time, offset, offsetMinutes, timeOfDay }
+     */
+    async getRoster(guild, { groupBy = 'period', roleId = null } = {}) {
+        // Members who hid their timezone on this server are left out, as they are everywhere else
+        let users = (await databaseService.getServerUsers(guild.id)).filter(user => user.decorate !== 0);
+
+        if (roleId) {
+            const holders = await this.getRoleHolders(guild, roleId, users.map(user => user.user_id));
+            users = users.filter(user => holders.has(user.user_id));
+        }
+
+        // Members share a handful of zones, so look each one up once
+        const times = new Map();
+        const entries = [];
+
+        for (const user of users) {
+            if (!times.has(user.timezone_identifier)) {
+                times.set(user.timezone_identifier, timezoneService.getCurrentTime(user.timezone_identifier));
+            }
+
+            const timeInfo = times.get(user.timezone_identifier);
+            if (!timeInfo) {
+                continue;
+            }
+
+            entries.push({
+                userId: user.user_id,
+                timezone: user.timezone_identifier,
+                time: timeInfo.time.slice(0, 5),
+                offset: timeInfo.offset,
+                offsetMinutes: timeInfo.offsetMinutes,
+                timeOfDay: timezoneService.getTimeOfDay(timeInfo.hour)
+            });
+        }
+
+        // Furthest ahead first within each group, so the list reads in the order the day moves
+        entries.sort((a, b) => b.offsetMinutes - a.offsetMinutes || a.timezone.localeCompare(b.timezone) || a.userId.localeCompare(b.userId));
+
+        return groupBy === 'offset' ? this.groupByOffset(entries) : this.groupByTimeOfDay(entries);
+    }
+
+    /**
+     * @param {Array<Object>} entries - Sorted roster entries
+     * @returns {Array<Object>} One group per part of the day that has members
+     */
+    groupByTimeOfDay(entries) {
+        return Object.entries(timezoneService.timeOfDay)
+            .map(([key, period]) => ({
+                key,
+                label: `${period.emoji} ${period.label}`,
+                entries: entries.filter(entry => entry.timeOfDay === key)
+            }))
+            .filter(group => group.entries.length > 0);
+    }
+
+    /**
+     * @param {Array<Object>} entries - Sorted roster entries
+     * @returns {Array<Object>} One group per current UTC offset
+     */
+    groupByOffset(entries) {
+        const groups = new Map();
+
+        for (const entry of entries) {
+            if (!groups.has(entry.offsetMinutes)) {
+                const period = timezoneService.timeOfDay[entry.timeOfDay];
+                groups.set(entry.offsetMinutes, { key: String(entry.offsetMinutes), label: `${period.emoji} ${entry.offset} · ${entry.time}`, entries: [] });
+            }
+
+            groups.get(entry.offsetMinutes).entries.push(entry);
+        }
+
+        return [...groups.values()];
+    }
+
+    /**
+     * Cut a roster into pages of pageSize members; a group split across pages appears on each
+     * @param {Array<Object>} groups - Roster from getRoster
+     * @param {number} page - Zero-based page, clamped to the pages that exist
+     * @returns {Object} { page, pageCount, total, groups }
+     */
+    paginate(groups, page) {
+        const total = groups.reduce((sum, group) => sum + group.entries.length, 0);
+        const pageCount = Math.max(1, Math.ceil(total / this.pageSize));
+        const current = Math.min(Math.max(page, 0), pageCount - 1);
+
+        const start = current * this.pageSize;
+        const end = start + this.pageSize;
+        const pageGroups = [];
+        let position = 0;
+
+        for (const group of groups) {
+            const groupStart = position;
+            position += group.entries.length;
+
+            if (position <= start || groupStart >= end) {
+                continue;
+            }
+
+            pageGroups.push({
+                ...group,
+                entries: group.entries.slice(Math.max(start - groupStart, 0), end - groupStart),
+                continued: groupStart < start
+            });
+        }
+
+        return { page: current, pageCount, total, groups: pageGroups };
+    }
+
+    /**
+     * Find which of the given members hold a role
+     * @param {Guild} guild - Discord guild
+     * @param {string} roleId - Role to check
+     * @param {Array<string>} userIds - Registered members to check
+     * @returns {Promise<Set<string>>} IDs of members that have the role
+     */
+    async getRoleHolders(guild, roleId, userIds) {
+        const holders = new Set();
+
+        for (let i = 0; i < userIds.length; i += MEMBER_FETCH_CHUNK) {
+            const members = await guild.members.fetch({ user: userIds.slice(i, i + MEMBER_FETCH_CHUNK) });
+
+            for (const member of members.values()) {
+                if (member.roles.cache.has(roleId)) {
+                    holders.add(member.id);
+                }
+            }
+        }
+
+        return holders;
+    }
+}
+
+module.exports = new RosterService();
@@ -0,0 +1,102 @@
+const { clientProvider } = require('./clientProvider');
+
+class ShardRpcService {
+    constructor() {
+        this.handlers = new Map();
+        this.defaultTimeoutMs = 30 * 1000; // 30 seconds per shard
+    }
+
+    /**
+     * Register a named handler on this shard
+     * @param {string} name - Handler name callers use in request()
+     * @param {Function} handler - async (client, payload) => result; result must be JSON-serialisable
+     */
+    register(name, handler) {
+        this.handlers.set(name, handler);
+    }
+
+    /**
+     * Check whether a handler is registered on this shard
+     * @param {string} name - Handler name
+     * @returns {boolean} True if registered
+     */
+    hasHandler(name) {
+        return this.handlers.has(name);
+    }
+
+    /**
+     * Shard-side: run a registered handler and wrap the outcome
+     * @param {Client} client - Discord client of the current shard
+     * @param {string} name - Handler name
+     * @param {Object} payload - Handler payload
+     * @returns {Promise<Object>} { shardId, ok: true, result } or { shardId, ok: false, error }
+     */
+    async handle(client, name, payload) {
+        const shardId = client.shard?.ids[0] ?? 0;
+        const handler = this.handlers.get(name);
+
+        if (!handler) {
+            return { shardId, ok: false, error: `No shard handler registered for "${name}"` };
+        }
+
+        try {
+            return { shardId, ok: true, result: await handler(client, payload) };
+        } catch (error) {
+            console.error(`❌ Shard handler "${name}" failed on shard ${shardId}:`, error);
+            return { shardId, ok: false, error: error.message };
+        }
+    }
+
+    /**
+     * Invoke a named handler on every shard
+     * @param {string} name - Handler name
+     * @param {Object} [payload] - Handler payload; must be JSON-serialisable
+     * @param {Object} [options]
+     * @param {number} [options.timeout] - Per-shard timeout in milliseconds
+     * @returns {Promise<Array<Object>>} One response per shard, see handle()
+     */
+    async request(name, payload = {}, { timeout = this.defaultTimeoutMs } = {}) {
+        const client = clientProvider.getClient();
+
+        // Not sharded (e.g. `npm run single`): run the handler in this process
+        if (!client.shard) {
+            return [await this.handle(client, name, payload)];
+        }
+
+        const shardIds = Array.from({ length: client.shard.count }, (_, index) => index);
+        return await Promise.all(shardIds.map(shardId => this.requestShard(client, shardId, name, payload, timeout)));
+    }
+
+    /**
+     * Invoke a named handler on a single shard
+     * @param {Client} client - Discord client of the calling shard
+     * @param {number} shardId - Target shard ID
+     * @param {string} name - Handler name
+     * @param {Object} payload - Handler payload
+     * @param {number} timeout - Timeout in milliseconds
+     * @returns {Promise<Object>} Response, see handle()
+     */
+    async requestShard(client, shardId, name, payload, timeout) {
+        let timeoutId;
+
+        const timeoutPromise = new Promise(resolve => {
+            timeoutId = setTimeout(() => {
+                resolve({ shardId, ok: false, error: `Timed out after ${timeout}ms` });
+            }, timeout);
+        });
+
+        // The target shard loads this module and dispatches to its own registry
+        const evalPromise = client.shard.broadcastEval(
+            (client, { name, payload, rpcPath }) => require(rpcPath).handle(client, name, payload),
+            { shard: shardId, context: { name, payload, rpcPath: __filename } }
+        ).catch(error => ({ shardId, ok: false, error: error.message }));
+
+        try {
+            return await Promise.race([evalPromise, timeoutPromise]);
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+}
+
+module.exports = new ShardRpcService();
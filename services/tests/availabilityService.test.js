@@ -0,0 +1,106 @@
+const { DateTime } = require('luxon');
+const availabilityService = require('../availabilityService');
+
+// Mock all dependencies
+jest.mock('../databaseService');
+
+const databaseService = require('../databaseService');
+
+const range = (start, end) => ({ start: start * 60, end: end * 60 });
+
+/**
+ * Same work and sleep hours every day
+ */
+function everyDay(work, sleep) {
+    return Object.fromEntries([1, 2, 3, 4, 5, 6, 7].map(weekday => [weekday, { work, sleep }]));
+}
+
+describe('AvailabilityService', () => {
+    describe('parseRange', () => {
+        test('should read 24-hour, 12-hour and overnight ranges', () => {
+            expect(availabilityService.parseRange('09:00-17:30')).toEqual({ valid: true, range: { start: 540, end: 1050 } });
+            expect(availabilityService.parseRange('9am to 5pm')).toEqual({ valid: true, range: { start: 540, end: 1020 } });
+            expect(availabilityService.parseRange('23:00 - 07:00')).toEqual({ valid: true, range: { start: 1380, end: 420 } });
+            expect(availabilityService.parseRange('off')).toEqual({ valid: true, range: null });
+        });
+
+        test('should reject malformed and empty ranges', () => {
+            expect(availabilityService.parseRange('9-').valid).toBe(false);
+            expect(availabilityService.parseRange('25:00-07:00').valid).toBe(false);
+            expect(availabilityService.parseRange('09:00-09:00').error).toContain('same time');
+        });
+
+        test('should format ranges back', () => {
+            expect(availabilityService.formatRange({ start: 1380, end: 420 })).toBe('23:00-07:00 (overnight)');
+            expect(availabilityService.formatRange(null)).toBe('Off');
+        });
+    });
+
+    describe('getAvailability', () => {
+        const at = (iso, zone = 'Europe/London') => DateTime.fromISO(iso, { zone });
+
+        test('should tell working, asleep and outside hours apart', () => {
+            const hours = everyDay(range(9, 17), range(23, 7));
+
+            expect(availabilityService.getAvailability(hours, 'Europe/London', at('2026-01-14T10:00'))).toBe('working');
+            expect(availabilityService.getAvailability(hours, 'Europe/London', at('2026-01-14T19:00'))).toBe('outside');
+            expect(availabilityService.getAvailability(hours, 'Europe/London', at('2026-01-14T23:30'))).toBe('asleep');
+            expect(availabilityService.getAvailability(hours, 'Europe/London', at('2026-01-15T06:59'))).toBe('asleep');
+            expect(availabilityService.getAvailability(hours, 'Europe/London', at('2026-01-15T07:00'))).toBe('outside');
+        });
+
+        test('should carry an overnight range into the next weekday only', () => {
+            // Night shift on Friday only: 22:00 Friday to 06:00 Saturday
+            const hours = everyDay(null, null);
+            hours[5].work = range(22, 6);
+
+            expect(availabilityService.getAvailability(hours, 'UTC', at('2026-01-17T03:00', 'UTC'))).toBe('working');
+            expect(availabilityService.getAvailability(hours, 'UTC', at('2026-01-16T03:00', 'UTC'))).toBe('outside');
+        });
+
+        test('should follow the local clock across a DST change', () => {
+            const hours = everyDay(range(9, 17), range(23, 7));
+
+            // 08:30 UTC is 08:30 GMT on Saturday but 09:30 BST after clocks go forward on Sunday 29 March
+            expect(availabilityService.getAvailability(hours, 'Europe/London', DateTime.fromISO('2026-03-28T08:30Z'))).toBe('outside');
+            expect(availabilityService.getAvailability(hours, 'Europe/London', DateTime.fromISO('2026-03-29T08:30Z'))).toBe('working');
+
+            // 06:30 UTC is 06:30 GMT, still asleep, and 07:30 BST the next day, already awake
+            expect(availabilityService.getAvailability(hours, 'Europe/London', DateTime.fromISO('2026-03-28T06:30Z'))).toBe('asleep');
+            expect(availabilityService.getAvailability(hours, 'Europe/London', DateTime.fromISO('2026-03-30T06:30Z'))).toBe('outside');
+        });
+
+        test('should return null without any hours', () => {
+            expect(availabilityService.getAvailability(null, 'UTC')).toBeNull();
+            expect(availabilityService.getAvailability(everyDay(null, null), 'UTC')).toBeNull();
+        });
+    });
+
+    describe('getHours and setHours', () => {
+        test('should fill days without a row with no hours', async () => {
+            databaseService.getUserHours.mockResolvedValue([
+                { weekday: 1, work_start: 540, work_end: 1020, sleep_start: null, sleep_end: null }
+            ]);
+
+            const hours = await availabilityService.getHours('user1');
+
+            expect(hours[1]).toEqual({ work: { start: 540, end: 1020 }, sleep: null });
+            expect(hours[7]).toEqual({ work: null, sleep: null });
+        });
+
+        test('should return null when no hours were ever set', async () => {
+            databaseService.getUserHours.mockResolvedValue([]);
+
+            expect(await availabilityService.getHours('user1')).toBeNull();
+        });
+
+        test('should store hours for every day in the chosen set', async () => {
+            databaseService.setUserHours.mockResolvedValue(true);
+
+            await availabilityService.setHours('user1', 'weekend', { sleep: range(1, 9) });
+
+            expect(databaseService.setUserHours).toHaveBeenCalledWith('user1', [6, 7], { sleep: { start: 60, end: 540 } });
+            await expect(availabilityService.setHours('user1', 'fortnight', {})).rejects.toThrow('Unknown day set');
+        });
+    });
+});
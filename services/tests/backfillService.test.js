@@ -0,0 +1,179 @@
+const { Collection } = require('discord.js');
+const backfillService = require('../backfillService');
+
+// Mock all dependencies
+jest.mock('../databaseService');
+jest.mock('../nicknameService');
+jest.mock('../../utils/logger');
+
+const databaseService = require('../databaseService');
+const nicknameService = require('../nicknameService');
+const nicknameQueueService = require('../nicknameQueueService');
+const { logger } = require('../../utils/logger');
+
+/**
+ * Build a page of fake members keyed by user ID
+ */
+function createPage(userIds) {
+    return new Collection(userIds.map(id => [id, { id }]));
+}
+
+describe('BackfillService', () => {
+    let guild;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation();
+        jest.spyOn(console, 'error').mockImplementation();
+
+        logger.log = jest.fn().mockResolvedValue('progress-message');
+        logger.editLog = jest.fn().mockResolvedValue(true);
+        logger.error = jest.fn();
+        logger.logMemberUpdate = jest.fn();
+
+        guild = {
+            id: 'server1',
+            name: 'Test Server',
+            memberCount: 3,
+            members: {
+                list: jest.fn()
+            }
+        };
+
+        databaseService.addUserToServer.mockResolvedValue(true);
+        databaseService.clearPreviousTemplates.mockResolvedValue(0);
+        nicknameService.getNicknameFormat.mockResolvedValue({ template: '{name} ({offset})', previousTemplates: [] });
+    });
+
+    test('should decorate registered members and log a summary', async () => {
+        guild.members.list.mockResolvedValueOnce(createPage(['user1', 'user2', 'user3']));
+        databaseService.getUsersByIds.mockResolvedValue([
+            { user_id: 'user1', timezone_identifier: 'Europe/Berlin' },
+            { user_id: 'user3', timezone_identifier: 'Asia/Tokyo' }
+        ]);
+        nicknameService.updateGuildMember
+            .mockResolvedValueOnce({ status: 'updated', oldNickname: 'one', newNickname: 'one (UTC+2)' })
+            .mockResolvedValueOnce({ status: 'skipped_owner' });
+
+        const summary = await backfillService.backfillGuild(guild);
+
+        expect(databaseService.getUsersByIds).toHaveBeenCalledWith(['user1', 'user2', 'user3']);
+        expect(databaseService.addUserToServer).toHaveBeenCalledWith('user1', 'server1');
+        expect(databaseService.addUserToServer).toHaveBeenCalledWith('user3', 'server1');
+        expect(nicknameService.updateGuildMember).toHaveBeenCalledWith(guild, 'user3', 'apply', 'Asia/Tokyo');
+        expect(summary).toMatchObject({ scanned: 3, registered: 2, updated: 1, skippedOwner: 1 });
+        expect(logger.editLog).toHaveBeenCalledWith('progress-message', expect.stringContaining('Backfill In Progress'));
+        expect(logger.log).toHaveBeenLastCalledWith(expect.stringContaining('Backfill Complete'));
+    });
+
+    test('should page through members until a short page is returned', async () => {
+        backfillService.pageSize = 2;
+        guild.members.list
+            .mockResolvedValueOnce(createPage(['user1', 'user2']))
+            .mockResolvedValueOnce(createPage(['user3']));
+        databaseService.getUsersByIds.mockResolvedValue([]);
+
+        const summary = await backfillService.backfillGuild(guild);
+
+        expect(guild.members.list).toHaveBeenNthCalledWith(2, { limit: 2, after: 'user2' });
+        expect(summary.scanned).toBe(3);
+        backfillService.pageSize = 1000;
+    });
+
+    test('should report errors to the error channel', async () => {
+        guild.members.list.mockRejectedValue(new Error('Missing Access'));
+
+        await backfillService.backfillGuild(guild);
+
+        expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('Missing Access'));
+        expect(backfillService.isBackfilling('server1')).toBe(false);
+    });
+
+    test('should log a re-render in its own words', async () => {
+        guild.members.list.mockResolvedValueOnce(createPage([]));
+
+        await backfillService.backfillGuild(guild, { rerender: true });
+
+        expect(logger.log).toHaveBeenCalledWith(expect.stringContaining('Nickname Re-render Started'));
+        expect(logger.log).toHaveBeenLastCalledWith(expect.stringContaining('Nickname Re-render Complete'));
+    });
+
+    test('should retire previous templates after a clean pass', async () => {
+        nicknameService.getNicknameFormat.mockResolvedValue({ template: '[{offset}] {name}', previousTemplates: ['{name} ({offset})'] });
+        guild.members.list.mockResolvedValueOnce(createPage(['user1']));
+        databaseService.getUsersByIds.mockResolvedValue([{ user_id: 'user1', timezone_identifier: 'Europe/Berlin' }]);
+        nicknameService.updateGuildMember.mockResolvedValue({ status: 'no_change' });
+
+        await backfillService.backfillGuild(guild, { rerender: true });
+
+        expect(databaseService.clearPreviousTemplates).toHaveBeenCalledWith('server1', ['{name} ({offset})']);
+    });
+
+    test('should keep previous templates while writes are still queued', async () => {
+        nicknameService.getNicknameFormat.mockResolvedValue({ template: '[{offset}] {name}', previousTemplates: ['{name} ({offset})'] });
+        guild.members.list.mockResolvedValueOnce(createPage(['user1']));
+        databaseService.getUsersByIds.mockResolvedValue([{ user_id: 'user1', timezone_identifier: 'Europe/Berlin' }]);
+        nicknameService.updateGuildMember.mockResolvedValue({ status: 'queued' });
+
+        await backfillService.backfillGuild(guild, { rerender: true });
+
+        expect(databaseService.clearPreviousTemplates).not.toHaveBeenCalled();
+    });
+
+    test('should queue a re-render behind a running pass', async () => {
+        let finishPage;
+        guild.members.list
+            .mockReturnValueOnce(new Promise(resolve => { finishPage = resolve; }))
+            .mockResolvedValue(createPage([]));
+
+        const running = backfillService.backfillGuild(guild);
+        await Promise.resolve();
+
+        expect(backfillService.rerenderGuild(guild)).toBe(false);
+
+        finishPage(createPage([]));
+        await running;
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(guild.members.list).toHaveBeenCalledTimes(2);
+        expect(logger.log).toHaveBeenCalledWith(expect.stringContaining('Nickname Re-render Started'));
+    });
+
+    test('should take the timezone off exempt members only when asked to', async () => {
+        guild.members.list.mockResolvedValueOnce(createPage(['user1'])).mockResolvedValueOnce(createPage(['user1']));
+        databaseService.getUsersByIds.mockResolvedValue([{ user_id: 'user1', timezone_identifier: 'Europe/Berlin' }]);
+        nicknameService.updateGuildMember
+            .mockResolvedValueOnce({ status: 'skipped_exempt' })
+            .mockResolvedValueOnce({ status: 'skipped_exempt' })
+            .mockResolvedValueOnce({ status: 'updated', oldNickname: 'Mod (UTC+1)', newNickname: 'Mod' });
+
+        await backfillService.backfillGuild(guild, { rerender: true });
+        expect(nicknameService.updateGuildMember).not.toHaveBeenCalledWith(guild, 'user1', 'clear', null);
+
+        const summary = await backfillService.backfillGuild(guild, { rerender: true, clearExempt: true });
+
+        expect(nicknameService.updateGuildMember).toHaveBeenLastCalledWith(guild, 'user1', 'clear', null);
+        expect(summary.updated).toBe(1);
+    });
+
+    test('should wait for the guild\'s shared edit budget before writing', async () => {
+        jest.useFakeTimers();
+        for (let i = 0; i < nicknameQueueService.rateLimit.maxEdits; i++) {
+            nicknameQueueService.recordEdit('server1');
+        }
+        guild.members.list.mockResolvedValueOnce(createPage(['user1']));
+        databaseService.getUsersByIds.mockResolvedValue([{ user_id: 'user1', timezone_identifier: 'Europe/Berlin' }]);
+        nicknameService.updateGuildMember.mockResolvedValue({ status: 'no_change' });
+
+        const running = backfillService.backfillGuild(guild);
+        await jest.advanceTimersByTimeAsync(nicknameQueueService.rateLimit.windowMs - 1);
+
+        expect(nicknameService.updateGuildMember).not.toHaveBeenCalled();
+
+        await jest.advanceTimersByTimeAsync(1);
+        await running;
+
+        expect(nicknameService.updateGuildMember).toHaveBeenCalledTimes(1);
+        nicknameQueueService.guildEdits.clear();
+        jest.useRealTimers();
+    });
+});
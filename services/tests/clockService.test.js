@@ -0,0 +1,154 @@
+const { DateTime } = require('luxon');
+const clockService = require('../clockService');
+
+// Mock all dependencies
+jest.mock('../databaseService');
+jest.mock('../shardRpcService');
+jest.mock('../nicknameService');
+jest.mock('../nicknameQueueService');
+jest.mock('../../utils/logger');
+
+const databaseService = require('../databaseService');
+const shardRpcService = require('../shardRpcService');
+const nicknameService = require('../nicknameService');
+const nicknameQueueService = require('../nicknameQueueService');
+
+describe('ClockService', () => {
+    let client;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation();
+        jest.spyOn(console, 'error').mockImplementation();
+
+        client = {
+            shard: { count: 2 },
+            guilds: {
+                cache: new Map([['server1', { id: 'server1', name: 'One' }]])
+            }
+        };
+
+        nicknameQueueService.getBudgetWait.mockReturnValue(0);
+        clockService.overdueMembers.clear();
+    });
+
+    // A full UTC hour: every whole-hour zone reaches a boundary of any interval
+    const onTheHour = DateTime.fromISO('2026-01-14T10:00:00Z', { zone: 'utc' });
+
+    afterEach(() => {
+        clockService.stop();
+    });
+
+    describe('tick', () => {
+        test('should fan out clock servers to every shard with the global budget', async () => {
+            databaseService.getClockServers.mockResolvedValue([
+                { server_id: 'server1', clock_interval_minutes: 15 },
+                { server_id: 'server2', clock_interval_minutes: 60 }
+            ]);
+            shardRpcService.request.mockResolvedValue([{ shardId: 0, ok: true, result: 1 }, { shardId: 1, ok: true, result: 1 }]);
+
+            const servers = await clockService.tick();
+
+            expect(servers).toBe(2);
+            expect(shardRpcService.request).toHaveBeenCalledWith('refreshClockNicknames', {
+                servers: [{ serverId: 'server1', intervalMinutes: 15 }, { serverId: 'server2', intervalMinutes: 60 }],
+                budget: clockService.editBudgetPerTick
+            });
+        });
+
+        test('should not contact the shards when no server uses the clock', async () => {
+            databaseService.getClockServers.mockResolvedValue([]);
+
+            const servers = await clockService.tick();
+
+            expect(servers).toBe(0);
+            expect(shardRpcService.request).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('refreshLocalServers', () => {
+        test('should re-render members and count unchanged ones separately', async () => {
+            databaseService.getServerUsers.mockResolvedValue([
+                { user_id: 'user1', timezone_identifier: 'Europe/Berlin' },
+                { user_id: 'user2', timezone_identifier: 'Asia/Tokyo' }
+            ]);
+            nicknameService.updateGuildMember.mockImplementation((guild, userId) =>
+                Promise.resolve({ status: userId === 'user1' ? 'updated' : 'no_change' }));
+
+            const summary = await clockService.refreshLocalServers(client, [{ serverId: 'server1', intervalMinutes: 60 }, { serverId: 'server2', intervalMinutes: 60 }], 10, onTheHour);
+
+            expect(databaseService.getServerUsers).toHaveBeenCalledTimes(1);
+            expect(nicknameService.updateGuildMember).toHaveBeenCalledWith(client.guilds.cache.get('server1'), 'user1', 'apply', 'Europe/Berlin');
+            expect(summary).toEqual({ updated: 1, unchanged: 1, skipped: 0 });
+        });
+
+        test('should stop editing once the shard share of the budget is spent', async () => {
+            databaseService.getServerUsers.mockResolvedValue([
+                { user_id: 'user1', timezone_identifier: 'UTC' },
+                { user_id: 'user2', timezone_identifier: 'UTC' },
+                { user_id: 'user3', timezone_identifier: 'UTC' }
+            ]);
+            nicknameService.updateGuildMember.mockResolvedValue({ status: 'updated' });
+
+            // Two shards share a budget of 4
+            const summary = await clockService.refreshLocalServers(client, [{ serverId: 'server1', intervalMinutes: 15 }], 4, onTheHour);
+
+            expect(nicknameService.updateGuildMember).toHaveBeenCalledTimes(2);
+            expect(summary).toEqual({ updated: 2, unchanged: 0, skipped: 1 });
+        });
+
+        test('should only touch members whose clock reached the server interval', async () => {
+            databaseService.getServerUsers.mockResolvedValue([
+                { user_id: 'london', timezone_identifier: 'Europe/London' },
+                { user_id: 'kolkata', timezone_identifier: 'Asia/Kolkata' },
+                { user_id: 'kathmandu', timezone_identifier: 'Asia/Kathmandu' }
+            ]);
+            nicknameService.updateGuildMember.mockResolvedValue({ status: 'updated' });
+
+            // 10:15 UTC is 10:15 in London, 15:45 in Kolkata and 16:00 in Kathmandu
+            const quarterPast = DateTime.fromISO('2026-01-14T10:15:00Z', { zone: 'utc' });
+            await clockService.refreshLocalServers(client, [{ serverId: 'server1', intervalMinutes: 60 }], 10, quarterPast);
+
+            expect(nicknameService.updateGuildMember).toHaveBeenCalledTimes(1);
+            expect(nicknameService.updateGuildMember).toHaveBeenCalledWith(expect.anything(), 'kathmandu', 'apply', 'Asia/Kathmandu');
+        });
+
+        test('should pick up members left over the budget on the next tick', async () => {
+            databaseService.getServerUsers.mockResolvedValue([
+                { user_id: 'user1', timezone_identifier: 'UTC' },
+                { user_id: 'user2', timezone_identifier: 'UTC' }
+            ]);
+            nicknameService.updateGuildMember.mockResolvedValue({ status: 'updated' });
+
+            // Four shards share a budget of 2, which still leaves each shard one edit
+            client.shard.count = 4;
+            const first = await clockService.refreshLocalServers(client, [{ serverId: 'server1', intervalMinutes: 60 }], 2, onTheHour);
+
+            // Not an hour boundary, but the member skipped last time is overdue
+            const later = await clockService.refreshLocalServers(client, [{ serverId: 'server1', intervalMinutes: 60 }], 2, onTheHour.plus({ minutes: 15 }));
+
+            expect(first).toEqual({ updated: 1, unchanged: 0, skipped: 1 });
+            expect(later).toEqual({ updated: 1, unchanged: 0, skipped: 0 });
+            expect(nicknameService.updateGuildMember).toHaveBeenCalledTimes(2);
+            expect(clockService.overdueMembers.size).toBe(0);
+        });
+
+        test('should skip a tick while the previous refresh is still running', async () => {
+            clockService.isRefreshing = true;
+
+            const summary = await clockService.refreshLocalServers(client, [{ serverId: 'server1', intervalMinutes: 15 }], 10);
+
+            expect(summary).toBeNull();
+            expect(databaseService.getServerUsers).not.toHaveBeenCalled();
+
+            clockService.isRefreshing = false;
+        });
+    });
+
+    test('should start and stop', () => {
+        clockService.start();
+        expect(clockService.getStatus().isRunning).toBe(true);
+
+        clockService.stop();
+        expect(clockService.getStatus().isRunning).toBe(false);
+    });
+});
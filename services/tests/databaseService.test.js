@@ -0,0 +1,48 @@
+const databaseService = require('../databaseService');
+
+describe('DatabaseService', () => {
+    describe('Batched Iteration', () => {
+        test('should page through every timezone in use', async () => {
+            const pageSpy = jest.spyOn(databaseService, 'getTimezonesInUsePage')
+                .mockResolvedValueOnce(['America/New_York', 'Asia/Tokyo'])
+                .mockResolvedValueOnce(['Europe/London']);
+
+            const batches = [];
+            for await (const batch of databaseService.iterateTimezonesInUse(2)) {
+                batches.push(batch);
+            }
+
+            expect(batches).toEqual([['America/New_York', 'Asia/Tokyo'], ['Europe/London']]);
+            expect(pageSpy).toHaveBeenNthCalledWith(1, null, 2);
+            expect(pageSpy).toHaveBeenNthCalledWith(2, 'Asia/Tokyo', 2);
+        });
+
+        test('should stop on an empty page', async () => {
+            const pageSpy = jest.spyOn(databaseService, 'getTimezonesInUsePage')
+                .mockResolvedValueOnce(['America/New_York', 'Asia/Tokyo'])
+                .mockResolvedValueOnce([]);
+
+            const batches = [];
+            for await (const batch of databaseService.iterateTimezonesInUse(2)) {
+                batches.push(batch);
+            }
+
+            expect(batches).toEqual([['America/New_York', 'Asia/Tokyo']]);
+            expect(pageSpy).toHaveBeenCalledTimes(2);
+        });
+
+        test('should page through users in a timezone', async () => {
+            const pageSpy = jest.spyOn(databaseService, 'getUsersInTimezonePage')
+                .mockResolvedValueOnce(['user1', 'user2'])
+                .mockResolvedValueOnce(['user3']);
+
+            const userIds = [];
+            for await (const batch of databaseService.iterateUsersInTimezone('Europe/Berlin', 2)) {
+                userIds.push(...batch);
+            }
+
+            expect(userIds).toEqual(['user1', 'user2', 'user3']);
+            expect(pageSpy).toHaveBeenNthCalledWith(2, 'Europe/Berlin', 'user2', 2);
+        });
+    });
+});
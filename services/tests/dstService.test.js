@@ -4,23 +4,26 @@ const dstService = require('../dstService');
 // Mock all dependencies
 jest.mock('../databaseService');
 jest.mock('../timezoneService');
+jest.mock('../shardRpcService');
 jest.mock('../../utils/logger');
 
 const databaseService = require('../databaseService');
 const timezoneService = require('../timezoneService');
+const shardRpcService = require('../shardRpcService');
 const logger = require('../../utils/logger');
 
-// Mock the clientProvider module
-jest.mock('../clientProvider', () => ({
-    clientProvider: {
-        getClient: jest.fn()
-    }
-}));
+/**
+ * Build an async generator mock that yields the given batches
+ */
+function batches(...items) {
+    return async function* () {
+        for (const batch of items) {
+            yield batch;
+        }
+    };
+}
 
 describe('DSTService', () => {
-    let mockClient;
-    let clientProvider;
-
     beforeEach(() => {
         // Ensure we start with real timers and clean state
         jest.useRealTimers();
@@ -28,26 +31,17 @@ describe('DSTService', () => {
         jest.clearAllMocks();
         jest.spyOn(console, 'log').mockImplementation();
         jest.spyOn(console, 'error').mockImplementation();
-        
-        // Get the mocked clientProvider
-        clientProvider = require('../clientProvider');
-        
-        // Mock client with broadcastEval
-        mockClient = {
-            shard: {
-                broadcastEval: jest.fn()
-            }
-        };
-        clientProvider.clientProvider.getClient.mockReturnValue(mockClient);
 
         // Create proper spies for the DST service methods
         jest.spyOn(dstService, 'checkTimezoneForDST');
         jest.spyOn(dstService, 'updateUsersForDSTChanges');
         
         // Mock database service methods to prevent real calls
-        databaseService.getStats.mockResolvedValue({ popularTimezones: [] });
-        databaseService.getUsersInTimezone.mockResolvedValue([]);
+        databaseService.iterateTimezonesInUse.mockImplementation(batches());
+        databaseService.iterateUsersInTimezone.mockImplementation(batches());
         databaseService.getUserServers.mockResolvedValue([]);
+        databaseService.getDSTSchedule.mockResolvedValue(null);
+        databaseService.setDSTSchedule.mockResolvedValue(true);
     });
 
     afterEach(async () => {
@@ -98,48 +92,69 @@ describe('DSTService', () => {
     });
 
     describe('DST Detection Logic', () => {
-        test('should not check DST if not 5am in timezone', async () => {
-            // Mock DateTime for non-5am time
-            const mockNow = { hour: 10 };
-            jest.spyOn(DateTime, 'now').mockReturnValue({
-                setZone: jest.fn().mockReturnValue(mockNow)
-            });
+        test('should compute and store schedule when none exists', async () => {
+            const changeAt = DateTime.utc().plus({ days: 30 });
+            databaseService.getDSTSchedule.mockResolvedValue(null);
+            timezoneService.getNextTransition.mockReturnValue({ at: changeAt, offset: -240, previousOffset: -300 });
 
             const result = await dstService.checkTimezoneForDST('America/New_York');
 
             expect(result).toBe(false);
-            expect(timezoneService.getCurrentOffset).not.toHaveBeenCalled();
+            expect(databaseService.setDSTSchedule).toHaveBeenCalledWith('America/New_York', changeAt.toISO(), -240);
+            expect(dstService.getStatus().armedTransitions).toEqual([]);
         });
 
-        test('should detect no DST change when offsets are same', async () => {
-            // Mock DateTime for 5am with same offsets
-            const mockNow = { 
-                hour: 5, 
-                offset: -300,
-                minus: jest.fn().mockReturnValue({ offset: -300 })
-            };
-            
-            jest.spyOn(DateTime, 'now').mockReturnValue({
-                setZone: jest.fn().mockReturnValue(mockNow)
-            });
+        test('should store a null transition for zones without DST', async () => {
+            databaseService.getDSTSchedule.mockResolvedValue(null);
+            timezoneService.getNextTransition.mockReturnValue(null);
 
-            timezoneService.getCurrentOffset.mockReturnValue('UTC-5');
+            const result = await dstService.checkTimezoneForDST('Asia/Tokyo');
+
+            expect(result).toBe(false);
+            expect(databaseService.setDSTSchedule).toHaveBeenCalledWith('Asia/Tokyo', null, null);
+        });
+
+        test('should not recompute a fresh schedule', async () => {
+            databaseService.getDSTSchedule.mockResolvedValue({
+                timezone: 'America/New_York',
+                next_change_date: DateTime.utc().plus({ days: 30 }).toISO(),
+                next_offset: -240,
+                updated_at: DateTime.utc().toSQL({ includeOffset: false })
+            });
 
             const result = await dstService.checkTimezoneForDST('America/New_York');
 
             expect(result).toBe(false);
+            expect(timezoneService.getNextTransition).not.toHaveBeenCalled();
         });
 
-        test('should detect DST change when offsets differ', async () => {
-            // Mock DateTime for 5am with different offsets
-            const mockNow = { 
-                hour: 5, 
-                offset: -240,
-                minus: jest.fn().mockReturnValue({ offset: -300 })
-            };
-            
-            jest.spyOn(DateTime, 'now').mockReturnValue({
-                setZone: jest.fn().mockReturnValue(mockNow)
+        test('should arm a timer for a transition inside the window', async () => {
+            jest.useFakeTimers();
+            const changeAt = DateTime.utc().plus({ minutes: 30 });
+            databaseService.getDSTSchedule.mockResolvedValue({
+                timezone: 'Australia/Lord_Howe',
+                next_change_date: changeAt.toISO(),
+                next_offset: 660,
+                updated_at: DateTime.utc().toSQL({ includeOffset: false })
+            });
+            const handleSpy = jest.spyOn(dstService, 'handleTransition').mockResolvedValue();
+
+            await dstService.checkTimezoneForDST('Australia/Lord_Howe');
+
+            expect(dstService.getStatus().armedTransitions).toEqual(['Australia/Lord_Howe']);
+            expect(handleSpy).not.toHaveBeenCalled();
+
+            jest.advanceTimersByTime(31 * 60 * 1000);
+
+            expect(handleSpy).toHaveBeenCalledWith('Australia/Lord_Howe');
+        });
+
+        test('should detect DST change when stored transition has passed', async () => {
+            databaseService.getDSTSchedule.mockResolvedValue({
+                timezone: 'America/New_York',
+                next_change_date: DateTime.utc().minus({ minutes: 5 }).toISO(),
+                next_offset: -240,
+                updated_at: DateTime.utc().minus({ days: 2 }).toSQL({ includeOffset: false })
             });
 
             timezoneService.getCurrentOffset.mockReturnValue('UTC-4');
@@ -152,9 +167,7 @@ describe('DSTService', () => {
         test('should handle errors gracefully', async () => {
             const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
             
-            jest.spyOn(DateTime, 'now').mockImplementation(() => {
-                throw new Error('DateTime error');
-            });
+            databaseService.getDSTSchedule.mockRejectedValue(new Error('Database error'));
 
             const result = await dstService.checkTimezoneForDST('America/New_York');
 
@@ -166,45 +179,101 @@ describe('DSTService', () => {
         });
     });
 
+    describe('Transition Handling', () => {
+        test('should update users and move to the next transition', async () => {
+            const nextChange = DateTime.utc().plus({ months: 6 });
+            timezoneService.getCurrentOffset.mockReturnValue('UTC-4');
+            timezoneService.getNextTransition.mockReturnValue({ at: nextChange, offset: -300, previousOffset: -240 });
+            dstService.updateUsersForDSTChanges.mockResolvedValue({ updated: 0, failed: 0 });
+
+            await dstService.handleTransition('America/New_York');
+
+            expect(dstService.updateUsersForDSTChanges).toHaveBeenCalledWith(['America/New_York']);
+            expect(databaseService.setDSTSchedule).toHaveBeenCalledWith('America/New_York', nextChange.toISO(), -300);
+        });
+    });
+
     describe('User Updates for DST', () => {
         test('should handle timezone with no users', async () => {
-            databaseService.getUsersInTimezone.mockResolvedValue([]);
-
             await dstService.updateUsersForDSTChanges(['America/New_York']);
 
-            expect(databaseService.getUsersInTimezone).toHaveBeenCalledWith('America/New_York');
-            expect(mockClient.shard.broadcastEval).not.toHaveBeenCalled();
+            expect(databaseService.iterateUsersInTimezone).toHaveBeenCalledWith('America/New_York', dstService.batchSize);
+            expect(shardRpcService.request).not.toHaveBeenCalled();
         });
 
         test('should update users across shards successfully', async () => {
-            const mockUsers = ['user1', 'user2'];
-            
-            databaseService.getUsersInTimezone.mockResolvedValue(mockUsers);
+            databaseService.iterateUsersInTimezone.mockImplementation(batches(['user1'], ['user2']));
             databaseService.getUserServers.mockResolvedValue(['server1', 'server2']);
             
             // Mock the updateUserNicknamesForDST method to return a count
-            jest.spyOn(dstService, 'updateUserNicknamesForDST').mockResolvedValue(2);
+            jest.spyOn(dstService, 'updateUserNicknamesForDST').mockResolvedValue({ updated: 2, failed: 0 });
 
-            await dstService.updateUsersForDSTChanges(['America/New_York']);
+            const totals = await dstService.updateUsersForDSTChanges(['America/New_York']);
 
-            expect(databaseService.getUsersInTimezone).toHaveBeenCalledWith('America/New_York');
+            expect(databaseService.iterateUsersInTimezone).toHaveBeenCalledWith('America/New_York', dstService.batchSize);
+            expect(totals).toEqual({ updated: 4, failed: 0 });
             expect(dstService.updateUserNicknamesForDST).toHaveBeenCalledWith('user1', 'America/New_York');
             expect(dstService.updateUserNicknamesForDST).toHaveBeenCalledWith('user2', 'America/New_York');
         });
 
-        test('should handle broadcastEval errors', async () => {
-            const mockUsers = ['user1'];
-            databaseService.getUsersInTimezone.mockResolvedValue(mockUsers);
+        test('should handle shard request errors', async () => {
+            databaseService.iterateUsersInTimezone.mockImplementation(batches(['user1']));
             
             // Mock updateUserNicknamesForDST to throw an error
             jest.spyOn(dstService, 'updateUserNicknamesForDST').mockRejectedValue(new Error('Broadcast error'));
 
-            await dstService.updateUsersForDSTChanges(['America/New_York']);
+            const totals = await dstService.updateUsersForDSTChanges(['America/New_York']);
 
             expect(console.error).toHaveBeenCalledWith(
                 expect.stringContaining('❌ Error updating user user1 for DST:'),
                 'Broadcast error'
             );
+            expect(totals.failed).toBe(1);
+        });
+    });
+
+    describe('Cross-Shard Nickname Updates', () => {
+        test('should request nickname updates from every shard by name', async () => {
+            databaseService.getUserServers.mockResolvedValue(['server1', 'server2']);
+            shardRpcService.request.mockResolvedValue([
+                { shardId: 0, ok: true, result: [{ serverId: 'server1', serverName: 'One', status: 'updated', oldNickname: 'Bob (UTC-5)', newNickname: 'Bob (UTC-4)' }] },
+                { shardId: 1, ok: true, result: [{ serverId: 'server2', serverName: 'Two', status: 'skipped_owner' }] }
+            ]);
+
+            const updated = await dstService.updateUserNicknamesForDST('user1', 'America/New_York');
+
+            expect(databaseService.getUserServers).toHaveBeenCalledWith('user1', { decoratedOnly: true });
+            expect(shardRpcService.request).toHaveBeenCalledWith('updateNickname', {
+                userId: 'user1',
+                serverIds: ['server1', 'server2'],
+                action: 'apply',
+                timezone: 'America/New_York'
+            });
+            expect(updated).toEqual({ updated: 1, failed: 0 });
+        });
+
+        test('should count servers the update failed in', async () => {
+            databaseService.getUserServers.mockResolvedValue(['server1', 'server2', 'server3']);
+            shardRpcService.request.mockResolvedValue([
+                { shardId: 0, ok: true, result: [
+                    { serverId: 'server1', serverName: 'One', status: 'no_change' },
+                    { serverId: 'server2', serverName: 'Two', status: 'failed', message: 'Gave up after repeated Discord errors' }
+                ] },
+                { shardId: 1, ok: false, error: 'Shard timed out' }
+            ]);
+
+            const updated = await dstService.updateUserNicknamesForDST('user1', 'America/New_York');
+
+            expect(updated).toEqual({ updated: 0, failed: 2 });
+        });
+
+        test('should skip users without servers', async () => {
+            databaseService.getUserServers.mockResolvedValue([]);
+
+            const updated = await dstService.updateUserNicknamesForDST('user1', 'America/New_York');
+
+            expect(updated).toEqual({ updated: 0, failed: 0 });
+            expect(shardRpcService.request).not.toHaveBeenCalled();
         });
     });
 
@@ -216,39 +285,25 @@ describe('DSTService', () => {
         });
 
         test('should check all active timezones', async () => {
-            const mockTimezones = [
-                { timezone_identifier: 'America/New_York' },
-                { timezone_identifier: 'Europe/London' }
-            ];
-            
-            databaseService.getStats.mockResolvedValue({
-                popularTimezones: mockTimezones
-            });
+            databaseService.iterateTimezonesInUse.mockImplementation(batches(['America/New_York'], ['Europe/London']));
 
             dstService.checkTimezoneForDST.mockResolvedValue(false);
 
             await dstService.checkDSTChanges();
 
-            expect(databaseService.getStats).toHaveBeenCalled();
+            expect(databaseService.iterateTimezonesInUse).toHaveBeenCalledWith(dstService.batchSize);
             expect(dstService.checkTimezoneForDST).toHaveBeenCalledWith('America/New_York');
             expect(dstService.checkTimezoneForDST).toHaveBeenCalledWith('Europe/London');
         });
 
         test('should process DST changes when detected', async () => {
-            const mockTimezones = [
-                { timezone_identifier: 'America/New_York' },
-                { timezone_identifier: 'Europe/London' }
-            ];
-            
-            databaseService.getStats.mockResolvedValue({
-                popularTimezones: mockTimezones
-            });
+            databaseService.iterateTimezonesInUse.mockImplementation(batches(['America/New_York', 'Europe/London']));
 
             dstService.checkTimezoneForDST
                 .mockResolvedValueOnce(true)  // America/New_York has DST change
                 .mockResolvedValueOnce(false); // Europe/London has no change
 
-            dstService.updateUsersForDSTChanges.mockResolvedValue(5);
+            dstService.updateUsersForDSTChanges.mockResolvedValue({ updated: 5, failed: 0 });
 
             await dstService.checkDSTChanges();
 
@@ -256,24 +311,13 @@ describe('DSTService', () => {
         });
 
         test('should handle no timezones gracefully', async () => {
-            databaseService.getStats.mockResolvedValue({
-                popularTimezones: []
-            });
-
             await dstService.checkDSTChanges();
 
             expect(dstService.checkTimezoneForDST).not.toHaveBeenCalled();
         });
 
         test('should handle individual timezone errors', async () => {
-            const mockTimezones = [
-                { timezone_identifier: 'America/New_York' },
-                { timezone_identifier: 'Invalid/Timezone' }
-            ];
-            
-            databaseService.getStats.mockResolvedValue({
-                popularTimezones: mockTimezones
-            });
+            databaseService.iterateTimezonesInUse.mockImplementation(batches(['America/New_York', 'Invalid/Timezone']));
 
             dstService.checkTimezoneForDST
                 .mockResolvedValueOnce(false)
@@ -288,18 +332,127 @@ describe('DSTService', () => {
         });
     });
 
+    describe('Missed Transition Catch-Up', () => {
+        beforeEach(() => {
+            dstService.updateUsersForDSTChanges.mockResolvedValue({ updated: 0, failed: 0 });
+            timezoneService.isValidTimezone.mockReturnValue(true);
+
+            const actualTimezoneService = jest.requireActual('../timezoneService');
+            timezoneService.getNextTransition.mockImplementation((...args) => actualTimezoneService.getNextTransition(...args));
+        });
+
+        test('should catch up zones whose offset changed since the last run', async () => {
+            // New York changed offset between these two instants, Tokyo did not
+            jest.spyOn(DateTime, 'utc').mockReturnValue(DateTime.fromISO('2026-03-10T12:00:00Z', { zone: 'utc' }));
+            databaseService.getServiceState.mockResolvedValue('2026-03-07T12:00:00.000Z');
+            databaseService.iterateTimezonesInUse.mockImplementation(batches(['America/New_York', 'Asia/Tokyo']));
+
+            const caughtUp = await dstService.catchUpMissedTransitions();
+
+            expect(caughtUp).toEqual(['America/New_York']);
+            expect(dstService.updateUsersForDSTChanges).toHaveBeenCalledWith(['America/New_York']);
+            expect(databaseService.setDSTSchedule).toHaveBeenCalledWith('America/New_York', '2026-11-01T06:00:00.000Z', -300);
+            expect(databaseService.setServiceState).toHaveBeenCalledWith('dst_last_run', expect.any(String));
+        });
+
+        test('should catch up zones that changed offset and back again since the last run', async () => {
+            // New York sprang forward in March and fell back in November
+            jest.spyOn(DateTime, 'utc').mockReturnValue(DateTime.fromISO('2027-01-10T12:00:00Z', { zone: 'utc' }));
+            databaseService.getServiceState.mockResolvedValue('2026-01-07T12:00:00.000Z');
+            databaseService.iterateTimezonesInUse.mockImplementation(batches(['America/New_York', 'Asia/Tokyo']));
+
+            const caughtUp = await dstService.catchUpMissedTransitions();
+
+            expect(caughtUp).toEqual(['America/New_York']);
+        });
+
+        test('should keep the last run when some nicknames could not be fixed', async () => {
+            jest.spyOn(DateTime, 'utc').mockReturnValue(DateTime.fromISO('2026-03-10T12:00:00Z', { zone: 'utc' }));
+            databaseService.getServiceState.mockResolvedValue('2026-03-07T12:00:00.000Z');
+            databaseService.iterateTimezonesInUse.mockImplementation(batches(['America/New_York']));
+            dstService.updateUsersForDSTChanges.mockResolvedValue({ updated: 3, failed: 1 });
+
+            const caughtUp = await dstService.catchUpMissedTransitions();
+
+            expect(caughtUp).toEqual(['America/New_York']);
+            expect(databaseService.setServiceState).not.toHaveBeenCalledWith('dst_last_run', expect.any(String));
+        });
+
+        test('should do nothing when no offsets changed', async () => {
+            jest.spyOn(DateTime, 'utc').mockReturnValue(DateTime.fromISO('2026-06-10T12:00:00Z', { zone: 'utc' }));
+            databaseService.getServiceState.mockResolvedValue('2026-06-01T12:00:00.000Z');
+            databaseService.iterateTimezonesInUse.mockImplementation(batches(['America/New_York', 'Europe/London']));
+
+            const caughtUp = await dstService.catchUpMissedTransitions();
+
+            expect(caughtUp).toEqual([]);
+            expect(dstService.updateUsersForDSTChanges).not.toHaveBeenCalled();
+            expect(databaseService.setServiceState).toHaveBeenCalled();
+        });
+
+        test('should re-render non-hour zones once after the offset format changes', async () => {
+            jest.spyOn(DateTime, 'utc').mockReturnValue(DateTime.fromISO('2026-06-10T12:00:00Z', { zone: 'utc' }));
+            databaseService.getServiceState.mockImplementation(key => Promise.resolve(key === 'dst_last_run' ? '2026-06-01T12:00:00.000Z' : null));
+            databaseService.iterateTimezonesInUse.mockImplementation(batches(['Asia/Kathmandu', 'Asia/Tokyo']));
+
+            const caughtUp = await dstService.catchUpMissedTransitions();
+
+            expect(caughtUp).toEqual(['Asia/Kathmandu']);
+            expect(databaseService.setServiceState).toHaveBeenCalledWith('offset_format_version', '2');
+        });
+
+        test('should not re-render non-hour zones once the offset format is current', async () => {
+            jest.spyOn(DateTime, 'utc').mockReturnValue(DateTime.fromISO('2026-06-10T12:00:00Z', { zone: 'utc' }));
+            databaseService.getServiceState.mockImplementation(key => Promise.resolve(key === 'dst_last_run' ? '2026-06-01T12:00:00.000Z' : '2'));
+            databaseService.iterateTimezonesInUse.mockImplementation(batches(['Asia/Kathmandu']));
+
+            const caughtUp = await dstService.catchUpMissedTransitions();
+
+            expect(caughtUp).toEqual([]);
+        });
+
+        test('should check every zone when no run has been recorded', async () => {
+            databaseService.getServiceState.mockResolvedValue(null);
+            databaseService.iterateTimezonesInUse.mockImplementation(batches(['America/New_York', 'Asia/Tokyo']));
+
+            const caughtUp = await dstService.catchUpMissedTransitions();
+
+            expect(caughtUp).toEqual(['America/New_York', 'Asia/Tokyo']);
+        });
+
+        test('should record a successful run after checking DST changes', async () => {
+            await dstService.checkDSTChanges();
+
+            expect(databaseService.setServiceState).toHaveBeenCalledWith('dst_last_run', expect.any(String));
+        });
+
+        test('should not record a run when a transition left nicknames out of date', async () => {
+            jest.spyOn(dstService, 'refreshSchedule').mockResolvedValue({ next_change_date: null });
+            dstService.updateUsersForDSTChanges.mockResolvedValue({ updated: 1, failed: 1 });
+
+            await dstService.handleTransition('America/New_York');
+
+            expect(databaseService.setServiceState).not.toHaveBeenCalled();
+        });
+    });
+
     describe('Timer Integration', () => {
         test('should call checkDSTChanges on interval', async () => {
             jest.useFakeTimers();
             const checkSpy = jest.spyOn(dstService, 'checkDSTChanges').mockResolvedValue();
+            jest.spyOn(dstService, 'catchUpMissedTransitions').mockResolvedValue([]);
 
             await dstService.start();
+            await dstService.startupPromise;
+            
+            // Should check immediately to build the schedule
+            expect(checkSpy).toHaveBeenCalledTimes(1);
             
-            // Advance to the next hour to trigger the first check
+            // Advance to the next hour to trigger the first hourly check
             jest.advanceTimersByTime(61 * 60 * 1000);
             
-            // Should have been called once (first check at top of hour)
-            expect(checkSpy).toHaveBeenCalledTimes(1);
+            // Should have been called once more (first check at top of hour)
+            expect(checkSpy).toHaveBeenCalledTimes(2);
             
             // Clear the call count from the initial check
             checkSpy.mockClear();
@@ -320,8 +473,10 @@ describe('DSTService', () => {
             jest.useFakeTimers();
             const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
             
-            // Mock getStats to cause an error in checkDSTChanges
-            databaseService.getStats.mockRejectedValue(new Error('Database error'));
+            // Make the timezone iterator fail to cause an error in checkDSTChanges
+            databaseService.iterateTimezonesInUse.mockImplementation(async function* () {
+                throw new Error('Database error');
+            });
 
             await dstService.start();
             
@@ -0,0 +1,144 @@
+const { Collection } = require('discord.js');
+const guildSettingsService = require('../guildSettingsService');
+
+// Mock all dependencies
+jest.mock('../databaseService');
+jest.mock('../shardRpcService');
+
+const databaseService = require('../databaseService');
+const shardRpcService = require('../shardRpcService');
+
+const ROLE_ID = '111111111111111111';
+const CHANNEL_ID = '222222222222222222';
+
+function createGuild() {
+    const channel = { id: CHANNEL_ID, isTextBased: () => true, send: jest.fn().mockResolvedValue() };
+
+    return {
+        id: 'server1',
+        name: 'Test Server',
+        roles: { cache: new Collection([[ROLE_ID, { id: ROLE_ID }]]) },
+        channels: { cache: new Collection([[CHANNEL_ID, channel]]) }
+    };
+}
+
+describe('GuildSettingsService', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation();
+
+        guildSettingsService.cache.clear();
+        databaseService.getGuildSettings.mockResolvedValue([]);
+        databaseService.setGuildSetting.mockResolvedValue(true);
+        databaseService.deleteGuildSettings.mockResolvedValue(1);
+        shardRpcService.request.mockResolvedValue([{ shardId: 0, ok: true, result: true }]);
+    });
+
+    describe('getSettings', () => {
+        test('should fill in defaults for settings never changed', async () => {
+            const settings = await guildSettingsService.getSettings('server1');
+
+            expect(settings).toEqual({
+                enforcement: true,
+                exempt_roles: [],
+                exempt_members: [],
+                log_channel: null,
+                locale: 'en-US'
+            });
+        });
+
+        test('should deserialize stored values by type', async () => {
+            databaseService.getGuildSettings.mockResolvedValue([
+                { key: 'enforcement', value: '0' },
+                { key: 'exempt_roles', value: `["${ROLE_ID}"]` }
+            ]);
+
+            const settings = await guildSettingsService.getSettings('server1');
+
+            expect(settings.enforcement).toBe(false);
+            expect(settings.exempt_roles).toEqual([ROLE_ID]);
+        });
+
+        test('should serve repeat reads from the cache until invalidated', async () => {
+            await guildSettingsService.get('server1', 'locale');
+            await guildSettingsService.get('server1', 'enforcement');
+            expect(databaseService.getGuildSettings).toHaveBeenCalledTimes(1);
+
+            guildSettingsService.invalidate('server1');
+            await guildSettingsService.get('server1', 'locale');
+            expect(databaseService.getGuildSettings).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('parse', () => {
+        test('should read booleans', () => {
+            expect(guildSettingsService.parse('enforcement', 'Off', createGuild())).toEqual({ valid: true, value: false });
+            expect(guildSettingsService.parse('enforcement', 'maybe', createGuild()).valid).toBe(false);
+        });
+
+        test('should read role mentions and reject roles from elsewhere', () => {
+            const guild = createGuild();
+
+            expect(guildSettingsService.parse('exempt_roles', `<@&${ROLE_ID}> <@&${ROLE_ID}>`, guild)).toEqual({ valid: true, value: [ROLE_ID] });
+            expect(guildSettingsService.parse('exempt_roles', '<@&333333333333333333>', guild).valid).toBe(false);
+        });
+
+        test('should read channel mentions', () => {
+            expect(guildSettingsService.parse('log_channel', `<#${CHANNEL_ID}>`, createGuild())).toEqual({ valid: true, value: CHANNEL_ID });
+        });
+
+        test('should canonicalize locales and reject malformed tags', () => {
+            expect(guildSettingsService.parse('locale', 'en-gb', createGuild())).toEqual({ valid: true, value: 'en-GB' });
+            expect(guildSettingsService.parse('locale', 'not a locale', createGuild()).valid).toBe(false);
+        });
+    });
+
+    describe('set and reset', () => {
+        test('should store the serialized value and invalidate every shard', async () => {
+            await guildSettingsService.getSettings('server1');
+
+            await guildSettingsService.set('server1', 'exempt_roles', [ROLE_ID]);
+
+            expect(databaseService.setGuildSetting).toHaveBeenCalledWith('server1', 'exempt_roles', `["${ROLE_ID}"]`);
+            expect(shardRpcService.request).toHaveBeenCalledWith('invalidateGuildSettings', { serverId: 'server1' });
+            expect(guildSettingsService.cache.has('server1')).toBe(false);
+        });
+
+        test('should still drop the local copy when the broadcast fails', async () => {
+            await guildSettingsService.getSettings('server1');
+            shardRpcService.request.mockRejectedValue(new Error('Shards not ready'));
+
+            await guildSettingsService.reset('server1', 'locale');
+
+            expect(databaseService.deleteGuildSettings).toHaveBeenCalledWith('server1', 'locale');
+            expect(guildSettingsService.cache.has('server1')).toBe(false);
+        });
+
+        test('should refuse unknown settings', async () => {
+            await expect(guildSettingsService.set('server1', 'colour', 'red')).rejects.toThrow('Unknown guild setting');
+        });
+    });
+
+    test('should exempt listed members and holders of exempt roles', async () => {
+        databaseService.getGuildSettings.mockResolvedValue([
+            { key: 'exempt_roles', value: `["${ROLE_ID}"]` },
+            { key: 'exempt_members', value: '["user2"]' }
+        ]);
+        const member = (id, roleIds = []) => ({ id, roles: { cache: new Collection(roleIds.map(roleId => [roleId, { id: roleId }])) } });
+
+        expect(await guildSettingsService.isExempt('server1', member('user1', [ROLE_ID]))).toBe(true);
+        expect(await guildSettingsService.isExempt('server1', member('user2'))).toBe(true);
+        expect(await guildSettingsService.isExempt('server1', member('user3'))).toBe(false);
+    });
+
+    test('should post notices only where a log channel is configured', async () => {
+        const guild = createGuild();
+
+        expect(await guildSettingsService.notifyLogChannel(guild, 'Hello')).toBe(false);
+
+        databaseService.getGuildSettings.mockResolvedValue([{ key: 'log_channel', value: CHANNEL_ID }]);
+        guildSettingsService.invalidate('server1');
+
+        expect(await guildSettingsService.notifyLogChannel(guild, 'Hello')).toBe(true);
+        expect(guild.channels.cache.get(CHANNEL_ID).send).toHaveBeenCalledWith(expect.objectContaining({ content: 'Hello' }));
+    });
+});
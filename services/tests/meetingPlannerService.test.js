@@ -0,0 +1,112 @@
+const { DateTime } = require('luxon');
+const meetingPlannerService = require('../meetingPlannerService');
+
+const utc = (iso) => DateTime.fromISO(iso, { zone: 'utc' });
+
+describe('MeetingPlannerService', () => {
+    describe('findSlots', () => {
+        test('should prefer slots inside everyone\'s working hours', () => {
+            const slots = meetingPlannerService.findSlots({
+                participants: [
+                    { id: 'london', timezone: 'Europe/London' },
+                    { id: 'berlin', timezone: 'Europe/Berlin' }
+                ],
+                durationMinutes: 60,
+                from: utc('2026-01-14T00:00'),
+                to: utc('2026-01-15T00:00'),
+                limit: 3
+            });
+
+            // London 09:00-17:00 and Berlin 08:00-16:00 UTC overlap from 09:00 to 16:00 UTC
+            expect(slots[0].start.toISO()).toBe('2026-01-14T09:00:00.000Z');
+            expect(slots.every(slot => slot.preferredCount === 2)).toBe(true);
+            expect(slots[0].participants.map(participant => participant.local.toFormat('HH:mm'))).toEqual(['09:00', '10:00']);
+        });
+
+        test('should fall back to reasonable hours when working hours never overlap', () => {
+            const slots = meetingPlannerService.findSlots({
+                participants: [
+                    { id: 'newYork', timezone: 'America/New_York' },
+                    { id: 'tokyo', timezone: 'Asia/Tokyo' }
+                ],
+                durationMinutes: 60,
+                from: utc('2026-01-14T12:00'),
+                to: utc('2026-01-15T12:00')
+            });
+
+            // 08:00-21:00 overlaps only from 23:00 to 02:00 UTC, and Tokyo starts work at 00:00 UTC
+            expect(slots.map(slot => slot.start.toISO())).toEqual([
+                '2026-01-15T00:00:00.000Z',
+                '2026-01-15T01:00:00.000Z',
+                '2026-01-14T23:00:00.000Z'
+            ]);
+            expect(slots[0].participants.map(participant => participant.fit)).toEqual(['acceptable', 'preferred']);
+            expect(slots[2].preferredCount).toBe(0);
+        });
+
+        test('should return nothing when no slot is reasonable for everyone', () => {
+            const slots = meetingPlannerService.findSlots({
+                participants: [
+                    { id: 'honolulu', timezone: 'Pacific/Honolulu' },
+                    { id: 'london', timezone: 'Europe/London' },
+                    { id: 'kolkata', timezone: 'Asia/Kolkata' }
+                ],
+                durationMinutes: 30,
+                from: utc('2026-01-14T00:00'),
+                to: utc('2026-01-16T00:00')
+            });
+
+            // Honolulu and London share only 18:00-21:00 UTC, when it is past 23:30 in Kolkata
+            expect(slots).toEqual([]);
+        });
+
+        test('should not return overlapping slots', () => {
+            const slots = meetingPlannerService.findSlots({
+                participants: [
+                    { id: 'a', timezone: 'UTC' },
+                    { id: 'b', timezone: 'UTC' }
+                ],
+                durationMinutes: 120,
+                from: utc('2026-01-14T00:00'),
+                to: utc('2026-01-15T00:00')
+            });
+
+            expect(slots.map(slot => slot.start.toFormat('HH:mm'))).toEqual(['09:00', '11:00', '13:00', '15:00', '17:00']);
+        });
+
+        test('should start on step boundaries', () => {
+            const [slot] = meetingPlannerService.findSlots({
+                participants: [{ id: 'a', timezone: 'UTC' }, { id: 'b', timezone: 'UTC' }],
+                durationMinutes: 30,
+                from: utc('2026-01-14T09:10'),
+                to: utc('2026-01-14T12:00'),
+                limit: 1
+            });
+
+            expect(slot.start.toISO()).toBe('2026-01-14T09:30:00.000Z');
+        });
+    });
+
+    describe('getFit', () => {
+        const start = utc('2026-01-14T23:00');
+        const end = utc('2026-01-15T01:00');
+
+        test('should accept slots inside a window that runs past midnight', () => {
+            const nightOwl = { timezone: 'UTC', preferred: { start: 22 * 60, end: 2 * 60 }, acceptable: { start: 20 * 60, end: 3 * 60 } };
+
+            expect(meetingPlannerService.getFit(start, end, nightOwl)).toBe('preferred');
+            expect(meetingPlannerService.getFit(utc('2026-01-15T01:00'), utc('2026-01-15T02:30'), nightOwl)).toBe('acceptable');
+        });
+
+        test('should reject slots that run past the end of the window', () => {
+            expect(meetingPlannerService.getFit(start, end, { timezone: 'UTC' })).toBeNull();
+            expect(meetingPlannerService.getFit(utc('2026-01-14T20:00'), utc('2026-01-14T21:30'), { timezone: 'UTC' })).toBeNull();
+        });
+
+        test('should judge slots by the local clock on either side of a DST change', () => {
+            // Europe/London springs forward at 01:00 UTC on 29 March 2026; 08:30 BST is 07:30 UTC
+            expect(meetingPlannerService.getFit(utc('2026-03-29T07:30'), utc('2026-03-29T08:30'), { timezone: 'Europe/London' })).toBe('acceptable');
+            expect(meetingPlannerService.getFit(utc('2026-03-28T07:30'), utc('2026-03-28T08:30'), { timezone: 'Europe/London' })).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,140 @@
+const { Collection } = require('discord.js');
+const nicknameConflictService = require('../nicknameConflictService');
+
+// Mock all dependencies
+jest.mock('../databaseService');
+jest.mock('../guildSettingsService');
+jest.mock('../../utils/logger');
+
+const databaseService = require('../databaseService');
+const guildSettingsService = require('../guildSettingsService');
+const { logger } = require('../../utils/logger');
+
+function createMember(id = 'user1') {
+    return {
+        id,
+        user: { tag: 'alice#0001' },
+        guild: { id: 'server1', name: 'Test Server' }
+    };
+}
+
+function createGuild({ canViewAuditLog = true, entries = [] } = {}) {
+    return {
+        id: 'server1',
+        name: 'Test Server',
+        members: { me: { permissions: { has: jest.fn().mockReturnValue(canViewAuditLog) } } },
+        fetchAuditLogs: jest.fn().mockResolvedValue({
+            entries: new Collection(entries.map((entry, index) => [`entry${index}`, entry]))
+        })
+    };
+}
+
+describe('NicknameConflictService', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation();
+        jest.spyOn(console, 'error').mockImplementation();
+
+        nicknameConflictService.recentReapplications.clear();
+        databaseService.setNicknameConflict.mockResolvedValue(true);
+        databaseService.deleteNicknameConflicts.mockResolvedValue(1);
+    });
+
+    describe('recordReapplication', () => {
+        test('should back off once another actor undoes the timezone too often', async () => {
+            const member = createMember();
+            const results = [];
+
+            for (let i = 0; i < nicknameConflictService.maxReapplications; i++) {
+                results.push(await nicknameConflictService.recordReapplication(member, 'otherBot'));
+            }
+
+            expect(results).toEqual([false, false, false, false, true]);
+            expect(databaseService.setNicknameConflict).toHaveBeenCalledWith(expect.objectContaining({
+                userId: 'user1',
+                serverId: 'server1',
+                actorId: 'otherBot',
+                reapplications: 5
+            }));
+            expect(logger.logNicknameConflict).toHaveBeenCalledWith('user1', 'server1', 'otherBot', 5, expect.any(Number));
+            expect(guildSettingsService.notifyLogChannel).toHaveBeenCalledWith(member.guild, expect.stringContaining('<@otherBot>'));
+        });
+
+        test('should forget re-applications older than the window', async () => {
+            const member = createMember();
+            const start = Date.now();
+            const now = jest.spyOn(Date, 'now');
+
+            now.mockReturnValue(start);
+            for (let i = 0; i < nicknameConflictService.maxReapplications - 1; i++) {
+                await nicknameConflictService.recordReapplication(member, null);
+            }
+
+            now.mockReturnValue(start + nicknameConflictService.windowMs);
+            const conflicted = await nicknameConflictService.recordReapplication(member, null);
+
+            expect(conflicted).toBe(false);
+            expect(databaseService.setNicknameConflict).not.toHaveBeenCalled();
+        });
+
+        test('should drop members whose re-applications have all expired', async () => {
+            const start = Date.now();
+            const now = jest.spyOn(Date, 'now');
+
+            now.mockReturnValue(start);
+            await nicknameConflictService.recordReapplication(createMember('user1'), null);
+
+            now.mockReturnValue(start + nicknameConflictService.windowMs);
+            await nicknameConflictService.recordReapplication(createMember('user2'), null);
+
+            expect([...nicknameConflictService.recentReapplications.keys()]).toEqual(['server1:user2']);
+        });
+
+        test('should not count members renaming themselves', async () => {
+            const member = createMember();
+
+            for (let i = 0; i < nicknameConflictService.maxReapplications * 2; i++) {
+                expect(await nicknameConflictService.recordReapplication(member, 'user1')).toBe(false);
+            }
+
+            expect(databaseService.setNicknameConflict).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('findActor', () => {
+        test('should return the executor of the latest nickname change to the member', async () => {
+            const guild = createGuild({
+                entries: [
+                    { targetId: 'user2', executorId: 'mod', createdTimestamp: Date.now(), changes: [{ key: 'nick' }] },
+                    { targetId: 'user1', executorId: 'mod', createdTimestamp: Date.now(), changes: [{ key: 'communication_disabled_until' }] },
+                    { targetId: 'user1', executorId: 'otherBot', createdTimestamp: Date.now(), changes: [{ key: 'nick' }] }
+                ]
+            });
+
+            expect(await nicknameConflictService.findActor(guild, 'user1')).toBe('otherBot');
+        });
+
+        test('should ignore entries too old to have caused the event', async () => {
+            const guild = createGuild({
+                entries: [{ targetId: 'user1', executorId: 'mod', createdTimestamp: Date.now() - 60 * 1000, changes: [{ key: 'nick' }] }]
+            });
+
+            expect(await nicknameConflictService.findActor(guild, 'user1')).toBeNull();
+        });
+
+        test('should not read the audit log without permission', async () => {
+            const guild = createGuild({ canViewAuditLog: false });
+
+            expect(await nicknameConflictService.findActor(guild, 'user1')).toBeNull();
+            expect(guild.fetchAuditLogs).not.toHaveBeenCalled();
+        });
+    });
+
+    test('should clear pending re-applications with the stored marks', async () => {
+        await nicknameConflictService.recordReapplication(createMember(), null);
+
+        await nicknameConflictService.clearConflicts('user1');
+
+        expect(nicknameConflictService.recentReapplications.size).toBe(0);
+        expect(databaseService.deleteNicknameConflicts).toHaveBeenCalledWith('user1', null);
+    });
+});
@@ -0,0 +1,243 @@
+const nicknameQueueService = require('../nicknameQueueService');
+
+// Mock all dependencies
+jest.mock('../databaseService');
+jest.mock('../../utils/logger');
+
+const databaseService = require('../databaseService');
+const { logger } = require('../../utils/logger');
+
+/**
+ * Build an error shaped like discord.js's DiscordAPIError / RateLimitError
+ */
+function apiError(status, extra = {}) {
+    return Object.assign(new Error(`HTTP ${status}`), { status, ...extra });
+}
+
+function createJob(overrides = {}) {
+    return {
+        id: 1,
+        user_id: 'user1',
+        server_id: 'server1',
+        action: 'apply',
+        timezone: 'Europe/Berlin',
+        attempts: 0,
+        last_error: null,
+        ...overrides
+    };
+}
+
+const spec = { userId: 'user1', serverId: 'server1', action: 'apply', timezone: 'Europe/Berlin' };
+
+describe('NicknameQueueService', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation();
+        jest.spyOn(console, 'error').mockImplementation();
+
+        logger.error = jest.fn();
+        logger.logMemberUpdate = jest.fn();
+
+        nicknameQueueService.guildEdits.clear();
+        databaseService.enqueueNicknameJob.mockResolvedValue(true);
+        databaseService.rescheduleNicknameJob.mockResolvedValue(true);
+        databaseService.failNicknameJob.mockResolvedValue(true);
+        databaseService.deleteNicknameJob.mockResolvedValue(true);
+        databaseService.releaseStaleNicknameJobs.mockResolvedValue(0);
+    });
+
+    afterEach(() => {
+        nicknameQueueService.stop();
+    });
+
+    describe('setNickname', () => {
+        test('should write immediately while the guild has budget', async () => {
+            const member = { setNickname: jest.fn().mockResolvedValue() };
+
+            const outcome = await nicknameQueueService.setNickname(member, 'Alice (UTC+2)', spec);
+
+            expect(member.setNickname).toHaveBeenCalledWith('Alice (UTC+2)');
+            expect(outcome).toBe('updated');
+            expect(databaseService.enqueueNicknameJob).not.toHaveBeenCalled();
+        });
+
+        test('should queue writes once the guild budget is spent', async () => {
+            const member = { setNickname: jest.fn().mockResolvedValue() };
+
+            for (let i = 0; i < nicknameQueueService.rateLimit.maxEdits; i++) {
+                await nicknameQueueService.setNickname(member, 'Alice (UTC+2)', spec);
+            }
+            const outcome = await nicknameQueueService.setNickname(member, 'Alice (UTC+2)', spec);
+
+            expect(outcome).toBe('queued');
+            expect(member.setNickname).toHaveBeenCalledTimes(nicknameQueueService.rateLimit.maxEdits);
+            expect(databaseService.enqueueNicknameJob).toHaveBeenCalledWith(spec, expect.any(Number), null, 0);
+        });
+
+        test('should keep budgets separate per guild', async () => {
+            const member = { setNickname: jest.fn().mockResolvedValue() };
+
+            for (let i = 0; i < nicknameQueueService.rateLimit.maxEdits; i++) {
+                await nicknameQueueService.setNickname(member, 'Alice (UTC+2)', spec);
+            }
+            const outcome = await nicknameQueueService.setNickname(member, 'Alice (UTC+2)', { ...spec, serverId: 'server2' });
+
+            expect(outcome).toBe('updated');
+        });
+
+        test('should queue with backoff on rate limits and server errors', async () => {
+            const member = { setNickname: jest.fn().mockRejectedValue(apiError(503)) };
+            const before = Date.now();
+
+            const outcome = await nicknameQueueService.setNickname(member, 'Alice (UTC+2)', spec);
+
+            expect(outcome).toBe('queued');
+            const [, nextAttemptAt, lastError, attempts] = databaseService.enqueueNicknameJob.mock.calls[0];
+            expect(nextAttemptAt).toBeGreaterThanOrEqual(before + nicknameQueueService.retry.baseDelayMs);
+            expect(lastError).toBe('HTTP 503');
+            expect(attempts).toBe(1);
+        });
+
+        test('should rethrow errors that retrying cannot fix', async () => {
+            const member = { setNickname: jest.fn().mockRejectedValue(apiError(403, { code: 50013 })) };
+
+            await expect(nicknameQueueService.setNickname(member, 'Alice (UTC+2)', spec)).rejects.toMatchObject({ code: 50013 });
+            expect(databaseService.enqueueNicknameJob).not.toHaveBeenCalled();
+        });
+
+        test('should reschedule a queued job instead of enqueueing a duplicate', async () => {
+            const member = { setNickname: jest.fn().mockRejectedValue(apiError(429, { retryAfter: 60000 })) };
+            const before = Date.now();
+
+            const outcome = await nicknameQueueService.setNickname(member, 'Alice (UTC+2)', spec, createJob({ attempts: 2 }));
+
+            expect(outcome).toBe('queued');
+            expect(databaseService.enqueueNicknameJob).not.toHaveBeenCalled();
+            const [jobId, attempts, nextAttemptAt] = databaseService.rescheduleNicknameJob.mock.calls[0];
+            expect(jobId).toBe(1);
+            expect(attempts).toBe(3);
+            expect(nextAttemptAt).toBeGreaterThanOrEqual(before + 60000);
+        });
+
+        test('should give up after the maximum number of attempts', async () => {
+            const member = { setNickname: jest.fn().mockRejectedValue(apiError(500)) };
+            const job = createJob({ attempts: nicknameQueueService.retry.maxAttempts - 1 });
+
+            const outcome = await nicknameQueueService.setNickname(member, 'Alice (UTC+2)', spec, job);
+
+            expect(outcome).toBe('failed');
+            expect(databaseService.failNicknameJob).toHaveBeenCalledWith(1, nicknameQueueService.retry.maxAttempts, 'HTTP 500');
+            expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('Nickname Job Failed'));
+        });
+    });
+
+    describe('getRetryDelay', () => {
+        test('should back off exponentially up to the cap', () => {
+            const { baseDelayMs, maxDelayMs } = nicknameQueueService.retry;
+
+            expect(nicknameQueueService.getRetryDelay(1)).toBe(baseDelayMs);
+            expect(nicknameQueueService.getRetryDelay(3)).toBe(baseDelayMs * 4);
+            expect(nicknameQueueService.getRetryDelay(50)).toBe(maxDelayMs);
+        });
+    });
+
+    describe('processDueJobs', () => {
+        let client;
+        let processor;
+
+        beforeEach(() => {
+            client = {
+                guilds: {
+                    cache: new Map([['server1', { id: 'server1', name: 'One' }]])
+                }
+            };
+            processor = jest.fn();
+            nicknameQueueService.start(client, processor);
+        });
+
+        test('should process claimed jobs for guilds on this shard and delete them', async () => {
+            databaseService.getDueNicknameJobs.mockResolvedValue([
+                createJob({ id: 1 }),
+                createJob({ id: 2, server_id: 'server2' })
+            ]);
+            databaseService.claimNicknameJob.mockResolvedValue(true);
+            processor.mockResolvedValue({ serverId: 'server1', status: 'updated', oldNickname: 'Alice', newNickname: 'Alice (UTC+2)' });
+
+            const processed = await nicknameQueueService.processDueJobs();
+
+            expect(processed).toBe(1);
+            expect(databaseService.getDueNicknameJobs).toHaveBeenCalledWith(expect.any(Number), nicknameQueueService.batchSize, ['server1']);
+            expect(databaseService.claimNicknameJob).toHaveBeenCalledTimes(1);
+            expect(processor).toHaveBeenCalledWith(client.guilds.cache.get('server1'), expect.objectContaining({ id: 1 }));
+            expect(databaseService.deleteNicknameJob).toHaveBeenCalledWith(1);
+            expect(logger.logMemberUpdate).toHaveBeenCalledWith('user1', expect.objectContaining({ serverId: 'server1', oldNickname: 'Alice', newNickname: 'Alice (UTC+2)' }));
+        });
+
+        test('should skip jobs another shard has already claimed', async () => {
+            databaseService.getDueNicknameJobs.mockResolvedValue([createJob()]);
+            databaseService.claimNicknameJob.mockResolvedValue(false);
+
+            const processed = await nicknameQueueService.processDueJobs();
+
+            expect(processed).toBe(0);
+            expect(processor).not.toHaveBeenCalled();
+        });
+
+        test('should leave rescheduled jobs in the queue', async () => {
+            databaseService.getDueNicknameJobs.mockResolvedValue([createJob()]);
+            databaseService.claimNicknameJob.mockResolvedValue(true);
+            processor.mockResolvedValue({ status: 'queued' });
+
+            await nicknameQueueService.processDueJobs();
+
+            expect(databaseService.deleteNicknameJob).not.toHaveBeenCalled();
+            expect(databaseService.failNicknameJob).not.toHaveBeenCalled();
+        });
+
+        test('should mark jobs as failed when processing throws', async () => {
+            databaseService.getDueNicknameJobs.mockResolvedValue([createJob()]);
+            databaseService.claimNicknameJob.mockResolvedValue(true);
+            processor.mockRejectedValue(new Error('Unknown Guild'));
+
+            await nicknameQueueService.processDueJobs();
+
+            expect(databaseService.failNicknameJob).toHaveBeenCalledWith(1, 1, 'Unknown Guild');
+        });
+
+        test('should hold jobs for guilds that are out of budget', async () => {
+            for (let i = 0; i < nicknameQueueService.rateLimit.maxEdits; i++) {
+                nicknameQueueService.recordEdit('server1');
+            }
+            databaseService.getDueNicknameJobs.mockResolvedValue([createJob()]);
+
+            const processed = await nicknameQueueService.processDueJobs();
+
+            expect(processed).toBe(0);
+            expect(databaseService.getDueNicknameJobs).not.toHaveBeenCalled();
+            expect(databaseService.claimNicknameJob).not.toHaveBeenCalled();
+        });
+
+        test('should only ask for jobs in guilds that have budget left', async () => {
+            client.guilds.cache.set('server2', { id: 'server2', name: 'Two' });
+            for (let i = 0; i < nicknameQueueService.rateLimit.maxEdits; i++) {
+                nicknameQueueService.recordEdit('server1');
+            }
+            databaseService.getDueNicknameJobs.mockResolvedValue([]);
+
+            await nicknameQueueService.processDueJobs();
+
+            expect(databaseService.getDueNicknameJobs).toHaveBeenCalledWith(expect.any(Number), nicknameQueueService.batchSize, ['server2']);
+        });
+    });
+
+    test('should summarise pending and failed jobs for a server', async () => {
+        databaseService.getNicknameJobCounts.mockResolvedValue({ pending: 1, processing: 0, failed: 1 });
+        databaseService.getNicknameJobs.mockImplementation(status => Promise.resolve([createJob({ status })]));
+
+        const summary = await nicknameQueueService.getQueueSummary({ serverId: 'server1' });
+
+        expect(databaseService.getNicknameJobCounts).toHaveBeenCalledWith('server1');
+        expect(databaseService.getNicknameJobs).toHaveBeenCalledWith('failed', { serverId: 'server1', limit: 10 });
+        expect(summary.counts.failed).toBe(1);
+        expect(summary.pending[0].status).toBe('pending');
+    });
+});
@@ -0,0 +1,400 @@
+const nicknameService = require('../nicknameService');
+
+// Mock all dependencies
+jest.mock('../databaseService');
+jest.mock('../guildSettingsService');
+jest.mock('../shardRpcService');
+jest.mock('../../utils/logger');
+
+const databaseService = require('../databaseService');
+const shardRpcService = require('../shardRpcService');
+const timezoneService = require('../timezoneService');
+const nicknameQueueService = require('../nicknameQueueService');
+const roleService = require('../roleService');
+const guildSettingsService = require('../guildSettingsService');
+const { logger } = require('../../utils/logger');
+
+/**
+ * Build a fake guild holding a single member
+ */
+function createGuild({ id = 'server1', name = 'Test Server', ownerId = 'owner', member = null } = {}) {
+    return {
+        id,
+        name,
+        ownerId,
+        members: {
+            fetch: jest.fn().mockImplementation(() => member ? Promise.resolve(member) : Promise.reject(new Error('Unknown Member')))
+        }
+    };
+}
+
+function createMember({ nickname = null, username = 'alice', manageable = true } = {}) {
+    return {
+        id: 'user1',
+        nickname,
+        manageable,
+        user: { username },
+        setNickname: jest.fn().mockResolvedValue()
+    };
+}
+
+describe('NicknameService', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation();
+        jest.spyOn(console, 'error').mockImplementation();
+        jest.spyOn(timezoneService, 'getCurrentOffset').mockReturnValue('UTC+2');
+
+        logger.logMemberUpdate = jest.fn();
+        logger.logPermissionError = jest.fn();
+        logger.error = jest.fn();
+
+        nicknameQueueService.guildEdits.clear();
+        databaseService.getDecoratePreference.mockResolvedValue(true);
+    });
+
+    describe('updateGuildMember', () => {
+        test('should apply timezone to member nickname', async () => {
+            const member = createMember({ nickname: 'Alice' });
+            const guild = createGuild({ member });
+
+            const result = await nicknameService.updateGuildMember(guild, 'user1', 'apply', 'Europe/Berlin');
+
+            expect(member.setNickname).toHaveBeenCalledWith('Alice (UTC+2)');
+            expect(result).toMatchObject({ serverId: 'server1', status: 'updated', oldNickname: 'Alice', newNickname: 'Alice (UTC+2)' });
+        });
+
+        test('should report no change when nickname is already correct', async () => {
+            const member = createMember({ nickname: 'Alice (UTC+2)' });
+            const guild = createGuild({ member });
+
+            const result = await nicknameService.updateGuildMember(guild, 'user1', 'apply', 'Europe/Berlin');
+
+            expect(member.setNickname).not.toHaveBeenCalled();
+            expect(result.status).toBe('no_change');
+        });
+
+        test('should clear timezone and reset nickname when only the username remains', async () => {
+            const member = createMember({ nickname: 'alice (UTC+2)' });
+            const guild = createGuild({ member });
+
+            const result = await nicknameService.updateGuildMember(guild, 'user1', 'clear', null);
+
+            expect(member.setNickname).toHaveBeenCalledWith(null);
+            expect(result.status).toBe('updated');
+        });
+
+        test('should skip server owners', async () => {
+            const member = createMember({ nickname: 'Alice' });
+            const guild = createGuild({ ownerId: 'user1', member });
+
+            const result = await nicknameService.updateGuildMember(guild, 'user1', 'apply', 'Europe/Berlin');
+
+            expect(member.setNickname).not.toHaveBeenCalled();
+            expect(result.status).toBe('skipped_owner');
+        });
+
+        test('should skip members the bot cannot manage', async () => {
+            const member = createMember({ nickname: 'Alice', manageable: false });
+            const guild = createGuild({ member });
+
+            const result = await nicknameService.updateGuildMember(guild, 'user1', 'apply', 'Europe/Berlin');
+
+            expect(result.status).toBe('skipped_permissions');
+        });
+
+        test('should queue the write when the server is out of edit budget', async () => {
+            const member = createMember({ nickname: 'Alice' });
+            const guild = createGuild({ member });
+            databaseService.enqueueNicknameJob.mockResolvedValue(true);
+            for (let i = 0; i < nicknameQueueService.rateLimit.maxEdits; i++) {
+                nicknameQueueService.recordEdit('server1');
+            }
+
+            const result = await nicknameService.updateGuildMember(guild, 'user1', 'apply', 'Europe/Berlin');
+
+            expect(member.setNickname).not.toHaveBeenCalled();
+            expect(result).toMatchObject({ status: 'queued', newNickname: 'Alice (UTC+2)' });
+            expect(databaseService.enqueueNicknameJob).toHaveBeenCalledWith(
+                { userId: 'user1', serverId: 'server1', action: 'apply', timezone: 'Europe/Berlin' },
+                expect.any(Number),
+                null,
+                0
+            );
+        });
+
+        test('should use the server template and strip its previous decoration', async () => {
+            const member = createMember({ nickname: 'Alice (UTC+1)' });
+            const guild = createGuild({ member });
+            databaseService.getNicknameTemplate.mockResolvedValueOnce({ template: '[{offset}] {name}', previous_templates: ['{name} ({offset})'] });
+
+            const result = await nicknameService.updateGuildMember(guild, 'user1', 'apply', 'Europe/Berlin');
+
+            expect(databaseService.getNicknameTemplate).toHaveBeenCalledWith('server1');
+            expect(member.setNickname).toHaveBeenCalledWith('[UTC+2] Alice');
+            expect(result.status).toBe('updated');
+        });
+
+        test('should render the user\'s abbreviation display mode', async () => {
+            const member = createMember({ nickname: 'Alice (UTC+2)' });
+            const guild = createGuild({ member });
+            databaseService.getUserTimezone.mockResolvedValueOnce({ user_id: 'user1', timezone_identifier: 'Europe/Berlin', display_mode: 'abbreviation' });
+            jest.spyOn(timezoneService, 'getTimezoneAbbreviation').mockReturnValue('CEST');
+
+            await nicknameService.updateGuildMember(guild, 'user1', 'apply', 'Europe/Berlin');
+
+            expect(member.setNickname).toHaveBeenCalledWith('Alice (CEST)');
+        });
+
+        test('should hand servers in role mode to the role service and strip old decorations', async () => {
+            const member = createMember({ nickname: 'Alice (UTC+1)' });
+            const guild = createGuild({ member, ownerId: 'user1' });
+            databaseService.getRoleMode.mockResolvedValueOnce('offset');
+            jest.spyOn(roleService, 'updateMemberRole').mockResolvedValue({ serverId: 'server1', status: 'updated', role: 'UTC+2', oldRole: null, newRole: 'UTC+2' });
+
+            const result = await nicknameService.updateGuildMember(guild, 'user1', 'apply', 'Europe/Berlin');
+
+            expect(roleService.updateMemberRole).toHaveBeenCalledWith(guild, member, 'apply', 'Europe/Berlin', { mode: 'offset', offsetStyle: 'colon' });
+            expect(result).toMatchObject({ status: 'updated', role: 'UTC+2' });
+            // Owners still get the role, but their nickname stays out of reach
+            expect(member.setNickname).not.toHaveBeenCalled();
+        });
+
+        test('should report the decoration strip in role mode when the role is already correct', async () => {
+            const member = createMember({ nickname: 'Alice (UTC+2)' });
+            const guild = createGuild({ member });
+            databaseService.getRoleMode.mockResolvedValueOnce('offset');
+            jest.spyOn(roleService, 'updateMemberRole').mockResolvedValue({ serverId: 'server1', status: 'no_change', role: 'UTC+2' });
+
+            const result = await nicknameService.updateGuildMember(guild, 'user1', 'apply', 'Europe/Berlin');
+
+            expect(member.setNickname).toHaveBeenCalledWith('Alice');
+            expect(result).toMatchObject({ status: 'updated', oldNickname: 'Alice (UTC+2)', newNickname: 'Alice' });
+        });
+
+        test('should take the timezone off members who hide it in this server', async () => {
+            const member = createMember({ nickname: 'Alice (UTC+2)' });
+            const guild = createGuild({ member });
+            databaseService.getDecoratePreference.mockResolvedValue(false);
+
+            const result = await nicknameService.updateGuildMember(guild, 'user1', 'apply', 'Europe/Berlin');
+
+            expect(databaseService.getDecoratePreference).toHaveBeenCalledWith('user1', 'server1');
+            expect(member.setNickname).toHaveBeenCalledWith('Alice');
+            expect(result).toMatchObject({ status: 'updated', newNickname: 'Alice' });
+        });
+
+        test('should report members who hide their timezone once it is off', async () => {
+            const member = createMember({ nickname: 'Alice' });
+            const guild = createGuild({ member });
+            databaseService.getDecoratePreference.mockResolvedValue(false);
+
+            const result = await nicknameService.updateGuildMember(guild, 'user1', 'apply', 'Europe/Berlin');
+
+            expect(member.setNickname).not.toHaveBeenCalled();
+            expect(result.status).toBe('skipped_opt_out');
+        });
+
+        test('should leave exempt members\' nicknames alone', async () => {
+            const member = createMember({ nickname: 'Mod Alice (UTC+2)' });
+            const guild = createGuild({ member });
+            guildSettingsService.isExempt.mockResolvedValue(true);
+
+            const result = await nicknameService.updateGuildMember(guild, 'user1', 'apply', 'Europe/Berlin');
+
+            expect(guildSettingsService.isExempt).toHaveBeenCalledWith('server1', member);
+            expect(member.setNickname).not.toHaveBeenCalled();
+            expect(result.status).toBe('skipped_exempt');
+        });
+
+        test('should not re-apply the timezone to a member in a nickname conflict', async () => {
+            const member = createMember({ nickname: 'Alice' });
+            const guild = createGuild({ member });
+            databaseService.getNicknameConflict.mockResolvedValue({ user_id: 'user1', server_id: 'server1', expires_at: Date.now() + 1000 });
+
+            const result = await nicknameService.updateGuildMember(guild, 'user1', 'apply', 'Europe/Berlin');
+
+            expect(databaseService.getNicknameConflict).toHaveBeenCalledWith('user1', 'server1', expect.any(Number));
+            expect(member.setNickname).not.toHaveBeenCalled();
+            expect(result.status).toBe('skipped_conflict');
+        });
+
+        test('should report users who are not members', async () => {
+            const guild = createGuild();
+
+            const result = await nicknameService.updateGuildMember(guild, 'user1', 'apply', 'Europe/Berlin');
+
+            expect(result.status).toBe('not_member');
+        });
+    });
+
+    describe('base nicknames', () => {
+        const longName = 'Alexander the Great of Macedon';
+
+        test('should restore the full stored nickname on clear', async () => {
+            const member = createMember({ nickname: 'Alexander the Great of M (UTC+2)' });
+            const guild = createGuild({ member });
+            databaseService.getBaseNickname.mockResolvedValue({ base_nickname: longName });
+
+            const result = await nicknameService.updateGuildMember(guild, 'user1', 'clear', null);
+
+            expect(member.setNickname).toHaveBeenCalledWith(longName);
+            expect(result.newNickname).toBe(longName);
+            expect(databaseService.setBaseNickname).not.toHaveBeenCalled();
+        });
+
+        test('should re-render from the stored nickname rather than the shortened one', async () => {
+            timezoneService.getCurrentOffset.mockReturnValue('UTC+1');
+            const member = createMember({ nickname: 'Alexander the Great (UTC+12:45)' });
+            const guild = createGuild({ member });
+            databaseService.getBaseNickname.mockResolvedValue({ base_nickname: longName });
+
+            await nicknameService.updateGuildMember(guild, 'user1', 'apply', 'Europe/Berlin');
+
+            expect(member.setNickname).toHaveBeenCalledWith('Alexander the Great of M (UTC+1)');
+            expect(databaseService.setBaseNickname).not.toHaveBeenCalled();
+        });
+
+        test('should treat a name shortened by hand as the member\'s new nickname', async () => {
+            const member = createMember({ nickname: 'Alexander (UTC+2)' });
+            const guild = createGuild({ member });
+            databaseService.getBaseNickname.mockResolvedValue({ base_nickname: longName });
+
+            const result = await nicknameService.updateGuildMember(guild, 'user1', 'clear', null);
+
+            expect(databaseService.setBaseNickname).toHaveBeenCalledWith('user1', 'server1', 'Alexander');
+            expect(result.newNickname).toBe('Alexander');
+        });
+
+        test('should not store the nickname again when it has not changed', async () => {
+            const member = createMember({ nickname: 'Alice (UTC+2)' });
+            const guild = createGuild({ member });
+            databaseService.getBaseNickname.mockResolvedValue({ base_nickname: 'Alice' });
+
+            await nicknameService.updateGuildMember(guild, 'user1', 'apply', 'Europe/Berlin');
+
+            expect(databaseService.setBaseNickname).not.toHaveBeenCalled();
+        });
+
+        test('should store the current nickname the first time a member is decorated', async () => {
+            const member = createMember({ nickname: 'Alice' });
+            const guild = createGuild({ member });
+            databaseService.getBaseNickname.mockResolvedValue(null);
+
+            await nicknameService.updateGuildMember(guild, 'user1', 'apply', 'Europe/Berlin');
+
+            expect(databaseService.setBaseNickname).toHaveBeenCalledWith('user1', 'server1', 'Alice');
+        });
+
+        test('should replace a stored nickname the member changed while the bot was away', async () => {
+            const member = createMember({ nickname: 'Bob (UTC+2)' });
+            const guild = createGuild({ member });
+            databaseService.getBaseNickname.mockResolvedValue({ base_nickname: longName });
+
+            const result = await nicknameService.updateGuildMember(guild, 'user1', 'clear', null);
+
+            expect(databaseService.setBaseNickname).toHaveBeenCalledWith('user1', 'server1', 'Bob');
+            expect(result.newNickname).toBe('Bob');
+        });
+
+        test('should record edits the member makes but not the bot\'s own renderings', async () => {
+            const format = await nicknameService.getNicknameFormat('server1');
+            const member = { ...createMember({ nickname: 'Alexander the Great of M (UTC+2)' }), guild: { id: 'server1' } };
+            databaseService.getBaseNickname.mockResolvedValue({ base_nickname: longName });
+
+            expect(await nicknameService.recordNicknameEdit(member, 'Europe/Berlin', format)).toBe(longName);
+            expect(databaseService.setBaseNickname).not.toHaveBeenCalled();
+
+            // Shortening by hand looks like a truncation, but it is not what the bot wrote
+            member.nickname = 'Alexander (UTC+2)';
+            expect(await nicknameService.recordNicknameEdit(member, 'Europe/Berlin', format)).toBe('Alexander');
+            expect(databaseService.setBaseNickname).toHaveBeenCalledWith('user1', 'server1', 'Alexander');
+        });
+    });
+
+    describe('processQueuedJob', () => {
+        test('should apply the timezone the user has now', async () => {
+            const member = createMember({ nickname: 'Alice' });
+            const guild = createGuild({ member });
+            databaseService.getUserTimezone.mockResolvedValue({ user_id: 'user1', timezone_identifier: 'Europe/Paris' });
+
+            const result = await nicknameService.processQueuedJob(guild, { id: 1, user_id: 'user1', action: 'apply', timezone: 'Europe/Berlin', attempts: 0 });
+
+            expect(timezoneService.getCurrentOffset).toHaveBeenCalledWith('Europe/Paris', 'colon');
+            expect(result.status).toBe('updated');
+        });
+
+        test('should clear the nickname when the user no longer has a timezone', async () => {
+            const member = createMember({ nickname: 'alice (UTC+2)' });
+            const guild = createGuild({ member });
+            databaseService.getUserTimezone.mockResolvedValue(null);
+
+            await nicknameService.processQueuedJob(guild, { id: 1, user_id: 'user1', action: 'apply', timezone: 'Europe/Berlin', attempts: 0 });
+
+            expect(member.setNickname).toHaveBeenCalledWith(null);
+            expect(databaseService.deleteBaseNickname).toHaveBeenCalledWith('user1', 'server1');
+        });
+
+        test('should keep a deleted user\'s base nickname while their clear is still queued', async () => {
+            const member = createMember({ nickname: 'Alexander the Great of M (UTC+2)' });
+            const guild = createGuild({ member });
+            databaseService.getUserTimezone.mockResolvedValue(null);
+            databaseService.getBaseNickname.mockResolvedValue({ base_nickname: 'Alexander the Great of Macedon' });
+            jest.spyOn(nicknameQueueService, 'setNickname').mockResolvedValue('queued');
+
+            const result = await nicknameService.processQueuedJob(guild, { id: 1, user_id: 'user1', action: 'clear', timezone: null, attempts: 0 });
+
+            expect(nicknameQueueService.setNickname).toHaveBeenCalledWith(member, 'Alexander the Great of Macedon', expect.anything(), expect.anything());
+            expect(result.status).toBe('queued');
+            expect(databaseService.deleteBaseNickname).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('updateAcrossShards', () => {
+        test('should merge shard results and mark unseen servers as not a member', async () => {
+            shardRpcService.request.mockResolvedValue([
+                { shardId: 0, ok: true, result: [{ serverId: 'server1', serverName: 'One', status: 'updated', oldNickname: 'Alice', newNickname: 'Alice (UTC+2)' }] },
+                { shardId: 1, ok: true, result: [{ serverId: 'server2', serverName: 'Two', status: 'skipped_permissions' }] }
+            ]);
+
+            const results = await nicknameService.updateAcrossShards('user1', ['server1', 'server2', 'server3'], 'apply', 'Europe/Berlin');
+
+            expect(shardRpcService.request).toHaveBeenCalledWith('updateNickname', {
+                userId: 'user1',
+                serverIds: ['server1', 'server2', 'server3'],
+                action: 'apply',
+                timezone: 'Europe/Berlin'
+            });
+            expect(results.map(result => result.status)).toEqual(['updated', 'skipped_permissions', 'not_member']);
+            expect(logger.logMemberUpdate).toHaveBeenCalledWith('user1', expect.objectContaining({ serverId: 'server1', oldNickname: 'Alice', newNickname: 'Alice (UTC+2)' }));
+            expect(logger.logPermissionError).toHaveBeenCalledWith('user1', 'server2', 'update nickname');
+        });
+
+        test('should report unseen servers as errors when a shard fails', async () => {
+            shardRpcService.request.mockResolvedValue([
+                { shardId: 0, ok: true, result: [{ serverId: 'server1', serverName: 'One', status: 'no_change' }] },
+                { shardId: 1, ok: false, error: 'Timed out after 30000ms' }
+            ]);
+
+            const results = await nicknameService.updateAcrossShards('user1', ['server1', 'server2'], 'apply', 'Europe/Berlin');
+
+            expect(results.map(result => result.status)).toEqual(['no_change', 'error']);
+        });
+
+        test('should report every server as an error when the broadcast fails', async () => {
+            shardRpcService.request.mockRejectedValue(new Error('Shards unavailable'));
+
+            const results = await nicknameService.updateAcrossShards('user1', ['server1'], 'apply', 'Europe/Berlin');
+
+            expect(results).toEqual([expect.objectContaining({ serverId: 'server1', status: 'error' })]);
+        });
+
+        test('should look up servers from the database', async () => {
+            databaseService.getUserServers.mockResolvedValue([]);
+
+            const results = await nicknameService.applyTimezoneToAllServers('user1', 'Europe/Berlin');
+
+            expect(databaseService.getUserServers).toHaveBeenCalledWith('user1');
+            expect(results).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,88 @@
+const reconciliationService = require('../reconciliationService');
+
+// Mock all dependencies
+jest.mock('../databaseService');
+jest.mock('../shardRpcService');
+jest.mock('../../utils/logger');
+
+const databaseService = require('../databaseService');
+const shardRpcService = require('../shardRpcService');
+
+describe('ReconciliationService', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation();
+        jest.spyOn(console, 'error').mockImplementation();
+    });
+
+    /**
+     * Build successful listGuildIds responses, one per shard
+     */
+    function shardResponses(...guildIdsPerShard) {
+        return guildIdsPerShard.map((result, shardId) => ({ shardId, ok: true, result }));
+    }
+
+    afterEach(() => {
+        reconciliationService.stop();
+    });
+
+    test('should remove associations for guilds no shard can see', async () => {
+        shardRpcService.request.mockResolvedValue(shardResponses(['server1'], ['server2']));
+        databaseService.getAllServerIds.mockResolvedValue(['server1', 'server2', 'server3', 'server4']);
+        databaseService.removeServers.mockResolvedValue(5);
+
+        const removed = await reconciliationService.reconcile();
+
+        expect(databaseService.removeServers).toHaveBeenCalledWith(['server3', 'server4']);
+        expect(removed).toBe(5);
+    });
+
+    test('should not remove anything when every server is visible', async () => {
+        shardRpcService.request.mockResolvedValue(shardResponses(['server1', 'server2']));
+        databaseService.getAllServerIds.mockResolvedValue(['server1']);
+
+        const removed = await reconciliationService.reconcile();
+
+        expect(databaseService.removeServers).not.toHaveBeenCalled();
+        expect(removed).toBe(0);
+    });
+
+    test('should skip reconciliation when no guilds are visible', async () => {
+        shardRpcService.request.mockResolvedValue(shardResponses([], []));
+
+        const removed = await reconciliationService.reconcile();
+
+        expect(databaseService.getAllServerIds).not.toHaveBeenCalled();
+        expect(removed).toBe(0);
+    });
+
+    test('should handle shard errors gracefully', async () => {
+        shardRpcService.request.mockRejectedValue(new Error('Client not ready'));
+
+        const removed = await reconciliationService.reconcile();
+
+        expect(databaseService.removeServers).not.toHaveBeenCalled();
+        expect(console.error).toHaveBeenCalledWith('❌ Reconciliation failed:', expect.any(Error));
+        expect(removed).toBe(0);
+    });
+
+    test('should skip reconciliation when a shard does not respond', async () => {
+        shardRpcService.request.mockResolvedValue([
+            { shardId: 0, ok: true, result: ['server1'] },
+            { shardId: 1, ok: false, error: 'Timed out after 30000ms' }
+        ]);
+        databaseService.getAllServerIds.mockResolvedValue(['server1', 'server2']);
+
+        const removed = await reconciliationService.reconcile();
+
+        expect(databaseService.removeServers).not.toHaveBeenCalled();
+        expect(removed).toBe(0);
+    });
+
+    test('should start and stop', () => {
+        reconciliationService.start();
+        expect(reconciliationService.getStatus().isRunning).toBe(true);
+
+        reconciliationService.stop();
+        expect(reconciliationService.getStatus().isRunning).toBe(false);
+    });
+});
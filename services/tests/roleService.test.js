@@ -0,0 +1,235 @@
+const { Collection } = require('discord.js');
+const roleService = require('../roleService');
+
+// Mock all dependencies
+jest.mock('../databaseService');
+jest.mock('../../utils/logger');
+
+const databaseService = require('../databaseService');
+const timezoneService = require('../timezoneService');
+
+/**
+ * Build a fake guild whose role manager creates roles with sequential IDs
+ */
+function createGuild(existingRoles = []) {
+    const cache = new Collection(existingRoles.map(role => [role.id, role]));
+    let nextId = 100;
+
+    return {
+        id: 'server1',
+        name: 'Test Server',
+        members: { me: { permissions: { has: jest.fn().mockReturnValue(true) } } },
+        roles: {
+            cache,
+            create: jest.fn().mockImplementation(({ name }) => {
+                const role = createRole(`role${nextId++}`, name);
+                cache.set(role.id, role);
+                return Promise.resolve(role);
+            })
+        }
+    };
+}
+
+function createRole(id, name, { permissions = 0n, managed = false } = {}) {
+    return { id, name, managed, permissions: { bitfield: permissions }, delete: jest.fn().mockResolvedValue() };
+}
+
+function createMember(roles = []) {
+    return {
+        id: 'user1',
+        roles: {
+            cache: new Collection(roles.map(role => [role.id, role])),
+            add: jest.fn().mockResolvedValue(),
+            remove: jest.fn().mockResolvedValue()
+        }
+    };
+}
+
+describe('RoleService', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.spyOn(console, 'log').mockImplementation();
+        jest.spyOn(console, 'error').mockImplementation();
+
+        databaseService.getTimezoneRoles.mockResolvedValue([]);
+        databaseService.getServerUsers.mockResolvedValue([]);
+        databaseService.setTimezoneRole.mockResolvedValue(true);
+        databaseService.deleteTimezoneRole.mockResolvedValue(true);
+    });
+
+    afterEach(() => {
+        for (const timeoutId of roleService.cleanupTimers.values()) {
+            clearTimeout(timeoutId);
+        }
+        roleService.cleanupTimers.clear();
+        jest.useRealTimers();
+    });
+
+    describe('getRoleName', () => {
+        test('should name offset roles after the current offset', () => {
+            jest.spyOn(timezoneService, 'getCurrentOffset').mockReturnValue('UTC+5:45');
+
+            expect(roleService.getRoleName('Asia/Kathmandu', 'offset', 'colon')).toBe('UTC+5:45');
+            expect(timezoneService.getCurrentOffset).toHaveBeenCalledWith('Asia/Kathmandu', 'colon');
+        });
+
+        test('should name region roles after the zone area', () => {
+            expect(roleService.getRoleName('Europe/Berlin', 'region')).toBe('Europe');
+            expect(roleService.getRoleName('America/Argentina/Buenos_Aires', 'region')).toBe('America');
+            expect(roleService.getRoleName('UTC', 'region')).toBe('Other');
+            expect(roleService.getRoleName('Etc/GMT+5', 'region')).toBe('Other');
+        });
+    });
+
+    describe('updateMemberRole', () => {
+        test('should create the role on first use and assign it', async () => {
+            const guild = createGuild();
+            const member = createMember();
+
+            const result = await roleService.updateMemberRole(guild, member, 'apply', 'Europe/Berlin', { mode: 'region' });
+
+            expect(guild.roles.create).toHaveBeenCalledWith(expect.objectContaining({ name: 'Europe', permissions: [] }));
+            expect(databaseService.setTimezoneRole).toHaveBeenCalledWith('server1', 'Europe', 'role100');
+            expect(member.roles.add).toHaveBeenCalledWith(expect.objectContaining({ id: 'role100' }), 'Timezone role');
+            expect(result).toMatchObject({ status: 'updated', role: 'Europe', oldRole: null, newRole: 'Europe' });
+        });
+
+        test('should move a member between offset roles and delete the one left empty', async () => {
+            jest.spyOn(timezoneService, 'getCurrentOffset').mockReturnValue('UTC+2');
+            const winter = createRole('role1', 'UTC+1');
+            const summer = createRole('role2', 'UTC+2');
+            const guild = createGuild([winter, summer]);
+            const member = createMember([winter]);
+            databaseService.getTimezoneRoles.mockResolvedValue([
+                { role_key: 'UTC+1', role_id: 'role1' },
+                { role_key: 'UTC+2', role_id: 'role2' }
+            ]);
+            databaseService.getServerUsers.mockResolvedValue([{ user_id: 'user1', timezone_identifier: 'Europe/Berlin' }]);
+
+            const result = await roleService.updateMemberRole(guild, member, 'apply', 'Europe/Berlin', { mode: 'offset', offsetStyle: 'colon' });
+
+            expect(guild.roles.create).not.toHaveBeenCalled();
+            expect(member.roles.remove).toHaveBeenCalledWith(['role1'], 'Timezone changed');
+            expect(member.roles.add).toHaveBeenCalledWith(summer, 'Timezone role');
+            expect(winter.delete).not.toHaveBeenCalled();
+
+            await jest.advanceTimersByTimeAsync(roleService.cleanupDelayMs);
+
+            expect(winter.delete).toHaveBeenCalled();
+            expect(summer.delete).not.toHaveBeenCalled();
+            expect(databaseService.deleteTimezoneRole).toHaveBeenCalledWith('server1', 'UTC+1');
+            expect(result).toMatchObject({ status: 'updated', oldRole: 'UTC+1', newRole: 'UTC+2' });
+        });
+
+        test('should report no change when the member already has the right role', async () => {
+            const europe = createRole('role1', 'Europe');
+            const guild = createGuild([europe]);
+            const member = createMember([europe]);
+            databaseService.getTimezoneRoles.mockResolvedValue([{ role_key: 'Europe', role_id: 'role1' }]);
+
+            const result = await roleService.updateMemberRole(guild, member, 'apply', 'Europe/Paris', { mode: 'region' });
+
+            expect(result).toMatchObject({ status: 'no_change', role: 'Europe' });
+            expect(member.roles.add).not.toHaveBeenCalled();
+        });
+
+        test('should take the role off a cleared member and delete it once nobody uses it', async () => {
+            const europe = createRole('role1', 'Europe');
+            const guild = createGuild([europe]);
+            const member = createMember([europe]);
+            databaseService.getTimezoneRoles.mockResolvedValue([{ role_key: 'Europe', role_id: 'role1' }]);
+
+            const result = await roleService.updateMemberRole(guild, member, 'clear', null, { mode: 'region' });
+            await jest.advanceTimersByTimeAsync(roleService.cleanupDelayMs);
+
+            expect(member.roles.remove).toHaveBeenCalledWith(['role1'], 'Timezone changed');
+            expect(europe.delete).toHaveBeenCalled();
+            expect(result).toMatchObject({ status: 'updated', oldRole: 'Europe', newRole: null });
+        });
+
+        test('should skip servers where the bot cannot manage roles', async () => {
+            const guild = createGuild();
+            guild.members.me.permissions.has.mockReturnValue(false);
+
+            const result = await roleService.updateMemberRole(guild, createMember(), 'apply', 'Europe/Berlin', { mode: 'region' });
+
+            expect(result.status).toBe('skipped_permissions');
+            expect(guild.roles.create).not.toHaveBeenCalled();
+        });
+
+        test('should share one role creation between concurrent updates', async () => {
+            const guild = createGuild();
+
+            await Promise.all([
+                roleService.updateMemberRole(guild, createMember(), 'apply', 'Europe/Berlin', { mode: 'region' }),
+                roleService.updateMemberRole(guild, createMember(), 'apply', 'Europe/Paris', { mode: 'region' })
+            ]);
+
+            expect(guild.roles.create).toHaveBeenCalledTimes(1);
+        });
+
+        test('should clean up once after a batch of updates', async () => {
+            const guild = createGuild();
+
+            for (const timezone of ['Europe/Berlin', 'Europe/Paris', 'Asia/Tokyo']) {
+                await roleService.updateMemberRole(guild, createMember(), 'apply', timezone, { mode: 'region' });
+                await jest.advanceTimersByTimeAsync(roleService.cleanupDelayMs / 2);
+            }
+
+            expect(databaseService.getServerUsers).not.toHaveBeenCalled();
+
+            await jest.advanceTimersByTimeAsync(roleService.cleanupDelayMs);
+
+            expect(databaseService.getServerUsers).toHaveBeenCalledTimes(1);
+        });
+
+        test('should adopt an existing role with the same name that grants nothing', async () => {
+            const europe = createRole('role1', 'Europe');
+            const guild = createGuild([europe]);
+            const member = createMember();
+
+            const result = await roleService.updateMemberRole(guild, member, 'apply', 'Europe/Berlin', { mode: 'region' });
+
+            expect(guild.roles.create).not.toHaveBeenCalled();
+            expect(databaseService.setTimezoneRole).toHaveBeenCalledWith('server1', 'Europe', 'role1', { adopted: true });
+            expect(member.roles.add).toHaveBeenCalledWith(europe, 'Timezone role');
+            expect(result.status).toBe('updated');
+        });
+
+        test('should refuse a same-named role that grants permissions instead of duplicating it', async () => {
+            const guild = createGuild([createRole('role1', 'Europe', { permissions: 8n })]);
+            const member = createMember();
+
+            const result = await roleService.updateMemberRole(guild, member, 'apply', 'Europe/Berlin', { mode: 'region' });
+
+            expect(guild.roles.create).not.toHaveBeenCalled();
+            expect(databaseService.setTimezoneRole).not.toHaveBeenCalled();
+            expect(member.roles.add).not.toHaveBeenCalled();
+            expect(result).toMatchObject({ status: 'error', message: expect.stringContaining('Europe') });
+        });
+    });
+
+    test('should only forget adopted roles instead of deleting them', async () => {
+        const europe = createRole('role1', 'Europe');
+        const guild = createGuild([europe]);
+        databaseService.getTimezoneRoles.mockResolvedValue([{ role_key: 'Europe', role_id: 'role1', adopted: 1 }]);
+
+        const removed = await roleService.removeGuildRoles(guild);
+
+        expect(removed).toBe(1);
+        expect(europe.delete).not.toHaveBeenCalled();
+        expect(databaseService.deleteTimezoneRole).toHaveBeenCalledWith('server1', 'Europe');
+    });
+
+    test('should keep roles it failed to delete so cleanup can retry', async () => {
+        const europe = createRole('role1', 'Europe');
+        europe.delete.mockRejectedValue(Object.assign(new Error('Missing Permissions'), { code: 50013 }));
+        const guild = createGuild([europe]);
+        databaseService.getTimezoneRoles.mockResolvedValue([{ role_key: 'Europe', role_id: 'role1' }]);
+
+        const removed = await roleService.removeGuildRoles(guild);
+
+        expect(removed).toBe(0);
+        expect(databaseService.deleteTimezoneRole).not.toHaveBeenCalled();
+    });
+});
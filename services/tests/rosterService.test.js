@@ -0,0 +1,97 @@
+const { Collection } = require('discord.js');
+const { DateTime, Settings } = require('luxon');
+const rosterService = require('../rosterService');
+
+// Mock all dependencies
+jest.mock('../databaseService');
+
+const databaseService = require('../databaseService');
+
+// 12:00 UTC on a winter day: Berlin 13:00, New York 07:00, Los Angeles 04:00, Tokyo 21:00
+const noon = DateTime.fromISO('2026-01-15T12:00:00Z');
+
+function createGuild(roleHolders = []) {
+    return {
+        id: 'server1',
+        members: {
+            fetch: jest.fn().mockImplementation(({ user }) => Promise.resolve(new Collection(user.map(id => [id, {
+                id,
+                roles: { cache: new Collection(roleHolders.includes(id) ? [['role1', { id: 'role1' }]] : []) }
+            }]))))
+        }
+    };
+}
+
+describe('RosterService', () => {
+    const originalNow = Settings.now;
+
+    beforeEach(() => {
+        Settings.now = () => noon.toMillis();
+
+        databaseService.getServerUsers.mockResolvedValue([
+            { user_id: 'berlin', timezone_identifier: 'Europe/Berlin', decorate: 1 },
+            { user_id: 'newYork', timezone_identifier: 'America/New_York', decorate: 1 },
+            { user_id: 'losAngeles', timezone_identifier: 'America/Los_Angeles', decorate: 1 },
+            { user_id: 'tokyo', timezone_identifier: 'Asia/Tokyo', decorate: 1 },
+            { user_id: 'paris', timezone_identifier: 'Europe/Paris', decorate: 1 },
+            { user_id: 'hidden', timezone_identifier: 'Europe/London', decorate: 0 }
+        ]);
+    });
+
+    afterEach(() => {
+        Settings.now = originalNow;
+    });
+
+    test('should group members by time of day, leaving out hidden ones', async () => {
+        const roster = await rosterService.getRoster(createGuild());
+
+        expect(roster.map(group => group.key)).toEqual(['morning', 'working', 'evening', 'night']);
+        expect(roster[0].entries.map(entry => entry.userId)).toEqual(['newYork']);
+        expect(roster[1].entries.map(entry => entry.userId)).toEqual(['berlin', 'paris']);
+        expect(roster[1].entries[0]).toMatchObject({ time: '13:00', offset: 'UTC+1' });
+        expect(roster[2].entries.map(entry => entry.userId)).toEqual(['tokyo']);
+        expect(roster[3].entries.map(entry => entry.userId)).toEqual(['losAngeles']);
+    });
+
+    test('should group members by offset, furthest ahead first', async () => {
+        const roster = await rosterService.getRoster(createGuild(), { groupBy: 'offset' });
+
+        expect(roster.map(group => group.label)).toEqual([
+            '🌆 UTC+9 · 21:00',
+            '💼 UTC+1 · 13:00',
+            '🌅 UTC-5 · 07:00',
+            '🌙 UTC-8 · 04:00'
+        ]);
+        expect(roster[1].entries).toHaveLength(2);
+    });
+
+    test('should filter to members holding a role', async () => {
+        const guild = createGuild(['tokyo', 'paris']);
+
+        const roster = await rosterService.getRoster(guild, { roleId: 'role1' });
+
+        expect(guild.members.fetch).toHaveBeenCalledWith({ user: ['berlin', 'newYork', 'losAngeles', 'tokyo', 'paris'] });
+        expect(roster.flatMap(group => group.entries.map(entry => entry.userId))).toEqual(['paris', 'tokyo']);
+    });
+
+    test('should split groups across pages and clamp the page number', () => {
+        const entries = (prefix, count) => Array.from({ length: count }, (_, i) => ({ userId: `${prefix}${i}` }));
+        const roster = [
+            { key: 'working', entries: entries('w', 10) },
+            { key: 'night', entries: entries('n', 10) }
+        ];
+
+        const second = rosterService.paginate(roster, 1);
+        expect(second).toMatchObject({ page: 1, pageCount: 2, total: 20 });
+        expect(second.groups).toHaveLength(1);
+        expect(second.groups[0]).toMatchObject({ key: 'night', continued: true });
+        expect(second.groups[0].entries.map(entry => entry.userId)).toEqual(['n5', 'n6', 'n7', 'n8', 'n9']);
+
+        const first = rosterService.paginate(roster, -1);
+        expect(first.page).toBe(0);
+        expect(first.groups.map(group => group.entries.length)).toEqual([10, 5]);
+
+        expect(rosterService.paginate(roster, 9).page).toBe(1);
+        expect(rosterService.paginate([], 0)).toMatchObject({ page: 0, pageCount: 1, total: 0, groups: [] });
+    });
+});
@@ -0,0 +1,104 @@
+const shardRpcService = require('../shardRpcService');
+
+// Mock the clientProvider module
+jest.mock('../clientProvider', () => ({
+    clientProvider: {
+        getClient: jest.fn()
+    }
+}));
+
+describe('ShardRpcService', () => {
+    let mockClient;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation();
+
+        mockClient = {
+            shard: {
+                ids: [0],
+                count: 2,
+                broadcastEval: jest.fn()
+            }
+        };
+        require('../clientProvider').clientProvider.getClient.mockReturnValue(mockClient);
+
+        shardRpcService.handlers.clear();
+    });
+
+    describe('handle', () => {
+        test('should run a registered handler with the client and payload', async () => {
+            const handler = jest.fn().mockResolvedValue(['guild1']);
+            shardRpcService.register('listGuildIds', handler);
+
+            const response = await shardRpcService.handle(mockClient, 'listGuildIds', { foo: 'bar' });
+
+            expect(handler).toHaveBeenCalledWith(mockClient, { foo: 'bar' });
+            expect(response).toEqual({ shardId: 0, ok: true, result: ['guild1'] });
+        });
+
+        test('should report unknown handlers', async () => {
+            const response = await shardRpcService.handle(mockClient, 'missing', {});
+
+            expect(response).toEqual({ shardId: 0, ok: false, error: 'No shard handler registered for "missing"' });
+        });
+
+        test('should wrap handler errors', async () => {
+            shardRpcService.register('explode', jest.fn().mockRejectedValue(new Error('Boom')));
+
+            const response = await shardRpcService.handle(mockClient, 'explode', {});
+
+            expect(response).toEqual({ shardId: 0, ok: false, error: 'Boom' });
+        });
+    });
+
+    describe('request', () => {
+        test('should send one request per shard', async () => {
+            mockClient.shard.broadcastEval
+                .mockResolvedValueOnce({ shardId: 0, ok: true, result: 'a' })
+                .mockResolvedValueOnce({ shardId: 1, ok: true, result: 'b' });
+
+            const responses = await shardRpcService.request('ping', { value: 1 });
+
+            expect(mockClient.shard.broadcastEval).toHaveBeenCalledTimes(2);
+            expect(mockClient.shard.broadcastEval).toHaveBeenCalledWith(expect.any(Function), {
+                shard: 1,
+                context: { name: 'ping', payload: { value: 1 }, rpcPath: require.resolve('../shardRpcService') }
+            });
+            expect(responses.map(response => response.result)).toEqual(['a', 'b']);
+        });
+
+        test('should time out a shard that does not answer', async () => {
+            jest.useFakeTimers();
+            mockClient.shard.broadcastEval
+                .mockResolvedValueOnce({ shardId: 0, ok: true, result: 'a' })
+                .mockReturnValueOnce(new Promise(() => {}));
+
+            const pending = shardRpcService.request('ping', {}, { timeout: 1000 });
+            await jest.advanceTimersByTimeAsync(1000);
+            const responses = await pending;
+
+            expect(responses[0]).toEqual({ shardId: 0, ok: true, result: 'a' });
+            expect(responses[1]).toEqual({ shardId: 1, ok: false, error: 'Timed out after 1000ms' });
+            jest.useRealTimers();
+        });
+
+        test('should report shards whose eval fails', async () => {
+            mockClient.shard.broadcastEval
+                .mockResolvedValueOnce({ shardId: 0, ok: true, result: 'a' })
+                .mockRejectedValueOnce(new Error('Shard 1 is not ready'));
+
+            const responses = await shardRpcService.request('ping');
+
+            expect(responses[1]).toEqual({ shardId: 1, ok: false, error: 'Shard 1 is not ready' });
+        });
+
+        test('should run handlers locally when not sharded', async () => {
+            mockClient.shard = null;
+            shardRpcService.register('ping', jest.fn().mockResolvedValue('pong'));
+
+            const responses = await shardRpcService.request('ping');
+
+            expect(responses).toEqual([{ shardId: 0, ok: true, result: 'pong' }]);
+        });
+    });
+});
@@ -1,4 +1,4 @@
-const { DateTime } = require('luxon');
+const { DateTime, Settings } = require('luxon');
 
 // Import the service under test
 const timezoneService = require('../timezoneService');
@@ -53,6 +53,20 @@ describe('TimezoneService', () => {
             expect(offset3).toMatch(/UTC[+-]\d+/);
         });
 
+        test('should render non-hour offsets as hours and minutes', () => {
+            expect(timezoneService.getCurrentOffset('Asia/Kathmandu')).toBe('UTC+5:45');
+            expect(timezoneService.getCurrentOffset('Asia/Kolkata')).toBe('UTC+5:30');
+        });
+
+        test('should support the legacy decimal and padded offset styles', () => {
+            expect(timezoneService.formatOffset(345, 'decimal')).toBe('UTC+5.75');
+            expect(timezoneService.formatOffset(345, 'padded')).toBe('UTC+05:45');
+            expect(timezoneService.formatOffset(-210, 'colon')).toBe('UTC-3:30');
+            expect(timezoneService.formatOffset(-210, 'padded')).toBe('UTC-03:30');
+            expect(timezoneService.formatOffset(120, 'colon')).toBe('UTC+2');
+            expect(timezoneService.formatOffset(0, 'padded')).toBe('UTC+00:00');
+        });
+
         test('should handle invalid timezones by throwing error', () => {
             expect(() => {
                 timezoneService.getCurrentOffset('Invalid/Timezone');
@@ -60,6 +74,36 @@ describe('TimezoneService', () => {
         });
     });
 
+    describe('Next Transition Calculation', () => {
+        test('should find the exact spring-forward instant', () => {
+            const from = DateTime.fromISO('2026-01-01T00:00:00Z');
+            const transition = timezoneService.getNextTransition('America/New_York', from);
+
+            expect(transition.at.toISO()).toBe('2026-03-08T07:00:00.000Z');
+            expect(transition.previousOffset).toBe(-300);
+            expect(transition.offset).toBe(-240);
+        });
+
+        test('should handle half-hour transitions at odd times', () => {
+            const from = DateTime.fromISO('2026-01-01T00:00:00Z');
+            const transition = timezoneService.getNextTransition('Australia/Lord_Howe', from);
+
+            // 02:00 local (UTC+11) -> 01:30 local (UTC+10:30)
+            expect(transition.at.toISO()).toBe('2026-04-04T15:00:00.000Z');
+            expect(transition.previousOffset).toBe(660);
+            expect(transition.offset).toBe(630);
+        });
+
+        test('should return null for zones without transitions', () => {
+            expect(timezoneService.getNextTransition('Asia/Tokyo')).toBeNull();
+            expect(timezoneService.getNextTransition('UTC')).toBeNull();
+        });
+
+        test('should throw for invalid timezones', () => {
+            expect(() => timezoneService.getNextTransition('Invalid/Timezone')).toThrow();
+        });
+    });
+
     describe('Nickname Processing', () => {
         describe('removeTimezoneFromNickname', () => {
             test('should remove timezone from end of nickname', () => {
@@ -75,6 +119,13 @@ describe('TimezoneService', () => {
                 });
             });
 
+            test('should remove both decimal and HH:MM offsets', () => {
+                expect(timezoneService.removeTimezoneFromNickname('Sita (UTC+5.75)')).toBe('Sita');
+                expect(timezoneService.removeTimezoneFromNickname('Sita (UTC+5:45)')).toBe('Sita');
+                expect(timezoneService.removeTimezoneFromNickname('Kiri (UTC+12:45)')).toBe('Kiri');
+                expect(timezoneService.hasTimezoneInfo('Sita (UTC+05:45)')).toBe(true);
+            });
+
             test('should handle nicknames without timezone', () => {
                 const testCases = [
                     'John',
@@ -145,6 +196,292 @@ describe('TimezoneService', () => {
         });
     });
 
+    describe('Nickname Templates', () => {
+        beforeEach(() => {
+            jest.spyOn(timezoneService, 'getCurrentOffset').mockReturnValue('UTC+2');
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        test('should render prefix and custom-label templates', () => {
+            expect(timezoneService.formatNicknameWithTimezone('John', 'Europe/Berlin', 'john', { template: '[{offset}] {name}' }))
+                .toBe('[UTC+2] John');
+            expect(timezoneService.formatNicknameWithTimezone('John', 'Europe/Berlin', 'john', { template: '{name} [GMT{shortOffset}]' }))
+                .toBe('John [GMT+2]');
+        });
+
+        test('should strip the decoration of a previous template when re-rendering', () => {
+            const result = timezoneService.formatNicknameWithTimezone('[UTC+1] John', 'Europe/Berlin', 'john', {
+                template: '{name} ({offset})',
+                previousTemplates: ['[{offset}] {name}']
+            });
+
+            expect(result).toBe('John (UTC+2)');
+        });
+
+        test('should always strip the default decoration', () => {
+            expect(timezoneService.removeTimezoneFromNickname('John (UTC-5)', ['[{offset}] {name}'])).toBe('John');
+        });
+
+        test('should parse token values out of a nickname', () => {
+            expect(timezoneService.parseNickname('Alice 🕑 14:30 (CEST)', '{name} 🕑 {time} ({abbr})'))
+                .toEqual({ name: 'Alice', time: '14:30', abbr: 'CEST' });
+            expect(timezoneService.parseNickname('Alice', '{name} ({offset})')).toBeNull();
+        });
+
+        test('should round the clock down to the live clock interval', () => {
+            // 09:07 UTC is 14:52 in Kathmandu (UTC+5:45)
+            const now = DateTime.fromISO('2026-03-10T09:07:00Z').toMillis();
+            Settings.now = () => now;
+
+            const render = clockIntervalMinutes => timezoneService.formatNicknameWithTimezone('Alice', 'Asia/Kathmandu', 'alice', {
+                template: '{name} 🕑 {time}',
+                clockIntervalMinutes
+            });
+
+            expect(render(null)).toBe('Alice 🕑 14:52');
+            expect(render(15)).toBe('Alice 🕑 14:45');
+            expect(render(60)).toBe('Alice 🕑 14:00');
+            expect(timezoneService.removeTimezoneFromNickname('Alice 🕑 14:45', ['{name} 🕑 {time}'])).toBe('Alice');
+
+            Settings.now = () => Date.now();
+        });
+
+        test('should not strip ordinary words as abbreviations', () => {
+            expect(timezoneService.removeTimezoneFromNickname('John Smith', ['{name} {abbr}'])).toBe('John Smith');
+        });
+
+        test('should shorten the name to fit the decoration within 32 characters', () => {
+            const result = timezoneService.formatNicknameWithTimezone('A very long nickname that overflows', 'Europe/Berlin', 'john', {
+                template: '[{offset}] {name}'
+            });
+
+            expect(result).toHaveLength(32);
+            expect(result.startsWith('[UTC+2] A very long')).toBe(true);
+        });
+
+        describe('grapheme-aware truncation', () => {
+            const family = '👨‍👩‍👧‍👦'; // 11 UTF-16 code units, one grapheme
+            const flag = '🇳🇵'; // Regional indicator pair
+            const isWellFormed = text => !/[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/.test(text);
+
+            test('should never split emoji sequences or surrogate pairs', () => {
+                const result = timezoneService.formatNicknameWithTimezone(`${family}${family}${flag} Party`, 'Europe/Berlin', 'john');
+
+                // 24 code units are left for the name: two families fit, the flag does not
+                expect(result).toBe(`${family}${family} (UTC+2)`);
+                expect(result.length).toBeLessThanOrEqual(32);
+                expect(isWellFormed(result)).toBe(true);
+            });
+
+            test('should keep combining marks with their base character', () => {
+                const name = 'Ame\u0301lie\u0300 Zoe\u0308 Bjo\u0308rk Jo\u0301nsdo\u0301ttir';
+
+                // 'e' + U+0308 would need 13 code units, so it is dropped whole rather than losing its mark
+                expect(timezoneService.truncateGraphemes(name, 12)).toBe('Ame\u0301lie\u0300 Zo');
+                expect(timezoneService.truncateGraphemes(name, 13)).toBe('Ame\u0301lie\u0300 Zoe\u0308');
+            });
+
+            test('should end shortened names with an ellipsis when asked', () => {
+                const result = timezoneService.formatNicknameWithTimezone('A very long nickname that overflows', 'Europe/Berlin', 'john', {
+                    template: '[{offset}] {name}',
+                    ellipsis: true
+                });
+
+                expect(result).toBe('[UTC+2] A very long nickname th…');
+                expect(result).toHaveLength(32);
+            });
+
+            test('should not add an ellipsis to names that fit', () => {
+                expect(timezoneService.formatNicknameWithTimezone('Alice', 'Europe/Berlin', 'alice', { ellipsis: true })).toBe('Alice (UTC+2)');
+            });
+
+            test('should cut RTL names on whole characters', () => {
+                const name = 'عبد الرحمن بن عبد العزيز آل سعود';
+
+                const result = timezoneService.formatNicknameWithTimezone(name, 'Europe/Berlin', 'abdulrahman', { ellipsis: true });
+
+                expect(result).toBe('عبد الرحمن بن عبد العزي… (UTC+2)');
+                expect(result).toHaveLength(32);
+                expect(timezoneService.removeTimezoneFromNickname(result)).toBe('عبد الرحمن بن عبد العزي…');
+            });
+
+            test('should drop a bidi isolate whose closer was cut off', () => {
+                const name = 'Noa \u2067נועה כהן לוי מירושלים\u2069';
+
+                const result = timezoneService.truncateGraphemes(name, 12);
+
+                expect(result).toBe('Noa נועה כה');
+                expect(result).not.toContain('\u2067');
+            });
+
+            test('should keep balanced bidi controls', () => {
+                expect(timezoneService.dropUnclosedBidiControls('\u2067נועה\u2069 Noa')).toBe('\u2067נועה\u2069 Noa');
+            });
+        });
+
+        test('should migrate a legacy decimal decoration to the HH:MM style', () => {
+            timezoneService.getCurrentOffset.mockRestore();
+
+            expect(timezoneService.formatNicknameWithTimezone('Sita (UTC+5.75)', 'Asia/Kathmandu', 'sita')).toBe('Sita (UTC+5:45)');
+            expect(timezoneService.formatNicknameWithTimezone('Sita (UTC+5:45)', 'Asia/Kathmandu', 'sita', { offsetStyle: 'decimal' })).toBe('Sita (UTC+5.75)');
+        });
+
+        test('should validate templates', () => {
+            expect(timezoneService.validateNicknameTemplate('[{abbr}] {name}')).toEqual({ valid: true });
+            expect(timezoneService.validateNicknameTemplate('{offset}').valid).toBe(false);
+            expect(timezoneService.validateNicknameTemplate('{name}').valid).toBe(false);
+            expect(timezoneService.validateNicknameTemplate('{name} {zone}').error).toContain('{zone}');
+            expect(timezoneService.validateNicknameTemplate('{name} in the far away zone {offset}').valid).toBe(false);
+        });
+    });
+
+    describe('Timezone Abbreviations', () => {
+        const january = DateTime.fromISO('2026-01-15T12:00:00Z', { zone: 'utc' });
+        const july = DateTime.fromISO('2026-07-15T12:00:00Z', { zone: 'utc' });
+
+        afterEach(() => {
+            Settings.now = () => Date.now();
+        });
+
+        test('should resolve winter and summer abbreviations', () => {
+            expect(timezoneService.resolveAbbreviation('America/New_York', january)).toBe('EST');
+            expect(timezoneService.resolveAbbreviation('America/New_York', july)).toBe('EDT');
+            expect(timezoneService.resolveAbbreviation('Europe/Berlin', july)).toBe('CEST');
+            expect(timezoneService.resolveAbbreviation('Asia/Tokyo', july)).toBeNull();
+        });
+
+        test('should detect abbreviations shared by different offsets', () => {
+            // British Summer Time and Bangladesh Standard Time
+            expect(timezoneService.isAmbiguousAbbreviation('BST', july)).toBe(true);
+            expect(timezoneService.isAmbiguousAbbreviation('EDT', july)).toBe(false);
+        });
+
+        test('should fall back to the offset when there is no usable abbreviation', () => {
+            Settings.now = () => july.toMillis();
+
+            expect(timezoneService.getTimezoneAbbreviation('America/New_York')).toBe('EDT');
+            expect(timezoneService.getTimezoneAbbreviation('Asia/Tokyo')).toBe('UTC+9');
+            expect(timezoneService.getTimezoneAbbreviation('Europe/London')).toBe('UTC+1');
+        });
+
+        test('should switch the abbreviation when DST changes', () => {
+            Settings.now = () => january.toMillis();
+            const winter = timezoneService.formatNicknameWithTimezone('Alice', 'America/New_York', 'alice', { displayMode: 'abbreviation' });
+
+            Settings.now = () => july.toMillis();
+            const summer = timezoneService.formatNicknameWithTimezone(winter, 'America/New_York', 'alice', { displayMode: 'abbreviation' });
+
+            expect(winter).toBe('Alice (EST)');
+            expect(summer).toBe('Alice (EDT)');
+        });
+
+        test('should strip an abbreviation decoration when switching back to offsets', () => {
+            Settings.now = () => july.toMillis();
+
+            expect(timezoneService.formatNicknameWithTimezone('Alice (EST)', 'America/New_York', 'alice')).toBe('Alice (UTC-4)');
+            expect(timezoneService.removeTimezoneFromNickname('Band (DJ)')).toBe('Band (DJ)');
+        });
+
+        test('should keep another zone\'s abbreviation that is part of the name', () => {
+            Settings.now = () => january.toMillis();
+
+            expect(timezoneService.formatNicknameWithTimezone('Bob (EST)', 'Europe/Berlin', 'bob')).toBe('Bob (EST) (UTC+1)');
+            expect(timezoneService.removeTimezoneFromNickname('Bob (EST)', [], { timezone: 'Europe/Berlin' })).toBe('Bob (EST)');
+        });
+
+        test('should strip any abbreviation the bot may have written before a zone change', () => {
+            Settings.now = () => january.toMillis();
+
+            expect(timezoneService.formatNicknameWithTimezone('Bob (EST)', 'Europe/Berlin', 'bob', { displayMode: 'abbreviation' })).toBe('Bob (CET)');
+            expect(timezoneService.formatNicknameWithTimezone('Bob [EST]', 'Europe/Berlin', 'bob', { template: '{name} [{abbr}]' })).toBe('Bob [CET]');
+        });
+
+        test('should only look up the abbreviation when it is shown', () => {
+            const spy = jest.spyOn(timezoneService, 'getTimezoneAbbreviation');
+
+            timezoneService.formatNicknameWithTimezone('Alice', 'America/New_York', 'alice');
+            expect(spy).not.toHaveBeenCalled();
+
+            timezoneService.formatNicknameWithTimezone('Alice', 'America/New_York', 'alice', { template: '{name} [{abbr}]' });
+            expect(spy).toHaveBeenCalledTimes(1);
+
+            spy.mockRestore();
+        });
+    });
+
+    describe('Time Expressions', () => {
+        // Monday 19 October 2026, 15:00 in Los Angeles
+        const now = DateTime.fromISO('2026-10-19T15:00', { zone: 'America/Los_Angeles' });
+        const parse = (input, timezone = 'America/Los_Angeles') => timezoneService.parseTimeExpression(input, timezone, now);
+
+        test('should read clock times for today', () => {
+            expect(parse('20:00').dateTime.toISO()).toBe('2026-10-19T20:00:00.000-07:00');
+            expect(parse('8pm').dateTime.hour).toBe(20);
+            expect(parse('12am').dateTime.hour).toBe(0);
+            expect(parse('9:30 a.m.').dateTime.toFormat('HH:mm')).toBe('09:30');
+            expect(parse('noon').dateTime.hour).toBe(12);
+        });
+
+        test('should read relative days, weekdays and dates', () => {
+            expect(parse('8pm tomorrow').dateTime.toISODate()).toBe('2026-10-20');
+            expect(parse('friday 9:30am').dateTime.toISODate()).toBe('2026-10-23');
+            expect(parse('monday 10:00').dateTime.toISODate()).toBe('2026-10-19');
+            expect(parse('next monday 10:00').dateTime.toISODate()).toBe('2026-10-26');
+            expect(parse('2026-11-03 09:30').dateTime.toISO()).toBe('2026-11-03T09:30:00.000-08:00');
+            expect(parse('2026-11-03T09:30').valid).toBe(true);
+        });
+
+        test('should reject expressions it does not understand', () => {
+            expect(parse('tomorrow').valid).toBe(false);
+            expect(parse('25:00').valid).toBe(false);
+            expect(parse('13pm').valid).toBe(false);
+            expect(parse('2026-02-30 10:00').error).toContain('not a valid date');
+            expect(parse('tomorrow friday 10:00').valid).toBe(false);
+            expect(parse('8pm sharp').error).toContain('sharp');
+        });
+
+        test('should move times skipped by a DST change forward and say so', () => {
+            const result = parse('2026-03-29 01:30', 'Europe/London');
+
+            expect(result.valid).toBe(true);
+            expect(result.adjusted).toBe(true);
+            expect(result.dateTime.toFormat('HH:mm')).toBe('02:30');
+            expect(parse('2026-03-29 03:30', 'Europe/London').adjusted).toBe(false);
+        });
+
+        test('should convert to local times with day rollover', () => {
+            const [tokyo, honolulu] = timezoneService.convertTime(parse('20:00').dateTime, ['Asia/Tokyo', 'Pacific/Honolulu']);
+
+            expect(tokyo).toMatchObject({ time: '12:00', offset: 'UTC+9', dayDifference: 1 });
+            expect(honolulu).toMatchObject({ time: '17:00', offset: 'UTC-10', dayDifference: 0 });
+            expect(timezoneService.convertTime(parse('01:00', 'Asia/Tokyo').dateTime, ['America/New_York'])[0].dayDifference).toBe(-1);
+        });
+
+        test('should build Discord timestamp markup', () => {
+            const dateTime = parse('20:00').dateTime;
+
+            expect(timezoneService.formatDiscordTimestamp(dateTime, 'R')).toBe('<t:1792465200:R>');
+            expect(timezoneService.formatDiscordTimestamp(dateTime)).toBe('<t:1792465200>');
+            expect(Object.keys(timezoneService.timestampStyles)).toEqual(['t', 'T', 'd', 'D', 'f', 'F', 'R']);
+        });
+
+        test('should place local hours in parts of the day, wrapping night past midnight', () => {
+            expect(timezoneService.getTimeOfDay(6)).toBe('morning');
+            expect(timezoneService.getTimeOfDay(9)).toBe('working');
+            expect(timezoneService.getTimeOfDay(21)).toBe('evening');
+            expect(timezoneService.getTimeOfDay(23)).toBe('night');
+            expect(timezoneService.getTimeOfDay(0)).toBe('night');
+        });
+
+        test('should resolve zone names regardless of case', () => {
+            expect(timezoneService.resolveTimezoneName('europe/berlin')).toBe('Europe/Berlin');
+            expect(timezoneService.resolveTimezoneName('Not/AZone')).toBeNull();
+        });
+    });
+
     describe('Timezone Search', () => {
         test('should return empty array for empty search', () => {
             const results = timezoneService.searchTimezones('');
@@ -1,8 +1,108 @@
 const { DateTime } = require('luxon');
 
+// Measured in UTF-16 code units (String#length), which never undercounts Discord's own limit
+const DISCORD_NICKNAME_LIMIT = 32;
+
+// Names are shortened a whole user-perceived character (grapheme cluster) at a time
+const GRAPHEME_SEGMENTER = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+const ELLIPSIS = '…';
+
+// Bidi embeddings/overrides end with PDF and isolates with PDI; an opener cut off from
+// its closer would flip the direction of the decoration that follows the name
+const BIDI_OPENERS = { '\u202A': '\u202C', '\u202B': '\u202C', '\u202D': '\u202C', '\u202E': '\u202C', '\u2066': '\u2069', '\u2067': '\u2069', '\u2068': '\u2069' };
+const BIDI_CLOSERS = new Set(Object.values(BIDI_OPENERS));
+
+const DEFAULT_NICKNAME_TEMPLATE = '{name} ({offset})';
+
+// Used when a server turns on the live clock without a {time} template of its own
+const DEFAULT_CLOCK_TEMPLATE = '{name} 🕑 {time}';
+
+// How offsets that are not whole hours are written, e.g. Asia/Kathmandu
+const OFFSET_STYLES = {
+    colon: 'UTC+5:45',
+    decimal: 'UTC+5.75',
+    padded: 'UTC+05:45'
+};
+
+const DEFAULT_OFFSET_STYLE = 'colon';
+
+const OFFSET_PATTERN = '(?:UTC|utc|GMT|gmt)[+-]\\d{1,2}(?:[.:]\\d{1,2})?';
+
+// What each decoration token can look like in a nickname; {name} matches anything.
+// {abbreviations} expands to the abbreviations the bot could have written there, see getSlotAbbreviations().
+const NICKNAME_TOKEN_PATTERNS = {
+    offset: `${OFFSET_PATTERN}|{abbreviations}`, // Abbreviation display mode writes e.g. EST here
+    shortOffset: '[+-]\\d{1,2}(?:[.:]\\d{1,2})?',
+    abbr: `{abbreviations}|${OFFSET_PATTERN}`,
+    time: '\\d{1,2}:\\d{2}'
+};
+
+// Locales tried in order for a zone's abbreviation; Intl only knows most of them in their home locale
+const ABBREVIATION_LOCALES = ['en-US', 'en-GB', 'en-AU', 'en-NZ', 'en-IN', 'en-ZA', 'en-CA'];
+
+// Day words accepted in time expressions, as days from today
+const RELATIVE_DAYS = { yesterday: -1, today: 0, tonight: 0, tomorrow: 1 };
+
+// Weekday names accepted in time expressions, numbered like Luxon (Monday = 1)
+const WEEKDAYS = {
+    monday: 1, mon: 1,
+    tuesday: 2, tue: 2, tues: 2,
+    wednesday: 3, wed: 3,
+    thursday: 4, thu: 4, thur: 4, thurs: 4,
+    friday: 5, fri: 5,
+    saturday: 6, sat: 6,
+    sunday: 7, sun: 7
+};
+
+const TIME_EXAMPLES = '`20:00`, `8pm tomorrow`, `friday 9:30am` or `2026-11-03 09:30`';
+
+// Parts of the local day, in display order; start is inclusive, end exclusive, and night wraps past midnight
+const TIME_OF_DAY = {
+    morning: { label: 'Morning', emoji: '🌅', start: 6, end: 9 },
+    working: { label: 'Working hours', emoji: '💼', start: 9, end: 17 },
+    evening: { label: 'Evening', emoji: '🌆', start: 17, end: 22 },
+    night: { label: 'Night', emoji: '🌙', start: 22, end: 6 }
+};
+
+// Discord timestamp styles (<t:unix:style>), rendered by each client in the reader's own timezone and locale
+const TIMESTAMP_STYLES = {
+    t: 'Short time',
+    T: 'Long time',
+    d: 'Short date',
+    D: 'Long date',
+    f: 'Short date and time',
+    F: 'Long date and time',
+    R: 'Relative'
+};
+
+const DISPLAY_MODES = {
+    offset: 'UTC offset (UTC-5)',
+    abbreviation: 'Abbreviation (EST)'
+};
+
+// Longest value each token can render to, for template length checks
+const WIDEST_TOKEN_VALUES = {
+    offset: 'UTC+12.75',
+    shortOffset: '+12.75',
+    abbr: 'UTC+12.75',
+    time: '23:59'
+};
+
 class TimezoneService {
     constructor() {
         this.cachedTimezones = [];
+        this.compiledTemplates = new Map();
+        this.defaultNicknameTemplate = DEFAULT_NICKNAME_TEMPLATE;
+        this.defaultClockTemplate = DEFAULT_CLOCK_TEMPLATE;
+        this.offsetStyles = OFFSET_STYLES;
+        this.defaultOffsetStyle = DEFAULT_OFFSET_STYLE;
+        this.displayModes = DISPLAY_MODES;
+        this.timestampStyles = TIMESTAMP_STYLES;
+        this.timeOfDay = TIME_OF_DAY;
+        this.knownAbbreviations = null;
+        this.zoneAbbreviations = new Map();
+        this.abbreviationIndex = { hour: null, offsets: new Map() };
         this.initializeTimezones();
     }
 
@@ -65,48 +165,64 @@ class TimezoneService {
     /**
      * Get current UTC offset for a timezone
      * @param {string} timezone - Timezone identifier
-     * @returns {string|null} UTC offset string (e.g., "UTC+5", "UTC-3") or null if invalid
+     * @param {string} [style] - Offset style, see OFFSET_STYLES
+     * @returns {string|null} UTC offset string (e.g., "UTC+5", "UTC-3", "UTC+5:45") or null if invalid
      */
-    getCurrentOffset(timezone) {
+    getCurrentOffset(timezone, style = DEFAULT_OFFSET_STYLE) {
         if (!this.isValidTimezone(timezone)) {
             throw new Error(`Invalid timezone: ${timezone}`);
         }
 
         try {
             const dt = DateTime.now().setZone(timezone);
-            const offset = dt.offset; // Offset in minutes
-            
-            if (offset === 0) {
-                return "UTC+0";
-            }
-            
-            const hours = Math.abs(offset / 60);
-            const sign = offset > 0 ? '+' : '-';
-            
-            // Format as whole hours or with .5 for 30-minute offsets
-            if (hours % 1 === 0) {
-                return `UTC${sign}${Math.floor(hours)}`;
-            } else {
-                return `UTC${sign}${hours}`;
-            }
+            return this.formatOffset(dt.offset, style);
         } catch (error) {
             console.error('Error getting current offset:', error);
             throw error;
         }
     }
 
+    /**
+     * Format an offset in minutes as a UTC offset string
+     * @param {number} offset - Offset from UTC in minutes
+     * @param {string} [style] - 'colon' (UTC+5:45), 'decimal' (UTC+5.75) or 'padded' (UTC+05:45)
+     * @returns {string} Formatted offset
+     */
+    formatOffset(offset, style = DEFAULT_OFFSET_STYLE) {
+        const sign = offset < 0 ? '-' : '+';
+        const hours = Math.floor(Math.abs(offset) / 60);
+        const minutes = Math.abs(offset) % 60;
+
+        if (style === 'padded') {
+            return `UTC${sign}${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+        }
+
+        if (minutes === 0) {
+            return `UTC${sign}${hours}`;
+        }
+
+        // Legacy form, e.g. UTC+5.75 for Nepal
+        if (style === 'decimal') {
+            return `UTC${sign}${Math.abs(offset) / 60}`;
+        }
+
+        return `UTC${sign}${hours}:${String(minutes).padStart(2, '0')}`;
+    }
+
     /**
      * Get current time for a specific timezone
      * @param {string} timezone - Timezone identifier
+     * @param {string} [locale] - Locale for day and month names, e.g. a server's configured locale
      * @returns {Object|null} Time information or null if invalid
      */
-    getCurrentTime(timezone) {
+    getCurrentTime(timezone, locale = null) {
         try {
             if (!this.isValidTimezone(timezone)) {
                 return null;
             }
 
-            const dt = DateTime.now().setZone(timezone);
+            const zoned = DateTime.now().setZone(timezone);
+            const dt = locale ? zoned.setLocale(locale) : zoned;
             
             return {
                 timezone: timezone,
@@ -114,6 +230,8 @@ class TimezoneService {
                 date: dt.toFormat('yyyy-MM-dd'),
                 fullDateTime: dt.toFormat('yyyy-MM-dd HH:mm:ss'),
                 offset: this.getCurrentOffset(timezone),
+                offsetMinutes: dt.offset,
+                hour: dt.hour,
                 dayName: dt.toFormat('cccc'),
                 monthName: dt.toFormat('MMMM'),
                 formatted: dt.toFormat('cccc, MMMM dd, yyyy \'at\' HH:mm:ss')
@@ -124,38 +242,595 @@ class TimezoneService {
         }
     }
 
+    /**
+     * Find which part of the day a local hour falls in
+     * @param {number} hour - Local hour (0-23)
+     * @returns {string} Key of TIME_OF_DAY, e.g. "working"
+     */
+    getTimeOfDay(hour) {
+        return Object.keys(TIME_OF_DAY).find(key => {
+            const { start, end } = TIME_OF_DAY[key];
+            return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+        });
+    }
+
+    /**
+     * Resolve a zone typed by a user to its canonical identifier
+     * @param {string} input - e.g. "europe/berlin" or "UTC"
+     * @returns {string|null} Canonical identifier, or null if it is not a timezone
+     */
+    resolveTimezoneName(input) {
+        const trimmed = (input || '').trim();
+        const lower = trimmed.toLowerCase();
+        const match = this.cachedTimezones.find(tz => tz.value.toLowerCase() === lower);
+
+        if (match) {
+            return match.value;
+        }
+
+        return this.isValidTimezone(trimmed) ? trimmed : null;
+    }
+
+    /**
+     * Parse a wall-clock time such as "20:00", "8pm", "9:30 am", "noon" or "midnight"
+     * @param {string} input - Clock time
+     * @returns {Object|null} { hour, minute }, or null if it is not a valid time
+     */
+    parseClockTime(input) {
+        const text = (input || '').trim().toLowerCase().replace(/\b([ap])\.m\./g, '$1m');
+
+        if (text === 'noon') return { hour: 12, minute: 0 };
+        if (text === 'midnight') return { hour: 0, minute: 0 };
+
+        const match = text.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+        if (!match) {
+            return null;
+        }
+
+        const hour = Number(match[1]);
+        const minute = match[2] ? Number(match[2]) : 0;
+        const meridiem = match[3];
+
+        if ((meridiem ? hour < 1 || hour > 12 : hour > 23) || minute > 59) {
+            return null;
+        }
+
+        return { hour: meridiem ? hour % 12 + (meridiem === 'pm' ? 12 : 0) : hour, minute };
+    }
+
+    /**
+     * Parse a time expression such as "20:00", "8pm tomorrow", "friday 9:30am" or "2026-11-03 09:30"
+     * @param {string} input - Time expression
+     * @param {string} timezone - Zone the expression is written in
+     * @param {DateTime} [now] - Reference instant for "today", "tomorrow" and weekdays
+     * @returns {Object} { valid: true, dateTime, adjusted } or { valid: false, error }; adjusted is true
+     *   when the wall time does not exist in the zone (skipped by a DST change) and was moved forward
+     */
+    parseTimeExpression(input, timezone, now = DateTime.now()) {
+        const today = now.setZone(timezone);
+        let text = (input || '').trim().toLowerCase()
+            .replace(/,/g, ' ')
+            .replace(/(\d{4}-\d{1,2}-\d{1,2})t(?=\d)/, '$1 ') // ISO 8601 "T" separator
+            .replace(/\b([ap])\.m\./g, '$1m');
+
+        if (text === 'now') {
+            return { valid: true, dateTime: today.startOf('minute'), adjusted: false };
+        }
+
+        const dates = [];
+        const take = (pattern) => {
+            const match = text.match(pattern);
+            if (match) {
+                text = text.replace(match[0], ' ');
+            }
+            return match;
+        };
+
+        const isoDate = take(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+        if (isoDate) {
+            dates.push({ year: Number(isoDate[1]), month: Number(isoDate[2]), day: Number(isoDate[3]) });
+        }
+
+        const relativeDay = take(new RegExp(`\\b(${Object.keys(RELATIVE_DAYS).join('|')})\\b`));
+        if (relativeDay) {
+            const day = today.plus({ days: RELATIVE_DAYS[relativeDay[1]] });
+            dates.push({ year: day.year, month: day.month, day: day.day });
+        }
+
+        const weekday = take(new RegExp(`\\b(next\\s+)?(${Object.keys(WEEKDAYS).join('|')})\\b`));
+        if (weekday) {
+            // The coming one, today included, unless "next" asks for the one after today
+            let daysAhead = (WEEKDAYS[weekday[2]] - today.weekday + 7) % 7;
+            if (weekday[1] && daysAhead === 0) {
+                daysAhead = 7;
+            }
+            const day = today.plus({ days: daysAhead });
+            dates.push({ year: day.year, month: day.month, day: day.day });
+        }
+
+        if (dates.length > 1) {
+            return { valid: false, error: 'Give a single day, e.g. `tomorrow 20:00` or `2026-11-03 09:30`.' };
+        }
+
+        let hour;
+        let minute = 0;
+
+        if (take(/\bnoon\b/)) {
+            hour = 12;
+        } else if (take(/\bmidnight\b/)) {
+            hour = 0;
+        } else {
+            const time = take(/(?:^|\s)(\d{1,2}(?::\d{2})?\s*(?:am|pm)?)(?=\s|$)/);
+            if (!time) {
+                return { valid: false, error: `Add a time, e.g. ${TIME_EXAMPLES}.` };
+            }
+
+            const clock = this.parseClockTime(time[1]);
+            if (!clock) {
+                return { valid: false, error: `\`${time[1]}\` is not a valid time.` };
+            }
+
+            ({ hour, minute } = clock);
+        }
+
+        // Anything left besides filler words is something we did not understand
+        const leftover = text.replace(/\b(at|on|this)\b/g, ' ').trim();
+        if (leftover) {
+            return { valid: false, error: `Could not understand \`${leftover}\`. Try ${TIME_EXAMPLES}.` };
+        }
+
+        const date = dates[0] || { year: today.year, month: today.month, day: today.day };
+        const dateTime = DateTime.fromObject({ ...date, hour, minute }, { zone: timezone });
+
+        if (!dateTime.isValid) {
+            return { valid: false, error: `${date.year}-${String(date.month).padStart(2, '0')}-${String(date.day).padStart(2, '0')} is not a valid date.` };
+        }
+
+        return { valid: true, dateTime, adjusted: dateTime.hour !== hour || dateTime.minute !== minute };
+    }
+
+    /**
+     * Show one instant as local time in several zones
+     * @param {DateTime} dateTime - Instant, in the zone it was given in
+     * @param {Array<string>} timezones - Target timezone identifiers
+     * @param {Object} [options]
+     * @param {string} [options.locale] - Locale for day and month names
+     * @returns {Array<Object>} { timezone, dateTime, time, date, offset, dayDifference } per zone; dayDifference
+     *   is the target's calendar date minus the source's (e.g. 1 when it is already tomorrow there)
+     */
+    convertTime(dateTime, timezones, { locale = null } = {}) {
+        const sourceDay = Date.UTC(dateTime.year, dateTime.month - 1, dateTime.day);
+
+        return timezones.map(timezone => {
+            const zoned = dateTime.setZone(timezone);
+            const local = locale ? zoned.setLocale(locale) : zoned;
+
+            return {
+                timezone,
+                dateTime: local,
+                time: local.toFormat('HH:mm'),
+                date: local.toFormat('ccc d LLL'),
+                offset: this.formatOffset(local.offset),
+                dayDifference: Math.round((Date.UTC(local.year, local.month - 1, local.day) - sourceDay) / 86400000)
+            };
+        });
+    }
+
+    /**
+     * Build Discord timestamp markup for an instant
+     * @param {DateTime} dateTime - Instant to show
+     * @param {string} [style] - One of TIMESTAMP_STYLES; Discord's default (short date and time) if left out
+     * @returns {string} e.g. "<t:1792551600:R>"
+     */
+    formatDiscordTimestamp(dateTime, style = null) {
+        const unix = Math.floor(dateTime.toSeconds());
+        return style ? `<t:${unix}:${style}>` : `<t:${unix}>`;
+    }
+
+    /**
+     * Find the next UTC offset transition (DST start/end or rule change) for a timezone
+     * @param {string} timezone - Timezone identifier
+     * @param {DateTime} [from] - Instant to search forward from (defaults to now)
+     * @param {number} [horizonDays] - How far ahead to search
+     * @returns {Object|null} { at, offset, previousOffset } with `at` as a UTC DateTime, or null if no transition is found
+     */
+    getNextTransition(timezone, from = DateTime.utc(), horizonDays = 400) {
+        if (!this.isValidTimezone(timezone)) {
+            throw new Error(`Invalid timezone: ${timezone}`);
+        }
+
+        // Work in whole minutes since the epoch; transitions always fall on a minute boundary
+        const offsetAt = minute => DateTime.fromMillis(minute * 60000, { zone: timezone }).offset;
+        const startMinute = Math.floor(from.toMillis() / 60000);
+        const endMinute = startMinute + horizonDays * 1440;
+        const startOffset = offsetAt(startMinute);
+
+        // Step a day at a time, then binary search the day where the offset changed
+        let lo = startMinute;
+        while (lo < endMinute) {
+            let hi = Math.min(lo + 1440, endMinute);
+
+            if (offsetAt(hi) !== startOffset) {
+                while (hi - lo > 1) {
+                    const mid = Math.floor((lo + hi) / 2);
+                    if (offsetAt(mid) === startOffset) {
+                        lo = mid;
+                    } else {
+                        hi = mid;
+                    }
+                }
+
+                return {
+                    at: DateTime.fromMillis(hi * 60000, { zone: 'utc' }),
+                    offset: offsetAt(hi),
+                    previousOffset: startOffset
+                };
+            }
+
+            lo = hi;
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the short zone abbreviation (e.g. "EST", "CEST") for a timezone
+     * @param {string} timezone - Timezone identifier
+     * @param {string} [offsetStyle] - Offset style used for the fallback
+     * @returns {string} Abbreviation, or the UTC offset when the zone has none or it is ambiguous
+     */
+    getTimezoneAbbreviation(timezone, offsetStyle = DEFAULT_OFFSET_STYLE) {
+        const now = DateTime.now().setZone(timezone);
+        const abbreviation = this.resolveAbbreviation(timezone, now);
+
+        if (!abbreviation || this.isAmbiguousAbbreviation(abbreviation, now)) {
+            return this.getCurrentOffset(timezone, offsetStyle);
+        }
+
+        return abbreviation;
+    }
+
+    /**
+     * Find an abbreviation for a zone at an instant in any of the supported locales
+     * @param {string} timezone - Timezone identifier
+     * @param {DateTime} dt - Instant to name
+     * @returns {string|null} Abbreviation, or null if every locale only gives "GMT+2"-style names
+     */
+    resolveAbbreviation(timezone, dt) {
+        const zoned = dt.setZone(timezone);
+
+        for (const locale of ABBREVIATION_LOCALES) {
+            const name = zoned.setLocale(locale).offsetNameShort;
+            if (name && /^[A-Z]{2,5}$/.test(name)) {
+                return name;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check whether an abbreviation currently stands for more than one offset (e.g. IST, BST)
+     * @param {string} abbreviation - Abbreviation to check
+     * @param {DateTime} dt - Instant to check at
+     * @returns {boolean} True if zones using it disagree on the offset
+     */
+    isAmbiguousAbbreviation(abbreviation, dt) {
+        const hour = dt.toUTC().startOf('hour').toMillis();
+
+        // Offsets move with DST, so rebuild the index once per hour
+        if (this.abbreviationIndex.hour !== hour) {
+            const offsets = new Map();
+
+            for (const { value: timezone } of this.cachedTimezones) {
+                const name = this.resolveAbbreviation(timezone, dt);
+                if (!name) continue;
+
+                if (!offsets.has(name)) offsets.set(name, new Set());
+                offsets.get(name).add(dt.setZone(timezone).offset);
+            }
+
+            this.abbreviationIndex = { hour, offsets };
+        }
+
+        return (this.abbreviationIndex.offsets.get(abbreviation)?.size ?? 0) > 1;
+    }
+
+    /**
+     * Every abbreviation a zone can be shown with in winter or summer, for nickname parsing
+     * @returns {Array<string>} Abbreviations, longest first
+     */
+    getKnownAbbreviations() {
+        if (!this.knownAbbreviations) {
+            const year = DateTime.utc().year;
+            const instants = [DateTime.utc(year, 1, 15, 12), DateTime.utc(year, 7, 15, 12)];
+            const names = new Set(['UTC', 'GMT']);
+
+            for (const { value: timezone } of this.cachedTimezones) {
+                for (const instant of instants) {
+                    const name = this.resolveAbbreviation(timezone, instant);
+                    if (name) names.add(name);
+                }
+            }
+
+            this.knownAbbreviations = Array.from(names).sort((a, b) => b.length - a.length);
+        }
+
+        return this.knownAbbreviations;
+    }
+
+    /**
+     * The abbreviations one zone is shown with in winter or summer
+     * @param {string} timezone - Timezone identifier
+     * @returns {Array<string>} Abbreviations, longest first
+     */
+    getZoneAbbreviations(timezone) {
+        if (!this.zoneAbbreviations.has(timezone)) {
+            const year = DateTime.utc().year;
+            const names = new Set();
+
+            for (const instant of [DateTime.utc(year, 1, 15, 12), DateTime.utc(year, 7, 15, 12)]) {
+                const name = this.resolveAbbreviation(timezone, instant);
+                if (name) names.add(name);
+            }
+
+            this.zoneAbbreviations.set(timezone, Array.from(names).sort((a, b) => b.length - a.length));
+        }
+
+        return this.zoneAbbreviations.get(timezone);
+    }
+
+    /**
+     * Abbreviations that count as decoration in a token slot. {abbr} always shows one, so any
+     * abbreviation there is the bot's, even from a zone the member has since left. {offset}
+     * only shows one in abbreviation display mode; otherwise only the member's own zone's
+     * abbreviations are taken off, so a name like "Bob (EST)" keeps its own text.
+     * @param {string} token - 'offset' or 'abbr'
+     * @param {Object} [member]
+     * @param {string} [member.timezone] - The member's timezone; all are allowed when unknown
+     * @param {string} [member.displayMode] - The member's display mode
+     * @returns {Array<string>} Abbreviations, longest first
+     */
+    getSlotAbbreviations(token, { timezone = null, displayMode = 'offset' } = {}) {
+        if (token === 'abbr' || displayMode === 'abbreviation' || !timezone || !this.isValidTimezone(timezone)) {
+            return this.getKnownAbbreviations();
+        }
+
+        return this.getZoneAbbreviations(timezone);
+    }
+
+    /**
+     * Get the values a nickname template's tokens render to right now
+     * @param {string} timezone - Timezone identifier
+     * @param {Object} [options]
+     * @param {string} [options.offsetStyle] - Offset style, see OFFSET_STYLES
+     * @param {string} [options.displayMode] - 'offset' or 'abbreviation' (shown in the {offset} slot)
+     * @param {number} [options.clockIntervalMinutes] - Round {time} down to this interval so it only changes when the clock is refreshed
+     * @param {string} [options.template] - Template being rendered; the abbreviation is only looked up when it or the display mode shows one
+     * @returns {Object} { offset, shortOffset, abbr, time }
+     */
+    getNicknameTokenValues(timezone, { offsetStyle = DEFAULT_OFFSET_STYLE, displayMode = 'offset', clockIntervalMinutes = 1, template = null } = {}) {
+        const offset = this.getCurrentOffset(timezone, offsetStyle);
+        const needsAbbreviation = displayMode === 'abbreviation' || !template || template.includes('{abbr}');
+        const abbr = needsAbbreviation ? this.getTimezoneAbbreviation(timezone, offsetStyle) : null;
+
+        const localTime = DateTime.now().setZone(timezone);
+        const minuteOfDay = localTime.hour * 60 + localTime.minute;
+        const clockTime = localTime.startOf('day').plus({ minutes: minuteOfDay - minuteOfDay % (clockIntervalMinutes || 1) });
+
+        return {
+            offset: displayMode === 'abbreviation' ? abbr : offset,
+            shortOffset: offset.replace(/^UTC/, ''),
+            abbr,
+            time: clockTime.toFormat('HH:mm')
+        };
+    }
+
+    /**
+     * Check a nickname template before it is stored
+     * @param {string} template - Template such as "{name} ({offset})"
+     * @returns {Object} { valid: boolean, error?: string }
+     */
+    validateNicknameTemplate(template) {
+        if (typeof template !== 'string' || template.trim() === '') {
+            return { valid: false, error: 'Template cannot be empty' };
+        }
+
+        const tokens = Array.from(template.matchAll(/\{(\w+)\}/g), match => match[1]);
+        const unknown = tokens.filter(token => !(token in NICKNAME_TOKEN_PATTERNS) && token !== 'name');
+
+        if (unknown.length > 0) {
+            return { valid: false, error: `Unknown token(s): ${unknown.map(token => `{${token}}`).join(', ')}` };
+        }
+
+        if (tokens.filter(token => token === 'name').length !== 1) {
+            return { valid: false, error: 'Template must contain {name} exactly once' };
+        }
+
+        if (!tokens.some(token => token in NICKNAME_TOKEN_PATTERNS)) {
+            return { valid: false, error: `Template must contain at least one of ${Object.keys(NICKNAME_TOKEN_PATTERNS).map(token => `{${token}}`).join(', ')}` };
+        }
+
+        // Leave room for a few characters of the name with the widest token values
+        const widest = this.renderNicknameTemplate(template, '', WIDEST_TOKEN_VALUES);
+        if (widest.length > DISCORD_NICKNAME_LIMIT - 4) {
+            return { valid: false, error: 'Template leaves too little room for the name' };
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Fill a nickname template, shortening the name so the result fits Discord's limit
+     * @param {string} template - Nickname template
+     * @param {string} name - Undecorated name
+     * @param {Object} values - Token values, see getNicknameTokenValues()
+     * @param {Object} [options]
+     * @param {boolean} [options.ellipsis] - Mark a shortened name with …
+     * @returns {string} Rendered nickname
+     */
+    renderNicknameTemplate(template, name, values, { ellipsis = false } = {}) {
+        const fill = nameValue => template.replace(/\{(\w+)\}/g, (match, token) => token === 'name' ? nameValue : values[token] ?? match);
+
+        const decorationLength = fill('').length;
+        const maxNameLength = DISCORD_NICKNAME_LIMIT - decorationLength;
+
+        return fill(this.truncateGraphemes(name, maxNameLength, { ellipsis }));
+    }
+
+    /**
+     * Shorten text to a length without splitting emoji, combining marks or surrogate pairs
+     * @param {string} text - Text to shorten
+     * @param {number} maxLength - Maximum length in UTF-16 code units
+     * @param {Object} [options]
+     * @param {boolean} [options.ellipsis] - End shortened text with … (counted in maxLength)
+     * @returns {string} The text itself if it fits, otherwise its longest whole-grapheme prefix
+     */
+    truncateGraphemes(text, maxLength, { ellipsis = false } = {}) {
+        if (text.length <= maxLength) {
+            return text;
+        }
+
+        const budget = ellipsis ? maxLength - ELLIPSIS.length : maxLength;
+        let truncated = '';
+
+        for (const { segment } of GRAPHEME_SEGMENTER.segment(text)) {
+            if (truncated.length + segment.length > budget) break;
+            truncated += segment;
+        }
+
+        // Trailing spaces and invisible format characters would sit against the decoration
+        truncated = this.dropUnclosedBidiControls(truncated).replace(/[\s\p{Cf}]+$/u, '');
+
+        return truncated && ellipsis ? truncated + ELLIPSIS : truncated;
+    }
+
+    /**
+     * Check whether a shown name is exactly what the bot would have shortened a full one to
+     * @param {string} shown - Name as it appears in the nickname
+     * @param {string} full - Full name
+     * @param {string} nickname - Nickname the shown name was taken from; the rest of it is the decoration
+     * @returns {boolean} True if shown is full itself, or full cut to the room the decoration leaves (with or without …)
+     */
+    isTruncationOf(shown, full, nickname) {
+        if (shown === full) {
+            return true;
+        }
+
+        const maxLength = DISCORD_NICKNAME_LIMIT - (nickname.length - shown.length);
+        return [false, true].some(ellipsis => this.truncateGraphemes(full, maxLength, { ellipsis }) === shown);
+    }
+
+    /**
+     * Remove bidi embedding/isolate openers whose closer was cut off
+     * @param {string} text - Shortened text
+     * @returns {string} Text with only balanced bidi controls
+     */
+    dropUnclosedBidiControls(text) {
+        const characters = Array.from(text);
+        const open = [];
+
+        characters.forEach((character, index) => {
+            if (character in BIDI_OPENERS) {
+                open.push(index);
+            } else if (BIDI_CLOSERS.has(character) && open.length > 0) {
+                open.pop();
+            }
+        });
+
+        const unclosed = new Set(open);
+        return characters.filter((character, index) => !unclosed.has(index)).join('');
+    }
+
+    /**
+     * Parse a nickname rendered from a template
+     * @param {string} nickname - Nickname to parse
+     * @param {string} [template] - Nickname template (defaults to the built-in one)
+     * @param {Object} [member] - { timezone, displayMode } of the member, see getSlotAbbreviations()
+     * @returns {Object|null} { name, ...tokenValues } or null if the nickname does not match
+     */
+    parseNickname(nickname, template = DEFAULT_NICKNAME_TEMPLATE, member = {}) {
+        if (!nickname) return null;
+
+        const match = this.compileNicknameTemplate(template, member).exec(nickname);
+        if (!match) return null;
+
+        return { ...match.groups, name: match.groups.name.trim() };
+    }
+
+    /**
+     * Build (and cache) the regular expression matching a template's output for a member
+     * @param {string} template - Nickname template
+     * @param {Object} [member] - { timezone, displayMode } of the member, see getSlotAbbreviations()
+     * @returns {RegExp} Anchored pattern with a named group per token
+     */
+    compileNicknameTemplate(template, member = {}) {
+        const abbreviations = {
+            offset: this.getSlotAbbreviations('offset', member),
+            abbr: this.getSlotAbbreviations('abbr', member)
+        };
+        const key = `${template}\n${abbreviations.offset.join('|')}`;
+
+        if (!this.compiledTemplates.has(key)) {
+            const source = template
+                .split(/(\{\w+\})/)
+                .map(part => {
+                    const token = /^\{(\w+)\}$/.exec(part)?.[1];
+
+                    if (token === 'name') return '(?<name>.*?)';
+                    if (token in NICKNAME_TOKEN_PATTERNS) {
+                        // A zone without an abbreviation leaves only the offset alternative
+                        const names = abbreviations[token]?.join('|');
+                        const pattern = names
+                            ? NICKNAME_TOKEN_PATTERNS[token].replace('{abbreviations}', names)
+                            : NICKNAME_TOKEN_PATTERNS[token].replace(/\|?\{abbreviations\}\|?/, '');
+                        return `(?<${token}>${pattern})`;
+                    }
+
+                    // Literal text; whitespace is optional so trimmed nicknames still match
+                    return part.split(/\s+/).map(literal => literal.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\s*');
+                })
+                .join('');
+
+            this.compiledTemplates.set(key, new RegExp(`^${source}$`));
+        }
+
+        return this.compiledTemplates.get(key);
+    }
+
     /**
      * Update nickname with timezone offset
      * @param {string} currentNickname - Current nickname or username
      * @param {string} timezone - Timezone identifier
      * @param {string} username - Discord username (fallback if no nickname)
+     * @param {Object} [format]
+     * @param {string} [format.template] - Guild nickname template (defaults to the built-in one)
+     * @param {Array<string>} [format.previousTemplates] - Older templates whose decoration should be stripped
+     * @param {string} [format.offsetStyle] - Offset style, see OFFSET_STYLES
+     * @param {string} [format.displayMode] - The user's display mode, see DISPLAY_MODES
+     * @param {number} [format.clockIntervalMinutes] - Live clock refresh interval, see getNicknameTokenValues()
+     * @param {boolean} [format.ellipsis] - Mark names shortened to fit with …
      * @returns {string|null} New nickname with timezone or null if error
      */
-    formatNicknameWithTimezone(currentNickname, timezone, username) {
+    formatNicknameWithTimezone(currentNickname, timezone, username, { template, previousTemplates = [], offsetStyle = DEFAULT_OFFSET_STYLE, displayMode, clockIntervalMinutes, ellipsis } = {}) {
         try {
-            const offset = this.getCurrentOffset(timezone);
-            if (!offset) {
-                return null;
-            }
+            const activeTemplate = template || DEFAULT_NICKNAME_TEMPLATE;
+            const values = this.getNicknameTokenValues(timezone, { offsetStyle, displayMode, clockIntervalMinutes, template: activeTemplate });
 
             // Use current nickname or fall back to username
             const baseName = currentNickname || username;
             
-            // Remove existing timezone info if present
-            const cleanName = this.removeTimezoneFromNickname(baseName);
-            
-            // Add new timezone info
-            const newNickname = `${cleanName} (${offset})`;
+            // Remove existing timezone info if present, whichever template produced it
+            const cleanName = this.removeTimezoneFromNickname(baseName, [activeTemplate, ...previousTemplates], { timezone, displayMode });
             
-            // Discord nickname limit is 32 characters
-            if (newNickname.length > 32) {
-                // Truncate the base name to fit
-                const maxBaseLength = 32 - offset.length - 3; // 3 for " ()"
-                const truncatedBase = cleanName.substring(0, maxBaseLength);
-                return `${truncatedBase} (${offset})`;
+            const nickname = this.renderNicknameTemplate(activeTemplate, cleanName, values, { ellipsis }).trim();
+
+            // Discord rejects these; callers treat null as "could not generate"
+            if (!nickname || nickname.length > DISCORD_NICKNAME_LIMIT) {
+                return null;
             }
-            
-            return newNickname;
+
+            return nickname;
         } catch (error) {
             console.error('Error formatting nickname with timezone:', error);
             return null;
@@ -165,23 +840,32 @@ class TimezoneService {
     /**
      * Remove timezone information from nickname
      * @param {string} nickname - Nickname that may contain timezone info
+     * @param {Array<string>} [templates] - Templates to try; the built-in one is always tried last
+     * @param {Object} [member] - { timezone, displayMode } of the member, see getSlotAbbreviations()
      * @returns {string} Clean nickname without timezone
      */
-    removeTimezoneFromNickname(nickname) {
+    removeTimezoneFromNickname(nickname, templates = [], member = {}) {
         if (!nickname) return '';
         
-        // Remove patterns like " (UTC+5)", " (UTC-3)", " (UTC+0)", etc.
-        return nickname.replace(/\s*\(UTC[+-][\d.]+\)$/i, '').trim();
+        for (const template of new Set([...templates.filter(Boolean), DEFAULT_NICKNAME_TEMPLATE])) {
+            const parsed = this.parseNickname(nickname, template, member);
+            if (parsed) {
+                return parsed.name;
+            }
+        }
+
+        return nickname.trim();
     }
 
     /**
      * Check if nickname already contains timezone info
      * @param {string} nickname - Nickname to check
+     * @param {string} [template] - Guild nickname template (defaults to the built-in one)
+     * @param {Object} [member] - { timezone, displayMode } of the member, see getSlotAbbreviations()
      * @returns {boolean} True if contains timezone info
      */
-    hasTimezoneInfo(nickname) {
-        if (!nickname) return false;
-        return /\(UTC[+-][\d.]+\)$/i.test(nickname);
+    hasTimezoneInfo(nickname, template, member = {}) {
+        return this.parseNickname(nickname, template || DEFAULT_NICKNAME_TEMPLATE, member) !== null;
     }
 
     /**
@@ -0,0 +1,15 @@
+const guildSettingsService = require('../services/guildSettingsService');
+
+module.exports = {
+    name: 'invalidateGuildSettings',
+    /**
+     * Drop this shard's cached settings for a server after they changed
+     * @param {Client} client
+     * @param {{ serverId: string }} payload
+     * @returns {Promise<boolean>} Always true
+     */
+    async execute(client, { serverId }) {
+        guildSettingsService.invalidate(serverId);
+        return true;
+    },
+};
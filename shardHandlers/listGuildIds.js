@@ -0,0 +1,11 @@
+module.exports = {
+    name: 'listGuildIds',
+    /**
+     * List the IDs of every guild this shard can see
+     * @param {Client} client
+     * @returns {Array<string>} Guild IDs
+     */
+    async execute(client) {
+        return Array.from(client.guilds.cache.keys());
+    },
+};
@@ -0,0 +1,19 @@
+const clockService = require('../services/clockService');
+
+module.exports = {
+    name: 'refreshClockNicknames',
+    /**
+     * Start re-rendering live clock nicknames in the servers this shard holds
+     * @param {Client} client
+     * @param {{ servers: Array<{ serverId: string, intervalMinutes: number }>, budget: number }} payload
+     * @returns {Promise<number>} Number of those servers on this shard
+     */
+    async execute(client, { servers, budget }) {
+        // Pacing edits takes longer than a shard request may, so the refresh runs in the background
+        clockService.refreshLocalServers(client, servers, budget).catch(error => {
+            console.error('❌ Clock refresh failed:', error);
+        });
+
+        return servers.filter(server => client.guilds.cache.has(server.serverId)).length;
+    },
+};
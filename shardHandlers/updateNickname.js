@@ -0,0 +1,14 @@
+const nicknameService = require('../services/nicknameService');
+
+module.exports = {
+    name: 'updateNickname',
+    /**
+     * Apply or clear a user's timezone nickname in the servers this shard holds
+     * @param {Client} client
+     * @param {{ userId: string, serverIds: Array<string>, action: string, timezone: string|null }} payload
+     * @returns {Promise<Array>} Per-server results for this shard
+     */
+    async execute(client, { userId, serverIds, action, timezone }) {
+        return await nicknameService.updateLocalServers(client, userId, serverIds, action, timezone);
+    },
+};
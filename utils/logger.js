@@ -88,6 +88,47 @@ const logger = {
         return await this.log(message);
     },
 
+    /**
+     * Helper function to log timezone role changes
+     * @param {string} userId - Discord user ID
+     * @param {string} serverId - Discord server ID
+     * @param {string|null} oldRole - Previous timezone role
+     * @param {string|null} newRole - New timezone role
+     * @returns {Promise<string|null>}
+     */
+    async logRoleUpdate(userId, serverId, oldRole, newRole) {
+        const message = `**Timezone Role Update** | **User:** <@${userId}> (\`${userId}\`) | **Server:** \`${serverId}\` - Changed from \`${oldRole ?? 'none'}\` to \`${newRole ?? 'none'}\``;
+        return await this.log(message);
+    },
+
+    /**
+     * Helper function to log an 'updated' member result as a nickname or role change
+     * @param {string} userId - Discord user ID
+     * @param {Object} result - Result from nicknameService.updateGuildMember()
+     * @returns {Promise<string|null>}
+     */
+    async logMemberUpdate(userId, result) {
+        if ('newRole' in result) {
+            return await this.logRoleUpdate(userId, result.serverId, result.oldRole, result.newRole);
+        }
+        return await this.logNicknameUpdate(userId, result.serverId, result.oldNickname, result.newNickname);
+    },
+
+    /**
+     * Helper function to log a member the bot stopped re-applying timezones to
+     * @param {string} userId - Discord user ID
+     * @param {string} serverId - Discord server ID
+     * @param {string|null} actorId - Who kept changing the nickname, if known
+     * @param {number} reapplications - Re-applications seen before backing off
+     * @param {number} expiresAt - Epoch milliseconds when re-applying resumes
+     * @returns {Promise<string|null>}
+     */
+    async logNicknameConflict(userId, serverId, actorId, reapplications, expiresAt) {
+        const actor = actorId ? `<@${actorId}> (\`${actorId}\`)` : 'unknown (no audit log access)';
+        const message = `**Nickname Conflict** | **User:** <@${userId}> (\`${userId}\`) | **Server:** \`${serverId}\` | **Changed By:** ${actor} - Timezone re-applied ${reapplications} times in quick succession, backing off until <t:${Math.floor(expiresAt / 1000)}:f>`;
+        return await this.log(message);
+    },
+
     /**
      * Helper function to log DST changes
      * @param {string} timezone - Timezone that changed